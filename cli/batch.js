@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+// cli/batch.js
+// Batch-score a folder of drawing scans without the browser.
+//
+//   npm run batch -- <input-dir> [options]
+//
+// Writes to the output directory:
+//   json/<image>.json   detections (with measurements/masks), DAPR score and provenance per image
+//   scores.csv          one row per image: totals plus one column per DAPR item (and per extra scheme)
+//   detections.csv      one row per detection
+//   summary.json        run options, model, counts and failures
+import { readdir, readFile, mkdir, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { createEngine, DETECTORS, IMAGE_EXTENSIONS } from './engine.js'
+import { STRESS_ITEMS, RESOURCE_ITEMS, DEFAULT_PROFILE, resolveProfile } from '../src/services/scoring.js'
+import { PAPER_SIZES } from '../src/services/calibration.js'
+import { DEFAULT_SCHEME_ID, getScheme, listSchemes } from '../src/services/schemes.js'
+
+const USAGE = `Usage: npm run batch -- <input-dir> [options]
+
+Options:
+  --out <dir>                   Output directory (default: <input-dir>/dapr-results)
+  --recursive                   Include images in subfolders
+  --detector <name>             ${DETECTORS.join(' | ')} (default: onnx)
+  --model <id>                  Model id from the manifest (default: manifest default)
+  --models-dir <dir>            Directory with manifest.json and model files (default: public/models)
+  --fixtures <file>             Fixture JSON for --detector fixture
+  --conf <n>                    Fallback confidence threshold (default: 0.5)
+  --iou <n>                     NMS IoU threshold (default: 0.45)
+  --strategy <mode>             auto | single | tiled (default: auto)
+  --tile-size <px>              Tile edge for tiled inference
+  --profile <file>              Scoring profile JSON (as exported from the settings page; default: built-in)
+  --paper <size>                Each image is a whole sheet of ${PAPER_SIZES.map((p) => p.id).join(' | ')}
+  --dpi <n>                     Scan resolution (default: read from the file, else the profile's)
+  --schemes <ids>               Extra scoring schemes, comma-separated: ${listSchemes().filter((s) => s.id !== DEFAULT_SCHEME_ID).map((s) => s.id).join(' | ')}
+  --uncertainty <samples>       Sample detections by confidence for credible intervals and fragile items
+  --verbose                     Print pipeline debug output
+  -h, --help                    Show this help`
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string' },
+    recursive: { type: 'boolean', default: false },
+    detector: { type: 'string', default: 'onnx' },
+    model: { type: 'string' },
+    'models-dir': { type: 'string' },
+    fixtures: { type: 'string' },
+    conf: { type: 'string' },
+    iou: { type: 'string' },
+    strategy: { type: 'string', default: 'auto' },
+    'tile-size': { type: 'string' },
+    profile: { type: 'string' },
+    paper: { type: 'string' },
+    dpi: { type: 'string' },
+    schemes: { type: 'string' },
+    uncertainty: { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+})
+
+/**
+ * Image files under dir, sorted for stable output
+ * @returns {Promise<string[]>} paths relative to dir
+ */
+async function listImages(dir, recursive) {
+  const entries = await readdir(dir, { withFileTypes: true, recursive })
+  return entries
+    .filter((e) => e.isFile() && IMAGE_EXTENSIONS.includes(path.extname(e.name).toLowerCase()))
+    .map((e) => path.relative(dir, path.join(e.parentPath ?? e.path, e.name)))
+    .sort()
+}
+
+function optionalNumber(value, name) {
+  if (value === undefined) return undefined
+  const n = Number(value)
+  if (!Number.isFinite(n)) throw new Error(`--${name} must be a number, got "${value}"`)
+  return n
+}
+
+/**
+ * Read and validate a scoring profile; missing fields take the built-in defaults
+ */
+async function readProfile(file) {
+  if (!file) return DEFAULT_PROFILE
+  const profile = JSON.parse(await readFile(path.resolve(file), 'utf8'))
+  return resolveProfile({ profileId: path.basename(file, '.json'), version: 1, ...profile })
+}
+
+/**
+ * Parse --schemes; the default scheme always runs and is left out of the list
+ */
+function parseSchemes(value) {
+  if (!value) return undefined
+  const ids = [...new Set(value.split(',').map((s) => s.trim()).filter(Boolean))]
+  const unknown = ids.filter((id) => !getScheme(id))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scoring scheme(s): ${unknown.join(', ')}. Available: ${listSchemes().map((s) => s.id).join(', ')}`)
+  }
+  return ids.filter((id) => id !== DEFAULT_SCHEME_ID)
+}
+
+/**
+ * Credible interval of the total and the fragile items, for scores.csv
+ */
+function uncertaintyCells(uncertainty) {
+  return [
+    uncertainty.total.low,
+    uncertainty.total.high,
+    uncertainty.items.filter((item) => item.fragile).map((item) => item.name).join(' '),
+  ]
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const s = String(value)
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n'
+}
+
+async function main() {
+  if (args.help || positionals.length !== 1) {
+    console.log(USAGE)
+    process.exit(args.help ? 0 : 1)
+  }
+  if (!args.verbose) console.debug = () => {}
+
+  const inputDir = path.resolve(positionals[0])
+  const outDir = path.resolve(args.out || path.join(inputDir, 'dapr-results'))
+  const files = (await listImages(inputDir, args.recursive))
+    .filter((f) => !path.resolve(inputDir, f).startsWith(outDir + path.sep))
+  if (files.length === 0) throw new Error(`No ${IMAGE_EXTENSIONS.join('/')} images found in ${inputDir}`)
+
+  if (args.paper && !PAPER_SIZES.some((p) => p.id === args.paper)) {
+    throw new Error(`--paper must be one of ${PAPER_SIZES.map((p) => p.id).join(', ')}, got "${args.paper}"`)
+  }
+
+  if (args.uncertainty !== undefined && !(Number.isInteger(Number(args.uncertainty)) && Number(args.uncertainty) >= 1)) {
+    throw new Error(`--uncertainty must be a positive whole number of samples, got "${args.uncertainty}"`)
+  }
+
+  const options = {
+    detector: args.detector,
+    modelId: args.model,
+    modelsDir: args['models-dir'] && path.resolve(args['models-dir']),
+    fixtures: args.fixtures && path.resolve(args.fixtures),
+    confidenceThreshold: optionalNumber(args.conf, 'conf'),
+    iouThreshold: optionalNumber(args.iou, 'iou'),
+    strategy: args.strategy,
+    tileSize: optionalNumber(args['tile-size'], 'tile-size'),
+    profile: await readProfile(args.profile),
+    paperSize: args.paper,
+    dpi: optionalNumber(args.dpi, 'dpi'),
+    schemes: parseSchemes(args.schemes),
+    uncertaintySamples: optionalNumber(args.uncertainty, 'uncertainty'),
+  }
+  // Leave unset options to the engine defaults
+  for (const key of Object.keys(options)) if (options[key] === undefined) delete options[key]
+
+  const engine = await createEngine(options)
+  await mkdir(path.join(outDir, 'json'), { recursive: true })
+  console.log(`Scoring ${files.length} image(s) with ${args.detector}${args.detector === 'onnx' ? ` (${engine.model.id} v${engine.model.version})` : ''} → ${outDir}`)
+
+  const itemColumns = [
+    ...STRESS_ITEMS.map((i) => ({ key: 'stress_items', name: i.name, header: `stress:${i.name}` })),
+    ...RESOURCE_ITEMS.map((i) => ({ key: 'resource_items', name: i.name, header: `resource:${i.name}` })),
+  ]
+  const extraSchemes = options.schemes ?? []
+  const scoreRows = []
+  const detectionRows = []
+  const failures = []
+  const startedAt = new Date().toISOString()
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i]
+    const prefix = `[${i + 1}/${files.length}] ${file}`
+    try {
+      const result = await engine.analyzeFile(path.join(inputDir, file))
+      const { daprScore } = result
+      await writeFile(
+        path.join(outDir, 'json', `${file.split(path.sep).join('__')}.json`),
+        JSON.stringify({ file, ...result }, null, 2),
+      )
+
+      const itemScore = (col) => daprScore[col.key].find((it) => it.name === col.name)?.score ?? 0
+      scoreRows.push([
+        file, 'ok', '', result.width, result.height, result.detections.length,
+        daprScore.total_score, daprScore.resource_score, daprScore.stress_score,
+        daprScore.interpretation_key, daprScore.interpretation,
+        result.provenance.detector, result.provenance.modelId, result.provenance.modelVersion, result.provenance.imageHash,
+        daprScore.profile.id, daprScore.profile.version,
+        daprScore.calibration.source, daprScore.calibration.pixelsPerInch,
+        ...extraSchemes.map((id) => result.schemeScores[id].total_score),
+        ...(options.uncertaintySamples ? uncertaintyCells(result.uncertainty) : []),
+        ...itemColumns.map(itemScore),
+      ])
+      for (const det of result.detections) {
+        detectionRows.push([file, det.category, det.confidence, ...det.bbox, det.mask ? 1 : 0])
+      }
+      console.log(`${prefix}: ${result.detections.length} detections, DAPR ${daprScore.total_score}`)
+    } catch (e) {
+      failures.push({ file, error: e.message })
+      scoreRows.push([file, 'error', e.message])
+      console.error(`${prefix}: ${e.message}`)
+    }
+  }
+  await engine.release()
+
+  await writeFile(path.join(outDir, 'scores.csv'), toCsv([
+    'file', 'status', 'error', 'width', 'height', 'detections',
+    'total_score', 'resource_score', 'stress_score', 'interpretation_key', 'interpretation',
+    'detector', 'model_id', 'model_version', 'image_hash', 'profile_id', 'profile_version',
+    'calibration_source', 'pixels_per_inch',
+    ...extraSchemes.map((id) => `total_score:${id}`),
+    ...(options.uncertaintySamples ? ['total_low', 'total_high', 'fragile_items'] : []),
+    ...itemColumns.map((c) => c.header),
+  ], scoreRows))
+  await writeFile(path.join(outDir, 'detections.csv'), toCsv(
+    ['file', 'category', 'confidence', 'x1', 'y1', 'x2', 'y2', 'has_mask'],
+    detectionRows,
+  ))
+  await writeFile(path.join(outDir, 'summary.json'), JSON.stringify({
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    inputDir,
+    options,
+    model: { id: engine.model.id, version: engine.model.version, task: engine.model.task },
+    schemes: [DEFAULT_SCHEME_ID, ...extraSchemes].map((id) => ({ id, version: getScheme(id).version })),
+    images: files.length,
+    scored: files.length - failures.length,
+    failures,
+  }, null, 2))
+
+  console.log(`Done: ${files.length - failures.length} scored, ${failures.length} failed`)
+  if (failures.length > 0) process.exitCode = 2
+}
+
+main().catch((e) => {
+  console.error(e.message)
+  process.exit(1)
+})
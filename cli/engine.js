@@ -0,0 +1,208 @@
+// cli/engine.js
+// Headless analysis engine for Node: decodes image files and runs the same pipeline stages as the
+// browser worker (src/services/pipeline.js) on onnxruntime-node, then scores with assessment.js.
+import { readFile } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { PNG } from 'pngjs'
+import jpeg from 'jpeg-js'
+import {
+  hashImageData,
+  seedFromHash,
+  mulberry32,
+  fixtureDetections,
+  placeholderDetect,
+  detectRegions,
+  describeStrategy,
+} from '../src/services/pipeline.js'
+import { assessDetections, toScoringFormat } from '../src/services/assessment.js'
+import { DEFAULT_SCHEME_ID } from '../src/services/schemes.js'
+import { estimateUncertainty } from '../src/services/uncertainty.js'
+import { readImageDpi, calibrationFromDpi, calibrationFromPaper } from '../src/services/calibration.js'
+
+export const DEFAULT_MODELS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../public/models')
+export const DETECTORS = ['onnx', 'placeholder', 'fixture']
+export const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg']
+
+// Decoded scans can be large; jpeg-js refuses anything above this by default
+const MAX_JPEG_MEMORY_MB = 2048
+
+/**
+ * Decode a PNG or JPEG file to RGBA pixels
+ * @param {string} file
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray, dpi: Object|null}>}
+ *   dpi: resolution stored in the file (see readImageDpi), if any
+ */
+export async function decodeImage(file) {
+  const buffer = await readFile(file)
+  const dpi = readImageDpi(buffer)
+  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47) {
+    const png = PNG.sync.read(buffer)
+    return { width: png.width, height: png.height, data: new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length), dpi }
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const img = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: MAX_JPEG_MEMORY_MB })
+    return { width: img.width, height: img.height, data: new Uint8ClampedArray(img.data.buffer, img.data.byteOffset, img.data.length), dpi }
+  }
+  throw new Error(`Unsupported image format: ${path.basename(file)} (PNG and JPEG only)`)
+}
+
+/**
+ * Read the model manifest and pick an entry (same rules as src/services/models.js)
+ * @param {string} modelsDir - Directory holding manifest.json and the model files
+ * @param {string} [modelId] - Defaults to the manifest's default model
+ * @returns {Promise<Object>} manifest entry with `path` to the model file
+ */
+export async function loadModel(modelsDir, modelId) {
+  const manifest = JSON.parse(await readFile(path.join(modelsDir, 'manifest.json'), 'utf8'))
+  const models = (manifest.models || []).filter((m) => m && m.id && m.file && Array.isArray(m.classes) && m.classes.length > 0)
+  const id = modelId || manifest.default || models[0]?.id
+  const entry = models.find((m) => m.id === id)
+  if (!entry) throw new Error(`Model "${id}" is not listed in ${path.join(modelsDir, 'manifest.json')}`)
+  return {
+    ...entry,
+    thresholds: { ...(entry.thresholds || {}) },
+    inputSize: entry.inputSize || 640,
+    path: path.join(modelsDir, entry.file),
+  }
+}
+
+/**
+ * Load onnxruntime-node on demand; it is an optional dependency so web-only installs stay light
+ */
+async function loadOrt() {
+  try {
+    return await import('onnxruntime-node')
+  } catch (e) {
+    throw new Error(`onnxruntime-node is not installed (${e.message}). Run "npm install onnxruntime-node" or use --detector placeholder`)
+  }
+}
+
+/**
+ * Create an engine for one model and detector configuration
+ * @param {Object} options
+ * @param {'onnx'|'placeholder'|'fixture'} [options.detector] - default 'onnx'
+ * @param {string} [options.modelsDir] - default public/models
+ * @param {string} [options.modelId]
+ * @param {string} [options.fixtures] - Path to a fixture JSON file (detector 'fixture')
+ * @param {number} [options.confidenceThreshold] - default 0.5, as in detectObjects
+ * @param {number} [options.iouThreshold] - default 0.45
+ * @param {'auto'|'single'|'tiled'} [options.strategy]
+ * @param {number} [options.tileSize]
+ * @param {number} [options.tileOverlap]
+ * @param {Object} [options.profile] - Scoring profile (default: DEFAULT_PROFILE)
+ * @param {string} [options.paperSize] - Calibrate every image as a whole sheet of this paper (PAPER_SIZES id)
+ * @param {number} [options.dpi] - Scan resolution; overrides the file's own metadata
+ * @param {string[]} [options.schemes] - Extra scoring schemes to run besides the default (see schemes.js)
+ * @param {number} [options.uncertaintySamples] - Estimate score uncertainty with this many samples (see uncertainty.js)
+ * @returns {Promise<{ model: Object, analyzeFile: (file: string) => Promise<Object>, release: () => Promise<void> }>}
+ */
+export async function createEngine(options = {}) {
+  const {
+    detector = 'onnx',
+    modelsDir = DEFAULT_MODELS_DIR,
+    confidenceThreshold = 0.5,
+    iouThreshold = 0.45,
+  } = options
+  if (!DETECTORS.includes(detector)) throw new Error(`Unknown detector: ${detector}`)
+
+  const model = await loadModel(modelsDir, options.modelId)
+  const noModel = { modelId: null, modelVersion: null, modelHash: null, provider: null, strategy: null }
+
+  let session = null
+  let ort = null
+  let modelHash = null
+  if (detector === 'onnx') {
+    ort = await loadOrt()
+    const bytes = await readFile(model.path)
+    modelHash = createHash('sha256').update(bytes).digest('hex')
+    if (model.sha256 && model.sha256.toLowerCase() !== modelHash) {
+      throw new Error(`Model ${model.id} hash mismatch: manifest ${model.sha256}, file ${modelHash}`)
+    }
+    session = await ort.InferenceSession.create(bytes, { executionProviders: ['cpu'] })
+  }
+
+  const fixtures = detector === 'fixture'
+    ? JSON.parse(await readFile(options.fixtures || path.resolve(modelsDir, '../fixtures/detections.json'), 'utf8'))
+    : null
+
+  const runModel = async (input, size) => {
+    const results = await session.run({ [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, size, size]) })
+    return {
+      output: results[session.outputNames[0]],
+      protos: model.task === 'segment' ? results[session.outputNames[1]] : null,
+    }
+  }
+
+  /**
+   * Detect, measure and score one image file
+   * @returns {Promise<{ width: number, height: number, detections: Array, daprScore: Object, schemeScores: Object, provenance: Object, timings: Object|null }>}
+   *   schemeScores: scores of the extra schemes, keyed by scheme id
+   *   uncertainty: present when options.uncertaintySamples is set
+   */
+  async function analyzeFile(file) {
+    const imageData = await decodeImage(file)
+    const imageHash = await hashImageData(imageData)
+
+    let rawDetections
+    let provenance
+    let timings = null
+    if (detector === 'onnx') {
+      const result = await detectRegions(imageData, model, runModel, { ...options, confidenceThreshold, iouThreshold })
+      rawDetections = result.detections
+      timings = result.timings
+      provenance = {
+        detector: 'onnx',
+        modelId: model.id,
+        modelVersion: model.version,
+        modelHash,
+        provider: 'node-cpu',
+        strategy: describeStrategy(result.plan),
+        imageHash,
+        seed: null,
+        fallbackReason: null,
+      }
+    } else if (detector === 'fixture') {
+      rawDetections = fixtureDetections(fixtures, imageHash, model.classes)
+      provenance = { detector: 'fixture', ...noModel, imageHash, seed: null, fallbackReason: null }
+    } else {
+      const seed = options.seed ?? seedFromHash(imageHash)
+      rawDetections = placeholderDetect(imageData.width, imageData.height, model.classes, mulberry32(seed))
+      provenance = { detector: 'placeholder', ...noModel, imageHash, seed, fallbackReason: null }
+    }
+
+    // Scans carry no stroke data: rain direction comes from the raster fallback
+    const calibration = calibrate(imageData)
+    const { detections, daprScore, schemeScores } = assessDetections(rawDetections, { imageData, calibration }, options.profile, options.schemes)
+    // The default scheme is already in daprScore
+    const { [DEFAULT_SCHEME_ID]: _, ...extraSchemeScores } = schemeScores
+    const result = { width: imageData.width, height: imageData.height, calibration, detections, daprScore, schemeScores: extraSchemeScores, provenance, timings }
+    if (options.uncertaintySamples) {
+      // Seeded by the image so reruns give the same intervals
+      result.uncertainty = estimateUncertainty(toScoringFormat(detections.map((d, i) => ({ ...d, id: i }))), imageData.width, imageData.height, {
+        profile: options.profile,
+        calibration,
+        thresholds: model.thresholds,
+        samples: options.uncertaintySamples,
+        seed: seedFromHash(imageHash),
+      })
+    }
+    return result
+  }
+
+  /**
+   * Paper size, then --dpi, then the file's metadata; null leaves the profile default
+   */
+  function calibrate(imageData) {
+    if (options.paperSize) return calibrationFromPaper(imageData.width, imageData.height, options.paperSize)
+    if (options.dpi) return calibrationFromDpi(options.dpi)
+    return imageData.dpi ? calibrationFromDpi(imageData.dpi.dpi, imageData.dpi.source) : null
+  }
+
+  async function release() {
+    await session?.release?.()
+  }
+
+  return { model, analyzeFile, release }
+}
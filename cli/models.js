@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// cli/models.js
+// Record and verify the sha256 of every model file listed in the manifest.
+//
+//   npm run models -- [options]
+//
+// Entries without a sha256 get the hash of their file written into manifest.json, so the browser worker and the
+// batch CLI reject a different file under the same id and version. An entry whose file no longer matches its
+// recorded hash is reported and the manifest is left unchanged.
+import { readFile, writeFile } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { DEFAULT_MODELS_DIR } from './engine.js'
+
+const USAGE = `Usage: npm run models -- [options]
+
+Options:
+  --models-dir <dir>            Directory with manifest.json and model files (default: public/models)
+  --check                       Only verify; do not write missing hashes into the manifest
+  -h, --help                    Show this help`
+
+const { values: args } = parseArgs({
+  options: {
+    'models-dir': { type: 'string' },
+    check: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+})
+
+/**
+ * sha256 of a model file as lowercase hex, or null if the file is missing
+ */
+async function fileHash(file) {
+  try {
+    return createHash('sha256').update(await readFile(file)).digest('hex')
+  } catch (e) {
+    if (e.code === 'ENOENT') return null
+    throw e
+  }
+}
+
+async function main() {
+  if (args.help) {
+    console.log(USAGE)
+    return
+  }
+  const modelsDir = path.resolve(args['models-dir'] ?? DEFAULT_MODELS_DIR)
+  const manifestPath = path.join(modelsDir, 'manifest.json')
+  const manifest = JSON.parse(await readFile(manifestPath, 'utf8'))
+
+  let mismatches = 0
+  let recorded = 0
+  for (const entry of manifest.models || []) {
+    const label = `${entry.id} v${entry.version} (${entry.file})`
+    const hash = await fileHash(path.join(modelsDir, entry.file))
+    if (!hash) {
+      console.warn(`${label}: file not found`)
+    } else if (!entry.sha256) {
+      console.log(`${label}: ${hash}${args.check ? ' (not in manifest)' : ' recorded'}`)
+      if (!args.check) {
+        entry.sha256 = hash
+        recorded++
+      }
+    } else if (entry.sha256.toLowerCase() !== hash) {
+      console.error(`${label}: hash mismatch, manifest ${entry.sha256}, file ${hash}`)
+      mismatches++
+    } else {
+      console.log(`${label}: ok`)
+    }
+  }
+
+  if (mismatches > 0) {
+    process.exitCode = 1
+    return
+  }
+  if (recorded > 0) await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`)
+}
+
+main().catch((e) => {
+  console.error(e.message)
+  process.exitCode = 1
+})
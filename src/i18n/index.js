@@ -0,0 +1,94 @@
+// src/i18n/index.js
+// UI language: message catalogs for zh-TW, zh-CN and English, the user's choice, and the matching Element Plus locale.
+// Catalogs are nested objects addressed with dotted keys ('dashboard.scoreTable'); `{name}` placeholders are filled
+// from the params object. Missing keys fall back to zh-TW, then to the key itself.
+// Stored records keep language-neutral keys (item names, message keys, interpretation keys); the text is looked up
+// here at display time, so switching language also changes existing results (see scoreText.js).
+import { ref, computed } from 'vue'
+import elZhTw from 'element-plus/dist/locale/zh-tw.mjs'
+import elZhCn from 'element-plus/dist/locale/zh-cn.mjs'
+import elEn from 'element-plus/dist/locale/en.mjs'
+import zhTW from './locales/zh-TW'
+import zhCN from './locales/zh-CN'
+import en from './locales/en'
+
+const LOCALE_KEY = 'dapr_locale'
+export const DEFAULT_LOCALE = 'zh-TW'
+
+export const LOCALES = [
+  { id: 'zh-TW', label: '繁體中文', messages: zhTW, element: elZhTw },
+  { id: 'zh-CN', label: '简体中文', messages: zhCN, element: elZhCn },
+  { id: 'en', label: 'English', messages: en, element: elEn },
+]
+
+/**
+ * Stored choice, else the browser language, else zh-TW
+ */
+function initialLocale() {
+  const stored = localStorage.getItem(LOCALE_KEY)
+  if (LOCALES.some((l) => l.id === stored)) return stored
+  const browser = (navigator.language || '').toLowerCase()
+  if (/^zh-(cn|sg|hans)/.test(browser)) return 'zh-CN'
+  if (browser.startsWith('zh')) return 'zh-TW'
+  if (browser.startsWith('en')) return 'en'
+  return DEFAULT_LOCALE
+}
+
+export const locale = ref(initialLocale())
+
+export const elementLocale = computed(() => getLocale(locale.value).element)
+
+function getLocale(id) {
+  return LOCALES.find((l) => l.id === id) ?? LOCALES[0]
+}
+
+/**
+ * @param {string} id - LOCALES id
+ */
+export function setLocale(id) {
+  locale.value = getLocale(id).id
+  localStorage.setItem(LOCALE_KEY, locale.value)
+  document.documentElement.lang = locale.value
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages)
+}
+
+/**
+ * Translate a key in the current language
+ * @param {string} key - Dotted catalog path
+ * @param {Object} [params] - Values for `{name}` placeholders
+ * @returns {string}
+ */
+export function t(key, params) {
+  let text = lookup(getLocale(locale.value).messages, key)
+  if (typeof text !== 'string') text = lookup(zhTW, key)
+  if (typeof text !== 'string') return key
+  return params ? text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match)) : text
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean} whether the current language (or the zh-TW fallback) has the key
+ */
+export function te(key) {
+  return typeof lookup(getLocale(locale.value).messages, key) === 'string' || typeof lookup(zhTW, key) === 'string'
+}
+
+/**
+ * Format a date in the current language
+ * @param {string|number|Date} value
+ */
+export function formatDateTime(value) {
+  return new Date(value).toLocaleString(locale.value)
+}
+
+// Vue plugin: $t and $d in templates
+export default {
+  install(app) {
+    document.documentElement.lang = locale.value
+    app.config.globalProperties.$t = t
+    app.config.globalProperties.$d = formatDateTime
+  },
+}
@@ -0,0 +1,766 @@
+// src/i18n/locales/en.js
+// English catalog; item descriptions follow the wording of Lack (1996)
+export default {
+  common: {
+    cancel: 'Cancel',
+    save: 'Save',
+    delete: 'Delete',
+    edit: 'Edit',
+    set: 'Set',
+    load: 'Load',
+    restore: 'Reset',
+    create: 'Create',
+    import: 'Import',
+    yes: 'Yes',
+    no: 'No',
+    name: 'Name',
+    version: 'Version',
+    createdAt: 'Created',
+    actions: 'Actions',
+    notRecorded: 'not recorded',
+  },
+  nav: {
+    home: 'Home',
+    draw: 'Draw',
+    sketches: 'Sketches',
+    scoringSettings: 'Scoring',
+    normSettings: 'Norms',
+    language: 'Language',
+    backup: 'Backup',
+    participants: 'Participants',
+    dataset: 'Dataset',
+    evaluation: 'Evaluation',
+  },
+  login: {
+    subtitle: 'AI-based Expert Support System for Art Therapy',
+    login: 'Log in',
+    register: 'Sign up',
+    password: 'Password',
+    name: 'Name',
+    namePlaceholder: 'Your name',
+    passwordHint: 'At least 6 characters',
+    loginFailed: 'Login failed',
+    registerFailed: 'Sign-up failed',
+  },
+  home: {
+    totalSketches: 'Sketches',
+    analyzed: 'Analyzed',
+    avgScore: 'Average DAPR score',
+    quickActions: 'Quick actions',
+    startDrawing: '✏️ Start drawing',
+    uploadSketch: '📁 Upload sketch',
+    viewSketches: '📋 View sketches',
+    about: '⚠️ About',
+    disclaimerTitle: 'AI assistance disclaimer',
+    disclaimer1: 'AlphaDAPR is an <strong>assistive tool</strong> that helps art therapists assess drawings at scale.',
+    disclaimer2: 'AI results are for reference only; <strong>the final assessment must be made by a qualified therapist</strong>.',
+    disclaimer3: 'Explainable AI makes every step of the analysis visible so you can work more efficiently.',
+    uploadedTitle: 'Uploaded sketch',
+    uploadedWithDpi: 'Sketch uploaded ({dpi} DPI)',
+    uploadedNoDpi: 'Sketch uploaded; the file has no resolution, set the paper size or DPI on the dashboard',
+    uploadFailed: 'Upload failed',
+  },
+  sketches: {
+    title: 'Sketches',
+    startDrawing: '✏️ Start drawing',
+    preview: 'Preview',
+    sketchTitle: 'Title',
+    duration: 'Duration',
+    lineCount: 'Lines',
+    analyzed: 'Analyzed',
+    analyze: '🔍 Analyze',
+    dashboard: '📊 Dashboard',
+    delete: '🗑️ Delete',
+    confirmDelete: 'Delete this sketch?',
+    empty: 'No sketches yet. Draw or upload one!',
+    loadFailed: 'Failed to load sketches',
+    analysisDone: 'Analysis complete',
+    analysisFailed: 'Analysis failed',
+    deleted: 'Deleted',
+    deleteFailed: 'Delete failed',
+    untitled: 'Untitled',
+  },
+  drawing: {
+    title: '✏️ DAPR Drawing',
+    clear: 'Clear',
+    undo: 'Undo',
+    submit: 'Submit for analysis',
+    instructionTitle: 'Draw a person in the rain on the canvas below (Draw-A-Person-in-the-Rain)',
+    instructionBody: 'Please draw a person in the rain. The rain stands for a stressful event or environment; draw freely.',
+    paper: 'Paper:',
+    lineCount: 'Lines: {count}',
+    fillCount: 'Fills: {count}',
+    elapsed: 'Time: {time}',
+    tools: {
+      pen: '✏️ Pen',
+      brush: '🖌️ Brush',
+      fill: '🪣 Fill',
+    },
+    sketchTitle: 'DAPR drawing',
+    drawFirst: 'Please draw something first',
+    submitted: 'Drawing submitted',
+    submitFailed: 'Submit failed: {error}',
+    participantSession: 'Participant {code} · session {session}',
+  },
+  systemInfo: {
+    title: '🖥️ System Info',
+    refresh: 'Refresh',
+    warmup: 'Load model and benchmark',
+    model: 'Model:',
+    detector: 'Detector:',
+    detectorOnnx: 'AI model (ONNX)',
+    detectorPlaceholder: 'Placeholder (fixed seed)',
+    detectorFixture: 'Fixture (test data)',
+    provider: 'Execution provider',
+    notLoaded: 'Not loaded',
+    loadedModel: 'Loaded model',
+    wasmThreads: 'WASM threads',
+    crossOriginIsolated: 'Cross-origin isolated',
+    cpuCores: 'CPU cores',
+    modelLoad: 'Model load',
+    warmupInference: 'Warm-up inference',
+    avgInference: 'Avg. inference',
+    avgTotal: 'Avg. total',
+    backend: 'Backend',
+    result: 'Result',
+    elapsed: 'Time',
+    reason: 'Reason',
+    lastError: 'The last inference failed and fell back to placeholder: {error}',
+    modelSwitched: 'Model changed; takes effect on the next analysis',
+    detectorOnnxSelected: 'Switched to AI model detection',
+    detectorOtherSelected: 'Switched to a non-model detector; results will be marked as not from the AI model',
+  },
+  classes: {
+    rain: 'rain',
+    umbrella: 'umbrella',
+    person: 'person',
+    lightning: 'lightning',
+    cloud: 'cloud',
+    puddle: 'puddle',
+  },
+  categories: {
+    stress: 'Stress',
+    resource: 'Resource',
+  },
+  sources: {
+    ai: 'AI',
+    clinician: 'Clinician',
+    override: 'Override',
+    unrated: 'Unrated',
+  },
+  genders: {
+    male: 'Male',
+    female: 'Female',
+    other: 'Other',
+    all: 'All genders',
+  },
+  dashboard: {
+    title: '📊 Analysis Dashboard',
+    backToList: 'Back to list',
+    recognition: '🔍 Sketch Recognition',
+    editDetections: 'Edit detections',
+    editor: {
+      select: 'Select / move',
+      draw: 'Draw box',
+      undo: 'Undo',
+      redo: 'Redo',
+      saving: 'Saving and re-scoring…',
+      hint: 'Drag a box to move it, drag its edges or corners to resize it, or draw a new box. Each change is saved and re-scored immediately. Ctrl+Z / Ctrl+Shift+Z undo and redo; Delete removes the selected box.',
+      selected: 'Selected box:',
+      manual: 'Drawn by hand',
+      edited: 'Edited by hand',
+    },
+    confidenceThreshold: 'Confidence threshold: {value}',
+    clearHighlight: 'Clear highlight',
+    detectionTotal: 'Detections',
+    avgConfidence: 'Avg. confidence',
+    scoreTable: '📋 DAPR Score Table',
+    fixtureWarning: '⚠️ This analysis used the fixture (test data) detector, not the AI model',
+    placeholderWarning: '⚠️ This analysis used the placeholder detector (simulated data), not the AI model; the scores have no clinical meaning',
+    fallbackReason: 'Model inference failed and fell back to placeholder: {reason}',
+    totalScore: 'DAPR Score',
+    resourceScore: 'Resource',
+    stressScore: 'Stress',
+    aiSubtotal: 'AI-only',
+    credibleInterval: '{mass} credible interval: total [{totalLow}, {totalHigh}] | resource [{resourceLow}, {resourceHigh}] | stress [{stressLow}, {stressHigh}]',
+    sourceCounts: 'Clinician-rated {clinician} | AI overridden {override} | unrated {unrated}',
+    notAnalyzed: 'Not analyzed yet',
+    runAnalysis: '🔍 Run analysis',
+    provenance: {
+      model: 'Model',
+      detector: 'Detector',
+      imageHash: 'Image hash',
+      strategy: 'Strategy',
+      profile: 'Scoring profile',
+      physicalSize: 'Physical size',
+    },
+    strategySingle: 'single full-image pass',
+    strategyTiled: 'full image + {tiles} tiles ({tileSize}px, {overlap}% overlap)',
+    norms: {
+      measure: 'Measure',
+      raw: 'Raw',
+      z: 'z',
+      percentile: 'Percentile',
+      group: 'Norms: {name} (ages {ageMin}–{ageMax}, {gender}{n})',
+      groupSize: ', n = {n}',
+      rawInterpretation: 'Raw-score interpretation: {text}',
+      notApplicable: 'Norms "{name}" do not apply to this participant (an age within one of its groups is required); using the raw-score interpretation',
+    },
+    stressAttributes: '😰 Stress Attributes',
+    resourceAttributes: '💪 Resource Attributes',
+    itemScore: '(score: {score}/{max})',
+    noStress: 'No stress indicators detected',
+    noResource: 'No resource indicators detected',
+    fragile: '⚠️ Fragile',
+    fragileTitle: 'Raising the confidence threshold by {shift} changes this item; scored in {probability}% of samples',
+    checklist: {
+      title: '🩺 Clinician Checklist',
+      onlyManual: 'Only items the AI cannot score',
+      item: 'Item',
+      category: 'Category',
+      ai: 'AI',
+      notAutomated: 'Cannot be judged from detections',
+      rating: 'Clinician rating',
+      useAi: 'Use AI',
+      unrated: 'Unrated',
+      source: 'Source',
+      score: 'Score',
+      note: 'Note',
+      notePlaceholder: 'Rationale or observation',
+      saveFailed: 'Failed to save clinician rating: {error}',
+    },
+    uncertainty: {
+      title: '🎲 Score Uncertainty',
+      estimate: 'Estimate uncertainty',
+      reestimate: 'Re-estimate',
+      explanation: 'Resampled {samples} times from the detection confidences: each sample keeps every box with probability equal to its confidence and rescores. "Fragile" means raising the class threshold by up to {shift} changes the item. Confidences are not calibrated probabilities; read the intervals as a sensitivity check.',
+      item: 'Item',
+      currentScore: 'Score',
+      probability: 'Probability scored',
+      sensitivity: 'Threshold sensitivity',
+      flipsAt: '⚠️ changes at +{shift}',
+      stable: 'Stable',
+      empty: 'Not estimated yet; estimates are cleared when the sketch is rescored or a clinician rating changes',
+      failed: 'Uncertainty estimate failed: {error}',
+    },
+    schemes: {
+      title: '🧮 Scoring Schemes',
+      score: 'Score selected schemes',
+      scheme: 'Scheme',
+      itemCount: 'Items',
+      resource: 'Resource',
+      stress: 'Stress',
+      total: 'Total',
+      aiSubtotal: 'AI-only',
+      interpretation: 'Interpretation',
+      notScored: 'Not scored yet; click "Score selected schemes"',
+      scored: 'Schemes scored',
+      failed: 'Scoring schemes failed: {error}',
+      subscaleOf: 'Subscale of {scheme}',
+    },
+    distribution: '📈 DAPR Score Distribution',
+    similar: '🔗 Sketches with Similar Scores',
+    noSimilar: 'No sketches with similar scores',
+    supplementary: '📝 Supplementary Information',
+    participant: {
+      title: '👤 Participant',
+      code: 'Participant',
+      session: 'Session',
+      age: 'Age',
+      gender: 'Gender',
+      group: 'Group',
+      selectPlaceholder: 'Choose or type a new code',
+      ageFromBirthDate: 'Calculated from the birth date on the participant record.',
+      empty: 'No participant information',
+      genderPlaceholder: 'Not set',
+      hint: 'Links this sketch to a participant session. Age and gender select the norm group (see "Norms").',
+      saved: 'Participant saved',
+      saveFailed: 'Failed to save participant: {error}',
+    },
+    duration: {
+      title: '⏱️ Drawing Time',
+      value: '{mins}m {secs}s',
+      total: 'Total drawing time',
+      empty: 'No timing recorded',
+    },
+    lines: {
+      title: '📏 Line Statistics',
+      count: 'Lines',
+      avgLength: 'Avg. length',
+      empty: 'No line data',
+    },
+    calibration: {
+      title: '📐 Physical Size',
+      source: 'Calibration',
+      resolution: 'Resolution',
+      pageSize: 'Page size',
+      outdated: 'The current score used {ppi} px/in; re-analyze or rescore',
+      dialogTitle: 'Physical size calibration',
+      mode: 'Method',
+      modePaper: 'Paper size',
+      modeDpi: 'Resolution (DPI)',
+      modeNone: 'None',
+      paper: 'Paper',
+      hint: 'Paper size: the whole image is one sheet (a full-page scan or the drawing canvas). Resolution: the DPI used when scanning. None: use the scoring profile\'s default resolution.',
+      saveAndRescore: 'Save and rescore',
+      imageNotLoaded: 'The image has not loaded yet',
+      savedRescored: 'Calibration saved and DAPR score recalculated',
+      saved: 'Calibration saved',
+      saveFailed: 'Failed to save calibration: {error}',
+      sourceProfile: 'uncalibrated (profile default)',
+      sourcePaper: 'paper {paper}',
+      sourceManual: 'DPI entered manually',
+      sourceFile: 'file resolution ({format})',
+    },
+    process: {
+      title: '✏️ Drawing Process',
+      duration: 'Drawing time',
+      durationValue: '{active} s with the pen down of {total} s',
+      pauses: 'Pauses',
+      pausesValue: '{count} (≥ {threshold} s), longest {longest} s, total {total} s',
+      speed: 'Drawing speed',
+      speedValue: 'mean {mean} px/s, median {median} px/s',
+      pressure: 'Pressure',
+      pressureValue: 'mean {mean} ± {sd} (range {min}–{max})',
+      pressureNotRecorded: 'Not recorded (mouse input)',
+      erasures: 'Erasures (undo)',
+      order: 'Element order',
+      orderEmpty: 'No strokes inside detected boxes',
+      unassigned: 'Other',
+      erased: 'Erased',
+      pause: 'Pause',
+      time: 'Time (s)',
+      tooltip: 'Stroke #{id} · {row} · {start}–{end} s',
+      notStored: 'Computed from the recorded strokes; re-run the analysis to store it with the score',
+    },
+    replay: {
+      title: '🎬 Sketch Replay',
+      playing: 'Playing...',
+      play: '▶ Play',
+    },
+    evidence: {
+      overlapMask: '{count} overlapping pair(s) (mask overlap {overlap}%)',
+      overlapBbox: '{count} overlapping pair(s) (IoU {iou})',
+      distance: 'Center distance {distance} px (threshold {threshold} px)',
+      size: 'Figure height {heightPx} px ≈ {inches} in ({ppi} px/in)',
+      center: 'Figure center is {offset} px from the page center (threshold {threshold} px)',
+      orientation: 'Rain lines {tilt}° from vertical (threshold {threshold}°)',
+      intensity: 'Cloud darkness {darkness}% (threshold {threshold}%)',
+    },
+    intensity: 'Ink density {ink} | darkness {darkness} | fill {fill}',
+    correctionsFailed: 'Failed to save the detection change: {error}',
+    analysisDone: 'Analysis complete',
+    analysisFailed: 'Analysis failed: {error}',
+    loadFailed: 'Failed to load dashboard data',
+  },
+  profiles: {
+    title: 'Scoring Profiles',
+    duplicate: '📄 Duplicate as new profile',
+    duplicateTitle: 'Duplicate as new profile',
+    list: 'Profiles',
+    builtIn: 'Built-in',
+    active: 'Active',
+    export: '⬇️ Export JSON',
+    activate: 'Make active',
+    readOnly: 'The built-in default profile cannot be changed; duplicate it as a new profile first.',
+    cutoffs: 'Interpretation cutoffs (total, high to low)',
+    cutoffsHint: 'Boundaries of very high / high / moderate / low / very low',
+    saveVersion: '💾 Save as new version',
+    history: 'Version history',
+    historyHint: 'Scores record the profile version they were made with, and rescoring keeps it. Load an old version and save it as a new version to restore its settings.',
+    loadFailed: 'Failed to load scoring profiles',
+    versionLoaded: 'Loaded v{version}; saving creates a new version',
+    saved: 'Saved {name} v{version}',
+    saveFailed: 'Save failed: {error}',
+    newName: 'New profile name',
+    copySuffix: '{name} (copy)',
+    created: 'Created {name}',
+    createFailed: 'Create failed: {error}',
+    activated: '"{name}" is now active; takes effect on the next analysis',
+    defaultReadOnly: 'The default scoring profile cannot be changed; duplicate it as a new profile first',
+    nameRequired: 'Enter a profile name',
+    params: {
+      pixelsPerInch: { label: 'Default resolution (DPI)', hint: 'Converts pixels to inches for sketches without a physical-size calibration' },
+      excessRainThreshold: { label: 'Excess rain threshold (count)', hint: 'More raindrops than this → excess_rain' },
+      overlapIoU: { label: 'Overlap IoU (no masks)', hint: 'Boxes with a higher IoU overlap' },
+      maskOverlapThreshold: { label: 'Mask overlap ratio', hint: 'Intersection / area of the smaller shape' },
+      maskContactTolerance: { label: 'Mask contact distance (px)', hint: 'Masks at most this far apart are touching' },
+      figureSmallInches: { label: 'Small figure limit (in)', hint: 'Figures shorter than this → figure_small' },
+      figureLargeInches: { label: 'Large figure limit (in)', hint: 'Figures taller than this → figure_large' },
+      centeringRadius: { label: 'Centering radius (share of short side)', hint: 'Figure centers closer than this to the page center → centered_figure' },
+      lightningDistanceFactor: { label: 'Lightning distance factor', hint: 'Distance below taller height × this factor → lightning_hits' },
+      stormyRainTilt: { label: 'Driven rain angle (°)', hint: 'Rain lines at least this far from vertical → stormy_rain' },
+      darkCloudThreshold: { label: 'Dark cloud threshold', hint: 'Mean darkness (0–1) inside the cloud box at or above this → dark_clouds' },
+    },
+  },
+  normTables: {
+    title: 'Norm Tables',
+    import: '📥 Import norm table',
+    intro: 'Converts the stress, resource and total scores to z-scores and percentiles within the participant\'s age and gender group, and interprets the total relative to that group. Without an active table, or when the participant fits no group, the raw-score cutoffs are used.',
+    csvHelp: 'CSV has one row per group and measure: {columns}; measure is stress / resource / total, gender is male / female / all; give mean + SD, percentile columns, or both.',
+    empty: 'No norm tables imported',
+    age: 'Age',
+    gender: 'Gender',
+    n: 'n',
+    measures: { stress: 'Stress', resource: 'Resource', total: 'Total' },
+    groupCount: 'Groups',
+    scheme: 'Scoring scheme',
+    importedAt: 'Imported',
+    active: 'Active',
+    activate: 'Make active',
+    deactivate: 'Stop norm-referenced interpretation',
+    loadFailed: 'Failed to load norm tables',
+    namePrompt: 'Norm table name (e.g. source and year)',
+    importCsvTitle: 'Import CSV norm table',
+    imported: 'Imported "{name}" ({count} groups)',
+    importFailed: 'Import failed: {error}',
+    activated: '"{name}" is now active',
+    deactivated: 'Norm-referenced interpretation stopped',
+    confirmDelete: 'Delete "{name}"?',
+    deleteTitle: 'Delete norm table',
+    deleteFailed: 'Delete failed: {error}',
+    errors: {
+      nameRequired: 'Enter a norm table name',
+      noGroups: 'The norm table has no groups',
+      missingColumn: 'CSV is missing column {column}',
+      badMeasure: 'CSV row {row}: measure must be {measures}',
+      group: 'Group {index}',
+      badAgeRange: '{group}: invalid age range ({min}–{max})',
+      badGender: '{group}: unknown gender "{gender}"',
+      missingTotal: '{group}: no norms for total',
+      badMeanSd: '{label}: needs a mean and an SD above 0',
+      badPercentile: '{label}: percentiles must be between 0 and 100 with numeric scores',
+      percentileOrder: '{label}: percentile scores must increase',
+      tooFewPercentiles: '{label}: needs at least two percentiles',
+      noStats: '{label}: needs a mean and SD, or percentiles',
+    },
+  },
+  backup: {
+    title: 'Backup & Restore',
+    intro: 'All data is stored only in this browser. Clearing site data or switching computers deletes it, so download a backup regularly. The archive contains every user, sketch (image and stroke data), participant, detection, score, scoring profile and norm table.',
+    exportTitle: '💾 Download backup',
+    download: 'Download backup',
+    downloaded: 'Backup downloaded ({sketches} sketches)',
+    exportFailed: 'Backup failed: {error}',
+    importTitle: '📥 Restore from backup',
+    choose: 'Choose backup file',
+    exportedAt: 'Exported',
+    schemaVersion: 'Database version',
+    table: 'Data',
+    records: 'Records',
+    current: 'In this browser',
+    inArchive: 'In backup',
+    mode: 'Restore mode',
+    modes: {
+      merge: 'Merge',
+      replace: 'Replace',
+    },
+    modeHints: {
+      merge: 'Adds the backup to the existing data. Records get new ids and their links are kept; users with the same email, participants with the same assigned code, identical scoring profile versions and norm tables that already exist are skipped. Conflicts are imported as new records: participants whose code collides with a generated code (e.g. P-0001) get a new code, and profile versions with other parameters get a new version number.',
+      replace: 'Deletes all existing data, then restores the backup.',
+    },
+    restore: 'Restore',
+    confirmTitle: 'Replace all data',
+    confirmReplace: 'All {count} existing records in this browser will be deleted and replaced with the backup. Continue?',
+    restored: 'Backup restored',
+    restoreFailed: 'Restore failed: {error}',
+    readFailed: 'Could not read the backup: {error}',
+    added: 'Added',
+    skipped: 'Skipped',
+    conflicts: 'Conflicts',
+    tables: {
+      users: 'Users',
+      participants: 'Participants',
+      sketches: 'Sketches',
+      sketchImages: 'Images',
+      detections: 'Detections',
+      daprScores: 'Scores',
+      revisions: 'Revisions',
+      scoringProfiles: 'Scoring profiles',
+      normTables: 'Norm tables',
+    },
+    errors: {
+      notJson: 'The file is not valid JSON',
+      notArchive: 'The file is not an AlphaDAPR backup',
+      archiveTooNew: 'Backup format {version} is newer than this version of the app supports',
+      schemaTooNew: 'The backup was written by database version {version}, newer than this app (version {current}); update the app first',
+      badTable: 'The backup\'s {table} data is damaged',
+      badMode: 'Unknown restore mode "{mode}"',
+    },
+  },
+  participants: {
+    title: '👤 Participants',
+    create: 'New participant',
+    intro: 'Participants are identified by a pseudonymous code. Link each sketch to a participant and session number to follow their stress and resource scores across sessions (e.g. before and after an intervention).',
+    empty: 'No participants yet',
+    code: 'Code',
+    codePlaceholder: 'e.g. P-0001',
+    birthDate: 'Birth date',
+    gender: 'Gender',
+    group: 'Group / condition',
+    groupPlaceholder: 'e.g. intervention, control',
+    notes: 'Notes',
+    pseudonymHint: 'Do not enter names or other identifying information; keep the key linking codes to people outside this app.',
+    sketchCount: 'Sketches',
+    view: 'Open',
+    back: 'Back to participants',
+    createTitle: 'New participant',
+    editTitle: 'Edit participant',
+    saved: 'Participant saved',
+    saveFailed: 'Failed to save participant: {error}',
+    loadFailed: 'Failed to load participants',
+    deleteTitle: 'Delete participant',
+    confirmDelete: 'Delete participant {code}? Their {count} sketch(es) are kept but no longer linked to a participant.',
+    deleteFailed: 'Failed to delete participant: {error}',
+    drawSession: 'Draw session {session}',
+    sessions: 'Sessions',
+    session: 'Session',
+    sessionLabel: 'S{session}',
+    date: 'Date',
+    age: 'Age',
+    sketch: 'Sketch',
+    notScored: 'Not scored yet',
+    noSessions: 'No sketches linked to this participant',
+    chartTitle: 'Scores across sessions',
+    itemsTitle: 'DAPR items across sessions',
+    item: 'Item',
+    measure: 'Score',
+    change: 'Change',
+    compareTitle: 'Pre / post comparison',
+    pre: 'Pre',
+    post: 'Post',
+    noItemChanges: 'No item scores changed',
+    needTwoSessions: 'At least two scored sessions are needed for a comparison',
+    errors: {
+      codeRequired: 'A participant code is required',
+      codeTaken: 'Participant code {code} is already in use',
+      badBirthDate: 'Birth date must be YYYY-MM-DD',
+      badGender: 'Unknown gender "{gender}"',
+      notFound: 'Participant not found',
+    },
+  },
+  revisions: {
+    title: '🕘 Revision history',
+    empty: 'No revisions yet',
+    compare: 'Compare',
+    current: 'current',
+    date: 'Date',
+    action: 'Change',
+    author: 'By',
+    detections: 'Detections',
+    restore: 'Restore',
+    restoreTitle: 'Restore revision',
+    confirmRestore: 'Make revision #{number} the current result? The current result stays in the history.',
+    restored: 'Revision #{number} restored',
+    restoreFailed: 'Failed to restore revision: {error}',
+    loadFailed: 'Failed to load the revision history',
+    diffTitle: 'Changes from #{before} to #{after}',
+    noItemChanges: 'No item scores changed',
+    box: 'Box',
+    change: 'Change',
+    actions: {
+      analysis: 'Analysis',
+      correction: 'Correction',
+      rescore: 'Re-scored',
+      rating: 'Clinician rating',
+      restore: 'Restore',
+      legacy: 'Earlier result',
+    },
+    details: {
+      removed: '{count} detection(s) removed',
+      added: '{count} detection(s) added',
+      edited: '{count} detection(s) edited',
+      restored: 'from #{number}',
+    },
+    boxChanges: {
+      added: 'added',
+      removed: 'removed',
+      moved: 'moved',
+      relabelled: 'relabelled',
+    },
+    fields: {
+      detector: 'Detector',
+      model: 'Model',
+      strategy: 'Strategy',
+      profile: 'Scoring profile',
+    },
+  },
+  dataset: {
+    title: 'Training dataset export',
+    intro: 'Export analysed sketches with their current boxes — including clinician corrections — as an object-detection training set (ZIP) for retraining the detection model.',
+    optionsTitle: 'Options',
+    format: 'Format',
+    formats: { yolo: 'YOLO', coco: 'COCO' },
+    formatHints: {
+      yolo: 'images/ and labels/ per split with data.yaml; class ids follow the model\'s class order.',
+      coco: 'images/ per split with annotations/instances_train.json and instances_val.json.',
+    },
+    onlyCorrected: 'Corrected only',
+    onlyCorrectedHint: 'Only sketches whose boxes someone has added, edited or removed.',
+    dateRange: 'Created',
+    from: 'From',
+    to: 'To',
+    valRatio: 'Validation split',
+    minConfidence: 'Min. confidence',
+    minConfidenceHint: 'Model boxes below this are left out; boxes drawn or edited by hand are always kept.',
+    seed: 'Split seed',
+    seedHint: 'The same seed and options give the same train/val split.',
+    previewTitle: 'Preview',
+    sketches: 'Sketches',
+    train: 'Train',
+    val: 'Val',
+    class: 'Class',
+    boxes: 'Boxes',
+    unknownClass: '{count} boxes with a class the model does not know are left out.',
+    download: 'Download {format} ZIP',
+    downloaded: 'Exported {sketches} sketches with {boxes} boxes',
+    missingImages: '{count} sketches were skipped because their image is missing',
+    previewFailed: 'Could not load the preview: {error}',
+    exportFailed: 'Export failed: {error}',
+  },
+  evaluation: {
+    title: 'Detector evaluation',
+    intro: 'Compare the detector with ground-truth boxes for a set of images: per-class precision, recall and AP, a confusion matrix, PR curves, F1-optimal class thresholds, the blank-area filter (MIN_INK_RATIO), and how often the DAPR items scored from detected boxes agree with those scored from the ground truth.',
+    groundTruthTitle: 'Images and ground truth',
+    chooseFiles: 'Choose files',
+    chooseFolder: 'Choose folder',
+    filesHint: 'Pick the images together with YOLO label files (same file name, .txt; class ids from data.yaml or classes.txt if included, otherwise the model\'s class order) or COCO instances .json files. An unzipped training dataset export can be picked as a folder.',
+    format: 'Format',
+    images: 'Images',
+    truthBoxes: 'Ground-truth boxes',
+    unknownClass: 'Unknown classes',
+    unpairedImages: 'Images without labels',
+    unpairedAnnotations: 'Labels without images',
+    runTitle: 'Run',
+    model: 'Model',
+    detector: 'Detector',
+    floor: 'Confidence floor',
+    nonModelWarning: 'The active detector is not the AI model, so the results say nothing about the model. Switch the detector on the home page.',
+    stages: { detect: 'Detecting', score: 'Scoring' },
+    run: 'Evaluate {count} images',
+    summaryTitle: 'Summary',
+    downloadReport: 'Download report (JSON)',
+    setting: 'Settings',
+    settings: { current: 'Current', suggested: 'Suggested' },
+    precision: 'Precision',
+    recall: 'Recall',
+    threshold: 'Threshold',
+    meanIoU: 'Mean IoU',
+    classesTitle: 'Per class',
+    classesHint: 'Matches need IoU ≥ 0.5 (AP75 and AP50-95 use stricter overlaps). Suggested thresholds maximise F1 per class at the suggested MIN_INK_RATIO; mean IoU of the matched boxes measures box quality.',
+    curvesTitle: 'Precision–recall curves (IoU 0.5)',
+    curvesHint: 'Pins mark the suggested threshold of each class.',
+    confusionTitle: 'Confusion matrix (IoU 0.5)',
+    truthPredicted: 'Truth \\ predicted',
+    confusionHint: 'Rows are ground truth, columns detections. The background column counts missed boxes, the background row false detections.',
+    background: 'Background',
+    inkTitle: 'Blank-area filter',
+    inkHint: 'F1 with every class at its best threshold, for each MIN_INK_RATIO (pipeline.js). The suggested value has the highest F1.',
+    snippetTitle: 'Suggested settings (thresholds in models/manifest.json):',
+    agreementTitle: 'DAPR item agreement',
+    agreementSummary: 'Same total score {exact}; mean absolute difference: total {total}, stress {stress}, resources {resource}',
+    truthPositive: 'Scored (truth)',
+    predictedPositive: 'Scored',
+    agreement: 'Agreement',
+    agreementHint: 'Automated items scored by the active scoring profile from the detected boxes and from the ground-truth boxes of the same image. κ is Cohen\'s kappa; "-" when neither side ever scores the item.',
+    nothingPaired: 'No image could be paired with ground truth',
+    readFailed: 'Could not read the files: {error}',
+    cancelled: 'Evaluation cancelled',
+    runFailed: 'Evaluation failed: {error}',
+    mixedDetectors: '{image} was analysed by {detector} ({model}), but {first} by {firstDetector} ({firstModel}); results from different detectors cannot be evaluated together',
+  },
+  errors: {
+    sketchNotFound: 'Sketch not found',
+    notScored: 'Not scored yet',
+    imageNotFound: 'The sketch has no image',
+    revisionNotFound: 'Revision not found',
+    detectionNotFound: 'Detection not found',
+  },
+  interpretations: {
+    adequate: 'Adequate resources, good coping capacity',
+    more_resources: 'Slightly more resources than stress, fair coping capacity',
+    balanced: 'Stress and resources roughly balanced',
+    more_stress: 'Slightly more stress than resources, coping strategies need attention',
+    significant_stress: 'Stress significantly exceeds resources, further assessment recommended',
+  },
+  normInterpretations: {
+    well_above: 'Well above norm group',
+    above: 'Above norm group',
+    within: 'Within norm range',
+    below: 'Below norm group, coping strategies need attention',
+    well_below: 'Well below norm group, further assessment recommended',
+  },
+  schemes: {
+    'lack-1996': {
+      name: 'Lack (1996)',
+      description: 'Original 35-item scale: 19 resource and 16 stress items, 0/1 each',
+    },
+    'lack-1996-automated': {
+      name: 'Lack (1996) automated subscale',
+      description: 'Subscale of Lack (1996), not a separate scheme: only the 20 items the AI can score, for comparing detector effects across datasets. Collaborators\' published variants are registered through defineWeightedScheme.',
+    },
+  },
+  details: {
+    basis: { mask: 'mask', bbox: 'box' },
+    side: { left: 'left', right: 'right' },
+    no_rain: 'No rain drawn',
+    excess_rain: 'Excessive rain ({count} objects)',
+    rain_hitting_person: 'Rain overlaps with person ({basis}, {pairs} pair(s))',
+    stormy_rain: 'Driven rain at {tilt}° from vertical (leaning {side})',
+    stormy_rain_vertical: 'Rain falls near vertical ({tilt}° from vertical)',
+    lightning: 'Lightning present ({count})',
+    lightning_hits: 'Lightning near person ({distance} px)',
+    puddles: 'Puddles present ({count})',
+    standing_in_puddle: 'Person standing in puddle ({basis})',
+    clouds: 'Clouds present ({count})',
+    dark_clouds: 'Dark or shaded clouds (darkness {darkness}%, fill {fill}%)',
+    dark_clouds_light: 'Light clouds (darkness {darkness}%, fill {fill}%)',
+    no_person: 'No person drawn',
+    figure_small: 'Figure too small ({inches} in)',
+    figure_large: 'Figure too large ({inches} in)',
+    body_exposed: 'Body exposed to rain without protection',
+    umbrella_present: 'Umbrella present ({count})',
+    umbrella_covers: 'Umbrella covers person ({basis})',
+    figure_appropriate_size: 'Figure of appropriate size ({inches} in)',
+    complete_person: 'Person present ({count})',
+    multiple_resources: 'Multiple resources ({count})',
+    centered_figure: 'Figure centered on page ({offset} px from center)',
+  },
+  items: {
+    no_rain: { label: 'No rain', description: 'Rain is present, No rain or other precipitation', keyword: '#No_rain' },
+    excess_rain: { label: 'Excess rain', description: 'Excessive amount of rain', keyword: '#Excess_rain' },
+    rain_hitting_person: { label: 'Rain hitting person', description: 'Rain hitting the person', keyword: '#Rain_hitting' },
+    stormy_rain: { label: 'Stormy rain', description: 'Stormy or driven rain (at an angle)', keyword: '#Stormy_rain' },
+    lightning: { label: 'Lightning', description: 'Lightning present', keyword: '#Lightning' },
+    lightning_hits: { label: 'Lightning hits person', description: 'Lightning hits person', keyword: '#Lightning_hit' },
+    puddles: { label: 'Puddles', description: 'Puddles present', keyword: '#Puddles' },
+    standing_in_puddle: { label: 'Standing in puddle', description: 'Person standing in puddle(s)', keyword: '#In_puddle' },
+    clouds: { label: 'Clouds', description: 'Clouds present', keyword: '#Clouds' },
+    dark_clouds: { label: 'Dark clouds', description: 'Dark or ominous clouds', keyword: '#Dark_clouds' },
+    no_person: { label: 'No person', description: 'No person drawn', keyword: '#No_person' },
+    figure_small: { label: 'Small figure', description: 'Figure less than 2 inches', keyword: '#Small_figure' },
+    figure_large: { label: 'Large figure', description: 'Figure larger than 6 inches', keyword: '#Large_figure' },
+    no_facial_features: { label: 'No facial features', description: 'No facial features on person', keyword: '#No_face' },
+    body_exposed: { label: 'Body exposed', description: 'Body exposed to rain', keyword: '#Exposed' },
+    sad_expression: { label: 'Sad expression', description: 'Sad or distressed expression', keyword: '#Sad' },
+    umbrella_present: { label: 'Umbrella', description: 'Umbrella is present', keyword: '#Umbrella' },
+    umbrella_covers: { label: 'Umbrella covers', description: 'Umbrella covers person', keyword: '#Umbrella_covers' },
+    umbrella_intact: { label: 'Intact umbrella', description: 'Umbrella is intact and functional', keyword: '#Umbrella_intact' },
+    raincoat: { label: 'Raincoat', description: 'Raincoat or protective clothing', keyword: '#Raincoat' },
+    boots: { label: 'Boots', description: 'Boots or rain shoes', keyword: '#Boots' },
+    hat: { label: 'Hat', description: 'Hat or head covering', keyword: '#Hat' },
+    shelter: { label: 'Shelter', description: 'Shelter or building', keyword: '#Shelter' },
+    figure_appropriate_size: { label: 'Appropriate size', description: 'Figure between 2-6 inches', keyword: '#Good_size' },
+    grounded_figure: { label: 'Grounded figure', description: 'Figure is grounded (standing on ground)', keyword: '#Grounded' },
+    complete_person: { label: 'Complete person', description: 'Person has complete body parts', keyword: '#Person_present' },
+    facial_features: { label: 'Facial features', description: 'Person has facial features', keyword: '#Face' },
+    smiling: { label: 'Smiling', description: 'Person is smiling or happy', keyword: '#Smiling' },
+    movement: { label: 'Movement', description: 'Person shows movement or action', keyword: '#Movement' },
+    sun_present: { label: 'Sun or rainbow', description: 'Sun or rainbow present', keyword: '#Sun' },
+    flowers_nature: { label: 'Flowers and nature', description: 'Flowers or nature elements', keyword: '#Nature' },
+    multiple_resources: { label: 'Multiple resources', description: 'Multiple coping resources', keyword: '#Multi_resources' },
+    detailed_drawing: { label: 'Detailed drawing', description: 'Drawing shows detail and care', keyword: '#Detailed' },
+    centered_figure: { label: 'Centered figure', description: 'Figure is centered on page', keyword: '#Centered' },
+    appropriate_proportions: { label: 'Appropriate proportions', description: 'Figure has appropriate proportions', keyword: '#Proportions' },
+  },
+}
@@ -0,0 +1,766 @@
+// src/i18n/locales/zh-CN.js
+// Simplified Chinese catalog
+export default {
+  common: {
+    cancel: '取消',
+    save: '保存',
+    delete: '删除',
+    edit: '编辑',
+    set: '设置',
+    load: '加载',
+    restore: '重置',
+    create: '创建',
+    import: '导入',
+    yes: '是',
+    no: '否',
+    name: '名称',
+    version: '版本',
+    createdAt: '创建时间',
+    actions: '操作',
+    notRecorded: '未记录',
+  },
+  nav: {
+    home: '首页',
+    draw: '绘画',
+    sketches: '草图列表',
+    scoringSettings: '评分设置',
+    normSettings: '常模设置',
+    language: '语言',
+    backup: '备份',
+    participants: '参与者',
+    dataset: '训练数据集',
+    evaluation: '侦测评估',
+  },
+  login: {
+    subtitle: 'AI-based Expert Support System for Art Therapy',
+    login: '登录',
+    register: '注册',
+    password: '密码',
+    name: '姓名',
+    namePlaceholder: '您的姓名',
+    passwordHint: '至少6个字符',
+    loginFailed: '登录失败',
+    registerFailed: '注册失败',
+  },
+  home: {
+    totalSketches: '素描总数',
+    analyzed: '已分析',
+    avgScore: '平均 DAPR 分数',
+    quickActions: '快速操作',
+    startDrawing: '✏️ 开始绘画',
+    uploadSketch: '📁 上传素描',
+    viewSketches: '📋 查看素描列表',
+    about: '⚠️ 系统说明',
+    disclaimerTitle: 'AI 辅助工具声明',
+    disclaimer1: 'AlphaDAPR 是一个 <strong>辅助工具</strong>，旨在协助艺术治疗师进行大规模绘画评估。',
+    disclaimer2: 'AI 分析结果仅供参考，<strong>最终的评估决定应由专业治疗师做出</strong>。',
+    disclaimer3: '系统通过可解释的 AI 提供透明的分析过程，帮助您更有效率地完成工作。',
+    uploadedTitle: '上传的素描',
+    uploadedWithDpi: '素描上传成功（分辨率 {dpi} DPI）',
+    uploadedNoDpi: '素描上传成功；文件未记录分辨率，请在仪表板设置纸张大小或 DPI',
+    uploadFailed: '上传失败',
+  },
+  sketches: {
+    title: '素描列表',
+    startDrawing: '✏️ 开始绘画',
+    preview: '预览',
+    sketchTitle: '标题',
+    duration: '绘画时长',
+    lineCount: '线条数',
+    analyzed: '已分析',
+    analyze: '🔍 分析',
+    dashboard: '📊 仪表板',
+    delete: '🗑️ 删除',
+    confirmDelete: '确定要删除此素描吗？',
+    empty: '尚无素描，开始绘画或上传吧！',
+    loadFailed: '加载素描列表失败',
+    analysisDone: '分析完成',
+    analysisFailed: '分析失败',
+    deleted: '已删除',
+    deleteFailed: '删除失败',
+    untitled: 'Untitled',
+  },
+  drawing: {
+    title: '✏️ DAPR 绘画评估',
+    clear: '清除',
+    undo: '撤销',
+    submit: '提交分析',
+    instructionTitle: '请在下方画布上绘制“雨中人”(Draw-A-Person-in-the-Rain)',
+    instructionBody: '请画出一个在雨中的人。“雨”代表压力事件或环境，请自由绘画。',
+    paper: '纸张：',
+    lineCount: '线条数: {count}',
+    fillCount: '填色: {count}',
+    elapsed: '已绘画: {time}',
+    tools: {
+      pen: '✏️ 笔',
+      brush: '🖌️ 涂色笔',
+      fill: '🪣 填色',
+    },
+    sketchTitle: 'DAPR 绘画',
+    drawFirst: '请先绘画',
+    submitted: '绘画已提交',
+    submitFailed: '提交失败: {error}',
+    participantSession: '参与者 {code} · 第 {session} 次',
+  },
+  systemInfo: {
+    title: '🖥️ 系统信息 (System Info)',
+    refresh: '刷新',
+    warmup: '加载模型并测速',
+    model: '使用模型：',
+    detector: '侦测器：',
+    detectorOnnx: 'AI 模型 (ONNX)',
+    detectorPlaceholder: 'Placeholder（固定种子）',
+    detectorFixture: 'Fixture（测试数据）',
+    provider: '执行后端',
+    notLoaded: '尚未加载',
+    loadedModel: '已加载模型',
+    wasmThreads: 'WASM 线程',
+    crossOriginIsolated: '跨源隔离',
+    cpuCores: 'CPU 核心数',
+    modelLoad: '模型加载',
+    warmupInference: '预热推理',
+    avgInference: '平均推理',
+    avgTotal: '平均总耗时',
+    backend: '后端',
+    result: '结果',
+    elapsed: '耗时',
+    reason: '原因',
+    lastError: '最近一次推理失败，已改用 placeholder：{error}',
+    modelSwitched: '已切换模型，下次分析时生效',
+    detectorOnnxSelected: '已切换为 AI 模型侦测',
+    detectorOtherSelected: '已切换为非模型侦测器，分析结果将标示为非 AI 结果',
+  },
+  classes: {
+    rain: '雨',
+    umbrella: '雨伞',
+    person: '人物',
+    lightning: '闪电',
+    cloud: '云',
+    puddle: '水洼',
+  },
+  categories: {
+    stress: '压力',
+    resource: '资源',
+  },
+  sources: {
+    ai: 'AI',
+    clinician: '临床',
+    override: '覆写',
+    unrated: '未评',
+  },
+  genders: {
+    male: '男',
+    female: '女',
+    other: '其他',
+    all: '不分性别',
+  },
+  dashboard: {
+    title: '📊 分析仪表板',
+    backToList: '返回列表',
+    recognition: '🔍 素描辨识结果 (Sketch Recognition)',
+    editDetections: '编辑侦测',
+    editor: {
+      select: '选取 / 移动',
+      draw: '绘制框',
+      undo: '撤销',
+      redo: '重做',
+      saving: '保存并重新评分中…',
+      hint: '拖动框可移动，拖动边缘或角落可调整大小，也可绘制新框。每次变更都会立即保存并重新评分。Ctrl+Z / Ctrl+Shift+Z 撤销与重做；Delete 删除选取的框。',
+      selected: '选取的框：',
+      manual: '手动绘制',
+      edited: '手动修改',
+    },
+    confidenceThreshold: '置信度阈值 (Confidence Threshold): {value}',
+    clearHighlight: '清除标示',
+    detectionTotal: '侦测总数',
+    avgConfidence: '平均置信度',
+    scoreTable: '📋 DAPR 分数表格 (Score Table)',
+    fixtureWarning: '⚠️ 此分析使用测试数据 (fixture) 侦测器，并非 AI 模型结果',
+    placeholderWarning: '⚠️ 此分析使用 placeholder 侦测器（模拟数据），并非 AI 模型结果，分数不具临床意义',
+    fallbackReason: '模型推理失败，已自动改用 placeholder：{reason}',
+    totalScore: '总分 (DAPR Score)',
+    resourceScore: '资源分 (Resource)',
+    stressScore: '压力分 (Stress)',
+    aiSubtotal: 'AI 小计 (AI-only)',
+    credibleInterval: '{mass} 可信区间：总分 [{totalLow}, {totalHigh}] ｜ 资源 [{resourceLow}, {resourceHigh}] ｜ 压力 [{stressLow}, {stressHigh}]',
+    sourceCounts: '临床评分 {clinician} 项 ｜ 覆写 AI {override} 项 ｜ 未评 {unrated} 项',
+    notAnalyzed: '尚未分析',
+    runAnalysis: '🔍 执行分析',
+    provenance: {
+      model: '模型',
+      detector: '侦测器',
+      imageHash: '图像哈希',
+      strategy: '推理策略',
+      profile: '评分设置',
+      physicalSize: '实体尺寸',
+    },
+    strategySingle: '单次全图',
+    strategyTiled: '全图 + {tiles} 个切块 ({tileSize}px, 重叠 {overlap}%)',
+    norms: {
+      measure: '量数',
+      raw: '原始分数',
+      z: 'z 分数',
+      percentile: '百分位等级',
+      group: '常模：{name}（{ageMin}–{ageMax} 岁，{gender}{n}）',
+      groupSize: '，n = {n}',
+      rawInterpretation: '原始分界解读：{text}',
+      notApplicable: '常模“{name}”不适用于此参与者（需年龄且属于任一组别），依原始分数分界解读',
+    },
+    stressAttributes: '😰 压力相关属性 (Stress Attributes)',
+    resourceAttributes: '💪 资源相关属性 (Resource Attributes)',
+    itemScore: '(得分: {score}/{max})',
+    noStress: '未侦测到压力相关指标',
+    noResource: '未侦测到资源相关指标',
+    fragile: '⚠️ 不稳定',
+    fragileTitle: '置信度阈值提高 {shift} 即改变此项分数；计分机率 {probability}%',
+    checklist: {
+      title: '🩺 临床评分清单 (Clinician Checklist)',
+      onlyManual: '只显示 AI 无法评分的项目',
+      item: '项目',
+      category: '类别',
+      ai: 'AI',
+      notAutomated: '无法由侦测结果判断',
+      rating: '临床评分',
+      useAi: '采 AI',
+      unrated: '未评',
+      source: '来源',
+      score: '得分',
+      note: '备注',
+      notePlaceholder: '评分依据或观察',
+      saveFailed: '保存临床评分失败: {error}',
+    },
+    uncertainty: {
+      title: '🎲 分数不确定性 (Score Uncertainty)',
+      estimate: '估计不确定性',
+      reestimate: '重新估计',
+      explanation: '依侦测置信度抽样 {samples} 次：每次以置信度为机率保留各侦测框后重新计分。“不稳定”表示类别置信度阈值提高 {shift} 以内即会改变该项分数。置信度并非校正过的机率，区间仅供敏感度参考。',
+      item: '项目',
+      currentScore: '目前得分',
+      probability: '计分机率',
+      sensitivity: '阈值敏感度',
+      flipsAt: '⚠️ 阈值 +{shift} 即改变',
+      stable: '稳定',
+      empty: '尚未估计；估计结果会在重新计分或修改临床评分后清除',
+      failed: '估计不确定性失败: {error}',
+    },
+    schemes: {
+      title: '🧮 评分方案比较 (Scoring Schemes)',
+      score: '计算所选方案',
+      scheme: '方案',
+      itemCount: '项目数',
+      resource: '资源',
+      stress: '压力',
+      total: '总分',
+      aiSubtotal: 'AI 小计',
+      interpretation: '解读',
+      notScored: '尚未计算，请按“计算所选方案”',
+      scored: '评分方案已计算',
+      failed: '计算评分方案失败: {error}',
+      subscaleOf: '{scheme} 子量表',
+    },
+    distribution: '📈 DAPR 分数分布',
+    similar: '🔗 相似分数素描',
+    noSimilar: '无相似分数素描',
+    supplementary: '📝 补充信息 (Supplementary Information)',
+    participant: {
+      title: '👤 参与者信息',
+      code: '参与者',
+      session: '次数',
+      age: '年龄',
+      gender: '性别',
+      group: '组别',
+      selectPlaceholder: '选择或输入新代码',
+      ageFromBirthDate: '根据参与者资料中的出生日期计算。',
+      empty: '无参与者信息',
+      genderPlaceholder: '未填',
+      hint: '将此草图关联到参与者的某次施测。年龄与性别用于选择常模组（见“常模设置”）。',
+      saved: '参与者信息已保存',
+      saveFailed: '保存参与者信息失败: {error}',
+    },
+    duration: {
+      title: '⏱️ 绘画时长',
+      value: '{mins}分{secs}秒',
+      total: '绘画总时间',
+      empty: '无时间记录',
+    },
+    lines: {
+      title: '📏 线条统计',
+      count: '线条数量',
+      avgLength: '平均长度',
+      empty: '无线条数据',
+    },
+    calibration: {
+      title: '📐 实体尺寸',
+      source: '校正来源',
+      resolution: '分辨率',
+      pageSize: '图面尺寸',
+      outdated: '目前分数以 {ppi} px/in 计算，请重新分析或重新计分',
+      dialogTitle: '实体尺寸校正',
+      mode: '校正方式',
+      modePaper: '纸张大小',
+      modeDpi: '分辨率 (DPI)',
+      modeNone: '不校正',
+      paper: '纸张',
+      hint: '纸张大小：整张图代表一张纸（扫描整页或绘画画布）。分辨率：扫描时设置的 DPI。不校正：使用评分配置文件的默认分辨率。',
+      saveAndRescore: '保存并重新计分',
+      imageNotLoaded: '图片尚未加载',
+      savedRescored: '校正已保存，DAPR 分数已重新计算',
+      saved: '校正已保存',
+      saveFailed: '保存校正失败: {error}',
+      sourceProfile: '未校正（评分设置默认）',
+      sourcePaper: '纸张 {paper}',
+      sourceManual: '手动输入 DPI',
+      sourceFile: '文件分辨率 ({format})',
+    },
+    process: {
+      title: '✏️ 绘画历程',
+      duration: '绘画时间',
+      durationValue: '落笔 {active} 秒 / 共 {total} 秒',
+      pauses: '停顿',
+      pausesValue: '{count} 次（≥ {threshold} 秒），最长 {longest} 秒，合计 {total} 秒',
+      speed: '运笔速度',
+      speedValue: '平均 {mean} px/s，中位数 {median} px/s',
+      pressure: '笔压',
+      pressureValue: '平均 {mean} ± {sd}（范围 {min}–{max}）',
+      pressureNotRecorded: '未记录（鼠标输入）',
+      erasures: '擦除（撤销）次数',
+      order: '元素绘制顺序',
+      orderEmpty: '没有落在侦测框内的笔画',
+      unassigned: '其他',
+      erased: '已擦除',
+      pause: '停顿',
+      time: '时间（秒）',
+      tooltip: '笔画 #{id} · {row} · {start}–{end} 秒',
+      notStored: '由录制的笔画实时计算；重新分析后会与分数一并保存',
+    },
+    replay: {
+      title: '🎬 素描回放 (Sketch Replay)',
+      playing: '播放中...',
+      play: '▶ 播放',
+    },
+    evidence: {
+      overlapMask: '{count} 组重叠（掩码重叠 {overlap}%）',
+      overlapBbox: '{count} 组重叠（IoU {iou}）',
+      distance: '中心距离 {distance} px（阈值 {threshold} px）',
+      size: '人物高度 {heightPx} px ≈ {inches} in（{ppi} px/in）',
+      center: '人物中心距画面中心 {offset} px（阈值 {threshold} px）',
+      orientation: '雨线偏离垂直 {tilt}°（阈值 {threshold}°）',
+      intensity: '云框暗度 {darkness}%（阈值 {threshold}%）',
+    },
+    intensity: '墨水密度 {ink}｜暗度 {darkness}｜填色 {fill}',
+    correctionsFailed: '保存侦测变更失败: {error}',
+    analysisDone: '分析完成',
+    analysisFailed: '分析失败: {error}',
+    loadFailed: '加载仪表板数据失败',
+  },
+  profiles: {
+    title: '评分设置 (Scoring Profiles)',
+    duplicate: '📄 复制为新配置文件',
+    duplicateTitle: '复制为新配置文件',
+    list: '配置文件',
+    builtIn: '内置',
+    active: '使用中',
+    export: '⬇️ 导出 JSON',
+    activate: '设为使用中',
+    readOnly: '内置默认设置不可修改；请“复制为新配置文件”后再调整。',
+    cutoffs: '解读分界（总分，由高到低）',
+    cutoffsHint: '非常高 / 高 / 中等 / 低 / 非常低 的分界',
+    saveVersion: '💾 另存新版本',
+    history: '版本记录',
+    historyHint: '分数会记录产生时的配置文件版本；重新计分沿用原版本。加载旧版本后“另存新版本”即可回复旧设置。',
+    loadFailed: '加载评分设置失败',
+    versionLoaded: '已加载 v{version}，保存后成为新版本',
+    saved: '已保存 {name} v{version}',
+    saveFailed: '保存失败：{error}',
+    newName: '新配置文件名称',
+    copySuffix: '{name} (复本)',
+    created: '已创建 {name}',
+    createFailed: '创建失败：{error}',
+    activated: '“{name}”已设为使用中，下次分析时生效',
+    defaultReadOnly: '默认评分设置不可修改，请先复制为新配置文件',
+    nameRequired: '请输入配置文件名称',
+    params: {
+      pixelsPerInch: { label: '默认分辨率 (DPI)', hint: '草图未校正实体尺寸时，像素换算英寸的依据' },
+      excessRainThreshold: { label: '过量雨阈值（个）', hint: '雨滴超过此数量 → excess_rain' },
+      overlapIoU: { label: '重叠 IoU（无掩码）', hint: 'bbox IoU 超过此值视为重叠' },
+      maskOverlapThreshold: { label: '掩码重叠比例', hint: '交集 / 较小区域面积' },
+      maskContactTolerance: { label: '掩码接触距离 (px)', hint: '掩码相距不超过此距离视为接触' },
+      figureSmallInches: { label: '人物过小上限（英寸）', hint: '人物高度小于此值 → figure_small' },
+      figureLargeInches: { label: '人物过大下限（英寸）', hint: '人物高度大于此值 → figure_large' },
+      centeringRadius: { label: '置中半径（短边比例）', hint: '人物中心距画面中心小于此范围 → centered_figure' },
+      lightningDistanceFactor: { label: '闪电距离系数', hint: '距离小于 较高者高度 × 此系数 → lightning_hits' },
+      stormyRainTilt: { label: '斜雨角度（度）', hint: '雨线偏离垂直达此角度 → stormy_rain' },
+      darkCloudThreshold: { label: '乌云暗度阈值', hint: '云框内平均暗度 (0–1) 达此值 → dark_clouds' },
+    },
+  },
+  normTables: {
+    title: '常模设置 (Norm Tables)',
+    import: '📥 导入常模表',
+    intro: '依参与者年龄与性别，将压力、资源与总分换算为 z 分数与百分位等级，并以常模组决定解读。未设置使用中的常模，或参与者不属于任何组别时，沿用原始分数的解读分界。',
+    csvHelp: 'CSV 每列一个组别与量数：{columns}；measure 为 stress / resource / total，gender 为 male / female / all，平均数＋标准差与百分位数栏可择一或并用。',
+    empty: '尚未导入常模表',
+    age: '年龄',
+    gender: '性别',
+    n: '人数',
+    measures: { stress: '压力', resource: '资源', total: '总分' },
+    groupCount: '组别数',
+    scheme: '评分方案',
+    importedAt: '导入时间',
+    active: '使用中',
+    activate: '设为使用中',
+    deactivate: '停用常模解读',
+    loadFailed: '加载常模表失败',
+    namePrompt: '常模名称（例如出处与年份）',
+    importCsvTitle: '导入 CSV 常模表',
+    imported: '已导入“{name}”（{count} 组）',
+    importFailed: '导入失败：{error}',
+    activated: '“{name}”已设为使用中',
+    deactivated: '已停用常模解读',
+    confirmDelete: '确定删除“{name}”？',
+    deleteTitle: '删除常模表',
+    deleteFailed: '删除失败：{error}',
+    errors: {
+      nameRequired: '请输入常模名称',
+      noGroups: '常模表没有任何组别',
+      missingColumn: 'CSV 缺少栏位 {column}',
+      badMeasure: 'CSV 第 {row} 列：measure 必须是 {measures}',
+      group: '第 {index} 组',
+      badAgeRange: '{group}：年龄范围不正确 ({min}–{max})',
+      badGender: '{group}：无法辨识性别“{gender}”',
+      missingTotal: '{group}：缺少 total 的常模数据',
+      badMeanSd: '{label}：需要平均数与大于 0 的标准差',
+      badPercentile: '{label}：百分位数必须介于 0 与 100 之间且对应数值',
+      percentileOrder: '{label}：百分位数对应的分数必须递增',
+      tooFewPercentiles: '{label}：至少需要两个百分位数',
+      noStats: '{label}：需要平均数与标准差，或百分位数',
+    },
+  },
+  backup: {
+    title: '备份与还原',
+    intro: '所有数据只存在这个浏览器中，清除网站数据或更换电脑都会丢失，请定期下载备份。备份文件包含所有用户、素描（图像与笔画数据）、参与者、侦测结果、分数、评分设置与常模表。',
+    exportTitle: '💾 下载备份',
+    download: '下载备份',
+    downloaded: '已下载备份（{sketches} 张素描）',
+    exportFailed: '备份失败：{error}',
+    importTitle: '📥 从备份还原',
+    choose: '选择备份文件',
+    exportedAt: '导出时间',
+    schemaVersion: '数据库版本',
+    table: '数据',
+    records: '条数',
+    current: '当前浏览器',
+    inArchive: '备份文件',
+    mode: '还原方式',
+    modes: {
+      merge: '合并',
+      replace: '替换',
+    },
+    modeHints: {
+      merge: '将备份加入现有数据。记录会获得新的 id 并保留彼此的关联；相同 email 的用户、自定义代码相同的参与者、内容相同的现有评分设置版本与常模表会跳过。冲突的记录以新记录导入：代码与自动生成的代码（如 P-0001）冲突的参与者会获得新代码，参数不同的评分设置版本会获得新版本号。',
+      replace: '先删除所有现有数据，再还原备份。',
+    },
+    restore: '还原',
+    confirmTitle: '替换所有数据',
+    confirmReplace: '这个浏览器中现有的 {count} 条数据将全部删除并以备份替换，确定继续？',
+    restored: '已还原备份',
+    restoreFailed: '还原失败：{error}',
+    readFailed: '无法读取备份：{error}',
+    added: '新增',
+    skipped: '跳过',
+    conflicts: '冲突',
+    tables: {
+      users: '用户',
+      participants: '参与者',
+      sketches: '素描',
+      sketchImages: '图像',
+      detections: '侦测结果',
+      daprScores: '分数',
+      revisions: '修订记录',
+      scoringProfiles: '评分设置',
+      normTables: '常模表',
+    },
+    errors: {
+      notJson: '文件不是有效的 JSON',
+      notArchive: '文件不是 AlphaDAPR 备份',
+      archiveTooNew: '备份格式 {version} 比此版本程序支持的更新',
+      schemaTooNew: '备份来自数据库版本 {version}，比此程序（版本 {current}）更新，请先更新程序',
+      badTable: '备份中的 {table} 数据已损坏',
+      badMode: '未知的还原方式“{mode}”',
+    },
+  },
+  participants: {
+    title: '👤 参与者',
+    create: '新建参与者',
+    intro: '参与者以化名代码识别。将每张草图关联到参与者与施测次数，即可追踪其压力与资源分数在各次施测间的变化（例如干预前后）。',
+    empty: '暂无参与者',
+    code: '代码',
+    codePlaceholder: '例如 P-0001',
+    birthDate: '出生日期',
+    gender: '性别',
+    group: '组别 / 条件',
+    groupPlaceholder: '例如 干预组、对照组',
+    notes: '备注',
+    pseudonymHint: '请勿输入姓名或其他可识别身份的信息；代码与个人的对照表请保存在本系统之外。',
+    sketchCount: '草图数',
+    view: '打开',
+    back: '返回参与者列表',
+    createTitle: '新建参与者',
+    editTitle: '编辑参与者',
+    saved: '参与者已保存',
+    saveFailed: '保存参与者失败: {error}',
+    loadFailed: '加载参与者失败',
+    deleteTitle: '删除参与者',
+    confirmDelete: '确定删除参与者 {code}？其 {count} 张草图会保留，但不再关联到参与者。',
+    deleteFailed: '删除参与者失败: {error}',
+    drawSession: '绘制第 {session} 次',
+    sessions: '施测记录',
+    session: '次数',
+    sessionLabel: '第{session}次',
+    date: '日期',
+    age: '年龄',
+    sketch: '草图',
+    notScored: '尚未评分',
+    noSessions: '此参与者暂无关联的草图',
+    chartTitle: '各次施测分数',
+    itemsTitle: '各次施测的 DAPR 项目',
+    item: '项目',
+    measure: '分数',
+    change: '变化',
+    compareTitle: '前后测比较',
+    pre: '前测',
+    post: '后测',
+    noItemChanges: '没有项目分数改变',
+    needTwoSessions: '至少需要两次已评分的施测才能比较',
+    errors: {
+      codeRequired: '请输入参与者代码',
+      codeTaken: '参与者代码 {code} 已被使用',
+      badBirthDate: '出生日期格式须为 YYYY-MM-DD',
+      badGender: '未知的性别“{gender}”',
+      notFound: '找不到参与者',
+    },
+  },
+  revisions: {
+    title: '🕘 修订历史',
+    empty: '暂无修订记录',
+    compare: '比较',
+    current: '当前',
+    date: '时间',
+    action: '变更',
+    author: '操作者',
+    detections: '侦测数',
+    restore: '恢复此版',
+    restoreTitle: '恢复修订',
+    confirmRestore: '将修订 #{number} 设为当前结果？当前的结果仍会保留在历史中。',
+    restored: '已恢复修订 #{number}',
+    restoreFailed: '恢复修订失败: {error}',
+    loadFailed: '加载修订历史失败',
+    diffTitle: '#{before} → #{after} 的变更',
+    noItemChanges: '没有项目分数改变',
+    box: '框选',
+    change: '变更',
+    actions: {
+      analysis: '分析',
+      correction: '校正',
+      rescore: '重新评分',
+      rating: '临床评分',
+      restore: '恢复',
+      legacy: '既有结果',
+    },
+    details: {
+      removed: '移除 {count} 个侦测',
+      added: '新增 {count} 个侦测',
+      edited: '修改 {count} 个侦测',
+      restored: '自 #{number}',
+    },
+    boxChanges: {
+      added: '新增',
+      removed: '移除',
+      moved: '移动',
+      relabelled: '改类别',
+    },
+    fields: {
+      detector: '侦测器',
+      model: '模型',
+      strategy: '策略',
+      profile: '评分设置',
+    },
+  },
+  dataset: {
+    title: '训练数据集导出',
+    intro: '将已分析的画作连同当前的框选（含临床人员的修正）导出为目标侦测训练数据集（ZIP），用于重新训练侦测模型。',
+    optionsTitle: '选项',
+    format: '格式',
+    formats: { yolo: 'YOLO', coco: 'COCO' },
+    formatHints: {
+      yolo: '每个划分各有 images/ 与 labels/，并附 data.yaml；类别编号按模型的类别顺序。',
+      coco: '每个划分各有 images/，并附 annotations/instances_train.json 与 instances_val.json。',
+    },
+    onlyCorrected: '仅限已修正',
+    onlyCorrectedHint: '只包含有人新增、编辑或删除过框选的画作。',
+    dateRange: '创建日期',
+    from: '开始',
+    to: '结束',
+    valRatio: '验证集比例',
+    minConfidence: '最低置信度',
+    minConfidenceHint: '低于此值的模型框选不导出；手动绘制或编辑过的框选一律保留。',
+    seed: '划分种子',
+    seedHint: '相同的种子与选项会得到相同的训练／验证划分。',
+    previewTitle: '预览',
+    sketches: '画作',
+    train: '训练',
+    val: '验证',
+    class: '类别',
+    boxes: '框选数',
+    unknownClass: '{count} 个框选的类别不在模型类别中，已略过。',
+    download: '下载 {format} ZIP',
+    downloaded: '已导出 {sketches} 张画作、{boxes} 个框选',
+    missingImages: '{count} 张画作因缺少图片而略过',
+    previewFailed: '无法加载预览：{error}',
+    exportFailed: '导出失败：{error}',
+  },
+  evaluation: {
+    title: '侦测器评估',
+    intro: '以一组图片的标准答案框评估侦测器：各类别的精确率、召回率与 AP、混淆矩阵、PR 曲线、F1 最佳的类别阈值、空白区域过滤（MIN_INK_RATIO），以及由侦测框计分的 DAPR 项目与由标准答案计分的结果有多一致。',
+    groundTruthTitle: '图片与标准答案',
+    chooseFiles: '选择文件',
+    chooseFolder: '选择文件夹',
+    filesHint: '连同图片一起选取 YOLO 标注文件（同文件名的 .txt；若一并选取 data.yaml 或 classes.txt 则按其类别编号，否则按模型的类别顺序）或 COCO instances .json 文件。解压后的训练数据集导出可直接选取文件夹。',
+    format: '格式',
+    images: '图片',
+    truthBoxes: '标准答案框',
+    unknownClass: '未知类别',
+    unpairedImages: '无标注的图片',
+    unpairedAnnotations: '无图片的标注',
+    runTitle: '运行',
+    model: '模型',
+    detector: '侦测器',
+    floor: '置信度下限',
+    nonModelWarning: '当前的侦测器不是 AI 模型，评估结果无法反映模型表现。请到首页切换侦测器。',
+    stages: { detect: '侦测中', score: '计分中' },
+    run: '评估 {count} 张图片',
+    summaryTitle: '摘要',
+    downloadReport: '下载报告（JSON）',
+    setting: '设置',
+    settings: { current: '当前', suggested: '建议' },
+    precision: '精确率',
+    recall: '召回率',
+    threshold: '阈值',
+    meanIoU: '平均 IoU',
+    classesTitle: '各类别',
+    classesHint: '配对需 IoU ≥ 0.5（AP75 与 AP50-95 采用更严格的重叠）。建议阈值为在建议的 MIN_INK_RATIO 下使各类别 F1 最高的值；配对框的平均 IoU 反映框选质量。',
+    curvesTitle: '精确率–召回率曲线（IoU 0.5）',
+    curvesHint: '标记为各类别的建议阈值。',
+    confusionTitle: '混淆矩阵（IoU 0.5）',
+    truthPredicted: '标准答案 \\ 侦测',
+    confusionHint: '行为标准答案，列为侦测结果。背景列为漏侦测的框，背景行为误侦测。',
+    background: '背景',
+    inkTitle: '空白区域过滤',
+    inkHint: '各 MIN_INK_RATIO（pipeline.js）下、每个类别采用最佳阈值时的 F1。建议值为 F1 最高者。',
+    snippetTitle: '建议设置（阈值位于 models/manifest.json）：',
+    agreementTitle: 'DAPR 项目一致性',
+    agreementSummary: '总分相同 {exact}；平均绝对差：总分 {total}、压力 {stress}、资源 {resource}',
+    truthPositive: '计分（标准答案）',
+    predictedPositive: '计分',
+    agreement: '一致率',
+    agreementHint: '以当前的评分设置，分别由同一张图片的侦测框与标准答案框计分的自动项目。κ 为 Cohen\'s kappa；双方都未曾计分该项目时显示“-”。',
+    nothingPaired: '没有图片能与标准答案配对',
+    readFailed: '无法读取文件：{error}',
+    cancelled: '已取消评估',
+    runFailed: '评估失败：{error}',
+    mixedDetectors: '{image} 由 {detector}（{model}）分析，而 {first} 由 {firstDetector}（{firstModel}）分析；不同侦测器的结果无法合并评估',
+  },
+  errors: {
+    sketchNotFound: '找不到草图',
+    notScored: '尚未评分',
+    imageNotFound: '草图没有图像',
+    revisionNotFound: '找不到修订记录',
+    detectionNotFound: '找不到侦测结果',
+  },
+  interpretations: {
+    adequate: '资源充足，压力因应能力良好',
+    more_resources: '资源略多于压力，因应能力尚可',
+    balanced: '压力与资源大致平衡',
+    more_stress: '压力略多于资源，需关注因应策略',
+    significant_stress: '压力显着高于资源，建议进一步评估',
+  },
+  normInterpretations: {
+    well_above: '因应资源明显高于常模组',
+    above: '因应资源略高于常模组',
+    within: '与常模组相当',
+    below: '因应资源略低于常模组，需关注因应策略',
+    well_below: '因应资源明显低于常模组，建议进一步评估',
+  },
+  schemes: {
+    'lack-1996': {
+      name: 'Lack (1996)',
+      description: '原始 35 项量表：资源 19 项、压力 16 项，每项 0/1 分',
+    },
+    'lack-1996-automated': {
+      name: 'Lack (1996) 自动评分子量表',
+      description: 'Lack (1996) 的子量表，并非另一套评分方案：只计 AI 可自动评分的 20 项，便于不同数据集间比较侦测模型的影响。合作者使用的已发表变体请通过 defineWeightedScheme 注册。',
+    },
+  },
+  details: {
+    basis: { mask: '掩码', bbox: '边框' },
+    side: { left: '左', right: '右' },
+    no_rain: '画面中没有雨',
+    excess_rain: '雨量过多（{count} 个）',
+    rain_hitting_person: '雨与人物重叠（{basis}，{pairs} 组）',
+    stormy_rain: '斜雨，偏离垂直 {tilt}°（向{side}倾斜）',
+    stormy_rain_vertical: '雨接近垂直落下（偏离垂直 {tilt}°）',
+    lightning: '有闪电（{count} 个）',
+    lightning_hits: '闪电靠近人物（{distance} px）',
+    puddles: '有水洼（{count} 个）',
+    standing_in_puddle: '人物站在水洼中（{basis}）',
+    clouds: '有云（{count} 个）',
+    dark_clouds: '乌云或涂暗的云（暗度 {darkness}%，填色 {fill}%）',
+    dark_clouds_light: '云色浅（暗度 {darkness}%，填色 {fill}%）',
+    no_person: '画面中没有人物',
+    figure_small: '人物过小（{inches} 英寸）',
+    figure_large: '人物过大（{inches} 英寸）',
+    body_exposed: '身体暴露在雨中，没有保护',
+    umbrella_present: '有雨伞（{count} 把）',
+    umbrella_covers: '雨伞遮住人物（{basis}）',
+    figure_appropriate_size: '人物大小适中（{inches} 英寸）',
+    complete_person: '有人物（{count} 个）',
+    multiple_resources: '多项资源（{count} 个）',
+    centered_figure: '人物位于画面中央（距中心 {offset} px）',
+  },
+  items: {
+    no_rain: { label: '没有雨', description: '没有画雨', keyword: '#没有雨' },
+    excess_rain: { label: '雨量过多', description: '雨量过多（超过阈值）', keyword: '#雨量过多' },
+    rain_hitting_person: { label: '雨打到人', description: '雨直接打在人物身上', keyword: '#雨打到人' },
+    stormy_rain: { label: '斜雨', description: '风雨交加、斜向的雨', keyword: '#斜雨' },
+    lightning: { label: '闪电', description: '画面中有闪电', keyword: '#闪电' },
+    lightning_hits: { label: '闪电击中人物', description: '闪电击中或靠近人物', keyword: '#闪电击中' },
+    puddles: { label: '水洼', description: '画面中有水洼', keyword: '#水洼' },
+    standing_in_puddle: { label: '站在水洼中', description: '人物站在水洼中', keyword: '#站在水洼' },
+    clouds: { label: '云', description: '画面中有云', keyword: '#云' },
+    dark_clouds: { label: '乌云', description: '乌云或涂暗的云', keyword: '#乌云' },
+    no_person: { label: '没有人物', description: '没有画人物', keyword: '#没有人物' },
+    figure_small: { label: '人物过小', description: '人物过小（低于下限）', keyword: '#人物过小' },
+    figure_large: { label: '人物过大', description: '人物过大（高于上限）', keyword: '#人物过大' },
+    no_facial_features: { label: '没有五官', description: '人物没有脸部特征', keyword: '#没有五官' },
+    body_exposed: { label: '身体暴露', description: '身体暴露在雨中', keyword: '#身体暴露' },
+    sad_expression: { label: '悲伤表情', description: '悲伤或痛苦的表情', keyword: '#悲伤表情' },
+    umbrella_present: { label: '雨伞', description: '画面中有雨伞', keyword: '#雨伞' },
+    umbrella_covers: { label: '雨伞遮蔽', description: '雨伞遮住人物', keyword: '#雨伞遮蔽' },
+    umbrella_intact: { label: '雨伞完整', description: '雨伞完整且可使用', keyword: '#雨伞完整' },
+    raincoat: { label: '雨衣', description: '雨衣或防护衣物', keyword: '#雨衣' },
+    boots: { label: '雨靴', description: '雨靴或雨鞋', keyword: '#雨靴' },
+    hat: { label: '帽子', description: '帽子或头部遮蔽', keyword: '#帽子' },
+    shelter: { label: '遮蔽处', description: '遮蔽处或建筑物', keyword: '#遮蔽处' },
+    figure_appropriate_size: { label: '人物大小适中', description: '人物大小适中', keyword: '#大小适中' },
+    grounded_figure: { label: '人物着地', description: '人物站在地面上', keyword: '#人物着地' },
+    complete_person: { label: '完整人物', description: '画出完整的人物', keyword: '#完整人物' },
+    facial_features: { label: '有五官', description: '人物有脸部特征', keyword: '#有五官' },
+    smiling: { label: '微笑', description: '人物微笑或愉快', keyword: '#微笑' },
+    movement: { label: '动作', description: '人物有动作或行动', keyword: '#动作' },
+    sun_present: { label: '太阳或彩虹', description: '画面中有太阳或彩虹', keyword: '#太阳彩虹' },
+    flowers_nature: { label: '花草自然', description: '花朵或自然元素', keyword: '#花草自然' },
+    multiple_resources: { label: '多项资源', description: '有多项保护资源', keyword: '#多项资源' },
+    detailed_drawing: { label: '细节丰富', description: '画面细致、用心', keyword: '#细节丰富' },
+    centered_figure: { label: '人物置中', description: '人物位于画面中央', keyword: '#人物置中' },
+    appropriate_proportions: { label: '比例适当', description: '人物比例适当', keyword: '#比例适当' },
+  },
+}
@@ -0,0 +1,766 @@
+// src/i18n/locales/zh-TW.js
+// Traditional Chinese catalog; also the fallback for keys missing from other languages
+export default {
+  common: {
+    cancel: '取消',
+    save: '儲存',
+    delete: '刪除',
+    edit: '編輯',
+    set: '設定',
+    load: '載入',
+    restore: '還原',
+    create: '建立',
+    import: '匯入',
+    yes: '是',
+    no: '否',
+    name: '名稱',
+    version: '版本',
+    createdAt: '建立時間',
+    actions: '操作',
+    notRecorded: '未記錄',
+  },
+  nav: {
+    home: '首頁',
+    draw: '繪畫',
+    sketches: '草圖列表',
+    scoringSettings: '評分設定',
+    normSettings: '常模設定',
+    language: '語言',
+    backup: '備份',
+    participants: '參與者',
+    dataset: '訓練資料集',
+    evaluation: '偵測評估',
+  },
+  login: {
+    subtitle: 'AI-based Expert Support System for Art Therapy',
+    login: '登入',
+    register: '註冊',
+    password: '密碼',
+    name: '姓名',
+    namePlaceholder: '您的姓名',
+    passwordHint: '至少6字元',
+    loginFailed: '登入失敗',
+    registerFailed: '註冊失敗',
+  },
+  home: {
+    totalSketches: '素描總數',
+    analyzed: '已分析',
+    avgScore: '平均 DAPR 分數',
+    quickActions: '快速操作',
+    startDrawing: '✏️ 開始繪畫',
+    uploadSketch: '📁 上傳素描',
+    viewSketches: '📋 查看素描列表',
+    about: '⚠️ 系統說明',
+    disclaimerTitle: 'AI 輔助工具聲明',
+    disclaimer1: 'AlphaDAPR 是一個 <strong>輔助工具</strong>，旨在協助藝術治療師進行大規模繪畫評估。',
+    disclaimer2: 'AI 分析結果僅供參考，<strong>最終的評估決定應由專業治療師做出</strong>。',
+    disclaimer3: '系統透過可解釋的 AI 提供透明的分析過程，幫助您更有效率地完成工作。',
+    uploadedTitle: '上傳的素描',
+    uploadedWithDpi: '素描上傳成功（解析度 {dpi} DPI）',
+    uploadedNoDpi: '素描上傳成功；檔案未記錄解析度，請於儀表板設定紙張大小或 DPI',
+    uploadFailed: '上傳失敗',
+  },
+  sketches: {
+    title: '素描列表',
+    startDrawing: '✏️ 開始繪畫',
+    preview: '預覽',
+    sketchTitle: '標題',
+    duration: '繪畫時長',
+    lineCount: '線條數',
+    analyzed: '已分析',
+    analyze: '🔍 分析',
+    dashboard: '📊 儀表板',
+    delete: '🗑️ 刪除',
+    confirmDelete: '確定要刪除此素描嗎？',
+    empty: '尚無素描，開始繪畫或上傳吧！',
+    loadFailed: '載入素描列表失敗',
+    analysisDone: '分析完成',
+    analysisFailed: '分析失敗',
+    deleted: '已刪除',
+    deleteFailed: '刪除失敗',
+    untitled: 'Untitled',
+  },
+  drawing: {
+    title: '✏️ DAPR 繪畫評估',
+    clear: '清除',
+    undo: '復原',
+    submit: '提交分析',
+    instructionTitle: '請在下方畫布上繪製「雨中人」(Draw-A-Person-in-the-Rain)',
+    instructionBody: '請畫出一個在雨中的人。「雨」代表壓力事件或環境，請自由繪畫。',
+    paper: '紙張：',
+    lineCount: '線條數: {count}',
+    fillCount: '填色: {count}',
+    elapsed: '已繪畫: {time}',
+    tools: {
+      pen: '✏️ 筆',
+      brush: '🖌️ 塗色筆',
+      fill: '🪣 填色',
+    },
+    sketchTitle: 'DAPR 繪畫',
+    drawFirst: '請先繪畫',
+    submitted: '繪畫已提交',
+    submitFailed: '提交失敗: {error}',
+    participantSession: '參與者 {code} · 第 {session} 次',
+  },
+  systemInfo: {
+    title: '🖥️ 系統資訊 (System Info)',
+    refresh: '重新整理',
+    warmup: '載入模型並測速',
+    model: '使用模型：',
+    detector: '偵測器：',
+    detectorOnnx: 'AI 模型 (ONNX)',
+    detectorPlaceholder: 'Placeholder（固定種子）',
+    detectorFixture: 'Fixture（測試資料）',
+    provider: '執行後端',
+    notLoaded: '尚未載入',
+    loadedModel: '已載入模型',
+    wasmThreads: 'WASM 執行緒',
+    crossOriginIsolated: '跨來源隔離',
+    cpuCores: 'CPU 核心數',
+    modelLoad: '模型載入',
+    warmupInference: '預熱推論',
+    avgInference: '平均推論',
+    avgTotal: '平均總耗時',
+    backend: '後端',
+    result: '結果',
+    elapsed: '耗時',
+    reason: '原因',
+    lastError: '最近一次推論失敗，已改用 placeholder：{error}',
+    modelSwitched: '已切換模型，下次分析時生效',
+    detectorOnnxSelected: '已切換為 AI 模型偵測',
+    detectorOtherSelected: '已切換為非模型偵測器，分析結果將標示為非 AI 結果',
+  },
+  classes: {
+    rain: '雨',
+    umbrella: '雨傘',
+    person: '人物',
+    lightning: '閃電',
+    cloud: '雲',
+    puddle: '水窪',
+  },
+  categories: {
+    stress: '壓力',
+    resource: '資源',
+  },
+  sources: {
+    ai: 'AI',
+    clinician: '臨床',
+    override: '覆寫',
+    unrated: '未評',
+  },
+  genders: {
+    male: '男',
+    female: '女',
+    other: '其他',
+    all: '不分性別',
+  },
+  dashboard: {
+    title: '📊 分析儀表板',
+    backToList: '返回列表',
+    recognition: '🔍 素描辨識結果 (Sketch Recognition)',
+    editDetections: '編輯偵測',
+    editor: {
+      select: '選取 / 移動',
+      draw: '繪製框',
+      undo: '復原',
+      redo: '重做',
+      saving: '儲存並重新計分中…',
+      hint: '拖曳框可移動，拖曳邊緣或角落可調整大小，也可繪製新框。每次變更都會立即儲存並重新計分。Ctrl+Z / Ctrl+Shift+Z 復原與重做；Delete 刪除選取的框。',
+      selected: '選取的框：',
+      manual: '手動繪製',
+      edited: '手動修改',
+    },
+    confidenceThreshold: '信心閾值 (Confidence Threshold): {value}',
+    clearHighlight: '清除標示',
+    detectionTotal: '偵測總數',
+    avgConfidence: '平均信心',
+    scoreTable: '📋 DAPR 分數表格 (Score Table)',
+    fixtureWarning: '⚠️ 此分析使用測試資料 (fixture) 偵測器，並非 AI 模型結果',
+    placeholderWarning: '⚠️ 此分析使用 placeholder 偵測器（模擬資料），並非 AI 模型結果，分數不具臨床意義',
+    fallbackReason: '模型推論失敗，已自動改用 placeholder：{reason}',
+    totalScore: '總分 (DAPR Score)',
+    resourceScore: '資源分 (Resource)',
+    stressScore: '壓力分 (Stress)',
+    aiSubtotal: 'AI 小計 (AI-only)',
+    credibleInterval: '{mass} 可信區間：總分 [{totalLow}, {totalHigh}] ｜ 資源 [{resourceLow}, {resourceHigh}] ｜ 壓力 [{stressLow}, {stressHigh}]',
+    sourceCounts: '臨床評分 {clinician} 項 ｜ 覆寫 AI {override} 項 ｜ 未評 {unrated} 項',
+    notAnalyzed: '尚未分析',
+    runAnalysis: '🔍 執行分析',
+    provenance: {
+      model: '模型',
+      detector: '偵測器',
+      imageHash: '影像雜湊',
+      strategy: '推論策略',
+      profile: '評分設定',
+      physicalSize: '實體尺寸',
+    },
+    strategySingle: '單次全圖',
+    strategyTiled: '全圖 + {tiles} 個切塊 ({tileSize}px, 重疊 {overlap}%)',
+    norms: {
+      measure: '量數',
+      raw: '原始分數',
+      z: 'z 分數',
+      percentile: '百分等級',
+      group: '常模：{name}（{ageMin}–{ageMax} 歲，{gender}{n}）',
+      groupSize: '，n = {n}',
+      rawInterpretation: '原始分界解讀：{text}',
+      notApplicable: '常模「{name}」不適用於此參與者（需年齡且屬於任一組別），依原始分數分界解讀',
+    },
+    stressAttributes: '😰 壓力相關屬性 (Stress Attributes)',
+    resourceAttributes: '💪 資源相關屬性 (Resource Attributes)',
+    itemScore: '(得分: {score}/{max})',
+    noStress: '未偵測到壓力相關指標',
+    noResource: '未偵測到資源相關指標',
+    fragile: '⚠️ 不穩定',
+    fragileTitle: '信心閾值提高 {shift} 即改變此項分數；計分機率 {probability}%',
+    checklist: {
+      title: '🩺 臨床評分清單 (Clinician Checklist)',
+      onlyManual: '只顯示 AI 無法評分的項目',
+      item: '項目',
+      category: '類別',
+      ai: 'AI',
+      notAutomated: '無法由偵測結果判斷',
+      rating: '臨床評分',
+      useAi: '採 AI',
+      unrated: '未評',
+      source: '來源',
+      score: '得分',
+      note: '備註',
+      notePlaceholder: '評分依據或觀察',
+      saveFailed: '儲存臨床評分失敗: {error}',
+    },
+    uncertainty: {
+      title: '🎲 分數不確定性 (Score Uncertainty)',
+      estimate: '估計不確定性',
+      reestimate: '重新估計',
+      explanation: '依偵測信心值抽樣 {samples} 次：每次以信心值為機率保留各偵測框後重新計分。「不穩定」表示類別信心閾值提高 {shift} 以內即會改變該項分數。信心值並非校正過的機率，區間僅供敏感度參考。',
+      item: '項目',
+      currentScore: '目前得分',
+      probability: '計分機率',
+      sensitivity: '閾值敏感度',
+      flipsAt: '⚠️ 閾值 +{shift} 即改變',
+      stable: '穩定',
+      empty: '尚未估計；估計結果會在重新計分或修改臨床評分後清除',
+      failed: '估計不確定性失敗: {error}',
+    },
+    schemes: {
+      title: '🧮 評分方案比較 (Scoring Schemes)',
+      score: '計算所選方案',
+      scheme: '方案',
+      itemCount: '項目數',
+      resource: '資源',
+      stress: '壓力',
+      total: '總分',
+      aiSubtotal: 'AI 小計',
+      interpretation: '解讀',
+      notScored: '尚未計算，請按「計算所選方案」',
+      scored: '評分方案已計算',
+      failed: '計算評分方案失敗: {error}',
+      subscaleOf: '{scheme} 子量表',
+    },
+    distribution: '📈 DAPR 分數分布',
+    similar: '🔗 相似分數素描',
+    noSimilar: '無相似分數素描',
+    supplementary: '📝 補充資訊 (Supplementary Information)',
+    participant: {
+      title: '👤 參與者資訊',
+      code: '參與者',
+      session: '次數',
+      age: '年齡',
+      gender: '性別',
+      group: '組別',
+      selectPlaceholder: '選擇或輸入新代碼',
+      ageFromBirthDate: '依參與者資料中的出生日期計算。',
+      empty: '無參與者資訊',
+      genderPlaceholder: '未填',
+      hint: '將此草圖連結至參與者的某次施測。年齡與性別用於選擇常模組（見「常模設定」）。',
+      saved: '參與者資訊已儲存',
+      saveFailed: '儲存參與者資訊失敗: {error}',
+    },
+    duration: {
+      title: '⏱️ 繪畫時長',
+      value: '{mins}分{secs}秒',
+      total: '繪畫總時間',
+      empty: '無時間記錄',
+    },
+    lines: {
+      title: '📏 線條統計',
+      count: '線條數量',
+      avgLength: '平均長度',
+      empty: '無線條資料',
+    },
+    calibration: {
+      title: '📐 實體尺寸',
+      source: '校正來源',
+      resolution: '解析度',
+      pageSize: '圖面尺寸',
+      outdated: '目前分數以 {ppi} px/in 計算，請重新分析或重新計分',
+      dialogTitle: '實體尺寸校正',
+      mode: '校正方式',
+      modePaper: '紙張大小',
+      modeDpi: '解析度 (DPI)',
+      modeNone: '不校正',
+      paper: '紙張',
+      hint: '紙張大小：整張圖代表一張紙（掃描整頁或繪畫畫布）。解析度：掃描時設定的 DPI。不校正：使用評分設定檔的預設解析度。',
+      saveAndRescore: '儲存並重新計分',
+      imageNotLoaded: '圖片尚未載入',
+      savedRescored: '校正已儲存，DAPR 分數已重新計算',
+      saved: '校正已儲存',
+      saveFailed: '儲存校正失敗: {error}',
+      sourceProfile: '未校正（評分設定預設）',
+      sourcePaper: '紙張 {paper}',
+      sourceManual: '手動輸入 DPI',
+      sourceFile: '檔案解析度 ({format})',
+    },
+    process: {
+      title: '✏️ 繪畫歷程',
+      duration: '繪畫時間',
+      durationValue: '落筆 {active} 秒 / 共 {total} 秒',
+      pauses: '停頓',
+      pausesValue: '{count} 次（≥ {threshold} 秒），最長 {longest} 秒，合計 {total} 秒',
+      speed: '運筆速度',
+      speedValue: '平均 {mean} px/s，中位數 {median} px/s',
+      pressure: '筆壓',
+      pressureValue: '平均 {mean} ± {sd}（範圍 {min}–{max}）',
+      pressureNotRecorded: '未記錄（滑鼠輸入）',
+      erasures: '擦除（復原）次數',
+      order: '元素繪製順序',
+      orderEmpty: '沒有落在偵測框內的筆畫',
+      unassigned: '其他',
+      erased: '已擦除',
+      pause: '停頓',
+      time: '時間（秒）',
+      tooltip: '筆畫 #{id} · {row} · {start}–{end} 秒',
+      notStored: '由錄製的筆畫即時計算；重新分析後會與分數一併儲存',
+    },
+    replay: {
+      title: '🎬 素描回放 (Sketch Replay)',
+      playing: '播放中...',
+      play: '▶ 播放',
+    },
+    evidence: {
+      overlapMask: '{count} 組重疊（遮罩重疊 {overlap}%）',
+      overlapBbox: '{count} 組重疊（IoU {iou}）',
+      distance: '中心距離 {distance} px（閾值 {threshold} px）',
+      size: '人物高度 {heightPx} px ≈ {inches} in（{ppi} px/in）',
+      center: '人物中心距畫面中心 {offset} px（閾值 {threshold} px）',
+      orientation: '雨線偏離垂直 {tilt}°（閾值 {threshold}°）',
+      intensity: '雲框暗度 {darkness}%（閾值 {threshold}%）',
+    },
+    intensity: '墨水密度 {ink}｜暗度 {darkness}｜填色 {fill}',
+    correctionsFailed: '儲存偵測變更失敗: {error}',
+    analysisDone: '分析完成',
+    analysisFailed: '分析失敗: {error}',
+    loadFailed: '載入儀表板資料失敗',
+  },
+  profiles: {
+    title: '評分設定 (Scoring Profiles)',
+    duplicate: '📄 複製為新設定檔',
+    duplicateTitle: '複製為新設定檔',
+    list: '設定檔',
+    builtIn: '內建',
+    active: '使用中',
+    export: '⬇️ 匯出 JSON',
+    activate: '設為使用中',
+    readOnly: '內建預設設定不可修改；請「複製為新設定檔」後再調整。',
+    cutoffs: '解讀分界（總分，由高到低）',
+    cutoffsHint: '非常高 / 高 / 中等 / 低 / 非常低 的分界',
+    saveVersion: '💾 另存新版本',
+    history: '版本紀錄',
+    historyHint: '分數會記錄產生時的設定檔版本；重新計分沿用原版本。載入舊版本後「另存新版本」即可回復舊設定。',
+    loadFailed: '載入評分設定失敗',
+    versionLoaded: '已載入 v{version}，儲存後成為新版本',
+    saved: '已儲存 {name} v{version}',
+    saveFailed: '儲存失敗：{error}',
+    newName: '新設定檔名稱',
+    copySuffix: '{name} (複本)',
+    created: '已建立 {name}',
+    createFailed: '建立失敗：{error}',
+    activated: '「{name}」已設為使用中，下次分析時生效',
+    defaultReadOnly: '預設評分設定不可修改，請先複製為新設定檔',
+    nameRequired: '請輸入設定檔名稱',
+    params: {
+      pixelsPerInch: { label: '預設解析度 (DPI)', hint: '草圖未校正實體尺寸時，像素換算英吋的依據' },
+      excessRainThreshold: { label: '過量雨閾值（個）', hint: '雨滴超過此數量 → excess_rain' },
+      overlapIoU: { label: '重疊 IoU（無遮罩）', hint: 'bbox IoU 超過此值視為重疊' },
+      maskOverlapThreshold: { label: '遮罩重疊比例', hint: '交集 / 較小區域面積' },
+      maskContactTolerance: { label: '遮罩接觸距離 (px)', hint: '遮罩相距不超過此距離視為接觸' },
+      figureSmallInches: { label: '人物過小上限（英吋）', hint: '人物高度小於此值 → figure_small' },
+      figureLargeInches: { label: '人物過大下限（英吋）', hint: '人物高度大於此值 → figure_large' },
+      centeringRadius: { label: '置中半徑（短邊比例）', hint: '人物中心距畫面中心小於此範圍 → centered_figure' },
+      lightningDistanceFactor: { label: '閃電距離係數', hint: '距離小於 較高者高度 × 此係數 → lightning_hits' },
+      stormyRainTilt: { label: '斜雨角度（度）', hint: '雨線偏離垂直達此角度 → stormy_rain' },
+      darkCloudThreshold: { label: '烏雲暗度閾值', hint: '雲框內平均暗度 (0–1) 達此值 → dark_clouds' },
+    },
+  },
+  normTables: {
+    title: '常模設定 (Norm Tables)',
+    import: '📥 匯入常模表',
+    intro: '依參與者年齡與性別，將壓力、資源與總分換算為 z 分數與百分等級，並以常模組決定解讀。未設定使用中的常模，或參與者不屬於任何組別時，沿用原始分數的解讀分界。',
+    csvHelp: 'CSV 每列一個組別與量數：{columns}；measure 為 stress / resource / total，gender 為 male / female / all，平均數＋標準差與百分位數欄可擇一或並用。',
+    empty: '尚未匯入常模表',
+    age: '年齡',
+    gender: '性別',
+    n: '人數',
+    measures: { stress: '壓力', resource: '資源', total: '總分' },
+    groupCount: '組別數',
+    scheme: '評分方案',
+    importedAt: '匯入時間',
+    active: '使用中',
+    activate: '設為使用中',
+    deactivate: '停用常模解讀',
+    loadFailed: '載入常模表失敗',
+    namePrompt: '常模名稱（例如出處與年份）',
+    importCsvTitle: '匯入 CSV 常模表',
+    imported: '已匯入「{name}」（{count} 組）',
+    importFailed: '匯入失敗：{error}',
+    activated: '「{name}」已設為使用中',
+    deactivated: '已停用常模解讀',
+    confirmDelete: '確定刪除「{name}」？',
+    deleteTitle: '刪除常模表',
+    deleteFailed: '刪除失敗：{error}',
+    errors: {
+      nameRequired: '請輸入常模名稱',
+      noGroups: '常模表沒有任何組別',
+      missingColumn: 'CSV 缺少欄位 {column}',
+      badMeasure: 'CSV 第 {row} 列：measure 必須是 {measures}',
+      group: '第 {index} 組',
+      badAgeRange: '{group}：年齡範圍不正確 ({min}–{max})',
+      badGender: '{group}：無法辨識性別「{gender}」',
+      missingTotal: '{group}：缺少 total 的常模資料',
+      badMeanSd: '{label}：需要平均數與大於 0 的標準差',
+      badPercentile: '{label}：百分位數必須介於 0 與 100 之間且對應數值',
+      percentileOrder: '{label}：百分位數對應的分數必須遞增',
+      tooFewPercentiles: '{label}：至少需要兩個百分位數',
+      noStats: '{label}：需要平均數與標準差，或百分位數',
+    },
+  },
+  backup: {
+    title: '備份與還原',
+    intro: '所有資料只存在這個瀏覽器中，清除網站資料或更換電腦都會遺失，請定期下載備份。備份檔包含所有使用者、素描（影像與筆畫資料）、參與者、偵測結果、分數、計分設定與常模表。',
+    exportTitle: '💾 下載備份',
+    download: '下載備份',
+    downloaded: '已下載備份（{sketches} 張素描）',
+    exportFailed: '備份失敗：{error}',
+    importTitle: '📥 從備份還原',
+    choose: '選擇備份檔',
+    exportedAt: '匯出時間',
+    schemaVersion: '資料庫版本',
+    table: '資料',
+    records: '筆數',
+    current: '目前瀏覽器',
+    inArchive: '備份檔',
+    mode: '還原方式',
+    modes: {
+      merge: '合併',
+      replace: '取代',
+    },
+    modeHints: {
+      merge: '將備份加入現有資料。紀錄會取得新的 id 並保留彼此的關聯；相同 email 的使用者、自訂代碼相同的參與者、內容相同的既有計分設定版本與常模表會略過。衝突的紀錄以新紀錄匯入：代碼與自動產生的代碼（如 P-0001）相撞的參與者會取得新代碼，參數不同的計分設定版本會取得新版本號。',
+      replace: '先刪除所有現有資料，再還原備份。',
+    },
+    restore: '還原',
+    confirmTitle: '取代所有資料',
+    confirmReplace: '這個瀏覽器中現有的 {count} 筆資料將全部刪除並以備份取代，確定繼續？',
+    restored: '已還原備份',
+    restoreFailed: '還原失敗：{error}',
+    readFailed: '無法讀取備份：{error}',
+    added: '新增',
+    skipped: '略過',
+    conflicts: '衝突',
+    tables: {
+      users: '使用者',
+      participants: '參與者',
+      sketches: '素描',
+      sketchImages: '影像',
+      detections: '偵測結果',
+      daprScores: '分數',
+      revisions: '修訂紀錄',
+      scoringProfiles: '計分設定',
+      normTables: '常模表',
+    },
+    errors: {
+      notJson: '檔案不是有效的 JSON',
+      notArchive: '檔案不是 AlphaDAPR 備份',
+      archiveTooNew: '備份格式 {version} 比此版本程式支援的更新',
+      schemaTooNew: '備份來自資料庫版本 {version}，比此程式（版本 {current}）更新，請先更新程式',
+      badTable: '備份中的 {table} 資料已損壞',
+      badMode: '未知的還原方式「{mode}」',
+    },
+  },
+  participants: {
+    title: '👤 參與者',
+    create: '新增參與者',
+    intro: '參與者以化名代碼識別。將每張草圖連結至參與者與施測次數，即可追蹤其壓力與資源分數在各次施測間的變化（例如介入前後）。',
+    empty: '尚無參與者',
+    code: '代碼',
+    codePlaceholder: '例如 P-0001',
+    birthDate: '出生日期',
+    gender: '性別',
+    group: '組別 / 條件',
+    groupPlaceholder: '例如 介入組、對照組',
+    notes: '備註',
+    pseudonymHint: '請勿輸入姓名或其他可識別身分的資訊；代碼與個人的對照表請保存在本系統之外。',
+    sketchCount: '草圖數',
+    view: '開啟',
+    back: '返回參與者列表',
+    createTitle: '新增參與者',
+    editTitle: '編輯參與者',
+    saved: '參與者已儲存',
+    saveFailed: '儲存參與者失敗: {error}',
+    loadFailed: '載入參與者失敗',
+    deleteTitle: '刪除參與者',
+    confirmDelete: '確定刪除參與者 {code}？其 {count} 張草圖會保留，但不再連結至參與者。',
+    deleteFailed: '刪除參與者失敗: {error}',
+    drawSession: '繪製第 {session} 次',
+    sessions: '施測紀錄',
+    session: '次數',
+    sessionLabel: '第{session}次',
+    date: '日期',
+    age: '年齡',
+    sketch: '草圖',
+    notScored: '尚未評分',
+    noSessions: '此參與者尚無連結的草圖',
+    chartTitle: '各次施測分數',
+    itemsTitle: '各次施測的 DAPR 項目',
+    item: '項目',
+    measure: '分數',
+    change: '變化',
+    compareTitle: '前後測比較',
+    pre: '前測',
+    post: '後測',
+    noItemChanges: '沒有項目分數改變',
+    needTwoSessions: '至少需要兩次已評分的施測才能比較',
+    errors: {
+      codeRequired: '請輸入參與者代碼',
+      codeTaken: '參與者代碼 {code} 已被使用',
+      badBirthDate: '出生日期格式須為 YYYY-MM-DD',
+      badGender: '未知的性別「{gender}」',
+      notFound: '找不到參與者',
+    },
+  },
+  revisions: {
+    title: '🕘 修訂歷史',
+    empty: '尚無修訂紀錄',
+    compare: '比較',
+    current: '目前',
+    date: '時間',
+    action: '變更',
+    author: '操作者',
+    detections: '偵測數',
+    restore: '復原此版',
+    restoreTitle: '復原修訂',
+    confirmRestore: '將修訂 #{number} 設為目前結果？目前的結果仍會保留在歷史中。',
+    restored: '已復原修訂 #{number}',
+    restoreFailed: '復原修訂失敗: {error}',
+    loadFailed: '載入修訂歷史失敗',
+    diffTitle: '#{before} → #{after} 的變更',
+    noItemChanges: '沒有項目分數改變',
+    box: '框選',
+    change: '變更',
+    actions: {
+      analysis: '分析',
+      correction: '校正',
+      rescore: '重新計分',
+      rating: '臨床評分',
+      restore: '復原',
+      legacy: '既有結果',
+    },
+    details: {
+      removed: '移除 {count} 個偵測',
+      added: '新增 {count} 個偵測',
+      edited: '修改 {count} 個偵測',
+      restored: '自 #{number}',
+    },
+    boxChanges: {
+      added: '新增',
+      removed: '移除',
+      moved: '移動',
+      relabelled: '改類別',
+    },
+    fields: {
+      detector: '偵測器',
+      model: '模型',
+      strategy: '策略',
+      profile: '計分設定',
+    },
+  },
+  dataset: {
+    title: '訓練資料集匯出',
+    intro: '將已分析的畫作連同目前的框選（含臨床人員的修正）匯出為物件偵測訓練資料集（ZIP），用於重新訓練偵測模型。',
+    optionsTitle: '選項',
+    format: '格式',
+    formats: { yolo: 'YOLO', coco: 'COCO' },
+    formatHints: {
+      yolo: '每個分割各有 images/ 與 labels/，並附 data.yaml；類別編號依模型的類別順序。',
+      coco: '每個分割各有 images/，並附 annotations/instances_train.json 與 instances_val.json。',
+    },
+    onlyCorrected: '僅限已修正',
+    onlyCorrectedHint: '只包含有人新增、編輯或刪除過框選的畫作。',
+    dateRange: '建立日期',
+    from: '開始',
+    to: '結束',
+    valRatio: '驗證集比例',
+    minConfidence: '最低信心值',
+    minConfidenceHint: '低於此值的模型框選不匯出；手動繪製或編輯過的框選一律保留。',
+    seed: '分割種子',
+    seedHint: '相同的種子與選項會得到相同的訓練／驗證分割。',
+    previewTitle: '預覽',
+    sketches: '畫作',
+    train: '訓練',
+    val: '驗證',
+    class: '類別',
+    boxes: '框選數',
+    unknownClass: '{count} 個框選的類別不在模型類別中，已略過。',
+    download: '下載 {format} ZIP',
+    downloaded: '已匯出 {sketches} 張畫作、{boxes} 個框選',
+    missingImages: '{count} 張畫作因缺少圖片而略過',
+    previewFailed: '無法載入預覽：{error}',
+    exportFailed: '匯出失敗：{error}',
+  },
+  evaluation: {
+    title: '偵測器評估',
+    intro: '以一組圖片的標準答案框評估偵測器：各類別的精確率、召回率與 AP、混淆矩陣、PR 曲線、F1 最佳的類別閾值、空白區域過濾（MIN_INK_RATIO），以及由偵測框計分的 DAPR 項目與由標準答案計分的結果有多一致。',
+    groundTruthTitle: '圖片與標準答案',
+    chooseFiles: '選擇檔案',
+    chooseFolder: '選擇資料夾',
+    filesHint: '連同圖片一起選取 YOLO 標註檔（同檔名的 .txt；若一併選取 data.yaml 或 classes.txt 則依其類別編號，否則依模型的類別順序）或 COCO instances .json 檔。解壓縮後的訓練資料集匯出可直接選取資料夾。',
+    format: '格式',
+    images: '圖片',
+    truthBoxes: '標準答案框',
+    unknownClass: '未知類別',
+    unpairedImages: '無標註的圖片',
+    unpairedAnnotations: '無圖片的標註',
+    runTitle: '執行',
+    model: '模型',
+    detector: '偵測器',
+    floor: '信心值下限',
+    nonModelWarning: '目前的偵測器不是 AI 模型，評估結果無法反映模型表現。請至首頁切換偵測器。',
+    stages: { detect: '偵測中', score: '計分中' },
+    run: '評估 {count} 張圖片',
+    summaryTitle: '摘要',
+    downloadReport: '下載報告（JSON）',
+    setting: '設定',
+    settings: { current: '目前', suggested: '建議' },
+    precision: '精確率',
+    recall: '召回率',
+    threshold: '閾值',
+    meanIoU: '平均 IoU',
+    classesTitle: '各類別',
+    classesHint: '配對需 IoU ≥ 0.5（AP75 與 AP50-95 採更嚴格的重疊）。建議閾值為在建議的 MIN_INK_RATIO 下使各類別 F1 最高的值；配對框的平均 IoU 反映框選品質。',
+    curvesTitle: '精確率–召回率曲線（IoU 0.5）',
+    curvesHint: '標記為各類別的建議閾值。',
+    confusionTitle: '混淆矩陣（IoU 0.5）',
+    truthPredicted: '標準答案 \\ 偵測',
+    confusionHint: '列為標準答案，欄為偵測結果。背景欄為漏偵測的框，背景列為誤偵測。',
+    background: '背景',
+    inkTitle: '空白區域過濾',
+    inkHint: '各 MIN_INK_RATIO（pipeline.js）下、每個類別採最佳閾值時的 F1。建議值為 F1 最高者。',
+    snippetTitle: '建議設定（閾值位於 models/manifest.json）：',
+    agreementTitle: 'DAPR 項目一致性',
+    agreementSummary: '總分相同 {exact}；平均絕對差：總分 {total}、壓力 {stress}、資源 {resource}',
+    truthPositive: '計分（標準答案）',
+    predictedPositive: '計分',
+    agreement: '一致率',
+    agreementHint: '以目前的計分設定，分別由同一張圖片的偵測框與標準答案框計分的自動項目。κ 為 Cohen\'s kappa；雙方皆未曾計分該項目時顯示「-」。',
+    nothingPaired: '沒有圖片能與標準答案配對',
+    readFailed: '無法讀取檔案：{error}',
+    cancelled: '已取消評估',
+    runFailed: '評估失敗：{error}',
+    mixedDetectors: '{image} 由 {detector}（{model}）分析，而 {first} 由 {firstDetector}（{firstModel}）分析；不同偵測器的結果無法合併評估',
+  },
+  errors: {
+    sketchNotFound: '找不到草圖',
+    notScored: '尚未評分',
+    imageNotFound: '草圖沒有影像',
+    revisionNotFound: '找不到修訂紀錄',
+    detectionNotFound: '找不到偵測結果',
+  },
+  interpretations: {
+    adequate: '資源充足，壓力因應能力良好',
+    more_resources: '資源略多於壓力，因應能力尚可',
+    balanced: '壓力與資源大致平衡',
+    more_stress: '壓力略多於資源，需關注因應策略',
+    significant_stress: '壓力顯著高於資源，建議進一步評估',
+  },
+  normInterpretations: {
+    well_above: '因應資源明顯高於常模組',
+    above: '因應資源略高於常模組',
+    within: '與常模組相當',
+    below: '因應資源略低於常模組，需關注因應策略',
+    well_below: '因應資源明顯低於常模組，建議進一步評估',
+  },
+  schemes: {
+    'lack-1996': {
+      name: 'Lack (1996)',
+      description: '原始 35 項量表：資源 19 項、壓力 16 項，每項 0/1 分',
+    },
+    'lack-1996-automated': {
+      name: 'Lack (1996) 自動評分子量表',
+      description: 'Lack (1996) 的子量表，並非另一套評分方案：只計 AI 可自動評分的 20 項，便於不同資料集間比較偵測模型的影響。合作者使用的已發表變體請透過 defineWeightedScheme 註冊。',
+    },
+  },
+  details: {
+    basis: { mask: '遮罩', bbox: '邊框' },
+    side: { left: '左', right: '右' },
+    no_rain: '畫面中沒有雨',
+    excess_rain: '雨量過多（{count} 個）',
+    rain_hitting_person: '雨與人物重疊（{basis}，{pairs} 組）',
+    stormy_rain: '斜雨，偏離垂直 {tilt}°（向{side}傾斜）',
+    stormy_rain_vertical: '雨接近垂直落下（偏離垂直 {tilt}°）',
+    lightning: '有閃電（{count} 個）',
+    lightning_hits: '閃電靠近人物（{distance} px）',
+    puddles: '有水窪（{count} 個）',
+    standing_in_puddle: '人物站在水窪中（{basis}）',
+    clouds: '有雲（{count} 個）',
+    dark_clouds: '烏雲或塗暗的雲（暗度 {darkness}%，填色 {fill}%）',
+    dark_clouds_light: '雲色淺（暗度 {darkness}%，填色 {fill}%）',
+    no_person: '畫面中沒有人物',
+    figure_small: '人物過小（{inches} 英吋）',
+    figure_large: '人物過大（{inches} 英吋）',
+    body_exposed: '身體暴露在雨中，沒有保護',
+    umbrella_present: '有雨傘（{count} 把）',
+    umbrella_covers: '雨傘遮住人物（{basis}）',
+    figure_appropriate_size: '人物大小適中（{inches} 英吋）',
+    complete_person: '有人物（{count} 個）',
+    multiple_resources: '多項資源（{count} 個）',
+    centered_figure: '人物位於畫面中央（距中心 {offset} px）',
+  },
+  items: {
+    no_rain: { label: '沒有雨', description: '沒有畫雨', keyword: '#沒有雨' },
+    excess_rain: { label: '雨量過多', description: '雨量過多（超過閾值）', keyword: '#雨量過多' },
+    rain_hitting_person: { label: '雨打到人', description: '雨直接打在人物身上', keyword: '#雨打到人' },
+    stormy_rain: { label: '斜雨', description: '風雨交加、斜向的雨', keyword: '#斜雨' },
+    lightning: { label: '閃電', description: '畫面中有閃電', keyword: '#閃電' },
+    lightning_hits: { label: '閃電擊中人物', description: '閃電擊中或靠近人物', keyword: '#閃電擊中' },
+    puddles: { label: '水窪', description: '畫面中有水窪', keyword: '#水窪' },
+    standing_in_puddle: { label: '站在水窪中', description: '人物站在水窪中', keyword: '#站在水窪' },
+    clouds: { label: '雲', description: '畫面中有雲', keyword: '#雲' },
+    dark_clouds: { label: '烏雲', description: '烏雲或塗暗的雲', keyword: '#烏雲' },
+    no_person: { label: '沒有人物', description: '沒有畫人物', keyword: '#沒有人物' },
+    figure_small: { label: '人物過小', description: '人物過小（低於下限）', keyword: '#人物過小' },
+    figure_large: { label: '人物過大', description: '人物過大（高於上限）', keyword: '#人物過大' },
+    no_facial_features: { label: '沒有五官', description: '人物沒有臉部特徵', keyword: '#沒有五官' },
+    body_exposed: { label: '身體暴露', description: '身體暴露在雨中', keyword: '#身體暴露' },
+    sad_expression: { label: '悲傷表情', description: '悲傷或痛苦的表情', keyword: '#悲傷表情' },
+    umbrella_present: { label: '雨傘', description: '畫面中有雨傘', keyword: '#雨傘' },
+    umbrella_covers: { label: '雨傘遮蔽', description: '雨傘遮住人物', keyword: '#雨傘遮蔽' },
+    umbrella_intact: { label: '雨傘完整', description: '雨傘完整且可使用', keyword: '#雨傘完整' },
+    raincoat: { label: '雨衣', description: '雨衣或防護衣物', keyword: '#雨衣' },
+    boots: { label: '雨靴', description: '雨靴或雨鞋', keyword: '#雨靴' },
+    hat: { label: '帽子', description: '帽子或頭部遮蔽', keyword: '#帽子' },
+    shelter: { label: '遮蔽處', description: '遮蔽處或建築物', keyword: '#遮蔽處' },
+    figure_appropriate_size: { label: '人物大小適中', description: '人物大小適中', keyword: '#大小適中' },
+    grounded_figure: { label: '人物著地', description: '人物站在地面上', keyword: '#人物著地' },
+    complete_person: { label: '完整人物', description: '畫出完整的人物', keyword: '#完整人物' },
+    facial_features: { label: '有五官', description: '人物有臉部特徵', keyword: '#有五官' },
+    smiling: { label: '微笑', description: '人物微笑或愉快', keyword: '#微笑' },
+    movement: { label: '動作', description: '人物有動作或行動', keyword: '#動作' },
+    sun_present: { label: '太陽或彩虹', description: '畫面中有太陽或彩虹', keyword: '#太陽彩虹' },
+    flowers_nature: { label: '花草自然', description: '花朵或自然元素', keyword: '#花草自然' },
+    multiple_resources: { label: '多項資源', description: '有多項保護資源', keyword: '#多項資源' },
+    detailed_drawing: { label: '細節豐富', description: '畫面細緻、用心', keyword: '#細節豐富' },
+    centered_figure: { label: '人物置中', description: '人物位於畫面中央', keyword: '#人物置中' },
+    appropriate_proportions: { label: '比例適當', description: '人物比例適當', keyword: '#比例適當' },
+  },
+}
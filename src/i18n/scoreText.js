@@ -0,0 +1,85 @@
+// src/i18n/scoreText.js
+// Display text for stored scores. Score records keep language-neutral keys — item names, detail messages
+// ({ key, params }, see scoring.js) and interpretation keys — and are translated here in the current language.
+// Records saved before these keys existed fall back to their stored English / mixed-language text.
+import { t, te } from './index'
+import { DEFAULT_PROFILE, getInterpretationKey } from '../services/scoring'
+
+/**
+ * @param {string} name - STRESS_ITEMS / RESOURCE_ITEMS name
+ */
+export function itemLabel(name) {
+  return te(`items.${name}.label`) ? t(`items.${name}.label`) : name
+}
+
+/**
+ * @param {{name: string, description?: string}} item
+ */
+export function itemDescription(item) {
+  return te(`items.${item.name}.description`) ? t(`items.${item.name}.description`) : (item.description ?? '')
+}
+
+/**
+ * @param {string} name
+ */
+export function itemKeyword(name) {
+  return te(`items.${name}.keyword`) ? t(`items.${name}.keyword`) : `#${name}`
+}
+
+/**
+ * What the detector found for a scored item
+ * @param {{message?: {key: string, params: Object}, detail?: string}} item
+ * @returns {string|null}
+ */
+export function itemDetail(item) {
+  if (!item.message) return item.detail ?? null
+  const { key, params = {} } = item.message
+  if (!te(`details.${key}`)) return item.detail ?? null
+  const values = { ...params }
+  if (params.basis) values.basis = t(`details.basis.${params.basis}`)
+  if (params.side) values.side = t(`details.side.${params.side}`)
+  return t(`details.${key}`, values)
+}
+
+/**
+ * Interpretation of a stored score (daprScores record)
+ * @param {Object} score
+ */
+export function interpretationText(score) {
+  const key = score.interpretationKey
+    ?? getInterpretationKey(score.totalScore, score.interpretationCutoffs ?? DEFAULT_PROFILE.interpretationCutoffs)
+  return t(`interpretations.${key}`)
+}
+
+/**
+ * @param {string} key - norms.js NORM_INTERPRETATION_KEYS
+ */
+export function normInterpretationText(key) {
+  return t(`normInterpretations.${key}`)
+}
+
+/**
+ * @param {'stress'|'resource'} category
+ */
+export function categoryLabel(category) {
+  return t(`categories.${category}`)
+}
+
+/**
+ * Name and description of a scoring scheme; schemes without catalog entries show their own text
+ * @param {{id: string, name: string, description?: string}} scheme
+ */
+export function schemeText(scheme) {
+  return {
+    name: te(`schemes.${scheme.id}.name`) ? t(`schemes.${scheme.id}.name`) : scheme.name,
+    description: te(`schemes.${scheme.id}.description`) ? t(`schemes.${scheme.id}.description`) : (scheme.description ?? ''),
+  }
+}
+
+/**
+ * @param {string|null} gender - norms.js GENDERS id, or 'all' for norm groups
+ */
+export function genderLabel(gender) {
+  if (!gender) return '-'
+  return te(`genders.${gender}`) ? t(`genders.${gender}`) : gender
+}
@@ -2,12 +2,14 @@ import { createApp } from 'vue'
 import { createPinia } from 'pinia'
 import ElementPlus from 'element-plus'
 import 'element-plus/dist/index.css'
-import zhTw from 'element-plus/dist/locale/zh-tw.mjs'
 import App from './App.vue'
 import router from './router'
+import i18n from './i18n'
 
 const app = createApp(App)
 app.use(createPinia())
 app.use(router)
-app.use(ElementPlus, { locale: zhTw })
+// Element Plus locale follows the UI language via <el-config-provider> in App.vue
+app.use(ElementPlus)
+app.use(i18n)
 app.mount('#app')
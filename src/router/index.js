@@ -4,7 +4,14 @@ const routes = [
   { path: '/', name: 'Home', component: () => import('../views/HomeView.vue') },
   { path: '/sketches', name: 'Sketches', component: () => import('../views/SketchListView.vue') },
   { path: '/dashboard/:sketchId', name: 'Dashboard', component: () => import('../views/DashboardView.vue') },
+  { path: '/participants', name: 'Participants', component: () => import('../views/ParticipantsView.vue') },
+  { path: '/participants/:participantId', name: 'Participant', component: () => import('../views/ParticipantDetailView.vue') },
   { path: '/draw', name: 'Draw', component: () => import('../views/DrawingView.vue') },
+  { path: '/settings/scoring', name: 'ScoringProfiles', component: () => import('../views/ScoringProfilesView.vue') },
+  { path: '/settings/norms', name: 'NormTables', component: () => import('../views/NormTablesView.vue') },
+  { path: '/settings/backup', name: 'Backup', component: () => import('../views/BackupView.vue') },
+  { path: '/settings/dataset', name: 'DatasetExport', component: () => import('../views/DatasetExportView.vue') },
+  { path: '/settings/evaluation', name: 'Evaluation', component: () => import('../views/EvaluationView.vue') },
 ]
 
 const router = createRouter({
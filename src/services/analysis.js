@@ -1,91 +1,266 @@
 // src/services/analysis.js
-// Analysis pipeline: detection → scoring → persist to IndexedDB
-import { detectObjects } from './detection'
-import { calculateDAPRScore } from './scoring'
+// Analysis pipeline: detection → scoring → persist to IndexedDB (browser I/O around the pure stages in assessment.js)
+import { detectWithProvenance, CLASS_NAMES } from './detection'
+import { getActiveProfile, getProfile } from './profiles'
+import { assessDetections, toScoringFormat } from './assessment'
+import { estimateUncertainty } from './uncertainty'
+import { analyzeDrawingProcess } from './processAnalysis'
+import { getActiveModel } from './models'
+import { DEFAULT_SCHEME_ID, getScheme } from './schemes'
+import { loadImage } from './images'
+import { t } from '../i18n'
 import {
-  saveDetections,
-  saveDAPRScore,
+  saveAnalysis,
+  saveRescore,
   getDetections,
   getDAPRScore,
+  getSchemeScores,
   getSketchById,
+  getSketchImage,
   deleteDetection,
   addDetection,
+  updateDetection,
+  putDetection,
+  saveScoreUncertainty,
+  updateClinicianRatings,
 } from './db'
 
+const ACTIVE_SCHEMES_KEY = 'dapr_scoring_schemes'
+
+/**
+ * Scoring schemes run by every analysis (see schemes.js); always includes the default scheme
+ * @returns {string[]}
+ */
+export function getActiveSchemeIds() {
+  let stored = []
+  try {
+    stored = JSON.parse(localStorage.getItem(ACTIVE_SCHEMES_KEY) || '[]')
+  } catch {
+    // Corrupt value: fall back to the default scheme
+  }
+  const ids = Array.isArray(stored) ? stored.filter((id) => getScheme(id)) : []
+  return [...new Set([DEFAULT_SCHEME_ID, ...ids])]
+}
+
+/**
+ * @param {string[]} schemeIds
+ */
+export function setActiveSchemeIds(schemeIds) {
+  localStorage.setItem(ACTIVE_SCHEMES_KEY, JSON.stringify(schemeIds.filter((id) => id !== DEFAULT_SCHEME_ID)))
+}
+
 /**
- * Convert detection bbox [x1, y1, x2, y2] to scoring format {bbox_x, bbox_y, bbox_w, bbox_h}
+ * Extract provenance fields from a stored score or detection record
  */
-function toScoringFormat(detections) {
-  return detections.map((d) => ({
-    category: d.category,
-    bbox_x: d.bbox?.[0] ?? d.bbox_x ?? 0,
-    bbox_y: d.bbox?.[1] ?? d.bbox_y ?? 0,
-    bbox_w: (d.bbox ? d.bbox[2] - d.bbox[0] : d.bbox_w) ?? 0,
-    bbox_h: (d.bbox ? d.bbox[3] - d.bbox[1] : d.bbox_h) ?? 0,
-    confidence: d.confidence,
-  }))
+function pickProvenance(record) {
+  return {
+    detector: record?.detector ?? null,
+    modelId: record?.modelId ?? null,
+    modelVersion: record?.modelVersion ?? null,
+    modelHash: record?.modelHash ?? null,
+    strategy: record?.strategy ?? null,
+    imageHash: record?.imageHash ?? null,
+    seed: record?.seed ?? null,
+    fallbackReason: record?.fallbackReason ?? null,
+  }
 }
 
 /**
  * Run full analysis pipeline on a sketch
  * @param {number} sketchId
- * @param {Object} options - { useOnnx: false, confidenceThreshold: 0.25 }
- * @returns {Promise<{detections: Array, daprScore: Object}>}
+ * @param {Object} options - { detector, modelId, strategy, confidenceThreshold, onProgress, signal } (see detectObjects),
+ *   plus { profile, schemes } for scoring (default: the active scoring profile and schemes)
+ *   and { author } recorded on the revision (see revisions.js)
+ * @returns {Promise<{detections: Array, daprScore: Object, schemeScores: Object, provenance: Object}>}
  */
 export async function runAnalysis(sketchId, options = {}) {
   const sketch = await getSketchById(sketchId)
-  if (!sketch) throw new Error('找不到草圖')
-
-  const img = await loadImage(sketch.imageDataUrl)
-  const detections = await detectObjects(img, options)
+  if (!sketch) throw new Error(t('errors.sketchNotFound'))
 
-  // saveDetections also marks sketch.analyzed = true
-  await saveDetections(sketchId, detections)
+  const img = await loadSketchImage(sketchId)
+  const { detections: rawDetections, provenance } = await detectWithProvenance(img, options)
+  const profile = options.profile ?? await getActiveProfile()
 
-  const scoringObjects = toScoringFormat(detections)
-  const daprScore = calculateDAPRScore(scoringObjects, img.width, img.height)
-  await saveDAPRScore(sketchId, daprScore)
+  // Score before writing anything, then store the whole result at once. Evidence refers to detections by id,
+  // so the boxes get temporary ids that saveAnalysis rewrites to the stored ones.
+  const assessed = assessDetections(rawDetections.map((d, i) => ({ ...d, id: i + 1 })), {
+    strokes: sketch.strokeData?.strokes,
+    imageData: getImageData(img),
+    calibration: sketch.calibration,
+  }, profile, options.schemes ?? getActiveSchemeIds())
+  const { detections, schemeScores } = await saveAnalysis(sketchId, {
+    detections: assessed.detections,
+    schemeScores: assessed.schemeScores,
+    process: analyzeDrawingProcess(sketch.strokeData, assessed.detections),
+    provenance,
+    revision: { action: 'analysis', author: options.author ?? null },
+  })
+  const daprScore = schemeScores[DEFAULT_SCHEME_ID]
 
-  return { detections, daprScore }
+  return { detections, daprScore, schemeScores, provenance }
 }
 
 /**
  * Re-calculate score after manual corrections (remove/add detections)
  * @param {number} sketchId
- * @returns {Promise<{detections: Array, daprScore: Object}>}
+ * @param {Object} [options] - { profile, schemes, author, action, detail, clinicianRatings }
+ *   profile default: the profile version that produced the current score, or the active profile if there is none
+ *   schemes default: the schemes the sketch already has scores for, so none of them go stale
+ *   author, action (default 'rescore') and detail are recorded on the revision (see revisions.js)
+ *   clinicianRatings: new ratings of the sketch, stored together with the scores they are merged into
+ * @returns {Promise<{detections: Array, daprScore: Object, schemeScores: Object}>}
  */
-export async function recalculateScore(sketchId) {
+export async function recalculateScore(sketchId, options = {}) {
   const sketch = await getSketchById(sketchId)
-  const img = await loadImage(sketch.imageDataUrl)
-  const detections = await getDetections(sketchId)
+  const img = await loadSketchImage(sketchId)
+  const previous = await getDAPRScore(sketchId)
+  // Corrections are scored with the same rules as the original score unless a profile is given
+  const profile = options.profile
+    ?? (previous?.profileId && await getProfile(previous.profileId, previous.profileVersion))
+    ?? await getActiveProfile()
 
-  const scoringObjects = toScoringFormat(detections)
-  const daprScore = calculateDAPRScore(scoringObjects, img.width, img.height)
-  await saveDAPRScore(sketchId, daprScore)
+  // Re-measure: manual boxes have no measurements and moved boxes cover different pixels
+  const schemes = options.schemes ?? (await getSchemeScores(sketchId)).map((s) => s.schemeId).filter((id) => getScheme(id))
+  const { detections, daprScore, schemeScores } = assessDetections(await getDetections(sketchId), {
+    strokes: sketch.strokeData?.strokes,
+    imageData: getImageData(img),
+    calibration: sketch.calibration,
+  }, profile, schemes)
+  await saveRescore(sketchId, {
+    detections,
+    schemeScores,
+    // Strokes are re-assigned because boxes may have been added, removed or moved
+    process: analyzeDrawingProcess(sketch.strokeData, detections),
+    // Corrections keep the provenance of the model that produced the original detections
+    provenance: pickProvenance(previous),
+    revision: { action: options.action ?? 'rescore', author: options.author ?? null, detail: options.detail ?? null },
+    clinicianRatings: options.clinicianRatings,
+  })
 
-  return { detections, daprScore }
+  return { detections, daprScore, schemeScores }
+}
+
+/**
+ * Set, change or clear the clinician's rating of one DAPR item. A scored sketch is re-scored from its current
+ * detections, so item sources, evidence and attributes all reflect the boxes as they are now.
+ * @param {number} sketchId
+ * @param {string} itemName - STRESS_ITEMS / RESOURCE_ITEMS name
+ * @param {{score: number|null, note?: string}} rating - score null with an empty note removes the rating
+ * @param {{author?: Object}} [options] - User recorded on the revision (see revisions.js)
+ * @returns {Promise<Object|undefined>} the updated default-scheme score record, if the sketch has been scored
+ */
+export async function saveClinicianRating(sketchId, itemName, { score, note = '' }, { author = null } = {}) {
+  const sketch = await getSketchById(sketchId)
+  if (!sketch) throw new Error(t('errors.sketchNotFound'))
+  const clinicianRatings = { ...(sketch.clinicianRatings || {}) }
+  if ((score === null || score === undefined) && !note.trim()) {
+    delete clinicianRatings[itemName]
+  } else {
+    clinicianRatings[itemName] = { score: score ?? null, note: note.trim(), updatedAt: new Date().toISOString() }
+  }
+
+  if (!(await getDAPRScore(sketchId))) {
+    await updateClinicianRatings(sketchId, clinicianRatings)
+    return undefined
+  }
+  await recalculateScore(sketchId, { author, action: 'rating', detail: { item: itemName }, clinicianRatings })
+  return getDAPRScore(sketchId)
+}
+
+/**
+ * Estimate how the stored score depends on detection confidences (see uncertainty.js) and store the result
+ * on the score record. Uses the profile, calibration and clinician ratings of the current score, and the
+ * class thresholds of the model that produced the detections.
+ * @param {number} sketchId
+ * @param {Object} [options] - { schemeId, samples, seed, credibleMass, thresholdShift }
+ * @returns {Promise<Object>} the uncertainty result
+ */
+export async function estimateScoreUncertainty(sketchId, options = {}) {
+  const schemeId = options.schemeId ?? DEFAULT_SCHEME_ID
+  const sketch = await getSketchById(sketchId)
+  const current = await getDAPRScore(sketchId, schemeId)
+  if (!current) throw new Error(t('errors.notScored'))
+  const img = await loadSketchImage(sketchId)
+  const profile = (current.profileId && await getProfile(current.profileId, current.profileVersion)) ?? await getActiveProfile()
+  const model = await getActiveModel(current.modelId ?? undefined)
+
+  const uncertainty = estimateUncertainty(toScoringFormat(await getDetections(sketchId)), img.width, img.height, {
+    ...options,
+    schemeId,
+    profile,
+    calibration: sketch.calibration,
+    ratings: sketch.clinicianRatings,
+    thresholds: model.thresholds,
+  })
+  await saveScoreUncertainty(current.id, uncertainty)
+  return uncertainty
 }
 
 /**
  * Remove a detection and recalculate score
  * @param {number} sketchId
  * @param {number} detectionId
+ * @param {Object} [options] - { author }
+ * @returns {Promise<{detections: Array, daprScore: Object}>}
+ */
+export async function removeDetection(sketchId, detectionId, options = {}) {
+  return removeDetections(sketchId, [detectionId], options)
+}
+
+/**
+ * Remove several detections and recalculate the score once, as one correction revision
+ * @param {number} sketchId
+ * @param {number[]} detectionIds
+ * @param {Object} [options] - { author }
  * @returns {Promise<{detections: Array, daprScore: Object}>}
  */
-export async function removeDetection(sketchId, detectionId) {
-  await deleteDetection(detectionId)
-  return recalculateScore(sketchId)
+export async function removeDetections(sketchId, detectionIds, options = {}) {
+  for (const id of detectionIds) await deleteDetection(id)
+  return recalculateScore(sketchId, { author: options.author, action: 'correction', detail: { removed: detectionIds.length } })
 }
 
 /**
  * Add a manual detection and recalculate score
  * @param {number} sketchId
  * @param {Object} detection - { category, bbox, confidence }
+ * @param {Object} [options] - { author }
+ * @returns {Promise<{detection: Object, detections: Array, daprScore: Object}>} detection: the stored record
+ */
+export async function addManualDetection(sketchId, detection, options = {}) {
+  const added = await addDetection(sketchId, { confidence: 1, ...detection, classId: classIdOf(detection.category) })
+  const result = await recalculateScore(sketchId, { author: options.author, action: 'correction', detail: { added: 1 } })
+  return { ...result, detection: added }
+}
+
+/**
+ * Move, resize or relabel a detection and recalculate score
+ * @param {number} sketchId
+ * @param {number} detectionId
+ * @param {{bbox?: number[], category?: string}} changes
+ * @param {Object} [options] - { author }
+ * @returns {Promise<{detection: Object, detections: Array, daprScore: Object}>} detection: the updated record
+ */
+export async function editDetection(sketchId, detectionId, changes, options = {}) {
+  const updated = await updateDetection(detectionId, {
+    ...changes,
+    ...(changes.category && { classId: classIdOf(changes.category) }),
+  })
+  const result = await recalculateScore(sketchId, { author: options.author, action: 'correction', detail: { edited: 1 } })
+  return { ...result, detection: updated }
+}
+
+/**
+ * Put a detection back into an earlier state (undo / redo in the box editor) and recalculate score
+ * @param {number} sketchId
+ * @param {number} detectionId
+ * @param {Object|null} record - Complete record to write back, or null to delete the detection
+ * @param {Object} [options] - { author, detail } - detail: what the change amounts to, e.g. { removed: 1 }
  * @returns {Promise<{detections: Array, daprScore: Object}>}
  */
-export async function addManualDetection(sketchId, detection) {
-  await addDetection(sketchId, detection)
-  return recalculateScore(sketchId)
+export async function restoreDetection(sketchId, detectionId, record, options = {}) {
+  if (record) await putDetection(record)
+  else await deleteDetection(detectionId)
+  return recalculateScore(sketchId, { author: options.author, action: 'correction', detail: options.detail ?? { edited: 1 } })
 }
 
 /**
@@ -99,12 +274,25 @@ export async function getAnalysisResults(sketchId) {
   return { detections, daprScore }
 }
 
-// Helper: load an HTMLImageElement from a data URL
-function loadImage(dataUrl) {
-  return new Promise((resolve, reject) => {
-    const img = new Image()
-    img.onload = () => resolve(img)
-    img.onerror = reject
-    img.src = dataUrl
-  })
+// Helper: class index of a category in the default model, as detections from the model carry
+function classIdOf(category) {
+  const index = CLASS_NAMES.indexOf(category)
+  return index === -1 ? null : index
+}
+
+// Helper: read the pixels of a loaded image
+function getImageData(img) {
+  const canvas = document.createElement('canvas')
+  canvas.width = img.width
+  canvas.height = img.height
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.drawImage(img, 0, 0)
+  return ctx.getImageData(0, 0, img.width, img.height)
+}
+
+// Helper: load a sketch's full-resolution image
+async function loadSketchImage(sketchId) {
+  const image = await getSketchImage(sketchId)
+  if (!image) throw new Error(t('errors.imageNotFound'))
+  return loadImage(image)
 }
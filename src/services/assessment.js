@@ -0,0 +1,59 @@
+// src/services/assessment.js
+// Pure scoring stage shared by the browser (analysis.js) and the Node batch CLI (cli/engine.js):
+// detections + pixels/strokes → measurements → DAPR score. No DOM or IndexedDB access.
+// Relative imports carry explicit .js extensions so Node can load this module without a bundler.
+import { DEFAULT_SCHEME_ID, scoreWithSchemes } from './schemes.js'
+import { measureRainOrientation } from './strokeAnalysis.js'
+import { measureIntensity } from './imageStats.js'
+
+/**
+ * Convert detection bbox [x1, y1, x2, y2] to scoring format {bbox_x, bbox_y, bbox_w, bbox_h}
+ */
+export function toScoringFormat(detections) {
+  return detections.map((d) => ({
+    id: d.id,
+    category: d.category,
+    bbox_x: d.bbox?.[0] ?? d.bbox_x ?? 0,
+    bbox_y: d.bbox?.[1] ?? d.bbox_y ?? 0,
+    bbox_w: (d.bbox ? d.bbox[2] - d.bbox[0] : d.bbox_w) ?? 0,
+    bbox_h: (d.bbox ? d.bbox[3] - d.bbox[1] : d.bbox_h) ?? 0,
+    confidence: d.confidence,
+    measurements: d.measurements ?? null,
+    mask: d.mask ?? null,
+  }))
+}
+
+/**
+ * Attach measurements that scoring items cannot read from the bbox alone:
+ * rain direction for stormy_rain (strokes or pixels) and ink/tone statistics for dark_clouds
+ * @param {Array} detections - bbox as [x1, y1, x2, y2]
+ * @param {Object} sources - { strokes, imageData }
+ * @returns {Array} detections with a `measurements` object
+ */
+export function measureDetections(detections, { strokes, imageData }) {
+  const orientations = measureRainOrientation(detections, { strokes, imageData })
+  const intensities = measureIntensity(detections, imageData)
+  return detections.map((d, i) => ({
+    ...d,
+    measurements: { ...(d.measurements || {}), orientation: orientations[i], intensity: intensities[i] },
+  }))
+}
+
+/**
+ * Measure detections and score them
+ * @param {Array} detections - bbox as [x1, y1, x2, y2]
+ * @param {Object} sources
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} sources.imageData - RGBA pixels of the drawing
+ * @param {Array} [sources.strokes] - Recorded strokes, when the drawing was made in DrawingView
+ * @param {Object} [sources.calibration] - Physical-size calibration of the sketch (see calibration.js)
+ * @param {Object} [profile] - Scoring profile shared by all schemes (default: DEFAULT_PROFILE)
+ * @param {string[]} [schemeIds] - Scoring schemes to run (see schemes.js); the default scheme always runs
+ * @returns {{ detections: Array, daprScore: Object, schemeScores: Object<string, Object> }}
+ *   detections with measurements, the default scheme's score, and every scheme's score by id
+ */
+export function assessDetections(detections, { imageData, strokes, calibration }, profile, schemeIds = []) {
+  const measured = measureDetections(detections, { strokes, imageData })
+  const ids = [...new Set([DEFAULT_SCHEME_ID, ...schemeIds])]
+  const schemeScores = scoreWithSchemes(ids, toScoringFormat(measured), imageData.width, imageData.height, profile, calibration)
+  return { detections: measured, daprScore: schemeScores[DEFAULT_SCHEME_ID], schemeScores }
+}
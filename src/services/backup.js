@@ -0,0 +1,86 @@
+// src/services/backup.js
+// Whole-database backup: every IndexedDB table in one versioned JSON archive, and restore by merge or replace.
+// Stroke data is stored in the sketch records. Since schema v4 the full images are Blobs in the sketchImages table;
+// the archive holds them as data URLs ({ sketchId, dataUrl }, see db.js exportTables), so it is self-contained JSON.
+//
+// Archive format:
+//   {
+//     format: 'alphadapr-backup', archiveVersion,
+//     schemaVersion,                 Dexie schema version of the database that wrote it (db.js)
+//     exportedAt,
+//     counts: { [table]: number },
+//     tables: { [table]: [records] }   see db.js BACKUP_TABLES
+//   }
+import { SCHEMA_VERSION, BACKUP_TABLES, exportTables, importTables } from './db'
+import { t } from '../i18n'
+
+export const ARCHIVE_FORMAT = 'alphadapr-backup'
+export const ARCHIVE_VERSION = 1
+
+export const RESTORE_MODES = ['merge', 'replace']
+
+/**
+ * Build an archive of the whole database
+ * @returns {Promise<Object>}
+ */
+export async function createBackup() {
+  const tables = await exportTables()
+  return {
+    format: ARCHIVE_FORMAT,
+    archiveVersion: ARCHIVE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    counts: Object.fromEntries(Object.entries(tables).map(([name, records]) => [name, records.length])),
+    tables,
+  }
+}
+
+/**
+ * @param {Date} [date]
+ * @returns {string} e.g. alphadapr-backup-2024-05-01.json
+ */
+export function backupFileName(date = new Date()) {
+  return `${ARCHIVE_FORMAT}-${date.toISOString().slice(0, 10)}.json`
+}
+
+/**
+ * Parse and check an archive file. Archives from older schema versions are accepted (tables they lack are
+ * empty); archives written by a newer version of the app are rejected, since their records may not fit.
+ * @param {string} text - File contents
+ * @returns {Object} the archive
+ * @throws {Error} when the file is not a backup archive or is too new
+ */
+export function parseBackup(text) {
+  let archive
+  try {
+    archive = JSON.parse(text)
+  } catch {
+    throw new Error(t('backup.errors.notJson'))
+  }
+  if (archive?.format !== ARCHIVE_FORMAT || !archive.tables || typeof archive.tables !== 'object') {
+    throw new Error(t('backup.errors.notArchive'))
+  }
+  if (!(archive.archiveVersion <= ARCHIVE_VERSION)) {
+    throw new Error(t('backup.errors.archiveTooNew', { version: archive.archiveVersion }))
+  }
+  if (!(archive.schemaVersion <= SCHEMA_VERSION)) {
+    throw new Error(t('backup.errors.schemaTooNew', { version: archive.schemaVersion, current: SCHEMA_VERSION }))
+  }
+  for (const name of BACKUP_TABLES) {
+    if (archive.tables[name] !== undefined && !Array.isArray(archive.tables[name])) {
+      throw new Error(t('backup.errors.badTable', { table: name }))
+    }
+  }
+  return archive
+}
+
+/**
+ * Restore an archive (see db.js importTables for how ids are remapped)
+ * @param {Object} archive - From parseBackup
+ * @param {{mode: 'merge'|'replace'}} options
+ * @returns {Promise<Object<string, {added: number, skipped: number, conflicts: number}>>} counts by table name
+ */
+export async function restoreBackup(archive, { mode }) {
+  if (!RESTORE_MODES.includes(mode)) throw new Error(t('backup.errors.badMode', { mode }))
+  return importTables(archive.tables, { mode })
+}
@@ -0,0 +1,119 @@
+// src/services/boxEditor.js
+// Geometry of the Dashboard's bounding-box editor: which part of which box is under the pointer, and the box
+// a drag produces. All coordinates are image pixels; bboxes are [x1, y1, x2, y2] with x1 < x2 and y1 < y2.
+//
+// Handles: 'nw' | 'n' | 'ne' | 'e' | 'se' | 's' | 'sw' | 'w' resize from that corner or edge, 'move' drags
+// the whole box.
+
+// Boxes smaller than this (px) are treated as accidental clicks when drawing
+export const MIN_BOX_SIZE = 8
+
+// CSS cursor per handle
+export const HANDLE_CURSORS = {
+  nw: 'nwse-resize',
+  se: 'nwse-resize',
+  ne: 'nesw-resize',
+  sw: 'nesw-resize',
+  n: 'ns-resize',
+  s: 'ns-resize',
+  e: 'ew-resize',
+  w: 'ew-resize',
+  move: 'move',
+}
+
+/**
+ * Handle of a box under a point
+ * @param {number[]} bbox
+ * @param {number[]} point - [x, y]
+ * @param {number} tolerance - Distance (px) from an edge that still grabs it
+ * @returns {string|null} handle, or null when the point is outside the box
+ */
+function handleAt([x1, y1, x2, y2], [x, y], tolerance) {
+  if (x < x1 - tolerance || x > x2 + tolerance || y < y1 - tolerance || y > y2 + tolerance) return null
+  const vertical = Math.abs(y - y1) <= tolerance ? 'n' : Math.abs(y - y2) <= tolerance ? 's' : ''
+  const horizontal = Math.abs(x - x1) <= tolerance ? 'w' : Math.abs(x - x2) <= tolerance ? 'e' : ''
+  return vertical + horizontal || 'move'
+}
+
+/**
+ * The box and handle under a point. Edges win over box interiors, and among overlapping boxes the smallest
+ * one wins, so boxes nested in larger ones stay reachable.
+ * @param {Array<{id: number, bbox: number[]}>} detections
+ * @param {number[]} point - [x, y]
+ * @param {number} tolerance
+ * @returns {{id: number, handle: string}|null}
+ */
+export function hitTest(detections, point, tolerance) {
+  let best = null
+  for (const det of detections) {
+    const handle = handleAt(det.bbox, point, tolerance)
+    if (!handle) continue
+    const [x1, y1, x2, y2] = det.bbox
+    const rank = [handle === 'move' ? 1 : 0, (x2 - x1) * (y2 - y1)]
+    if (!best || rank[0] < best.rank[0] || (rank[0] === best.rank[0] && rank[1] < best.rank[1])) {
+      best = { id: det.id, handle, rank }
+    }
+  }
+  return best && { id: best.id, handle: best.handle }
+}
+
+/**
+ * Box spanned by two points, clipped to the image
+ * @param {number[]} from - [x, y]
+ * @param {number[]} to - [x, y]
+ * @param {{width: number, height: number}} bounds
+ * @returns {number[]} bbox
+ */
+export function boxFromPoints([ax, ay], [bx, by], bounds) {
+  return clampBox([Math.min(ax, bx), Math.min(ay, by), Math.max(ax, bx), Math.max(ay, by)], bounds)
+}
+
+/**
+ * Box after dragging one of its handles
+ * @param {number[]} bbox - Box when the drag started
+ * @param {string} handle
+ * @param {number} dx - Pointer movement since the drag started (px)
+ * @param {number} dy
+ * @param {{width: number, height: number}} bounds
+ * @returns {number[]} bbox, never smaller than MIN_BOX_SIZE and inside the image
+ */
+export function dragBox(bbox, handle, dx, dy, bounds) {
+  let [x1, y1, x2, y2] = bbox
+  if (handle === 'move') {
+    // Keep the size; stop at the image border
+    const mx = Math.min(Math.max(dx, -x1), bounds.width - x2)
+    const my = Math.min(Math.max(dy, -y1), bounds.height - y2)
+    return roundBox([x1 + mx, y1 + my, x2 + mx, y2 + my])
+  }
+  if (handle.includes('w')) x1 = Math.min(x1 + dx, x2 - MIN_BOX_SIZE)
+  if (handle.includes('e')) x2 = Math.max(x2 + dx, x1 + MIN_BOX_SIZE)
+  if (handle.includes('n')) y1 = Math.min(y1 + dy, y2 - MIN_BOX_SIZE)
+  if (handle.includes('s')) y2 = Math.max(y2 + dy, y1 + MIN_BOX_SIZE)
+  return clampBox([x1, y1, x2, y2], bounds)
+}
+
+/**
+ * @param {number[]} bbox
+ * @returns {boolean} whether the box is large enough to keep
+ */
+export function isUsableBox([x1, y1, x2, y2]) {
+  return x2 - x1 >= MIN_BOX_SIZE && y2 - y1 >= MIN_BOX_SIZE
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {boolean}
+ */
+export function sameBox(a, b) {
+  return a.every((v, i) => Math.abs(v - b[i]) < 0.5)
+}
+
+function clampBox([x1, y1, x2, y2], { width, height }) {
+  const clamp = (v, max) => Math.min(Math.max(v, 0), max)
+  return roundBox([clamp(x1, width), clamp(y1, height), clamp(x2, width), clamp(y2, height)])
+}
+
+function roundBox(bbox) {
+  return bbox.map((v) => Math.round(v * 10) / 10)
+}
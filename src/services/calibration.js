@@ -0,0 +1,170 @@
+// src/services/calibration.js
+// Physical-size calibration: how many image pixels make one inch on the original paper.
+// Used by the figure-size items (figure_small / figure_large / figure_appropriate_size).
+//
+// Calibration format (stored on sketch records as `calibration`):
+//   { source, pixelsPerInch, paperSize }
+//   source: 'paper' (canvas or scan mapped onto a paper size), 'png' / 'jfif' / 'exif' (file metadata)
+//           or 'manual' (DPI entered by the user)
+//   paperSize: PAPER_SIZES id when source is 'paper', otherwise null
+// Sketches without calibration fall back to the scoring profile's pixelsPerInch.
+
+// Portrait dimensions in inches; images are matched to the orientation of their own aspect ratio
+export const PAPER_SIZES = [
+  { id: 'letter', label: 'Letter (8.5 × 11 in)', width: 8.5, height: 11 },
+  { id: 'a4', label: 'A4 (210 × 297 mm)', width: 8.27, height: 11.69 },
+  { id: 'a5', label: 'A5 (148 × 210 mm)', width: 5.83, height: 8.27 },
+  { id: 'a3', label: 'A3 (297 × 420 mm)', width: 11.69, height: 16.54 },
+  { id: 'b5', label: 'B5 (182 × 257 mm)', width: 7.17, height: 10.12 },
+]
+
+// The Lack (1996) protocol uses letter-size paper
+export const DEFAULT_PAPER_SIZE = 'letter'
+
+// Resolutions outside this range are treated as missing metadata rather than real scan settings
+const MIN_DPI = 10
+const MAX_DPI = 4800
+
+/**
+ * @param {string} paperId
+ * @returns {Object|undefined} PAPER_SIZES entry
+ */
+export function getPaperSize(paperId) {
+  return PAPER_SIZES.find((p) => p.id === paperId)
+}
+
+/**
+ * Calibration for an image that represents a whole sheet of paper
+ * The image is fitted inside the sheet (matching orientation), so a canvas whose aspect ratio differs
+ * from the paper's uses the tighter axis.
+ * @param {number} width - Image width (px)
+ * @param {number} height - Image height (px)
+ * @param {string} paperId - PAPER_SIZES id
+ * @returns {{source: 'paper', pixelsPerInch: number, paperSize: string}}
+ */
+export function calibrationFromPaper(width, height, paperId) {
+  const paper = getPaperSize(paperId)
+  if (!paper) throw new Error(`Unknown paper size: ${paperId}`)
+  const landscape = width > height
+  const paperW = landscape ? paper.height : paper.width
+  const paperH = landscape ? paper.width : paper.height
+  return {
+    source: 'paper',
+    pixelsPerInch: round2(Math.max(width / paperW, height / paperH)),
+    paperSize: paper.id,
+  }
+}
+
+/**
+ * Calibration from a known resolution
+ * @param {number} dpi
+ * @param {'png'|'jfif'|'exif'|'manual'} [source]
+ * @returns {{source: string, pixelsPerInch: number, paperSize: null}}
+ */
+export function calibrationFromDpi(dpi, source = 'manual') {
+  if (!Number.isFinite(dpi) || dpi < MIN_DPI || dpi > MAX_DPI) {
+    throw new Error(`DPI must be between ${MIN_DPI} and ${MAX_DPI}, got ${dpi}`)
+  }
+  return { source, pixelsPerInch: round2(dpi), paperSize: null }
+}
+
+/**
+ * Physical size of an image at a given resolution
+ * @returns {{widthInches: number, heightInches: number}}
+ */
+export function physicalSize(width, height, pixelsPerInch) {
+  return { widthInches: round2(width / pixelsPerInch), heightInches: round2(height / pixelsPerInch) }
+}
+
+/**
+ * Read the resolution stored in a PNG (pHYs) or JPEG (EXIF, then JFIF) file
+ * @param {ArrayBuffer|Uint8Array} buffer - File bytes
+ * @returns {{dpi: number, source: 'png'|'jfif'|'exif'}|null} null when the file carries no usable resolution
+ */
+export function readImageDpi(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let found = null
+  try {
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+      found = readPngDpi(bytes, view)
+    } else if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+      found = readJpegDpi(bytes, view)
+    }
+  } catch {
+    // Truncated or malformed metadata: same as none
+    return null
+  }
+  if (!found || !Number.isFinite(found.dpi) || found.dpi < MIN_DPI || found.dpi > MAX_DPI) return null
+  return { dpi: round2(found.dpi), source: found.source }
+}
+
+function readPngDpi(bytes, view) {
+  let offset = 8
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset)
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    if (type === 'pHYs') {
+      const pixelsPerUnit = view.getUint32(offset + 8)
+      // Unit 1 = metre; unit 0 only gives the pixel aspect ratio
+      return bytes[offset + 16] === 1 ? { dpi: pixelsPerUnit * 0.0254, source: 'png' } : null
+    }
+    if (type === 'IDAT' || type === 'IEND') return null
+    offset += 12 + length
+  }
+  return null
+}
+
+function readJpegDpi(bytes, view) {
+  let jfif = null
+  let offset = 2
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1]
+    // Start of scan: no more metadata segments
+    if (marker === 0xda) break
+    const length = view.getUint16(offset + 2)
+    const start = offset + 4
+    if (marker === 0xe1 && ascii(bytes, start, 6) === 'Exif\0\0') {
+      const exif = readExifDpi(view, start + 6)
+      if (exif) return exif
+    } else if (marker === 0xe0 && ascii(bytes, start, 5) === 'JFIF\0') {
+      // units: 1 = dots per inch, 2 = dots per cm, 0 = aspect ratio only
+      const units = bytes[start + 7]
+      const density = view.getUint16(start + 8)
+      if (units === 1) jfif = { dpi: density, source: 'jfif' }
+      else if (units === 2) jfif = { dpi: density * 2.54, source: 'jfif' }
+    }
+    offset += 2 + length
+  }
+  return jfif
+}
+
+function readExifDpi(view, tiff) {
+  const little = view.getUint16(tiff) === 0x4949
+  const u16 = (o) => view.getUint16(tiff + o, little)
+  const u32 = (o) => view.getUint32(tiff + o, little)
+  const ifd = u32(4)
+  let xResolution = null
+  let unit = 2 // EXIF default: inches
+  for (let i = 0; i < u16(ifd); i++) {
+    const entry = ifd + 2 + i * 12
+    const tag = u16(entry)
+    if (tag === 0x011a) {
+      const valueOffset = u32(entry + 8)
+      const denominator = u32(valueOffset + 4)
+      if (denominator) xResolution = u32(valueOffset) / denominator
+    } else if (tag === 0x0128) {
+      unit = u16(entry + 8)
+    }
+  }
+  if (xResolution === null || (unit !== 2 && unit !== 3)) return null
+  return { dpi: unit === 3 ? xResolution * 2.54 : xResolution, source: 'exif' }
+}
+
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length))
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100
+}
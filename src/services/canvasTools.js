@@ -0,0 +1,122 @@
+// src/services/canvasTools.js
+// Shared rendering for recorded drawing entries, used by DrawingView (live + undo) and the Dashboard replay.
+//
+// Entry shapes (strokeData.strokes):
+//   pen stroke: { stroke_id, tool: 'pen', color, width, points: [{x, y, pressure, timestamp}], start_time, end_time }
+//   fill:       { stroke_id, tool: 'fill', color, points: [{x, y, timestamp}], start_time, end_time }
+// Entries recorded before tools existed have no `tool`/`color`/`width` and render as the default pen.
+
+export const DEFAULT_COLOR = '#333333'
+export const DEFAULT_WIDTH = 2
+// Per-channel difference from the seed pixel still treated as the same region (absorbs antialiasing)
+const FILL_TOLERANCE = 48
+
+/**
+ * @param {Object} entry - Recorded stroke or fill
+ * @returns {boolean} true for bucket fills
+ */
+export function isFill(entry) {
+  return entry.tool === 'fill'
+}
+
+/**
+ * Apply an entry's pen style to the context
+ */
+export function applyStrokeStyle(ctx, entry) {
+  ctx.strokeStyle = entry.color || DEFAULT_COLOR
+  ctx.lineWidth = entry.width || DEFAULT_WIDTH
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+}
+
+/**
+ * Render one recorded entry in full
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} entry
+ */
+export function renderEntry(ctx, entry) {
+  if (isFill(entry)) {
+    const p = entry.points[0]
+    floodFill(ctx, p.x, p.y, entry.color || DEFAULT_COLOR)
+    return
+  }
+  if (!entry.points || entry.points.length < 2) return
+  applyStrokeStyle(ctx, entry)
+  ctx.beginPath()
+  ctx.moveTo(entry.points[0].x, entry.points[0].y)
+  for (let i = 1; i < entry.points.length; i++) {
+    ctx.lineTo(entry.points[i].x, entry.points[i].y)
+  }
+  ctx.stroke()
+}
+
+/**
+ * Clear to white paper and render all entries in order
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<Object>} entries
+ */
+export function renderAll(ctx, entries) {
+  ctx.fillStyle = 'white'
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+  for (const entry of entries) renderEntry(ctx, entry)
+}
+
+/**
+ * Scanline flood fill of the region connected to (x, y)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {string} color - Hex colour (#rgb or #rrggbb)
+ * @returns {boolean} false if the seed is outside the canvas or already that colour
+ */
+export function floodFill(ctx, x, y, color) {
+  const { width, height } = ctx.canvas
+  const sx = Math.floor(x)
+  const sy = Math.floor(y)
+  if (sx < 0 || sy < 0 || sx >= width || sy >= height) return false
+
+  const imageData = ctx.getImageData(0, 0, width, height)
+  const data = imageData.data
+  const [fr, fg, fb] = parseHex(color)
+  const seed = (sy * width + sx) * 4
+  const tr = data[seed], tg = data[seed + 1], tb = data[seed + 2]
+  if (tr === fr && tg === fg && tb === fb) return false
+
+  const visited = new Uint8Array(width * height)
+  const matches = (p) => !visited[p]
+    && Math.abs(data[p * 4] - tr) <= FILL_TOLERANCE
+    && Math.abs(data[p * 4 + 1] - tg) <= FILL_TOLERANCE
+    && Math.abs(data[p * 4 + 2] - tb) <= FILL_TOLERANCE
+
+  const stack = [[sx, sy]]
+  while (stack.length > 0) {
+    const [cx, cy] = stack.pop()
+    const row = cy * width
+    let left = cx
+    while (left > 0 && matches(row + left - 1)) left--
+    let right = cx
+    while (right < width - 1 && matches(row + right + 1)) right++
+    if (!matches(row + cx)) continue
+
+    for (let px = left; px <= right; px++) {
+      const p = row + px
+      visited[p] = 1
+      data[p * 4] = fr
+      data[p * 4 + 1] = fg
+      data[p * 4 + 2] = fb
+      data[p * 4 + 3] = 255
+      if (cy > 0 && matches(p - width)) stack.push([px, cy - 1])
+      if (cy < height - 1 && matches(p + width)) stack.push([px, cy + 1])
+    }
+  }
+
+  ctx.putImageData(imageData, 0, 0)
+  return true
+}
+
+function parseHex(color) {
+  let hex = color.replace('#', '')
+  if (hex.length === 3) hex = hex.split('').map((c) => c + c).join('')
+  const n = parseInt(hex, 16)
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
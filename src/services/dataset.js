@@ -0,0 +1,241 @@
+// src/services/dataset.js
+// Export sketches with their current detections — including the boxes clinicians added, moved, relabelled or
+// removed (see boxEditor.js) — as an object-detection training set in one ZIP, to retrain or fine-tune the
+// SceneDAPR model behind dapr.onnx. Class ids follow CLASS_NAMES, the order that model was trained with.
+//
+// ZIP layout:
+//   yolo: data.yaml, images/{train,val}/sketch-<id>.<ext>, labels/{train,val}/sketch-<id>.txt
+//         (one "class cx cy w h" line per box, normalised to the image size; empty file = background image)
+//   coco: images/{train,val}/sketch-<id>.<ext>, annotations/instances_{train,val}.json
+//         (category ids are CLASS_NAMES index + 1, as COCO reserves 0)
+import { listAnalyzedSketches, getCorrectedSketchIds, getDetections, getSketchImage } from './db'
+import { CLASS_NAMES } from './detection'
+import { mulberry32 } from './pipeline'
+import { createZip } from './zip'
+
+export const DATASET_FORMATS = ['yolo', 'coco']
+
+export const DEFAULT_DATASET_OPTIONS = {
+  format: 'yolo',
+  // Only sketches whose detections a person has corrected (see db.js getCorrectedSketchIds)
+  onlyCorrected: false,
+  // Creation date range, 'YYYY-MM-DD' in local time, both inclusive; null = open
+  from: null,
+  to: null,
+  // Share of sketches in the validation split
+  valRatio: 0.2,
+  // Model boxes below this confidence are left out; the Dashboard hides them by default, so nobody reviewed them.
+  // Boxes drawn or edited by hand are kept whatever their confidence
+  minConfidence: 0.3,
+  // Seed of the train/val shuffle, so the same options give the same split
+  seed: 42,
+}
+
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/bmp': 'bmp' }
+
+/**
+ * Sketches and boxes an export with these options would contain, without loading images
+ * @param {Object} [options] - See DEFAULT_DATASET_OPTIONS
+ * @returns {Promise<{samples: Array<{sketch: Object, detections: Array<Object>, split: 'train'|'val'}>,
+ *   summary: {sketches: number, train: number, val: number, boxes: number, perClass: Object<string, number>,
+ *   unknownClass: number}}}
+ */
+export async function collectDataset(options = {}) {
+  const opts = { ...DEFAULT_DATASET_OPTIONS, ...options }
+  let sketches = await listAnalyzedSketches(dayRange(opts.from, opts.to))
+  if (opts.onlyCorrected) {
+    const corrected = await getCorrectedSketchIds()
+    sketches = sketches.filter((s) => corrected.has(s.id))
+  }
+
+  let unknownClass = 0
+  const samples = []
+  for (const sketch of sketches) {
+    const detections = (await getDetections(sketch.id)).filter((d) => {
+      if (d.origin !== 'manual' && !d.editedAt && d.confidence < opts.minConfidence) return false
+      if (CLASS_NAMES.includes(d.category)) return true
+      unknownClass++
+      return false
+    })
+    samples.push({ sketch, detections })
+  }
+  const split = splitSamples(samples, opts.valRatio, opts.seed)
+  return { samples: split, summary: { ...summarize(split), unknownClass } }
+}
+
+function summarize(samples) {
+  const perClass = Object.fromEntries(CLASS_NAMES.map((c) => [c, 0]))
+  for (const { detections } of samples) for (const d of detections) perClass[d.category]++
+  return {
+    sketches: samples.length,
+    train: samples.filter((s) => s.split === 'train').length,
+    val: samples.filter((s) => s.split === 'val').length,
+    boxes: Object.values(perClass).reduce((a, b) => a + b, 0),
+    perClass,
+  }
+}
+
+/**
+ * Deterministic train/val split: a seeded shuffle, then the first valRatio share goes to val. With two or more
+ * samples and valRatio > 0, val gets at least one and train keeps at least one.
+ * @param {Array<Object>} samples
+ * @param {number} valRatio
+ * @param {number} seed
+ * @returns {Array<Object>} samples with `split`, in their original order
+ */
+export function splitSamples(samples, valRatio, seed) {
+  const random = mulberry32(seed)
+  const order = samples.map((_, i) => i)
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const swap = order[i]
+    order[i] = order[j]
+    order[j] = swap
+  }
+  let valCount = Math.round(samples.length * valRatio)
+  if (samples.length >= 2 && valRatio > 0) valCount = Math.min(Math.max(valCount, 1), samples.length - 1)
+  const val = new Set(order.slice(0, valCount))
+  return samples.map((sample, i) => ({ ...sample, split: val.has(i) ? 'val' : 'train' }))
+}
+
+/**
+ * YOLO label file of one image
+ * @param {Array<{category: string, bbox: number[]}>} detections
+ * @param {number} width - Image size (px)
+ * @param {number} height
+ * @returns {string}
+ */
+export function yoloLabels(detections, width, height) {
+  const norm = (v, size) => Math.min(Math.max(v / size, 0), 1).toFixed(6)
+  return detections.map(({ category, bbox: [x1, y1, x2, y2] }) => [
+    CLASS_NAMES.indexOf(category),
+    norm((x1 + x2) / 2, width),
+    norm((y1 + y2) / 2, height),
+    norm(x2 - x1, width),
+    norm(y2 - y1, height),
+  ].join(' ')).join('\n') + (detections.length ? '\n' : '')
+}
+
+/**
+ * Ultralytics dataset config for the exported layout
+ * @param {{train: number, val: number}} summary - Images per split
+ * @param {Date} date
+ * @returns {string}
+ */
+export function yoloDataYaml(summary, date) {
+  return [
+    `# AlphaDAPR detection dataset, exported ${date.toISOString()}`,
+    `# ${summary.train + summary.val} images (train ${summary.train}, val ${summary.val})`,
+    'path: .',
+    'train: images/train',
+    'val: images/val',
+    `nc: ${CLASS_NAMES.length}`,
+    'names:',
+    ...CLASS_NAMES.map((name, i) => `  ${i}: ${name}`),
+    '',
+  ].join('\n')
+}
+
+/**
+ * COCO instances file of one split
+ * @param {Array<{fileName: string, width: number, height: number, sketch: Object, detections: Array<Object>}>} images
+ * @param {Date} date
+ * @returns {Object}
+ */
+export function cocoInstances(images, date) {
+  let annotationId = 1
+  return {
+    info: { description: 'AlphaDAPR detection dataset', version: '1.0', year: date.getFullYear(), date_created: date.toISOString() },
+    licenses: [],
+    categories: CLASS_NAMES.map((name, i) => ({ id: i + 1, name, supercategory: 'dapr' })),
+    images: images.map((image, i) => ({
+      id: i + 1,
+      file_name: image.fileName,
+      width: image.width,
+      height: image.height,
+      date_captured: image.sketch.createdAt,
+    })),
+    annotations: images.flatMap((image, i) => image.detections.map(({ category, bbox: [x1, y1, x2, y2], confidence, origin, editedAt }) => ({
+      id: annotationId++,
+      image_id: i + 1,
+      category_id: CLASS_NAMES.indexOf(category) + 1,
+      bbox: [x1, y1, x2 - x1, y2 - y1].map(round2),
+      area: round2((x2 - x1) * (y2 - y1)),
+      iscrowd: 0,
+      segmentation: [],
+      // Not part of COCO; lets training scripts weight or filter human-made boxes
+      attributes: { origin: origin ?? 'model', edited: !!editedAt, confidence },
+    }))),
+  }
+}
+
+/**
+ * Build the dataset ZIP
+ * @param {Object} [options] - See DEFAULT_DATASET_OPTIONS
+ * @param {{onProgress?: function(number): void}} [callbacks] - Progress 0–1 while images are read
+ * @returns {Promise<{blob: Blob, fileName: string, summary: Object}>} summary as in collectDataset, plus
+ *   missingImages: sketches left out because their image is gone
+ */
+export async function exportDataset(options = {}, { onProgress } = {}) {
+  const opts = { ...DEFAULT_DATASET_OPTIONS, ...options }
+  const { samples, summary } = await collectDataset(opts)
+  const date = new Date()
+  const files = []
+  const images = { train: [], val: [] }
+  let missingImages = 0
+
+  for (const [i, sample] of samples.entries()) {
+    const blob = await getSketchImage(sample.sketch.id)
+    if (!blob) {
+      missingImages++
+      continue
+    }
+    const bitmap = await createImageBitmap(blob)
+    const { width, height } = bitmap
+    bitmap.close()
+    const name = `sketch-${sample.sketch.id}`
+    const fileName = `${name}.${IMAGE_EXTENSIONS[blob.type] ?? 'png'}`
+    files.push({ name: `images/${sample.split}/${fileName}`, data: new Uint8Array(await blob.arrayBuffer()) })
+    if (opts.format === 'yolo') {
+      files.push({ name: `labels/${sample.split}/${name}.txt`, data: yoloLabels(sample.detections, width, height) })
+    }
+    images[sample.split].push({ ...sample, fileName, width, height })
+    onProgress?.((i + 1) / samples.length)
+  }
+
+  const exported = summarize([...images.train, ...images.val])
+  if (opts.format === 'yolo') {
+    files.unshift({ name: 'data.yaml', data: yoloDataYaml(exported, date) })
+  } else {
+    for (const split of ['train', 'val']) {
+      files.push({ name: `annotations/instances_${split}.json`, data: JSON.stringify(cocoInstances(images[split], date)) })
+    }
+  }
+
+  return {
+    blob: createZip(files, { date }),
+    fileName: datasetFileName(opts.format, date),
+    summary: { ...exported, unknownClass: summary.unknownClass, missingImages },
+  }
+}
+
+/**
+ * @param {string} format
+ * @param {Date} [date]
+ * @returns {string} e.g. alphadapr-yolo-2024-05-01.zip
+ */
+export function datasetFileName(format, date = new Date()) {
+  return `alphadapr-${format}-${date.toISOString().slice(0, 10)}.zip`
+}
+
+// 'YYYY-MM-DD' local dates to the inclusive ISO timestamp range sketches are stored with
+function dayRange(from, to) {
+  return {
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
@@ -1,4 +1,8 @@
 import Dexie from 'dexie'
+import { DEFAULT_PROFILE, applyClinicianRatings } from './scoring'
+import { DEFAULT_SCHEME_ID } from './schemes'
+import { dataUrlToBlob, blobToDataUrl, createThumbnail } from './images'
+import { t } from '../i18n'
 
 const db = new Dexie('AlphaDAPR')
 
@@ -10,8 +14,153 @@ db.version(1).stores({
   daprScores: '++id, sketchId',
 })
 
+// v2: scoring profiles (each edit is stored as a new immutable version)
+db.version(2).stores({
+  scoringProfiles: '++id, profileId, &[profileId+version]',
+})
+
+// v3: normative tables for age- and gender-normed interpretation (see norms.js)
+db.version(3).stores({
+  normTables: '++id, &normId',
+})
+
+// v4: full-resolution images move out of the sketch records into Blobs in `sketchImages`, so listing sketches
+// no longer loads megabytes of base64; sketch records keep a small `thumbnailDataUrl` instead.
+// Indices for the list, statistics and score lookups:
+//   sketches: analyzed (stored as 1/0, since IndexedDB cannot index booleans), participantId, and
+//     [userId+createdAt] / [userId+analyzed] for per-user lists and counts (createdAt was indexed since v1)
+//   daprScores: schemeId (now set on every record), totalScore and [schemeId+totalScore] for the score
+//     distribution and similar-score lookups, which used to scan the whole table
+// Thumbnails need image decoding, which cannot run inside the upgrade transaction; they are generated on
+// first read instead (see withThumbnails).
+db.version(4).stores({
+  sketches: '++id, userId, title, createdAt, analyzed, participantId, [userId+createdAt], [userId+analyzed]',
+  sketchImages: 'sketchId',
+  daprScores: '++id, sketchId, schemeId, totalScore, [schemeId+totalScore]',
+}).upgrade(async (tx) => {
+  const converted = (await tx.table('sketches').toArray()).map(toV4Sketch)
+  await tx.table('sketchImages').bulkPut(converted.map((c) => c.image).filter(Boolean))
+  await tx.table('sketches').bulkPut(converted.map((c) => c.record))
+  await tx.table('daprScores').toCollection().modify((score) => {
+    score.schemeId = schemeOf(score)
+  })
+})
+
+// v5: participants become people tracked across sessions instead of one row per sketch: a pseudonymous code,
+// birth date, gender and group (see participants.js). Sketches link to a participant with a session number;
+// their participantAge / participantGender stay as the values at drawing time, used for norms.
+// Existing participant rows each become a participant with a generated code, and their sketch is session 1.
+db.version(5).stores({
+  participants: '++id, &code, group',
+  sketches: '++id, userId, title, createdAt, analyzed, participantId, [userId+createdAt], [userId+analyzed], [participantId+sessionNumber]',
+}).upgrade(async (tx) => {
+  await tx.table('participants').toCollection().modify((participant) => {
+    const record = toV5Participant(participant)
+    for (const key of Object.keys(participant)) if (!(key in record)) delete participant[key]
+    Object.assign(participant, record)
+  })
+  await tx.table('sketches').where('participantId').above(0).modify({ sessionNumber: 1 })
+})
+
+// v6: immutable revisions of each sketch's analysis (see revisions.js). detections and daprScores keep holding the
+// current result; every analysis, correction, clinician rating and restore also stores a snapshot of it here.
+// Sketches analysed before v6 get their current result as revision 1.
+db.version(6).stores({
+  revisions: '++id, sketchId, &[sketchId+number]',
+}).upgrade(async (tx) => {
+  const detections = await tx.table('detections').toArray()
+  const scores = await tx.table('daprScores').toArray()
+  const revisions = (await tx.table('sketches').where('analyzed').equals(1).toArray()).map((sketch) => snapshotRevision(
+    sketch,
+    detections.filter((d) => d.sketchId === sketch.id),
+    scores.filter((s) => s.sketchId === sketch.id),
+    { number: 1, action: 'legacy', createdAt: sketch.createdAt },
+  ))
+  await tx.table('revisions').bulkAdd(revisions)
+})
+
+// v7: revisions indexed by [action+sketchId], so the sketches with a correction are read from the index alone
+// instead of loading every stored snapshot (see getCorrectedSketchIds)
+db.version(7).stores({
+  revisions: '++id, sketchId, &[sketchId+number], [action+sketchId]',
+})
+
+// Latest schema version above; backup archives record it (see backup.js)
+export const SCHEMA_VERSION = db.verno
+
 export default db
 
+/**
+ * Convert a sketch record written before v4: the image data URL becomes a sketchImages Blob record and
+ * `analyzed` becomes 1/0. Shared by the schema upgrade and restoring older backups.
+ * @param {Object} sketch
+ * @returns {{record: Object, image: Object|null}} record without imageDataUrl, and its sketchImages record
+ */
+function toV4Sketch({ imageDataUrl, ...record }) {
+  return {
+    record: { ...record, analyzed: record.analyzed ? 1 : 0 },
+    image: imageDataUrl && record.id !== undefined ? { sketchId: record.id, blob: dataUrlToBlob(imageDataUrl) } : null,
+  }
+}
+
+/**
+ * Convert a participant record written before v5 (age, gender and a back-link to one sketch)
+ * @param {Object} participant - With its id
+ * @returns {Object} participant record in the v5 format
+ */
+function toV5Participant(participant) {
+  return {
+    id: participant.id,
+    code: participant.code ?? legacyParticipantCode(participant.id),
+    // Generated codes are only unique on this device (see importTables)
+    codeGenerated: participant.code ? hasGeneratedCode(participant) : true,
+    birthDate: participant.birthDate ?? null,
+    gender: participant.gender ?? null,
+    group: participant.group ?? null,
+    notes: participant.notes ?? '',
+    createdAt: participant.createdAt ?? new Date().toISOString(),
+  }
+}
+
+function legacyParticipantCode(id) {
+  return `P-${String(id).padStart(4, '0')}`
+}
+
+// Whether a participant's code was generated rather than assigned by a user. Records migrated before the flag
+// existed are recognised by their code matching their id.
+function hasGeneratedCode(participant) {
+  return participant.codeGenerated ?? participant.code === legacyParticipantCode(participant.id)
+}
+
+/**
+ * Revision record holding a copy of a sketch's current analysis result
+ * @param {Object} sketch
+ * @param {Array<Object>} detections - The sketch's detection records
+ * @param {Array<Object>} scores - The sketch's score records, one per scheme
+ * @param {Object} meta - { number, action, author, detail, restoredFrom, createdAt } (see addRevision)
+ * @returns {Object}
+ */
+function snapshotRevision(sketch, detections, scores, { number, action, author = null, detail = null, restoredFrom = null, createdAt }) {
+  const current = scores.find((s) => schemeOf(s) === DEFAULT_SCHEME_ID) ?? scores[0]
+  return {
+    sketchId: sketch.id,
+    number,
+    action,
+    author: author && { id: author.id ?? null, name: author.name ?? null },
+    detail,
+    restoredFrom,
+    // Model and scoring profile behind the result, for listing without reading the snapshot
+    ...provenanceFields(current ?? detections[0] ?? {}),
+    profileId: current?.profileId ?? null,
+    profileVersion: current?.profileVersion ?? null,
+    totalScore: current?.totalScore ?? null,
+    detections,
+    scores: scores.map((score) => ({ ...score, schemeId: schemeOf(score) })),
+    clinicianRatings: sketch.clinicianRatings ?? {},
+    createdAt: createdAt ?? new Date().toISOString(),
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Password hashing (client-side demo only)
 // ---------------------------------------------------------------------------
@@ -62,55 +211,120 @@ export async function verifyPassword(email, password) {
 // Sketch operations
 // ---------------------------------------------------------------------------
 
+/**
+ * @param {number} userId
+ * @param {Object} sketch
+ * @param {Blob} [sketch.image] - Full-resolution drawing; stored in sketchImages, with a thumbnail on the sketch
+ */
 export async function createSketch(
   userId,
-  { title, imageDataUrl, strokeData, duration, lineCount, participantAge, participantGender },
+  { title, image, strokeData, duration, lineCount, calibration },
 ) {
-  let participantId = null
-  if (participantAge !== undefined || participantGender !== undefined) {
-    participantId = await db.participants.add({
-      age: participantAge ?? null,
-      gender: participantGender ?? null,
-      additionalInfo: {},
+  // Decode before the transaction: awaiting anything but IndexedDB inside it would commit it early
+  const thumbnailDataUrl = image ? await createThumbnail(image) : null
+
+  return db.transaction('rw', [db.sketches, db.sketchImages], async () => {
+    const id = await db.sketches.add({
+      userId,
+      // Participant and session (see participants.js linkSketch)
+      participantId: null,
+      sessionNumber: null,
+      title: title || 'Untitled',
+      thumbnailDataUrl,
+      strokeData: strokeData ? JSON.parse(JSON.stringify(strokeData)) : null,
+      duration: duration || null,
+      lineCount: lineCount || null,
+      participantAge: null,
+      participantGender: null,
+      // Physical-size calibration (see calibration.js); null = scoring profile default
+      calibration: calibration || null,
+      // Clinician ratings by DAPR item name: { score, note, updatedAt } (see analysis.js saveClinicianRating)
+      clinicianRatings: {},
+      analyzed: 0,
       createdAt: new Date().toISOString(),
     })
-  }
-
-  const id = await db.sketches.add({
-    userId,
-    participantId,
-    title: title || 'Untitled',
-    imageDataUrl: imageDataUrl || null,
-    strokeData: strokeData ? JSON.parse(JSON.stringify(strokeData)) : null,
-    duration: duration || null,
-    lineCount: lineCount || null,
-    participantAge: participantAge || null,
-    participantGender: participantGender || null,
-    analyzed: false,
-    createdAt: new Date().toISOString(),
+    if (image) await db.sketchImages.add({ sketchId: id, blob: image })
+    return db.sketches.get(id)
   })
-  return db.sketches.get(id)
 }
 
+/**
+ * A user's sketches, newest first (records carry thumbnails, not full images)
+ */
 export async function getSketchesByUser(userId) {
-  return db.sketches.where('userId').equals(userId).reverse().sortBy('createdAt')
+  const sketches = await db.sketches.where('[userId+createdAt]').between([userId, Dexie.minKey], [userId, Dexie.maxKey]).reverse().toArray()
+  return withThumbnails(sketches)
 }
 
 export async function getSketchById(id) {
   return db.sketches.get(id)
 }
 
+/**
+ * Full-resolution image of a sketch
+ * @param {number} sketchId
+ * @returns {Promise<Blob|undefined>}
+ */
+export async function getSketchImage(sketchId) {
+  return (await db.sketchImages.get(sketchId))?.blob
+}
+
+/**
+ * Fill in thumbnails missing from sketches stored before v4 (or restored from older backups) and store them
+ * @param {Array<Object>} sketches
+ * @returns {Promise<Array<Object>>} the same sketches, with thumbnailDataUrl where an image exists
+ */
+async function withThumbnails(sketches) {
+  for (const sketch of sketches) {
+    if (sketch.thumbnailDataUrl !== undefined) continue
+    const image = await getSketchImage(sketch.id)
+    sketch.thumbnailDataUrl = image ? await createThumbnail(image) : null
+    await db.sketches.update(sketch.id, { thumbnailDataUrl: sketch.thumbnailDataUrl })
+  }
+  return sketches
+}
+
+/**
+ * Set or clear a sketch's physical-size calibration
+ * @param {number} id
+ * @param {Object|null} calibration - See calibration.js
+ */
+export async function updateSketchCalibration(id, calibration) {
+  await db.sketches.update(id, { calibration: calibration || null })
+  return db.sketches.get(id)
+}
+
+/**
+ * Link a sketch to a participant's session, or unlink it
+ * @param {number} sketchId
+ * @param {Object} link
+ * @param {number|null} link.participantId
+ * @param {number|null} link.sessionNumber
+ * @param {number|null} link.participantAge - Age at drawing time (years)
+ * @param {string|null} link.participantGender - norms.js GENDERS id
+ * @returns {Promise<Object>} the updated sketch
+ */
+export async function updateSketchParticipant(sketchId, { participantId, sessionNumber, participantAge, participantGender }) {
+  const updated = await db.sketches.update(sketchId, {
+    participantId: participantId ?? null,
+    sessionNumber: sessionNumber ?? null,
+    participantAge: participantAge ?? null,
+    participantGender: participantGender ?? null,
+  })
+  if (!updated && !(await db.sketches.get(sketchId))) throw new Error(t('errors.sketchNotFound'))
+  return db.sketches.get(sketchId)
+}
+
+// The participant is kept: they may have other sessions
 export async function deleteSketch(id) {
-  await db.transaction('rw', [db.sketches, db.detections, db.daprScores, db.participants], async () => {
+  await db.transaction('rw', [db.sketches, db.sketchImages, db.detections, db.daprScores, db.revisions], async () => {
     const sketch = await db.sketches.get(id)
     if (!sketch) return
 
     await db.detections.where('sketchId').equals(id).delete()
     await db.daprScores.where('sketchId').equals(id).delete()
-
-    if (sketch.participantId) {
-      await db.participants.delete(sketch.participantId)
-    }
+    await db.revisions.where('sketchId').equals(id).delete()
+    await db.sketchImages.delete(id)
 
     await db.sketches.delete(id)
   })
@@ -120,8 +334,32 @@ export async function deleteSketch(id) {
 // Detection operations
 // ---------------------------------------------------------------------------
 
-export async function saveDetections(sketchId, detections) {
-  await db.transaction('rw', [db.detections, db.sketches], async () => {
+/**
+ * Provenance columns stored on detection and score records
+ * @param {Object} provenance - From detectWithProvenance (or carried over from an earlier record)
+ */
+function provenanceFields(provenance) {
+  return {
+    detector: provenance.detector ?? null,
+    modelId: provenance.modelId ?? null,
+    modelVersion: provenance.modelVersion ?? null,
+    modelHash: provenance.modelHash ?? null,
+    strategy: provenance.strategy ?? null,
+    imageHash: provenance.imageHash ?? null,
+    seed: provenance.seed ?? null,
+    fallbackReason: provenance.fallbackReason ?? null,
+  }
+}
+
+/**
+ * Replace a sketch's detections
+ * @param {number} sketchId
+ * @param {Array} detections
+ * @param {Object} [provenance] - Detector, model and strategy that produced them (see provenanceFields)
+ * @returns {Promise<number[]>} ids of the new records, in input order
+ */
+export async function saveDetections(sketchId, detections, provenance = {}) {
+  return db.transaction('rw', [db.detections, db.sketches], async () => {
     // Remove existing detections for this sketch
     await db.detections.where('sketchId').equals(sketchId).delete()
 
@@ -131,14 +369,79 @@ export async function saveDetections(sketchId, detections) {
       bbox: d.bbox, // [x1, y1, x2, y2]
       confidence: d.confidence,
       classId: d.class_id ?? d.classId ?? null,
+      measurements: d.measurements ?? null,
+      mask: d.mask ?? null, // compact instance mask from -seg models (see masks.js)
+      // 'model' or 'manual' (drawn in the box editor); edited model boxes keep 'model' and gain editedAt / original
+      origin: 'model',
+      ...provenanceFields(provenance),
       createdAt: new Date().toISOString(),
     }))
 
-    await db.detections.bulkAdd(records)
-    await db.sketches.update(sketchId, { analyzed: true })
+    const ids = await db.detections.bulkAdd(records, { allKeys: true })
+    await db.sketches.update(sketchId, { analyzed: 1 })
+    return ids
+  })
+}
+
+/**
+ * Store a finished analysis in one transaction: replace the sketch's detections, save every scheme's score and
+ * record the revision, so an error part-way leaves the previous result intact. The detections carry temporary ids
+ * that the scores' evidence and process timeline refer to; these are rewritten to the ids of the stored records.
+ * @param {number} sketchId
+ * @param {Object} analysis
+ * @param {Array<Object>} analysis.detections - Assessed detections (see assessment.js), each with a temporary id
+ * @param {Object<string, Object>} analysis.schemeScores - Scheme results keyed by scheme id (see saveDAPRScore)
+ * @param {Object|null} analysis.process - Drawing-process analysis stored with each score (see processAnalysis.js)
+ * @param {Object} analysis.provenance - Detector, model and strategy behind the detections (see provenanceFields)
+ * @param {Object} analysis.revision - addRevision meta
+ * @returns {Promise<{detections: Array<Object>, schemeScores: Object<string, Object>}>} the input with stored ids
+ */
+export async function saveAnalysis(sketchId, { detections, schemeScores, process, provenance, revision }) {
+  return db.transaction('rw', [db.sketches, db.detections, db.daprScores, db.revisions], async () => {
+    const ids = await saveDetections(sketchId, detections, provenance)
+    const storedIds = new Map(detections.map((d, i) => [d.id, ids[i]]))
+    const mapId = (id) => storedIds.get(id) ?? id
+    const stored = {}
+    for (const [schemeId, score] of Object.entries(schemeScores)) {
+      stored[schemeId] = remapScoreDetections({ ...score, process }, mapId)
+      await saveDAPRScore(sketchId, stored[schemeId], provenance)
+    }
+    await addRevision(sketchId, revision)
+    return { detections: detections.map((d, i) => ({ ...d, id: ids[i] })), schemeScores: stored }
+  })
+}
+
+/**
+ * Store a re-score of the sketch's current detections in one transaction: their re-computed measurements, every
+ * scheme's score and the revision, so scores are never left without the revision that records them
+ * @param {number} sketchId
+ * @param {Object} rescore
+ * @param {Object} [rescore.clinicianRatings] - New clinician ratings of the sketch, merged into the scores
+ * @param {Array<Object>} rescore.detections - Assessed stored detections (see updateDetectionMeasurements)
+ * @param {Object<string, Object>} rescore.schemeScores - Scheme results keyed by scheme id (see saveDAPRScore)
+ * @param {Object|null} rescore.process - Drawing-process analysis stored with each score (see processAnalysis.js)
+ * @param {Object} rescore.provenance - Detector, model and strategy behind the detections (see provenanceFields)
+ * @param {Object} rescore.revision - addRevision meta
+ */
+export async function saveRescore(sketchId, { detections, schemeScores, process, provenance, revision, clinicianRatings }) {
+  await db.transaction('rw', [db.sketches, db.detections, db.daprScores, db.revisions], async () => {
+    if (clinicianRatings) await db.sketches.update(sketchId, { clinicianRatings })
+    await updateDetectionMeasurements(detections)
+    for (const score of Object.values(schemeScores)) await saveDAPRScore(sketchId, { ...score, process }, provenance)
+    await addRevision(sketchId, revision)
   })
 }
 
+/**
+ * Persist re-computed measurements on existing detection records
+ * @param {Array<{id: number, measurements: Object}>} detections
+ */
+export async function updateDetectionMeasurements(detections) {
+  await db.detections.bulkUpdate(
+    detections.filter((d) => d.id).map((d) => ({ key: d.id, changes: { measurements: d.measurements } })),
+  )
+}
+
 export async function getDetections(sketchId) {
   return db.detections.where('sketchId').equals(sketchId).toArray()
 }
@@ -147,6 +450,12 @@ export async function deleteDetection(detectionId) {
   return db.detections.delete(detectionId)
 }
 
+/**
+ * Add a box drawn by hand
+ * @param {number} sketchId
+ * @param {Object} detection - { category, bbox, confidence, classId }
+ * @returns {Promise<Object>} the stored record
+ */
 export async function addDetection(sketchId, detection) {
   const id = await db.detections.add({
     sketchId,
@@ -154,35 +463,607 @@ export async function addDetection(sketchId, detection) {
     bbox: detection.bbox,
     confidence: detection.confidence,
     classId: detection.class_id ?? detection.classId ?? null,
+    measurements: null,
+    mask: null,
+    origin: 'manual',
     createdAt: new Date().toISOString(),
   })
   return db.detections.get(id)
 }
 
+/**
+ * Move, resize or relabel a box. The first edit of a model box keeps the model's output in `original`.
+ * A moved box loses its mask and measurements, which described the old pixels.
+ * @param {number} detectionId
+ * @param {{bbox?: number[], category?: string, classId?: number|null}} changes
+ * @returns {Promise<Object>} the updated record
+ */
+export async function updateDetection(detectionId, changes) {
+  return db.transaction('rw', db.detections, async () => {
+    const detection = await db.detections.get(detectionId)
+    if (!detection) throw new Error(t('errors.detectionNotFound'))
+    const moved = changes.bbox && changes.bbox.some((v, i) => v !== detection.bbox[i])
+    await db.detections.update(detectionId, {
+      ...changes,
+      ...(moved && { mask: null, measurements: null }),
+      original: detection.original ?? (detection.origin === 'manual'
+        ? null
+        : { category: detection.category, bbox: detection.bbox, classId: detection.classId, confidence: detection.confidence }),
+      editedAt: new Date().toISOString(),
+    })
+    return db.detections.get(detectionId)
+  })
+}
+
+/**
+ * Write a detection record back with its id (undo / redo in the box editor)
+ * @param {Object} detection - Complete record
+ */
+export async function putDetection(detection) {
+  await db.detections.put(detection)
+}
+
 // ---------------------------------------------------------------------------
 // DAPR Score operations
 // ---------------------------------------------------------------------------
 
-export async function saveDAPRScore(sketchId, scoreData) {
-  // Remove existing score for this sketch (one-to-one relationship)
-  await db.daprScores.where('sketchId').equals(sketchId).delete()
+// Score records from before scoring schemes have no schemeId and belong to the default scheme
+function schemeOf(record) {
+  return record.schemeId ?? DEFAULT_SCHEME_ID
+}
+
+/**
+ * Replace a sketch's DAPR score for one scoring scheme, merging the sketch's clinician ratings into the
+ * item scores and totals
+ * @param {number} sketchId
+ * @param {Object} scoreData - Output of a scheme's score function, or a stored score record being re-merged
+ * @param {Object} [provenance] - Detector, model and strategy behind the detections (see provenanceFields)
+ */
+export async function saveDAPRScore(sketchId, scoreData, provenance = {}) {
+  const schemeId = scoreData.scheme?.id ?? scoreData.schemeId ?? DEFAULT_SCHEME_ID
+  const sketch = await db.sketches.get(sketchId)
+  const cutoffs = scoreData.interpretation_cutoffs ?? scoreData.interpretationCutoffs ?? DEFAULT_PROFILE.interpretationCutoffs
+  const asArray = (items) => (Array.isArray(items) ? items : [])
+  const merged = applyClinicianRatings({
+    stress_items: asArray(scoreData.stress_items ?? scoreData.stressItems),
+    resource_items: asArray(scoreData.resource_items ?? scoreData.resourceItems),
+  }, sketch?.clinicianRatings, cutoffs)
+
+  // One score per sketch and scheme
+  await db.daprScores.where('sketchId').equals(sketchId).filter((s) => schemeOf(s) === schemeId).delete()
 
   const id = await db.daprScores.add({
     sketchId,
-    stressScore: scoreData.stress_score ?? scoreData.stressScore ?? 0,
-    resourceScore: scoreData.resource_score ?? scoreData.resourceScore ?? 0,
-    totalScore: scoreData.total_score ?? scoreData.totalScore ?? 0,
-    stressItems: scoreData.stress_items ?? scoreData.stressItems ?? {},
-    resourceItems: scoreData.resource_items ?? scoreData.resourceItems ?? {},
+    schemeId,
+    schemeVersion: scoreData.scheme?.version ?? scoreData.schemeVersion ?? null,
+    // Totals combine AI, clinician and override sources; ai* totals count automated items only
+    stressScore: merged.stress_score,
+    resourceScore: merged.resource_score,
+    totalScore: merged.total_score,
+    aiStressScore: merged.ai_stress_score,
+    aiResourceScore: merged.ai_resource_score,
+    aiTotalScore: merged.ai_total_score,
+    stressItems: merged.stress_items,
+    resourceItems: merged.resource_items,
     attributes: scoreData.attributes ?? {},
-    interpretation: scoreData.interpretation ?? '',
+    interpretation: merged.interpretation,
+    // Language-neutral interpretation band (scoring.js INTERPRETATION_KEYS); the text follows the UI language
+    interpretationKey: merged.interpretation_key,
+    interpretationCutoffs: [...cutoffs],
+    // Scoring profile that produced the score (see scoring.js DEFAULT_PROFILE)
+    profileId: scoreData.profile?.id ?? scoreData.profileId ?? null,
+    profileVersion: scoreData.profile?.version ?? scoreData.profileVersion ?? null,
+    // Pixel-to-inch conversion the figure-size items used
+    calibration: scoreData.calibration ?? null,
+    // How the drawing was made (see processAnalysis.js); null for uploaded images
+    process: scoreData.process ?? null,
+    ...provenanceFields(provenance),
     createdAt: new Date().toISOString(),
   })
   return db.daprScores.get(id)
 }
 
-export async function getDAPRScore(sketchId) {
-  return db.daprScores.where('sketchId').equals(sketchId).first()
+/**
+ * Attach an uncertainty estimate (see uncertainty.js) to a stored score
+ * Re-scoring or re-rating replaces the record, so an estimate never outlives the score it describes.
+ * @param {number} scoreId
+ * @param {Object} uncertainty
+ */
+export async function saveScoreUncertainty(scoreId, uncertainty) {
+  await db.daprScores.update(scoreId, { uncertainty: { ...uncertainty, createdAt: new Date().toISOString() } })
+}
+
+/**
+ * Store a sketch's clinician ratings without re-scoring, for sketches that have no score yet
+ * (scored sketches store ratings through saveRescore, see analysis.js saveClinicianRating)
+ * @param {number} sketchId
+ * @param {Object} ratings - By DAPR item name: { score, note, updatedAt }
+ */
+export async function updateClinicianRatings(sketchId, ratings) {
+  await db.sketches.update(sketchId, { clinicianRatings: ratings })
+}
+
+/**
+ * @param {number} sketchId
+ * @param {string} [schemeId] - default: the default scheme
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getDAPRScore(sketchId, schemeId = DEFAULT_SCHEME_ID) {
+  return db.daprScores.where('sketchId').equals(sketchId).filter((s) => schemeOf(s) === schemeId).first()
+}
+
+/**
+ * Every scheme's score for a sketch
+ * @param {number} sketchId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getSchemeScores(sketchId) {
+  const scores = await db.daprScores.where('sketchId').equals(sketchId).toArray()
+  return scores.map((s) => ({ ...s, schemeId: schemeOf(s) }))
+}
+
+// ---------------------------------------------------------------------------
+// Revision operations (see revisions.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * Store the sketch's current detections, scores and clinician ratings as its next revision
+ * @param {number} sketchId
+ * @param {Object} meta
+ * @param {string} meta.action - REVISION_ACTIONS id
+ * @param {{id: number, name: string}|null} [meta.author] - User who made the change
+ * @param {Object|null} [meta.detail] - Action-specific summary, e.g. { item } for a rating
+ * @param {number|null} [meta.restoredFrom] - Number of the revision a restore copied
+ * @returns {Promise<Object>} the revision record
+ */
+export async function addRevision(sketchId, meta) {
+  return db.transaction('rw', [db.sketches, db.detections, db.daprScores, db.revisions], async () => {
+    const sketch = await db.sketches.get(sketchId)
+    if (!sketch) throw new Error(t('errors.sketchNotFound'))
+    const last = await db.revisions.where('[sketchId+number]').between([sketchId, Dexie.minKey], [sketchId, Dexie.maxKey]).last()
+    const revision = snapshotRevision(sketch, await getDetections(sketchId), await getSchemeScores(sketchId), {
+      ...meta,
+      number: (last?.number ?? 0) + 1,
+    })
+    revision.id = await db.revisions.add(revision)
+    return revision
+  })
+}
+
+/**
+ * A sketch's revisions without their snapshots, newest first
+ * @param {number} sketchId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRevisions(sketchId) {
+  const revisions = await db.revisions.where('[sketchId+number]').between([sketchId, Dexie.minKey], [sketchId, Dexie.maxKey]).reverse().toArray()
+  return revisions.map(({ detections, scores, clinicianRatings, ...revision }) => ({ ...revision, detectionCount: detections.length }))
+}
+
+export async function getRevision(id) {
+  return db.revisions.get(id)
+}
+
+/**
+ * Make an earlier revision the current result again. The history is not rewritten: the restored state is
+ * recorded as a new revision. Restored detections get new ids, so the score evidence is remapped.
+ * @param {number} revisionId
+ * @param {{author?: Object}} [options]
+ * @returns {Promise<Object>} the new revision
+ */
+export async function restoreRevision(revisionId, { author = null } = {}) {
+  return db.transaction('rw', [db.sketches, db.detections, db.daprScores, db.revisions], async () => {
+    const revision = await db.revisions.get(revisionId)
+    if (!revision) throw new Error(t('errors.revisionNotFound'))
+    const { sketchId } = revision
+
+    await db.detections.where('sketchId').equals(sketchId).delete()
+    await db.daprScores.where('sketchId').equals(sketchId).delete()
+    const detectionIds = new Map()
+    // Snapshots restored from a backup still carry the sketch id they had before
+    for (const { id, ...detection } of revision.detections) {
+      detectionIds.set(id, await db.detections.add({ ...detection, sketchId }))
+    }
+    for (const { id, ...score } of revision.scores) {
+      await db.daprScores.add({ ...remapScoreDetections(score, (detectionId) => detectionIds.get(detectionId) ?? detectionId), sketchId })
+    }
+    await db.sketches.update(sketchId, {
+      clinicianRatings: revision.clinicianRatings,
+      analyzed: revision.detections.length || revision.scores.length ? 1 : 0,
+    })
+    return addRevision(sketchId, { action: 'restore', author, restoredFrom: revision.number })
+  })
+}
+
+// ---------------------------------------------------------------------------
+// Scoring profile operations
+// ---------------------------------------------------------------------------
+
+/**
+ * Latest version of every stored scoring profile
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listScoringProfiles() {
+  const all = await db.scoringProfiles.toArray()
+  const latest = new Map()
+  for (const p of all) {
+    if (!latest.has(p.profileId) || latest.get(p.profileId).version < p.version) latest.set(p.profileId, p)
+  }
+  return Array.from(latest.values()).sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * @param {string} profileId
+ * @returns {Promise<Array<Object>>} all versions, newest first
+ */
+export async function getScoringProfileVersions(profileId) {
+  const versions = await db.scoringProfiles.where('profileId').equals(profileId).toArray()
+  return versions.sort((a, b) => b.version - a.version)
+}
+
+/**
+ * @param {string} profileId
+ * @param {number} [version] - Latest when omitted
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getScoringProfile(profileId, version) {
+  if (version !== undefined) return db.scoringProfiles.where('[profileId+version]').equals([profileId, version]).first()
+  return (await getScoringProfileVersions(profileId))[0]
+}
+
+/**
+ * Store a profile as the next version of its profileId (versions are never overwritten)
+ * @param {Object} profile - Scoring parameters plus { profileId, name }
+ * @returns {Promise<Object>} the stored record
+ */
+export async function saveScoringProfile(profile) {
+  const { id, version, createdAt, ...fields } = profile
+  return db.transaction('rw', db.scoringProfiles, async () => {
+    const latest = await getScoringProfile(fields.profileId)
+    const newId = await db.scoringProfiles.add({
+      ...fields,
+      interpretationCutoffs: [...fields.interpretationCutoffs],
+      version: (latest?.version ?? 0) + 1,
+      createdAt: new Date().toISOString(),
+    })
+    return db.scoringProfiles.get(newId)
+  })
+}
+
+// ---------------------------------------------------------------------------
+// Norm table operations
+// ---------------------------------------------------------------------------
+
+export async function listNormTables() {
+  return db.normTables.orderBy('id').toArray()
+}
+
+/**
+ * @param {Object} table - Parsed table with a unique normId (see norms.js)
+ */
+export async function saveNormTable(table) {
+  const id = await db.normTables.add({ ...table, createdAt: new Date().toISOString() })
+  return db.normTables.get(id)
+}
+
+export async function removeNormTable(normId) {
+  await db.normTables.where('normId').equals(normId).delete()
+}
+
+// ---------------------------------------------------------------------------
+// Participant operations (see participants.js)
+// ---------------------------------------------------------------------------
+
+export async function listParticipantRecords() {
+  return db.participants.orderBy('code').toArray()
+}
+
+export async function getParticipantRecord(id) {
+  return db.participants.get(id)
+}
+
+/**
+ * @param {string} code
+ * @returns {Promise<Object|undefined>}
+ */
+export async function findParticipantByCode(code) {
+  return db.participants.where('code').equals(code).first()
+}
+
+/**
+ * Create (without id) or update a participant record
+ * @param {Object} participant
+ * @returns {Promise<Object>} the stored record
+ */
+export async function putParticipant(participant) {
+  const id = await db.participants.put(participant)
+  return db.participants.get(id)
+}
+
+/**
+ * Delete a participant; their sketches are kept and unlinked
+ * @param {number} id
+ */
+export async function deleteParticipantRecord(id) {
+  await db.transaction('rw', [db.participants, db.sketches], async () => {
+    await db.sketches.where('participantId').equals(id).modify({ participantId: null, sessionNumber: null })
+    await db.participants.delete(id)
+  })
+}
+
+/**
+ * A participant's sketches by session number (sketches without a number last, by date)
+ * @param {number} participantId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getParticipantSketches(participantId) {
+  const sketches = await db.sketches.where('participantId').equals(participantId).toArray()
+  sketches.sort((a, b) => ((a.sessionNumber ?? Infinity) - (b.sessionNumber ?? Infinity)) || a.createdAt.localeCompare(b.createdAt))
+  return withThumbnails(sketches)
+}
+
+/**
+ * @returns {Promise<Map<number, number>>} sketch count by participant id (index keys only)
+ */
+export async function countSketchesByParticipant() {
+  const counts = new Map()
+  for (const id of await db.sketches.orderBy('participantId').keys()) counts.set(id, (counts.get(id) || 0) + 1)
+  return counts
+}
+
+// ---------------------------------------------------------------------------
+// Backup and restore (archive format in backup.js)
+// ---------------------------------------------------------------------------
+
+// Every table, in restore order: records are restored after the records they reference
+export const BACKUP_TABLES = ['users', 'participants', 'sketches', 'sketchImages', 'detections', 'daprScores', 'revisions', 'scoringProfiles', 'normTables']
+
+/**
+ * @returns {Promise<Object<string, number>>} record count by table name
+ */
+export async function countTables() {
+  const counts = {}
+  for (const name of BACKUP_TABLES) counts[name] = await db.table(name).count()
+  return counts
+}
+
+/**
+ * Every record of every table. Image Blobs are exported as data URLs ({ sketchId, dataUrl }) so the archive is
+ * plain JSON.
+ * @returns {Promise<Object<string, Array<Object>>>} records by table name
+ */
+export async function exportTables() {
+  const tables = await db.transaction('r', BACKUP_TABLES.map((name) => db.table(name)), async () => {
+    const records = {}
+    for (const name of BACKUP_TABLES) records[name] = await db.table(name).toArray()
+    return records
+  })
+  const images = []
+  for (const { blob, ...image } of tables.sketchImages) images.push({ ...image, dataUrl: await blobToDataUrl(blob) })
+  return { ...tables, sketchImages: images }
+}
+
+/**
+ * Restore exported records. Records get new ids, and the references between them (sketch.userId,
+ * sketch.participantId, sketchId of images, detections, scores and revisions, detection ids in score evidence
+ * and process analysis) are rewritten to the new ids. References to records missing from the archive are kept as
+ * they are, except that images, detections, scores and revisions of missing sketches are skipped. Records from
+ * archives written before schema v4 – v6 are converted first (sketch images move to sketchImages; participants
+ * get codes; analysed sketches without revisions get their current result as revision 1).
+ *
+ * merge keeps the existing data; users with a known email, participants with a known user-assigned code, scoring
+ * profile versions with the same parameters and norm tables that already exist are not imported twice. Conflicts
+ * are imported as new records and counted: a participant whose code collides with a generated one (see
+ * hasGeneratedCode) gets a new generated code, and a profile version that exists with different parameters is added
+ * as a new version, with the archive's scores and revisions rewritten to it. replace deletes all existing data first.
+ * @param {Object<string, Array<Object>>} tables - Records by table name (see exportTables)
+ * @param {{mode: 'merge'|'replace'}} options
+ * @returns {Promise<Object<string, {added: number, skipped: number, conflicts: number}>>} counts by table name
+ */
+export async function importTables(tables, { mode }) {
+  return db.transaction('rw', BACKUP_TABLES.map((name) => db.table(name)), async () => {
+    if (mode === 'replace') {
+      for (const name of BACKUP_TABLES) await db.table(name).clear()
+    }
+    const counts = Object.fromEntries(BACKUP_TABLES.map((name) => [name, { added: 0, skipped: 0, conflicts: 0 }]))
+    const ids = Object.fromEntries(BACKUP_TABLES.map((name) => [name, new Map()]))
+    const records = (name) => (Array.isArray(tables[name]) ? tables[name] : [])
+    const mapId = (name, id) => (id === null || id === undefined ? id : (ids[name].get(id) ?? id))
+    const add = async (name, { id, ...record }) => {
+      const newId = await db.table(name).add(record)
+      ids[name].set(id, newId)
+      counts[name].added++
+      return newId
+    }
+
+    // A profile version that exists with other parameters is imported as the next free version; scores and
+    // revisions scored with it are pointed at that version
+    const profileVersions = new Map()
+    const mapProfileVersion = (record) => {
+      const key = `${record.profileId}@${record.profileVersion}`
+      return profileVersions.has(key) ? { ...record, profileVersion: profileVersions.get(key) } : record
+    }
+    for (const profile of records('scoringProfiles')) {
+      const existing = await getScoringProfile(profile.profileId, profile.version)
+      if (!existing) {
+        await add('scoringProfiles', profile)
+      } else if (sameProfileParameters(existing, profile)) {
+        counts.scoringProfiles.skipped++
+      } else {
+        const version = (await getScoringProfile(profile.profileId)).version + 1
+        await add('scoringProfiles', { ...profile, version })
+        profileVersions.set(`${profile.profileId}@${profile.version}`, version)
+        counts.scoringProfiles.conflicts++
+      }
+    }
+
+    for (const user of records('users')) {
+      const existing = user.email ? await db.users.where('email').equals(user.email).first() : null
+      if (existing) {
+        ids.users.set(user.id, existing.id)
+        counts.users.skipped++
+      } else {
+        await add('users', user)
+      }
+    }
+
+    // The same user-assigned code is the same person. A generated code on either side only says which row the
+    // participant was on its device, so it is never merged: the archive's participant gets a new generated code.
+    for (const participant of records('participants')) {
+      const existing = participant.code ? await findParticipantByCode(participant.code) : null
+      if (existing && !hasGeneratedCode(existing) && !hasGeneratedCode(participant)) {
+        ids.participants.set(participant.id, existing.id)
+        counts.participants.skipped++
+        continue
+      }
+      // Participants from before v5 have no code, and colliding generated codes are replaced: generate one from the
+      // new id
+      const { code, ...record } = toV5Participant(participant)
+      const keepCode = participant.code && !existing
+      const newId = await add('participants', keepCode ? { ...record, code } : record)
+      if (!keepCode) await db.participants.update(newId, { code: await unusedParticipantCode(newId), codeGenerated: true })
+      if (existing) counts.participants.conflicts++
+    }
+    const images = records('sketchImages').map(({ dataUrl, ...image }) => ({ ...image, blob: dataUrlToBlob(dataUrl) }))
+    for (const sketch of records('sketches')) {
+      const { record, image } = toV4Sketch(sketch)
+      if (image) images.push(image)
+      await add('sketches', {
+        ...record,
+        userId: mapId('users', sketch.userId),
+        participantId: mapId('participants', sketch.participantId ?? null),
+        sessionNumber: sketch.sessionNumber ?? (sketch.participantId ? 1 : null),
+      })
+    }
+
+    for (const image of images) {
+      if (!ids.sketches.has(image.sketchId)) {
+        counts.sketchImages.skipped++
+        continue
+      }
+      await db.sketchImages.put({ ...image, sketchId: ids.sketches.get(image.sketchId) })
+      counts.sketchImages.added++
+    }
+    for (const detection of records('detections')) {
+      if (!ids.sketches.has(detection.sketchId)) {
+        counts.detections.skipped++
+        continue
+      }
+      await add('detections', { ...detection, sketchId: ids.sketches.get(detection.sketchId) })
+    }
+    for (const score of records('daprScores')) {
+      if (!ids.sketches.has(score.sketchId)) {
+        counts.daprScores.skipped++
+        continue
+      }
+      await add('daprScores', {
+        ...remapScoreDetections(mapProfileVersion(score), (id) => mapId('detections', id)),
+        schemeId: schemeOf(score),
+        sketchId: ids.sketches.get(score.sketchId),
+      })
+    }
+
+    // Snapshot records keep their old ids, which only link records within the snapshot (see restoreRevision).
+    // Sketches are always added as new records, so revision numbers stay as they are.
+    for (const revision of records('revisions')) {
+      if (!ids.sketches.has(revision.sketchId)) {
+        counts.revisions.skipped++
+        continue
+      }
+      await add('revisions', {
+        ...mapProfileVersion(revision),
+        ...(Array.isArray(revision.scores) && { scores: revision.scores.map(mapProfileVersion) }),
+        sketchId: ids.sketches.get(revision.sketchId),
+        author: revision.author && { ...revision.author, id: mapId('users', revision.author.id) },
+      })
+    }
+    const revised = new Set(records('revisions').map((r) => ids.sketches.get(r.sketchId)))
+    for (const sketchId of ids.sketches.values()) {
+      if (revised.has(sketchId) || !(await db.sketches.get(sketchId)).analyzed) continue
+      await addRevision(sketchId, { action: 'legacy' })
+      counts.revisions.added++
+    }
+
+    for (const table of records('normTables')) {
+      if (await db.normTables.where('normId').equals(table.normId).count()) {
+        counts.normTables.skipped++
+      } else {
+        await add('normTables', table)
+      }
+    }
+    return counts
+  })
+}
+
+// Whether two stored versions of a profile score alike: every field but the record's id, version and timestamp
+function sameProfileParameters(a, b) {
+  const parameters = ({ id, version, createdAt, ...fields }) => sortedJson(fields)
+  return parameters(a) === parameters(b)
+}
+
+// JSON with object keys in sorted order, so key order does not affect comparisons
+function sortedJson(value) {
+  return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, v[k]]))
+    : v))
+}
+
+// Generated code for a participant without one, avoiding codes already taken
+async function unusedParticipantCode(id) {
+  const base = legacyParticipantCode(id)
+  let code = base
+  for (let n = 2; await findParticipantByCode(code); n++) code = `${base}-${n}`
+  return code
+}
+
+// Rewrite the detection ids a score refers to: item evidence (see scoring.js buildEvidence) and process timeline.
+// Takes stored score records (stressItems) as well as scheme results (stress_items).
+function remapScoreDetections(score, mapId) {
+  const remapEvidence = (evidence) => evidence && {
+    ...evidence,
+    detectionIds: (evidence.detectionIds ?? []).map(mapId),
+    ...(evidence.pairs && { pairs: evidence.pairs.map((pair) => ({ ...pair, detectionIds: pair.detectionIds.map(mapId) })) }),
+  }
+  const remapItems = (items) => (Array.isArray(items) ? items.map((item) => ({ ...item, evidence: remapEvidence(item.evidence) })) : items)
+  const itemLists = ['stressItems', 'resourceItems', 'stress_items', 'resource_items'].filter((key) => key in score)
+  return {
+    ...score,
+    ...Object.fromEntries(itemLists.map((key) => [key, remapItems(score[key])])),
+    ...(score.process && {
+      process: { ...score.process, timeline: score.process.timeline.map((s) => ({ ...s, detectionId: mapId(s.detectionId) })) },
+    }),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Training dataset export (see dataset.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * Analysed sketches created within a time range
+ * @param {{from?: string, to?: string}} range - ISO timestamps, both inclusive
+ * @returns {Promise<Array<Object>>} oldest first
+ */
+export async function listAnalyzedSketches({ from, to } = {}) {
+  return db.sketches
+    .where('createdAt').between(from ?? Dexie.minKey, to ?? Dexie.maxKey, true, true)
+    .filter((sketch) => !!sketch.analyzed)
+    .toArray()
+}
+
+/**
+ * Sketches whose detections a person has changed: a correction revision, or boxes drawn or edited by hand
+ * (which also covers records restored from backups without revisions)
+ * @returns {Promise<Set<number>>}
+ */
+export async function getCorrectedSketchIds() {
+  const ids = new Set()
+  const corrections = await db.revisions.where('[action+sketchId]')
+    .between(['correction', Dexie.minKey], ['correction', Dexie.maxKey])
+    .keys()
+  for (const [, sketchId] of corrections) ids.add(sketchId)
+  await db.detections.filter((d) => d.origin === 'manual' || !!d.editedAt).each((d) => ids.add(d.sketchId))
+  return ids
 }
 
 // ---------------------------------------------------------------------------
@@ -193,38 +1074,46 @@ export async function getDashboardData(sketchId) {
   const sketch = await db.sketches.get(sketchId)
   if (!sketch) return null
 
-  const participant = sketch.participantId ? await db.participants.get(sketch.participantId) : null
+  const record = sketch.participantId ? await db.participants.get(sketch.participantId) : null
+  // Norms use the age at drawing time, stored on the sketch (see participants.js)
+  const participant = record ? { ...record, age: sketch.participantAge ?? null } : null
+  const image = await getSketchImage(sketchId)
   const detections = await getDetections(sketchId)
-  const daprScore = await getDAPRScore(sketchId)
+  const schemeScores = await getSchemeScores(sketchId)
+  const daprScore = schemeScores.find((s) => s.schemeId === DEFAULT_SCHEME_ID)
 
   // Find similar sketches (total_score within ±10)
   let similarSketches = []
   if (daprScore) {
-    const allScores = await db.daprScores.toArray()
-    const similarScoreIds = allScores
-      .filter(
-        (s) =>
-          s.sketchId !== sketchId &&
-          Math.abs(s.totalScore - daprScore.totalScore) <= 10,
-      )
-      .map((s) => s.sketchId)
+    const similarScoreIds = await defaultSchemeScores()
+      .between([DEFAULT_SCHEME_ID, daprScore.totalScore - 10], [DEFAULT_SCHEME_ID, daprScore.totalScore + 10], true, true)
+      .filter((s) => s.sketchId !== sketchId)
+      .toArray((scores) => scores.map((s) => s.sketchId))
 
     if (similarScoreIds.length > 0) {
-      similarSketches = await db.sketches.where('id').anyOf(similarScoreIds).toArray()
+      similarSketches = await withThumbnails(await db.sketches.where('id').anyOf(similarScoreIds).toArray())
     }
   }
 
   const scoreDistribution = await getScoreDistribution()
 
-  return { sketch, participant, detections, daprScore, similarSketches, scoreDistribution }
+  return { sketch, image, participant, detections, daprScore, schemeScores, similarSketches, scoreDistribution }
+}
+
+// Cross-sketch statistics compare like with like: default-scheme scores only
+function defaultSchemeScores() {
+  return db.daprScores.where('[schemeId+totalScore]')
 }
 
 export async function getScoreDistribution() {
-  const allScores = await db.daprScores.toArray()
+  // Index keys only: [schemeId, totalScore] pairs, without loading the score records
+  const keys = await defaultSchemeScores()
+    .between([DEFAULT_SCHEME_ID, Dexie.minKey], [DEFAULT_SCHEME_ID, Dexie.maxKey])
+    .keys()
 
   const scoreMap = new Map()
-  for (const score of allScores) {
-    const key = Number(score.totalScore ?? 0)
+  for (const [, totalScore] of keys) {
+    const key = Number(totalScore)
     scoreMap.set(key, (scoreMap.get(key) || 0) + 1)
   }
 
@@ -238,14 +1127,14 @@ export async function getScoreDistribution() {
 // ---------------------------------------------------------------------------
 
 export async function getStats(userId) {
-  const allSketches = await db.sketches.where('userId').equals(userId).toArray()
-  const totalSketches = allSketches.length
-  const analyzedSketches = allSketches.filter((s) => s.analyzed).length
+  const totalSketches = await db.sketches.where('userId').equals(userId).count()
+  const sketchIds = await db.sketches.where('[userId+analyzed]').equals([userId, 1]).primaryKeys()
+  const analyzedSketches = sketchIds.length
 
   let avgScore = 0
   if (analyzedSketches > 0) {
-    const sketchIds = allSketches.filter((s) => s.analyzed).map((s) => s.id)
-    const scores = await db.daprScores.where('sketchId').anyOf(sketchIds).toArray()
+    const scores = (await db.daprScores.where('sketchId').anyOf(sketchIds).toArray())
+      .filter((s) => s.schemeId === DEFAULT_SCHEME_ID)
     if (scores.length > 0) {
       avgScore = scores.reduce((sum, s) => sum + s.totalScore, 0) / scores.length
     }
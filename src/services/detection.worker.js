@@ -0,0 +1,81 @@
+// src/services/detection.worker.js
+// Web Worker hosting the detection pipeline so inference never blocks the UI thread
+//
+// Messages in:
+//   { type: 'detect', id, bitmap: ImageBitmap, options }
+//   { type: 'cancel', id }
+//   { type: 'warmup', id, model }
+//   { type: 'diagnostics', id }
+// Messages out:
+//   { type: 'progress', id, stage, progress }
+//   { type: 'result', id, result }   ({ detections, provenance }, diagnostics object, or undefined for warmup)
+//   { type: 'error', id, name, message }
+import { runDetection, warmupSession, getDiagnostics } from './inference'
+
+// Request ids whose caller asked to cancel; checked between pipeline stages
+const cancelled = new Set()
+
+function throwIfCancelled(id) {
+  if (cancelled.has(id)) {
+    cancelled.delete(id)
+    throw new DOMException('Detection cancelled', 'AbortError')
+  }
+}
+
+/**
+ * Draw a transferred ImageBitmap onto an OffscreenCanvas and read back its pixels
+ */
+function bitmapToImageData(bitmap) {
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height)
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.drawImage(bitmap, 0, 0)
+  bitmap.close()
+  return ctx.getImageData(0, 0, canvas.width, canvas.height)
+}
+
+async function handleDetect({ id, bitmap, options }) {
+  const onProgress = (stage, progress) => self.postMessage({ type: 'progress', id, stage, progress })
+  try {
+    onProgress('decode', 0)
+    const imageData = bitmapToImageData(bitmap)
+    throwIfCancelled(id)
+    const result = await runDetection(imageData, options, {
+      onProgress,
+      throwIfCancelled: () => throwIfCancelled(id),
+    })
+    self.postMessage({ type: 'result', id, result })
+  } catch (e) {
+    self.postMessage({ type: 'error', id, name: e.name, message: e.message })
+  } finally {
+    cancelled.delete(id)
+  }
+}
+
+async function handleWarmup({ id, model }) {
+  try {
+    await warmupSession(model)
+    self.postMessage({ type: 'result', id })
+  } catch (e) {
+    self.postMessage({ type: 'error', id, name: e.name, message: e.message })
+  }
+}
+
+self.onmessage = (e) => {
+  const msg = e.data
+  switch (msg.type) {
+    case 'detect':
+      handleDetect(msg)
+      break
+    case 'cancel':
+      cancelled.add(msg.id)
+      break
+    case 'warmup':
+      handleWarmup(msg)
+      break
+    case 'diagnostics':
+      self.postMessage({ type: 'result', id: msg.id, result: getDiagnostics() })
+      break
+    default:
+      console.warn('[DAPR] Unknown worker message:', msg.type)
+  }
+}
@@ -0,0 +1,452 @@
+// src/services/detectionMetrics.js
+// Detector evaluation against ground-truth boxes (the browser run is in evaluation.js): reading YOLO / COCO
+// annotations, COCO-style matching, per-class precision / recall / AP, a confusion matrix, F1-optimal class
+// thresholds, a sweep of the blank-area filter (pipeline MIN_INK_RATIO) and agreement of the DAPR items scored
+// from predicted and from ground-truth boxes.
+// Pure functions; relative imports carry explicit .js extensions so Node can load this module without a bundler.
+//
+// Image record:
+//   { name, width, height, groundTruth: [{category, bbox}], predictions: [{category, bbox, confidence, inkRatio}] }
+// with bbox [x1, y1, x2, y2] in image pixels. Predictions are everything the model returned above a low
+// confidence floor with class thresholds and the blank-area filter off; settings are applied here.
+import { calculateIoU, MIN_INK_RATIO } from './pipeline.js'
+
+// IoU thresholds averaged by mAP50-95
+export const IOU_THRESHOLDS = Array.from({ length: 10 }, (_, i) => Math.round((0.5 + i * 0.05) * 100) / 100)
+// Blank-area filter cut-offs compared by the evaluation (MIN_INK_RATIO is always among them)
+export const INK_RATIO_CANDIDATES = [...new Set([0, 0.01, MIN_INK_RATIO, 0.03, 0.05, 0.08, 0.12])].sort((a, b) => a - b)
+// Threshold of classes the model lists none for (same default as detectObjects)
+const FALLBACK_THRESHOLD = 0.5
+// Recall points of the interpolated AP (COCO)
+const RECALL_POINTS = 101
+// Points kept per PR curve for charts
+const CURVE_POINTS = 100
+
+// --------------- Ground truth ---------------
+
+/**
+ * File name without directories and extension, which pairs images with their annotations
+ * @param {string} name
+ * @returns {string}
+ */
+export function fileStem(name) {
+  return name.split(/[\\/]/).pop().replace(/\.[^.]+$/, '')
+}
+
+function unquote(value) {
+  return value.trim().replace(/^['"]|['"]$/g, '')
+}
+
+/**
+ * Class names of a YOLO dataset: data.yaml `names` (block list, inline list or id map) or classes.txt
+ * (one name per line)
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {string[]} names by class id
+ */
+export function parseYoloNames(text, fileName) {
+  const lines = text.split(/\r?\n/)
+  if (!/\.ya?ml$/i.test(fileName)) return lines.map((l) => l.trim()).filter(Boolean)
+
+  const start = lines.findIndex((l) => /^names\s*:/.test(l))
+  if (start === -1) return []
+  const inline = lines[start].replace(/^names\s*:/, '').trim()
+  if (inline.startsWith('[')) return inline.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean)
+  const names = []
+  for (const line of lines.slice(start + 1)) {
+    if (!/^\s+\S/.test(line)) break
+    const item = line.trim()
+    if (item.startsWith('#')) continue
+    const keyed = item.match(/^(\d+)\s*:\s*(.+)$/)
+    if (keyed) names[Number(keyed[1])] = unquote(keyed[2])
+    else if (item.startsWith('- ')) names.push(unquote(item.slice(2)))
+  }
+  return names
+}
+
+/**
+ * Boxes of a YOLO label file. Segmentation labels (class followed by a polygon) become the polygon's bounds.
+ * @param {string} text
+ * @param {Object} options
+ * @param {string[]} options.names - Class names by id (data.yaml, or the model's class order)
+ * @param {string[]} options.classes - Classes of the evaluated model; other names are counted as unknown
+ * @param {number} options.width - Image size (px)
+ * @param {number} options.height
+ * @returns {{boxes: Array<{category: string, bbox: number[]}>, unknown: number}}
+ */
+export function parseYoloLabels(text, { names, classes, width, height }) {
+  const boxes = []
+  let unknown = 0
+  for (const line of text.split(/\r?\n/)) {
+    const values = line.trim().split(/\s+/).map(Number)
+    if (values.length < 5 || values.some((v) => !Number.isFinite(v))) continue
+    const category = names[values[0]]
+    if (!classes.includes(category)) {
+      unknown++
+      continue
+    }
+    let x1, y1, x2, y2
+    if (values.length === 5) {
+      const [, cx, cy, w, h] = values
+      ;[x1, y1, x2, y2] = [cx - w / 2, cy - h / 2, cx + w / 2, cy + h / 2]
+    } else {
+      const xs = values.filter((_, i) => i % 2 === 1)
+      const ys = values.filter((_, i) => i > 0 && i % 2 === 0)
+      ;[x1, y1, x2, y2] = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+    }
+    boxes.push({ category, bbox: [x1 * width, y1 * height, x2 * width, y2 * height] })
+  }
+  return { boxes, unknown }
+}
+
+/**
+ * Boxes of a COCO instances file, by image file stem. Crowd annotations are skipped, as COCO evaluation ignores
+ * them; categories are matched to the model's classes by name.
+ * @param {Object} json - Parsed instances JSON
+ * @param {string[]} classes
+ * @returns {{images: Map<string, {width: number, height: number, boxes: Array<{category: string, bbox: number[]}>}>,
+ *   unknown: number}}
+ */
+export function parseCocoAnnotations(json, classes) {
+  if (!Array.isArray(json?.images) || !Array.isArray(json?.annotations)) throw new Error('Not a COCO instances file')
+  const categories = new Map((json.categories ?? []).map((c) => [c.id, c.name]))
+  const byId = new Map()
+  const images = new Map()
+  for (const image of json.images) {
+    const entry = { width: image.width, height: image.height, boxes: [] }
+    byId.set(image.id, entry)
+    images.set(fileStem(image.file_name), entry)
+  }
+  let unknown = 0
+  for (const annotation of json.annotations) {
+    const image = byId.get(annotation.image_id)
+    if (!image || annotation.iscrowd) continue
+    const category = categories.get(annotation.category_id)
+    if (!classes.includes(category)) {
+      unknown++
+      continue
+    }
+    const [x, y, w, h] = annotation.bbox
+    image.boxes.push({ category, bbox: [x, y, x + w, y + h] })
+  }
+  return { images, unknown }
+}
+
+// --------------- Matching and metrics ---------------
+
+/**
+ * Predictions that survive the given settings, as detectObjects would return them
+ * @param {Array<{category: string, confidence: number, inkRatio: number}>} predictions
+ * @param {Object<string, number>} thresholds - Per-class confidence thresholds
+ * @param {number} minInkRatio
+ * @returns {Array<Object>}
+ */
+export function keptPredictions(predictions, thresholds, minInkRatio) {
+  return predictions.filter((p) => p.confidence >= (thresholds[p.category] ?? FALLBACK_THRESHOLD) && p.inkRatio >= minInkRatio)
+}
+
+// Predictions and ground truth of one class per image, with their IoUs; predictions by descending confidence
+function classGroups(images, category) {
+  return images.map((image) => {
+    const predictions = image.predictions.filter((p) => p.category === category).sort((a, b) => b.confidence - a.confidence)
+    const truths = image.groundTruth.filter((g) => g.category === category)
+    return { predictions, truthCount: truths.length, ious: predictions.map((p) => truths.map((g) => calculateIoU(p.bbox, g.bbox))) }
+  })
+}
+
+// COCO matching: by descending confidence, each prediction takes the unmatched ground-truth box it overlaps
+// most, if that IoU reaches iouThreshold. Matching never depends on lower-confidence predictions, so the result
+// holds for every confidence threshold.
+function matchRecords(groups, iouThreshold) {
+  const records = []
+  for (const { predictions, truthCount, ious } of groups) {
+    const taken = new Uint8Array(truthCount)
+    predictions.forEach((p, i) => {
+      let best = -1
+      for (let j = 0; j < truthCount; j++) {
+        if (!taken[j] && ious[i][j] >= iouThreshold && (best === -1 || ious[i][j] > ious[i][best])) best = j
+      }
+      if (best !== -1) taken[best] = 1
+      records.push({ confidence: p.confidence, tp: best !== -1, iou: best !== -1 ? ious[i][best] : 0 })
+    })
+  }
+  return records.sort((a, b) => b.confidence - a.confidence)
+}
+
+// Cumulative counts after each distinct confidence, highest first
+function sweep(records, truthCount) {
+  const points = []
+  let tp = 0
+  let fp = 0
+  let iouSum = 0
+  records.forEach((r, i) => {
+    if (r.tp) {
+      tp++
+      iouSum += r.iou
+    } else {
+      fp++
+    }
+    if (records[i + 1]?.confidence === r.confidence) return
+    points.push({ confidence: r.confidence, tp, fp, precision: tp / (tp + fp), recall: truthCount ? tp / truthCount : 0, iouSum })
+  })
+  return points
+}
+
+// 101-point interpolated average precision; null when the class has no ground truth
+function averagePrecision(points, truthCount) {
+  if (!truthCount) return null
+  // Precision envelope: the best precision at this recall or higher
+  const envelope = points.map((p) => p.precision)
+  for (let i = envelope.length - 2; i >= 0; i--) envelope[i] = Math.max(envelope[i], envelope[i + 1])
+  let sum = 0
+  let k = 0
+  for (let n = 0; n < RECALL_POINTS; n++) {
+    const recall = n / (RECALL_POINTS - 1)
+    while (k < points.length && points[k].recall < recall - 1e-9) k++
+    if (k < points.length) sum += envelope[k]
+  }
+  return sum / RECALL_POINTS
+}
+
+function f1Score(precision, recall) {
+  return precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0
+}
+
+// Counts and rates when predictions below `threshold` are dropped
+function metricsAt(points, truthCount, threshold) {
+  let point = null
+  for (const p of points) {
+    if (p.confidence < threshold) break
+    point = p
+  }
+  const tp = point?.tp ?? 0
+  const fp = point?.fp ?? 0
+  const precision = tp + fp ? tp / (tp + fp) : null
+  const recall = truthCount ? tp / truthCount : null
+  return {
+    threshold,
+    tp,
+    fp,
+    fn: truthCount - tp,
+    precision,
+    recall,
+    f1: f1Score(precision ?? 0, recall ?? 0),
+    meanIoU: tp ? point.iouSum / tp : null,
+  }
+}
+
+// Threshold with the highest F1, floored to two decimals; null when no threshold finds any ground truth
+function bestThreshold(points, truthCount) {
+  let best = null
+  for (const p of points) {
+    const f1 = f1Score(p.precision, p.recall)
+    if (f1 > (best?.f1 ?? 0)) best = { confidence: p.confidence, f1 }
+  }
+  return best && metricsAt(points, truthCount, Math.floor(best.confidence * 100) / 100)
+}
+
+// Evenly spaced points of the raw PR curve
+function curveOf(points) {
+  const step = Math.max(1, Math.ceil(points.length / CURVE_POINTS))
+  const picked = points.filter((_, i) => i % step === 0 || i === points.length - 1)
+  const round3 = (v) => Math.round(v * 1000) / 1000
+  return picked.map((p) => ({ recall: round3(p.recall), precision: round3(p.precision), confidence: round3(p.confidence) }))
+}
+
+/**
+ * Metrics of one class
+ * @param {Array<Object>} images - Image records
+ * @param {string} category
+ * @param {number} threshold - Confidence threshold in use
+ * @param {number[]} [iouThresholds] - First entry is the IoU used for thresholds and the curve
+ * @returns {Object} { category, truthCount, predictionCount, ap: {iou: ap}, current, best, curve }
+ */
+function evaluateClass(images, category, threshold, iouThresholds = IOU_THRESHOLDS) {
+  const groups = classGroups(images, category)
+  const truthCount = groups.reduce((sum, g) => sum + g.truthCount, 0)
+  const ap = {}
+  let main = null
+  for (const iou of iouThresholds) {
+    const points = sweep(matchRecords(groups, iou), truthCount)
+    ap[iou] = averagePrecision(points, truthCount)
+    if (!main) main = points
+  }
+  return {
+    category,
+    truthCount,
+    predictionCount: groups.reduce((sum, g) => sum + g.predictions.length, 0),
+    ap,
+    current: metricsAt(main, truthCount, threshold),
+    best: bestThreshold(main, truthCount),
+    curve: curveOf(main),
+  }
+}
+
+function mean(values) {
+  const defined = values.filter((v) => v !== null && v !== undefined)
+  return defined.length ? defined.reduce((a, b) => a + b, 0) / defined.length : null
+}
+
+// Precision / recall / F1 over all classes from summed counts
+function microAverage(metrics) {
+  const tp = metrics.reduce((sum, m) => sum + m.tp, 0)
+  const fp = metrics.reduce((sum, m) => sum + m.fp, 0)
+  const fn = metrics.reduce((sum, m) => sum + m.fn, 0)
+  const precision = tp + fp ? tp / (tp + fp) : null
+  const recall = tp + fn ? tp / (tp + fn) : null
+  return { tp, fp, fn, precision, recall, f1: f1Score(precision ?? 0, recall ?? 0) }
+}
+
+function withInkRatio(images, minInkRatio) {
+  return images.map((image) => ({ ...image, predictions: image.predictions.filter((p) => p.inkRatio >= minInkRatio) }))
+}
+
+/**
+ * Confusion matrix at IoU 0.5. Ground-truth and predicted boxes are paired by descending IoU regardless of class;
+ * unpaired ground truth counts as missed (predicted 'background'), unpaired predictions as false alarms.
+ * @param {Array<Object>} images - Image records
+ * @param {string[]} classes
+ * @param {Object<string, number>} thresholds
+ * @param {number} minInkRatio
+ * @returns {{labels: string[], matrix: number[][]}} labels are classes + 'background'; rows are ground truth,
+ *   columns predictions
+ */
+export function confusionMatrix(images, classes, thresholds, minInkRatio) {
+  const labels = [...classes, 'background']
+  const background = classes.length
+  const matrix = labels.map(() => labels.map(() => 0))
+  for (const image of images) {
+    const predictions = keptPredictions(image.predictions, thresholds, minInkRatio).filter((p) => classes.includes(p.category))
+    const truths = image.groundTruth
+    const pairs = []
+    truths.forEach((g, i) => predictions.forEach((p, j) => {
+      const iou = calculateIoU(g.bbox, p.bbox)
+      if (iou >= 0.5) pairs.push({ i, j, iou })
+    }))
+    pairs.sort((a, b) => b.iou - a.iou)
+    const [truthUsed, predictionUsed] = [new Set(), new Set()]
+    for (const { i, j } of pairs) {
+      if (truthUsed.has(i) || predictionUsed.has(j)) continue
+      truthUsed.add(i)
+      predictionUsed.add(j)
+      matrix[classes.indexOf(truths[i].category)][classes.indexOf(predictions[j].category)]++
+    }
+    truths.forEach((g, i) => { if (!truthUsed.has(i)) matrix[classes.indexOf(g.category)][background]++ })
+    predictions.forEach((p, j) => { if (!predictionUsed.has(j)) matrix[background][classes.indexOf(p.category)]++ })
+  }
+  return { labels, matrix }
+}
+
+/**
+ * Evaluate detections against ground truth and suggest settings
+ * @param {Array<Object>} images - Image records
+ * @param {Object} options
+ * @param {string[]} options.classes - Model classes
+ * @param {Object<string, number>} options.thresholds - The model's per-class thresholds
+ * @param {number} [options.minInkRatio] - Blank-area filter in use (default: MIN_INK_RATIO)
+ * @returns {{
+ *   imageCount: number,
+ *   classes: Array<{category, truthCount, predictionCount, ap50, ap75, ap5095, current, suggested, curve}>,
+ *   map50: number|null, map75: number|null, map5095: number|null,
+ *   current: {thresholds, minInkRatio, micro: Object}, suggested: {thresholds, minInkRatio, micro: Object},
+ *   inkRatios: Array<{minInkRatio: number, map50: number|null, f1: number}>,
+ *   confusion: {current: Object, suggested: Object},
+ * }} current / suggested per class: { threshold, tp, fp, fn, precision, recall, f1, meanIoU } at IoU 0.5;
+ *   meanIoU is the box quality of the true positives
+ */
+export function evaluateDetector(images, { classes, thresholds, minInkRatio = MIN_INK_RATIO }) {
+  const currentThresholds = Object.fromEntries(classes.map((c) => [c, thresholds[c] ?? FALLBACK_THRESHOLD]))
+  const atCurrentInk = withInkRatio(images, minInkRatio)
+  const current = classes.map((c) => evaluateClass(atCurrentInk, c, currentThresholds[c]))
+
+  // Blank-area filter: for each cut-off, F1 with every class at its own best threshold; the best cut-off wins,
+  // ties keep the one in use, then the smallest
+  const sweeps = INK_RATIO_CANDIDATES.map((ratio) => {
+    const perClass = classes.map((c) => evaluateClass(withInkRatio(images, ratio), c, currentThresholds[c], [0.5]))
+    const atBest = perClass.map((m) => m.best ?? m.current)
+    return { minInkRatio: ratio, perClass, map50: mean(perClass.map((m) => m.ap[0.5])), f1: microAverage(atBest).f1 }
+  })
+  const chosen = sweeps.reduce((best, s) => {
+    if (s.f1 > best.f1 + 1e-9) return s
+    if (Math.abs(s.f1 - best.f1) <= 1e-9 && s.minInkRatio === minInkRatio) return s
+    return best
+  })
+  const suggestedThresholds = Object.fromEntries(chosen.perClass.map((m) => [m.category, m.best?.threshold ?? currentThresholds[m.category]]))
+  const suggested = chosen.perClass.map((m) => m.best ?? m.current)
+
+  return {
+    imageCount: images.length,
+    classes: current.map((m, i) => ({
+      category: m.category,
+      truthCount: m.truthCount,
+      predictionCount: m.predictionCount,
+      ap50: m.ap[0.5],
+      ap75: m.ap[0.75],
+      ap5095: m.truthCount ? mean(IOU_THRESHOLDS.map((iou) => m.ap[iou])) : null,
+      current: m.current,
+      suggested: suggested[i],
+      curve: m.curve,
+    })),
+    map50: mean(current.map((m) => m.ap[0.5])),
+    map75: mean(current.map((m) => m.ap[0.75])),
+    map5095: mean(current.filter((m) => m.truthCount).map((m) => mean(IOU_THRESHOLDS.map((iou) => m.ap[iou])))),
+    current: { thresholds: currentThresholds, minInkRatio, micro: microAverage(current.map((m) => m.current)) },
+    suggested: { thresholds: suggestedThresholds, minInkRatio: chosen.minInkRatio, micro: microAverage(suggested) },
+    inkRatios: sweeps.map(({ minInkRatio: ratio, map50, f1 }) => ({ minInkRatio: ratio, map50, f1 })),
+    confusion: {
+      current: confusionMatrix(images, classes, currentThresholds, minInkRatio),
+      suggested: confusionMatrix(images, classes, suggestedThresholds, chosen.minInkRatio),
+    },
+  }
+}
+
+// --------------- DAPR item agreement ---------------
+
+// Cohen's kappa of two binary ratings; null when both raters never vary (chance agreement is 1)
+function cohensKappa(a, b) {
+  const n = a.length
+  const observed = a.filter((v, i) => v === b[i]).length / n
+  const [pa, pb] = [a.filter(Boolean).length / n, b.filter(Boolean).length / n]
+  const expected = pa * pb + (1 - pa) * (1 - pb)
+  return expected === 1 ? null : (observed - expected) / (1 - expected)
+}
+
+function automatedItems(score) {
+  return [...(score.stress_items ?? []), ...(score.resource_items ?? [])].filter((item) => item.automated)
+}
+
+/**
+ * Agreement of the automated DAPR items scored from predicted boxes with those scored from the ground truth
+ * of the same images
+ * @param {Array<{truth: Object, predicted: Object}>} pairs - Default-scheme scores (calculateDAPRScore format)
+ * @returns {{
+ *   imageCount: number,
+ *   items: Array<{name: string, category: string, truthPositive: number, predictedPositive: number,
+ *     agreement: number, kappa: number|null}>,
+ *   stressMAE: number|null, resourceMAE: number|null, totalMAE: number|null, totalExact: number|null,
+ * }}
+ */
+export function daprAgreement(pairs) {
+  const items = pairs.length ? automatedItems(pairs[0].truth).map(({ name, category }) => {
+    const find = (score) => (automatedItems(score).find((item) => item.name === name)?.ai_score ?? 0) > 0
+    const truth = pairs.map((p) => find(p.truth))
+    const predicted = pairs.map((p) => find(p.predicted))
+    return {
+      name,
+      category,
+      truthPositive: truth.filter(Boolean).length,
+      predictedPositive: predicted.filter(Boolean).length,
+      agreement: truth.filter((v, i) => v === predicted[i]).length / pairs.length,
+      kappa: cohensKappa(truth, predicted),
+    }
+  }) : []
+  const mae = (field) => mean(pairs.map((p) => Math.abs(p.truth[field] - p.predicted[field])))
+  return {
+    imageCount: pairs.length,
+    items,
+    stressMAE: mae('ai_stress_score'),
+    resourceMAE: mae('ai_resource_score'),
+    totalMAE: mae('ai_total_score'),
+    totalExact: pairs.length ? pairs.filter((p) => p.truth.ai_total_score === p.predicted.ai_total_score).length / pairs.length : null,
+  }
+}
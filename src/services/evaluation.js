@@ -0,0 +1,206 @@
+// src/services/evaluation.js
+// Detector evaluation run (metrics in detectionMetrics.js): pairs picked images with YOLO or COCO ground truth,
+// runs the active detector over each image and scores the DAPR items from both sets of boxes. Detection runs once
+// per image with class thresholds and the blank-area filter off, so every threshold and MIN_INK_RATIO setting can
+// be evaluated from the same predictions.
+import { detectWithProvenance } from './detection'
+import { getActiveModel } from './models'
+import { getActiveProfile } from './profiles'
+import { assessDetections } from './assessment'
+import { loadImage } from './images'
+import { inkRatio, MIN_INK_RATIO } from './pipeline'
+import { t } from '../i18n'
+import {
+  fileStem,
+  parseYoloNames,
+  parseYoloLabels,
+  parseCocoAnnotations,
+  evaluateDetector,
+  keptPredictions,
+  daprAgreement,
+} from './detectionMetrics'
+
+// Predictions below this confidence are not collected; low enough for the PR curves to reach high recall
+export const EVALUATION_CONFIDENCE_FLOOR = 0.01
+
+const IMAGE_PATTERN = /\.(png|jpe?g|webp|bmp)$/i
+const YOLO_NAMES_PATTERN = /(^|[\\/])(data\.ya?ml|classes\.txt)$/i
+
+function readText(file) {
+  return file.text()
+}
+
+function filePath(file) {
+  return file.webkitRelativePath || file.name
+}
+
+/**
+ * Pair picked images with their ground truth
+ * YOLO: one label .txt per image with the same file name, class ids from data.yaml / classes.txt if picked, else
+ * the model's class order. COCO: instances .json files, images matched by file name. An image without
+ * annotations is left out; an empty YOLO label file or a COCO image without annotations counts as background.
+ * @param {File[]} files
+ * @param {string[]} classes - Classes of the evaluated model
+ * @returns {Promise<{
+ *   format: 'yolo'|'coco'|null,
+ *   samples: Array<{name: string, file: File, boxes: Array<{category: string, bbox: number[]}>, frame: {width: number, height: number}}>,
+ *   boxCount: number, unpairedImages: number, unpairedAnnotations: number, unknownClass: number,
+ * }>} boxes are in `frame` coordinates (1 × 1 for normalised YOLO labels) until scaled to the image
+ */
+export async function pairGroundTruth(files, classes) {
+  const images = files.filter((f) => IMAGE_PATTERN.test(f.name))
+  const cocoFiles = files.filter((f) => /\.json$/i.test(f.name))
+  const namesFile = files.find((f) => YOLO_NAMES_PATTERN.test(filePath(f)))
+  const labelFiles = files.filter((f) => /\.txt$/i.test(f.name) && f !== namesFile)
+
+  const annotations = new Map()
+  let unknownClass = 0
+  let format = null
+  if (cocoFiles.length) {
+    format = 'coco'
+    for (const file of cocoFiles) {
+      const parsed = parseCocoAnnotations(JSON.parse(await readText(file)), classes)
+      unknownClass += parsed.unknown
+      for (const [stem, entry] of parsed.images) {
+        annotations.set(stem, { boxes: entry.boxes, frame: { width: entry.width, height: entry.height } })
+      }
+    }
+  } else if (labelFiles.length) {
+    format = 'yolo'
+    const names = namesFile ? parseYoloNames(await readText(namesFile), namesFile.name) : classes
+    for (const file of labelFiles) {
+      const parsed = parseYoloLabels(await readText(file), { names, classes, width: 1, height: 1 })
+      unknownClass += parsed.unknown
+      annotations.set(fileStem(file.name), { boxes: parsed.boxes, frame: { width: 1, height: 1 } })
+    }
+  }
+
+  const samples = []
+  for (const file of images) {
+    const annotation = annotations.get(fileStem(file.name))
+    if (annotation) samples.push({ name: filePath(file), file, ...annotation })
+  }
+  const paired = new Set(samples.map((s) => fileStem(s.name)))
+  return {
+    format,
+    samples,
+    boxCount: samples.reduce((sum, s) => sum + s.boxes.length, 0),
+    unpairedImages: images.length - samples.length,
+    unpairedAnnotations: [...annotations.keys()].filter((stem) => !paired.has(stem)).length,
+    unknownClass,
+  }
+}
+
+function scaleBoxes(boxes, frame, width, height) {
+  const [sx, sy] = [width / frame.width, height / frame.height]
+  return boxes.map(({ category, bbox: [x1, y1, x2, y2] }) => ({ category, bbox: [x1 * sx, y1 * sy, x2 * sx, y2 * sy] }))
+}
+
+// Default-scheme score of a set of boxes; ids only link evidence, so input order will do
+function scoreBoxes(boxes, imageData, profile) {
+  return assessDetections(boxes.map((d, i) => ({ ...d, id: i })), { imageData }, profile).daprScore
+}
+
+// Every image must come from the detector and model of the first: a fallback part-way through would pool the
+// placeholder's boxes with the model's
+function assertSameDetector(first, provenance) {
+  if (provenance.detector === first.detector && provenance.modelHash === first.modelHash) return
+  const model = (p) => p.modelHash?.slice(0, 12) ?? p.modelId ?? '-'
+  throw new Error(t('evaluation.mixedDetectors', {
+    image: provenance.image,
+    detector: provenance.detector,
+    model: model(provenance),
+    first: first.image,
+    firstDetector: first.detector,
+    firstModel: model(first),
+  }))
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new DOMException('Evaluation cancelled', 'AbortError')
+}
+
+/**
+ * Evaluate the active detector
+ * @param {Array<Object>} samples - From pairGroundTruth
+ * @param {Object} [options]
+ * @param {'auto'|'single'|'tiled'} [options.strategy] - Inference strategy (see detectObjects)
+ * @param {(e: {stage: 'detect'|'score', progress: number}) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{
+ *   report: Object, agreement: {current: Object, suggested: Object}, provenance: Object,
+ *   model: {id: string, version: string}, profile: {profileId: string, version: number}, createdAt: string,
+ * }>} report from evaluateDetector; agreement from daprAgreement with the current and the suggested settings
+ */
+export async function runEvaluation(samples, { strategy = 'auto', onProgress, signal } = {}) {
+  const model = await getActiveModel()
+  const profile = await getActiveProfile()
+  const images = []
+  let provenance = null
+  let firstImage = null
+
+  for (const [i, sample] of samples.entries()) {
+    throwIfAborted(signal)
+    const imageData = getImageData(await loadImage(sample.file))
+    const { detections, provenance: imageProvenance } = await detectWithProvenance(sample.file, {
+      modelId: model.id,
+      strategy,
+      confidenceThreshold: EVALUATION_CONFIDENCE_FLOOR,
+      thresholds: {},
+      minInkRatio: 0,
+      signal,
+    })
+    if (!provenance) [provenance, firstImage] = [imageProvenance, sample.name]
+    assertSameDetector({ ...provenance, image: firstImage }, { ...imageProvenance, image: sample.name })
+    images.push({
+      name: sample.name,
+      width: imageData.width,
+      height: imageData.height,
+      groundTruth: scaleBoxes(sample.boxes, sample.frame, imageData.width, imageData.height),
+      predictions: detections.map((d) => ({ ...d, inkRatio: inkRatio(imageData, d.bbox) })),
+    })
+    onProgress?.({ stage: 'detect', progress: (i + 1) / samples.length })
+  }
+
+  const report = evaluateDetector(images, { classes: model.classes, thresholds: model.thresholds, minInkRatio: MIN_INK_RATIO })
+
+  // Second pass for the DAPR items: pixels are decoded again rather than kept for every image
+  const pairs = { current: [], suggested: [] }
+  for (const [i, image] of images.entries()) {
+    throwIfAborted(signal)
+    const imageData = getImageData(await loadImage(samples[i].file))
+    const truth = scoreBoxes(image.groundTruth, imageData, profile)
+    for (const setting of ['current', 'suggested']) {
+      const { thresholds, minInkRatio } = report[setting]
+      pairs[setting].push({ truth, predicted: scoreBoxes(keptPredictions(image.predictions, thresholds, minInkRatio), imageData, profile) })
+    }
+    onProgress?.({ stage: 'score', progress: (i + 1) / images.length })
+  }
+
+  return {
+    report,
+    agreement: { current: daprAgreement(pairs.current), suggested: daprAgreement(pairs.suggested) },
+    provenance,
+    model: { id: model.id, version: model.version },
+    profile: { profileId: profile.profileId, version: profile.version },
+    createdAt: new Date().toISOString(),
+  }
+}
+
+/**
+ * @param {Date} [date]
+ * @returns {string} e.g. alphadapr-evaluation-2024-05-01.json
+ */
+export function evaluationFileName(date = new Date()) {
+  return `alphadapr-evaluation-${date.toISOString().slice(0, 10)}.json`
+}
+
+// Helper: read the pixels of a loaded image, as the detection worker reads them
+function getImageData(img) {
+  const canvas = document.createElement('canvas')
+  canvas.width = img.width
+  canvas.height = img.height
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.drawImage(img, 0, 0)
+  return ctx.getImageData(0, 0, img.width, img.height)
+}
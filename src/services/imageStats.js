@@ -0,0 +1,79 @@
+// src/services/imageStats.js
+// Pixel-intensity statistics inside detection boxes, used for "dark_clouds" and shaded elements.
+// Works on any RGBA pixel buffer: canvas drawings (including brush/fill shading) and uploaded scans.
+
+// A pixel is "ink" if its luminance is below near-white. The level matches the content filter in pipeline.js
+// (inkRatio), but that filter counts a pixel as ink when any channel is below it, so faint coloured strokes pass there
+const INK_LEVEL = 240
+// Share of each side trimmed off to get the box interior, where outlines no longer dominate
+const INTERIOR_MARGIN = 0.2
+// Sample every Nth pixel in each direction; plenty for box-level averages
+const SAMPLE_STEP = 2
+
+/**
+ * Measure ink and tone inside each detection box
+ * @param {Array<{bbox: number[]}>} detections - bbox as [x1, y1, x2, y2]
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData
+ * @returns {Array<{inkDensity: number, darkness: number, inkDarkness: number, fill: number}|null>}
+ *   inkDensity: share of ink pixels in the box (0–1)
+ *   darkness: mean darkness of all pixels in the box (0 = white, 1 = black)
+ *   inkDarkness: mean darkness of the ink pixels only (pen tone / pressure)
+ *   fill: share of ink pixels in the box interior; outlined shapes score low, filled or shaded ones high
+ */
+export function measureIntensity(detections, imageData) {
+  if (!imageData) return detections.map(() => null)
+  return detections.map((det) => measureBox(imageData, det.bbox))
+}
+
+function measureBox(imageData, bbox) {
+  const whole = sampleRegion(imageData, bbox)
+  if (!whole) return null
+
+  const [x1, y1, x2, y2] = bbox
+  const mx = (x2 - x1) * INTERIOR_MARGIN
+  const my = (y2 - y1) * INTERIOR_MARGIN
+  const interior = sampleRegion(imageData, [x1 + mx, y1 + my, x2 - mx, y2 - my])
+
+  return {
+    inkDensity: round3(whole.ink / whole.total),
+    darkness: round3(whole.darkSum / whole.total),
+    inkDarkness: whole.ink > 0 ? round3(whole.inkDarkSum / whole.ink) : 0,
+    fill: interior ? round3(interior.ink / interior.total) : round3(whole.ink / whole.total),
+  }
+}
+
+/**
+ * Accumulate ink counts and darkness over a (clipped) region
+ * @returns {{total: number, ink: number, darkSum: number, inkDarkSum: number}|null}
+ */
+function sampleRegion(imageData, [x1, y1, x2, y2]) {
+  const { width, height, data } = imageData
+  const bx1 = Math.max(0, Math.floor(x1))
+  const by1 = Math.max(0, Math.floor(y1))
+  const bx2 = Math.min(width, Math.ceil(x2))
+  const by2 = Math.min(height, Math.ceil(y2))
+  if (bx2 - bx1 <= 0 || by2 - by1 <= 0) return null
+
+  let total = 0, ink = 0, darkSum = 0, inkDarkSum = 0
+  for (let y = by1; y < by2; y += SAMPLE_STEP) {
+    for (let x = bx1; x < bx2; x += SAMPLE_STEP) {
+      const i = (y * width + x) * 4
+      const r = data[i], g = data[i + 1], b = data[i + 2]
+      // Transparent pixels (e.g. an un-flattened PNG) count as white paper
+      const alpha = data[i + 3] / 255
+      const luminance = (0.299 * r + 0.587 * g + 0.114 * b) * alpha + 255 * (1 - alpha)
+      const darkness = 1 - luminance / 255
+      total++
+      darkSum += darkness
+      if (luminance < INK_LEVEL) {
+        ink++
+        inkDarkSum += darkness
+      }
+    }
+  }
+  return total > 0 ? { total, ink, darkSum, inkDarkSum } : null
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000
+}
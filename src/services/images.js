@@ -0,0 +1,88 @@
+// src/services/images.js
+// Sketch image storage helpers. Full-resolution images are kept as Blobs in their own table (see db.js
+// sketchImages) and only loaded when a view or the analysis needs the pixels; lists show a small thumbnail
+// stored on the sketch record.
+
+// Longest side of a thumbnail (px); previews are shown at 80–100 px, so this stays sharp on HiDPI screens
+export const THUMBNAIL_SIZE = 200
+const THUMBNAIL_QUALITY = 0.8
+
+/**
+ * Decode a data URL synchronously (usable inside IndexedDB transactions, which close on other awaits)
+ * @param {string} dataUrl
+ * @returns {Blob}
+ */
+export function dataUrlToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(',')
+  const type = header.match(/^data:([^;,]+)/)?.[1] ?? 'application/octet-stream'
+  if (!header.includes(';base64')) return new Blob([decodeURIComponent(data)], { type })
+  const binary = atob(data)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return new Blob([bytes], { type })
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+/**
+ * Scale an image down to THUMBNAIL_SIZE on white paper (transparent uploads would turn black as JPEG)
+ * @param {Blob} blob
+ * @param {number} [size]
+ * @returns {Promise<string>} JPEG data URL
+ */
+export async function createThumbnail(blob, size = THUMBNAIL_SIZE) {
+  const bitmap = await createImageBitmap(blob)
+  const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale))
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale))
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = 'white'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+  return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY)
+}
+
+/**
+ * Load an HTMLImageElement from a Blob
+ * @param {Blob} blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob)
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(img)
+    }
+    img.onerror = (e) => {
+      URL.revokeObjectURL(url)
+      reject(e)
+    }
+    img.src = url
+  })
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type]
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas is empty'))), type)
+  })
+}
@@ -0,0 +1,352 @@
+// src/services/inference.js
+// Browser detection engine for AlphaDAPR: onnxruntime-web session + the shared pipeline stages (see pipeline.js)
+// Runs inside the detection worker (see detection.worker.js); no DOM access
+import {
+  sha256Hex,
+  hashImageData,
+  seedFromHash,
+  mulberry32,
+  fixtureDetections,
+  placeholderDetect,
+  detectRegions,
+  describeStrategy,
+} from './pipeline'
+
+// Class names, per-class thresholds and input size come from the model manifest entry (see models.js)
+
+// onnxruntime-web is loaded dynamically only when ONNX mode is requested
+let ort = null
+
+// Execution providers in order of preference; each is tried until one loads the model
+const PROVIDER_ORDER = ['webgpu', 'webgl', 'wasm']
+const MAX_WASM_THREADS = 4
+const MAX_RECORDED_RUNS = 20
+
+// Cached ONNX session to avoid reloading, and the model it was created from
+let cachedSession = null
+let cachedModel = null // { id, version, sha256, hash }: sha256 from the manifest, hash computed from the file
+// Providers that failed to load or run the model: provider → error message
+const failedProviders = new Map()
+
+// Inference environment and timings, exposed through getDiagnostics()
+const diagnostics = {
+  provider: null,
+  numThreads: null,
+  crossOriginIsolated: null,
+  hardwareConcurrency: null,
+  attempts: [],
+  model: null,
+  modelLoadMs: null,
+  warmupMs: null,
+  lastError: null,
+  runs: [],
+}
+
+/**
+ * Run the full detection pipeline on raw image data
+ * @param {ImageData} imageData - Raw pixel data of the source image
+ * @param {Object} options
+ * @param {number} options.confidenceThreshold - Fallback confidence for classes without a per-class threshold
+ * @param {number} options.iouThreshold - NMS IoU threshold
+ * @param {'onnx'|'placeholder'|'fixture'} [options.detector] - Detector to run (default: 'onnx', or 'placeholder' when useOnnx is false)
+ * @param {boolean} options.useOnnx - Legacy switch; false selects the placeholder detector
+ * @param {number} [options.seed] - Placeholder seed (default: derived from the image hash)
+ * @param {string} [options.fixtureUrl] - Absolute URL of the fixture JSON used by the 'fixture' detector
+ * @param {Object} options.model - Model manifest entry with absolute `url` (see models.getActiveModel)
+ * @param {'auto'|'single'|'tiled'} [options.strategy] - Inference strategy (default: 'auto', see pipeline.planStrategy)
+ * @param {number} [options.tileSize] - Tile edge in source pixels (default: 2 × model input size)
+ * @param {number} [options.tileOverlap] - Fractional overlap between neighbouring tiles (default: 0.2)
+ * @param {number} [options.minInkRatio] - Blank-area filter cut-off (default: pipeline MIN_INK_RATIO; 0 disables it)
+ * @param {Object} [hooks]
+ * @param {(stage: string, progress: number) => void} [hooks.onProgress] - Called as each stage starts
+ * @param {() => void} [hooks.throwIfCancelled] - Called between stages; throws to abort the run
+ * @returns {Promise<{
+ *   detections: Array<{category: string, bbox: number[], confidence: number, class_id: number, mask?: Object|null}>,
+ *   provenance: {
+ *     detector: string, modelId: string|null, modelVersion: string|null, modelHash: string|null, provider: string|null,
+ *     strategy: { mode: string, tileSize: number|null, overlap: number|null, tiles: number }|null,
+ *     imageHash: string, seed: number|null, fallbackReason: string|null
+ *   }
+ * }>}
+ */
+export async function runDetection(imageData, options, hooks = {}) {
+  const { confidenceThreshold = 0.5, iouThreshold = 0.45, useOnnx = true, model } = options
+  const detector = options.detector ?? (useOnnx ? 'onnx' : 'placeholder')
+  const { onProgress = () => {}, throwIfCancelled = () => {} } = hooks
+  const { width, height } = imageData
+
+  const imageHash = await hashImageData(imageData)
+  const noModel = { modelId: null, modelVersion: null, modelHash: null, provider: null, strategy: null }
+  const placeholderResult = (fallbackReason = null) => {
+    const seed = options.seed ?? seedFromHash(imageHash)
+    return {
+      detections: placeholderDetect(width, height, model.classes, mulberry32(seed)),
+      provenance: { detector: 'placeholder', ...noModel, imageHash, seed, fallbackReason },
+    }
+  }
+
+  if (detector === 'placeholder') {
+    onProgress('done', 1)
+    return placeholderResult()
+  }
+  if (detector === 'fixture') {
+    const detections = await fixtureDetect(options.fixtureUrl, imageHash, model.classes)
+    onProgress('done', 1)
+    return { detections, provenance: { detector: 'fixture', ...noModel, imageHash, seed: null, fallbackReason: null } }
+  }
+
+  try {
+    const startedAt = performance.now()
+    onProgress('session', 0.1)
+    await getOnnxSession(model)
+    throwIfCancelled()
+
+    const { detections, plan, timings } = await detectRegions(
+      imageData,
+      model,
+      (input, size) => runModel(model, input, size),
+      { ...options, confidenceThreshold, iouThreshold },
+      { onProgress, throwIfCancelled },
+    )
+    recordRun({
+      provider: diagnostics.provider,
+      width,
+      height,
+      strategy: plan.mode,
+      regions: plan.regions.length,
+      preprocessMs: Math.round(timings.preprocessMs),
+      inferenceMs: Math.round(timings.inferenceMs),
+      postprocessMs: Math.round(timings.postprocessMs),
+      totalMs: Math.round(performance.now() - startedAt),
+    })
+    onProgress('done', 1)
+    return {
+      detections,
+      provenance: {
+        detector: 'onnx',
+        modelId: cachedModel.id,
+        modelVersion: cachedModel.version,
+        modelHash: cachedModel.hash,
+        provider: diagnostics.provider,
+        strategy: describeStrategy(plan),
+        imageHash,
+        seed: null,
+        fallbackReason: null,
+      },
+    }
+  } catch (e) {
+    if (e.name === 'AbortError') throw e
+    console.warn('ONNX inference failed, falling back to placeholder:', e.message)
+    diagnostics.lastError = e.message
+    onProgress('done', 1)
+    return placeholderResult(e.message)
+  }
+}
+
+// Fixture files already fetched: url → Promise<{ images: { [imageHash]: { detections: Array } } }>
+const fixtureCache = new Map()
+
+/**
+ * Fixture detector: fetch (once) a JSON file of recorded detections and look the image up by pixel hash
+ */
+async function fixtureDetect(fixtureUrl, imageHash, classes) {
+  if (!fixtureUrl) throw new Error('Fixture detector requires a fixtureUrl')
+  if (!fixtureCache.has(fixtureUrl)) {
+    const promise = fetch(fixtureUrl).then((res) => {
+      if (!res.ok) throw new Error(`Failed to fetch fixtures: HTTP ${res.status}`)
+      return res.json()
+    })
+    promise.catch(() => fixtureCache.delete(fixtureUrl))
+    fixtureCache.set(fixtureUrl, promise)
+  }
+  return fixtureDetections(await fixtureCache.get(fixtureUrl), imageHash, classes)
+}
+
+/**
+ * Load ort (WebGPU + WebGL + WASM build) and configure the WASM thread pool.
+ * Multi-threaded WASM needs SharedArrayBuffer, i.e. a cross-origin isolated context.
+ */
+async function loadOrt() {
+  if (ort) return ort
+  ort = await import('onnxruntime-web/all')
+  const isolated = typeof crossOriginIsolated !== 'undefined' && crossOriginIsolated
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 1
+  ort.env.wasm.numThreads = isolated ? Math.min(cores, MAX_WASM_THREADS) : 1
+  // In dev mode, Vite can't resolve ort's internal dynamic imports for WASM files,
+  // so point to the raw node_modules path which Vite serves directly.
+  if (import.meta.env.DEV) {
+    ort.env.wasm.wasmPaths = '/node_modules/onnxruntime-web/dist/'
+  }
+  diagnostics.crossOriginIsolated = isolated
+  diagnostics.hardwareConcurrency = cores
+  return ort
+}
+
+/**
+ * Quick capability probe so unsupported providers are skipped with a readable reason
+ * @returns {Promise<string|null>} reason the provider cannot be used, or null if it may work
+ */
+async function probeProvider(provider) {
+  if (provider === 'webgpu') {
+    if (typeof navigator === 'undefined' || !navigator.gpu) return 'navigator.gpu not available'
+    const adapter = await navigator.gpu.requestAdapter().catch(() => null)
+    return adapter ? null : 'no WebGPU adapter'
+  }
+  if (provider === 'webgl') {
+    if (typeof OffscreenCanvas === 'undefined') return 'OffscreenCanvas not available'
+    const gl = new OffscreenCanvas(1, 1).getContext('webgl2')
+    return gl ? null : 'WebGL2 context unavailable'
+  }
+  return null
+}
+
+/**
+ * Download a model file and verify it against the manifest hash
+ * @returns {Promise<{ bytes: Uint8Array, hash: string }>}
+ */
+async function fetchModel(model) {
+  const res = await fetch(model.url)
+  if (!res.ok) throw new Error(`Failed to fetch model ${model.id}: HTTP ${res.status}`)
+  const buffer = await res.arrayBuffer()
+  const hash = await sha256Hex(buffer)
+  if (model.sha256 && model.sha256.toLowerCase() !== hash) {
+    throw new Error(`Model ${model.id} hash mismatch: manifest ${model.sha256}, file ${hash}`)
+  }
+  return { bytes: new Uint8Array(buffer), hash }
+}
+
+/**
+ * Whether the cached session was created from this manifest entry. Id alone is not enough: a manifest update
+ * that ships a new file under the same id changes its version or sha256.
+ */
+function isCachedModel(model) {
+  return cachedModel?.id === model.id
+    && cachedModel.version === model.version
+    && cachedModel.sha256 === (model.sha256 ?? null)
+}
+
+/**
+ * Load or retrieve cached ONNX session for the given model.
+ * Negotiates the execution provider in PROVIDER_ORDER, skipping any that failed before.
+ */
+async function getOnnxSession(model) {
+  if (cachedSession && isCachedModel(model)) return cachedSession
+  if (cachedSession) {
+    // Switching models: release the old session and give every provider a fresh chance
+    await cachedSession.release?.()
+    cachedSession = null
+    failedProviders.clear()
+  }
+  await loadOrt()
+
+  const startedAt = performance.now()
+  const { bytes, hash } = await fetchModel(model)
+  cachedModel = { id: model.id, version: model.version, sha256: model.sha256 ?? null, hash }
+  diagnostics.model = { ...cachedModel }
+  diagnostics.attempts = []
+  for (const provider of PROVIDER_ORDER) {
+    if (failedProviders.has(provider)) {
+      diagnostics.attempts.push({ provider, ok: false, error: failedProviders.get(provider), ms: 0 })
+      continue
+    }
+    const t0 = performance.now()
+    const unsupported = await probeProvider(provider)
+    if (unsupported) {
+      failedProviders.set(provider, unsupported)
+      diagnostics.attempts.push({ provider, ok: false, error: unsupported, ms: 0 })
+      continue
+    }
+    try {
+      cachedSession = await ort.InferenceSession.create(bytes, {
+        executionProviders: [provider],
+      })
+      diagnostics.attempts.push({ provider, ok: true, error: null, ms: Math.round(performance.now() - t0) })
+      diagnostics.provider = provider
+      diagnostics.numThreads = provider === 'wasm' ? ort.env.wasm.numThreads : null
+      diagnostics.modelLoadMs = Math.round(performance.now() - startedAt)
+      console.debug(`[DAPR] ONNX session ready on ${provider} in ${diagnostics.modelLoadMs}ms`)
+      return cachedSession
+    } catch (e) {
+      console.warn(`ONNX session creation failed on ${provider}:`, e.message)
+      failedProviders.set(provider, e.message)
+      diagnostics.attempts.push({ provider, ok: false, error: e.message, ms: Math.round(performance.now() - t0) })
+    }
+  }
+  throw new Error('No ONNX execution provider could load the model')
+}
+
+/**
+ * Run the session; if a GPU provider loaded the model but cannot execute it
+ * (e.g. an unsupported operator), drop it and retry on the next provider.
+ */
+async function runSession(model, feeds) {
+  for (;;) {
+    const session = await getOnnxSession(model)
+    try {
+      return await session.run(feeds)
+    } catch (e) {
+      const provider = diagnostics.provider
+      if (provider === 'wasm') throw e
+      console.warn(`ONNX run failed on ${provider}, trying next provider:`, e.message)
+      failedProviders.set(provider, e.message)
+      cachedSession = null
+      diagnostics.provider = null
+    }
+  }
+}
+
+/**
+ * Run one letterboxed input through the session (the `runModel` callback of detectRegions)
+ * @returns {Promise<{ output: Object, protos: Object|null }>}
+ */
+async function runModel(model, input, size) {
+  const tensor = new ort.Tensor('float32', input, [1, 3, size, size])
+  const feeds = {}
+  feeds[cachedSession.inputNames[0]] = tensor
+  const results = await runSession(model, feeds)
+  return {
+    output: results[cachedSession.outputNames[0]],
+    // -seg models add a second output with the mask prototypes
+    protos: model.task === 'segment' ? results[cachedSession.outputNames[1]] : null,
+  }
+}
+
+/**
+ * Record the timings of one detection run (kept to the last MAX_RECORDED_RUNS)
+ */
+function recordRun(run) {
+  diagnostics.runs.push({ ...run, at: new Date().toISOString() })
+  if (diagnostics.runs.length > MAX_RECORDED_RUNS) diagnostics.runs.shift()
+}
+
+/**
+ * Snapshot of the inference environment: negotiated provider, thread count,
+ * provider attempts, model load time and recent inference timings
+ */
+export function getDiagnostics() {
+  const runs = diagnostics.runs
+  const avg = (key) => runs.length ? Math.round(runs.reduce((sum, r) => sum + r[key], 0) / runs.length) : null
+  return {
+    ...diagnostics,
+    attempts: diagnostics.attempts.map((a) => ({ ...a })),
+    runs: runs.map((r) => ({ ...r })),
+    sessionLoaded: !!cachedSession,
+    avgInferenceMs: avg('inferenceMs'),
+    avgTotalMs: avg('totalMs'),
+  }
+}
+
+/**
+ * Pre-load the ONNX session and run a dummy inference to warm up the model
+ */
+export async function warmupSession(model) {
+  const session = await getOnnxSession(model)
+  const size = model.inputSize
+  const dummyInput = new Float32Array(3 * size * size)
+  const tensor = new ort.Tensor('float32', dummyInput, [1, 3, size, size])
+  const feeds = {}
+  feeds[session.inputNames[0]] = tensor
+  const t0 = performance.now()
+  await runSession(model, feeds)
+  diagnostics.warmupMs = Math.round(performance.now() - t0)
+}
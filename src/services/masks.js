@@ -0,0 +1,168 @@
+// src/services/masks.js
+// Compact instance masks from YOLOv8-seg models, and the shape tests the scoring helpers use.
+//
+// Mask format (stored on detection records as `mask`):
+//   { x, y, cellW, cellH, cols, rows, counts }
+// A cols×rows grid whose top-left corner is at (x, y) in image pixels; each cell is cellW×cellH px
+// (the model's prototype resolution, typically 4 input px). `counts` is a row-major run-length
+// encoding alternating 0-runs and 1-runs, starting with a (possibly empty) 0-run.
+//
+// A "shape" is a detection's region: its mask when it has one, otherwise its bbox.
+
+/**
+ * Run-length encode a binary grid
+ * @param {Uint8Array} bits - cols×rows, row-major, 0/1
+ * @param {number} cols
+ * @param {number} rows
+ * @param {{x: number, y: number, cellW: number, cellH: number}} geometry
+ * @returns {Object|null} mask, or null when no cell is set
+ */
+export function encodeMask(bits, cols, rows, { x, y, cellW, cellH }) {
+  const counts = []
+  let current = 0
+  let run = 0
+  let any = false
+  for (let i = 0; i < cols * rows; i++) {
+    const v = bits[i] ? 1 : 0
+    if (v) any = true
+    if (v !== current) {
+      counts.push(run)
+      current = v
+      run = 0
+    }
+    run++
+  }
+  counts.push(run)
+  if (!any) return null
+  return { x: round2(x), y: round2(y), cellW: round2(cellW), cellH: round2(cellH), cols, rows, counts }
+}
+
+/**
+ * @param {Object} mask
+ * @returns {Uint8Array} cols×rows grid of 0/1
+ */
+export function decodeMask(mask) {
+  const bits = new Uint8Array(mask.cols * mask.rows)
+  let pos = 0
+  for (let i = 0; i < mask.counts.length; i++) {
+    if (i % 2 === 1) bits.fill(1, pos, pos + mask.counts[i])
+    pos += mask.counts[i]
+  }
+  return bits
+}
+
+/**
+ * Mask area in image px²
+ */
+export function maskArea(mask) {
+  let cells = 0
+  for (let i = 1; i < mask.counts.length; i += 2) cells += mask.counts[i]
+  return cells * mask.cellW * mask.cellH
+}
+
+/**
+ * Build a point-testable shape from a bbox and an optional mask
+ * @param {number[]} bbox - [x1, y1, x2, y2]
+ * @param {Object|null} [mask]
+ * @returns {{bbox: number[], cell: number, contains: (x: number, y: number) => boolean, area: number}}
+ */
+export function toShape(bbox, mask = null) {
+  const [x1, y1, x2, y2] = bbox
+  const inBox = (x, y) => x >= x1 && x <= x2 && y >= y1 && y <= y2
+  if (!mask) {
+    return { bbox, cell: Math.max(1, Math.min(x2 - x1, y2 - y1) / 50), contains: inBox, area: (x2 - x1) * (y2 - y1) }
+  }
+  const bits = decodeMask(mask)
+  return {
+    bbox: [mask.x, mask.y, mask.x + mask.cols * mask.cellW, mask.y + mask.rows * mask.cellH],
+    cell: Math.max(1, Math.min(mask.cellW, mask.cellH)),
+    contains: (x, y) => {
+      const c = Math.floor((x - mask.x) / mask.cellW)
+      const r = Math.floor((y - mask.y) / mask.cellH)
+      return c >= 0 && r >= 0 && c < mask.cols && r < mask.rows && bits[r * mask.cols + c] === 1
+    },
+    area: maskArea(mask),
+  }
+}
+
+/**
+ * Overlap of two shapes as intersection / smaller area (0–1), sampled at the finer of the two grids
+ */
+export function overlapRatio(a, b) {
+  const region = intersectBoxes(a.bbox, b.bbox)
+  if (!region) return 0
+  const step = Math.min(a.cell, b.cell)
+  let hits = 0
+  for (let y = region[1] + step / 2; y < region[3]; y += step) {
+    for (let x = region[0] + step / 2; x < region[2]; x += step) {
+      if (a.contains(x, y) && b.contains(x, y)) hits++
+    }
+  }
+  const smaller = Math.min(a.area, b.area)
+  return smaller > 0 ? Math.min(1, (hits * step * step) / smaller) : 0
+}
+
+/**
+ * Whether two shapes overlap or come within `tolerance` px of each other
+ */
+export function shapesTouch(a, b, tolerance) {
+  const region = intersectBoxes(a.bbox, expandBox(b.bbox, tolerance))
+  if (!region) return false
+  const step = Math.min(a.cell, b.cell)
+  const offsets = [0, -tolerance, tolerance]
+  for (let y = region[1] + step / 2; y < region[3]; y += step) {
+    for (let x = region[0] + step / 2; x < region[2]; x += step) {
+      if (!a.contains(x, y)) continue
+      for (const dy of offsets) {
+        for (const dx of offsets) {
+          if (b.contains(x + dx, y + dy)) return true
+        }
+      }
+    }
+  }
+  return false
+}
+
+/**
+ * Union of two masks on the finer grid covering both (used when tiled detections are merged)
+ */
+export function unionMasks(a, b) {
+  if (!a || !b) return a || b || null
+  const sa = toShape([0, 0, 0, 0], a)
+  const sb = toShape([0, 0, 0, 0], b)
+  const cellW = Math.min(a.cellW, b.cellW)
+  const cellH = Math.min(a.cellH, b.cellH)
+  const x = Math.min(sa.bbox[0], sb.bbox[0])
+  const y = Math.min(sa.bbox[1], sb.bbox[1])
+  const cols = Math.ceil((Math.max(sa.bbox[2], sb.bbox[2]) - x) / cellW)
+  const rows = Math.ceil((Math.max(sa.bbox[3], sb.bbox[3]) - y) / cellH)
+  const bits = new Uint8Array(cols * rows)
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const px = x + (c + 0.5) * cellW
+      const py = y + (r + 0.5) * cellH
+      if (sa.contains(px, py) || sb.contains(px, py)) bits[r * cols + c] = 1
+    }
+  }
+  return encodeMask(bits, cols, rows, { x, y, cellW, cellH })
+}
+
+/**
+ * Shift a mask by (dx, dy) image px
+ */
+export function translateMask(mask, dx, dy) {
+  return mask ? { ...mask, x: round2(mask.x + dx), y: round2(mask.y + dy) } : null
+}
+
+function intersectBoxes(a, b) {
+  const box = [Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.min(a[2], b[2]), Math.min(a[3], b[3])]
+  return box[2] > box[0] && box[3] > box[1] ? box : null
+}
+
+function expandBox(box, margin) {
+  return [box[0] - margin, box[1] - margin, box[2] + margin, box[3] + margin]
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100
+}
@@ -0,0 +1,111 @@
+// src/services/models.js
+// Model registry: reads public/models/manifest.json and tracks the user's active model.
+//
+// Manifest entry:
+//   { id, name, version, file, sha256, task, inputSize, classes: string[], thresholds: { [class]: number }, source }
+// `classes` must be in training order; `sha256` (hex) is verified when the worker loads the file.
+// `task` is 'detect' or 'segment' (YOLOv8-seg export with a second mask-prototype output).
+// A null sha256 skips verification, but the computed hash is still recorded with every analysis;
+// `npm run models` (cli/models.js) writes the hashes of the files in public/models into the manifest.
+
+const MANIFEST_URL = import.meta.env.BASE_URL + 'models/manifest.json'
+const ACTIVE_MODEL_KEY = 'dapr_active_model'
+
+// Built-in entry used when the manifest cannot be fetched (mirrors manifest.json)
+export const DEFAULT_MODEL = {
+  id: 'dapr-yolov8-all',
+  name: 'SceneDAPR YOLOv8 (all scenes)',
+  version: '1.0.0',
+  file: 'dapr.onnx',
+  sha256: null,
+  task: 'detect',
+  inputSize: 640,
+  // Class labels matching the training config (yolo-exp-All.yaml / SceneDAPR order)
+  classes: ['rain', 'umbrella', 'person', 'lightning', 'cloud', 'puddle'],
+  // Per-class confidence thresholds (aligned with copilot backend post-processing)
+  thresholds: {
+    rain: 0.35,
+    umbrella: 0.5,
+    person: 0.5,
+    lightning: 0.3,
+    cloud: 0.3,
+    puddle: 0.3,
+  },
+  source: 'SceneDAPR yolov8-all.pt exported to ONNX',
+}
+
+let manifestPromise = null
+
+/**
+ * Fetch and cache the model manifest; falls back to DEFAULT_MODEL if it is missing or invalid
+ * @returns {Promise<{ default: string, models: Array<Object> }>}
+ */
+export function loadModelManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(MANIFEST_URL)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`)
+        return res.json()
+      })
+      .then((manifest) => {
+        const models = (manifest.models || []).filter(validateModelEntry)
+        if (models.length === 0) throw new Error('manifest lists no valid models')
+        const defaultId = models.some((m) => m.id === manifest.default) ? manifest.default : models[0].id
+        return { default: defaultId, models }
+      })
+      .catch((e) => {
+        console.warn('[DAPR] Model manifest unavailable, using built-in default:', e.message)
+        return { default: DEFAULT_MODEL.id, models: [DEFAULT_MODEL] }
+      })
+  }
+  return manifestPromise
+}
+
+/**
+ * Reject entries that would silently mislabel detections
+ */
+function validateModelEntry(entry) {
+  const ok = entry && entry.id && entry.file && Array.isArray(entry.classes) && entry.classes.length > 0
+  if (!ok) console.warn('[DAPR] Ignoring invalid model manifest entry:', entry)
+  return ok
+}
+
+/**
+ * @returns {Promise<Array<Object>>} all models listed in the manifest
+ */
+export async function listModels() {
+  const manifest = await loadModelManifest()
+  return manifest.models
+}
+
+/**
+ * @returns {string|null} id of the model the user selected (may not exist in the manifest)
+ */
+export function getActiveModelId() {
+  return localStorage.getItem(ACTIVE_MODEL_KEY)
+}
+
+/**
+ * Persist the user's model choice
+ * @param {string} modelId
+ */
+export function setActiveModelId(modelId) {
+  localStorage.setItem(ACTIVE_MODEL_KEY, modelId)
+}
+
+/**
+ * Resolve the active model entry, with `url` made absolute so the worker can fetch it
+ * @param {string} [modelId] - Override the stored selection
+ * @returns {Promise<Object>}
+ */
+export async function getActiveModel(modelId = getActiveModelId()) {
+  const manifest = await loadModelManifest()
+  const entry = manifest.models.find((m) => m.id === modelId)
+    || manifest.models.find((m) => m.id === manifest.default)
+  return {
+    ...entry,
+    thresholds: { ...(entry.thresholds || {}) },
+    inputSize: entry.inputSize || 640,
+    url: new URL(import.meta.env.BASE_URL + 'models/' + entry.file, document.baseURI).href,
+  }
+}
@@ -0,0 +1,333 @@
+// src/services/norms.js
+// Normative tables: reference distributions of the stress, resource and total scores per age band and gender.
+// Tables are imported from JSON or CSV and stored in IndexedDB; the active table is used to place a sketch's
+// score in its norm group (z-score, percentile) and to choose the interpretation relative to that group.
+//
+// Table format (stored in `normTables`):
+//   {
+//     normId, name, source, schemeId,        scores of other scoring schemes are not normed
+//     groups: [{
+//       ageMin, ageMax,                      inclusive, in years
+//       gender: 'male' | 'female' | 'all',
+//       n,                                   sample size, if known
+//       stress / resource / total: { mean, sd } and/or { percentiles: { [p]: score } }
+//     }]
+//   }
+//
+// CSV format: one row per group and measure, with a header row
+//   age_min,age_max,gender,n,measure,mean,sd,p5,p10,p25,p50,p75,p90,p95
+//   measure is stress | resource | total; use mean+sd, any pNN columns, or both
+import { DEFAULT_SCHEME_ID } from './schemes'
+import { listNormTables, saveNormTable, removeNormTable } from './db'
+import { t } from '../i18n'
+
+const ACTIVE_NORM_KEY = 'dapr_norm_table'
+
+// Participant genders; labels are in the i18n catalogs (genders.<id>)
+export const GENDERS = ['male', 'female', 'other']
+
+export const NORM_MEASURES = ['stress', 'resource', 'total']
+
+// Bands of the total z-score, from high to low (the raw-score bands are the profile's interpretationCutoffs)
+export const NORM_Z_CUTOFFS = [1.5, 0.5, -0.5, -1.5]
+
+// Interpretation keys for those bands, from high to low (text in the i18n catalogs, normInterpretations.<key>)
+export const NORM_INTERPRETATION_KEYS = ['well_above', 'above', 'within', 'below', 'well_below']
+
+const GENDER_ALIASES = {
+  male: 'male', m: 'male', boy: 'male', 男: 'male',
+  female: 'female', f: 'female', girl: 'female', 女: 'female',
+  all: 'all', any: 'all', '*': 'all', '': 'all', 全部: 'all',
+}
+
+/**
+ * Parse and validate a norm table file
+ * @param {string} text - JSON (table format above) or CSV
+ * @param {Object} [meta] - { name, source, schemeId } for CSV files, which carry only the groups
+ * @returns {Object} table without normId
+ * @throws {Error} message, in the current UI language, naming the first problem found
+ */
+export function parseNormTable(text, meta = {}) {
+  const trimmed = text.trim()
+  const table = trimmed.startsWith('{') ? JSON.parse(trimmed) : { groups: parseCsvGroups(trimmed) }
+  const result = {
+    name: (meta.name ?? table.name ?? '').trim(),
+    source: (meta.source ?? table.source ?? '').trim(),
+    schemeId: meta.schemeId ?? table.schemeId ?? DEFAULT_SCHEME_ID,
+    groups: (table.groups || []).map(normalizeGroup),
+  }
+  if (!result.name) throw new Error(t('normTables.errors.nameRequired'))
+  if (result.groups.length === 0) throw new Error(t('normTables.errors.noGroups'))
+  return result
+}
+
+function parseCsvGroups(text) {
+  const [header, ...rows] = text.split(/\r?\n/).filter((line) => line.trim()).map(splitCsvLine)
+  const columns = header.map((h) => h.trim().toLowerCase())
+  for (const required of ['age_min', 'age_max', 'measure']) {
+    if (!columns.includes(required)) throw new Error(t('normTables.errors.missingColumn', { column: required }))
+  }
+  const groups = new Map()
+  rows.forEach((cells, i) => {
+    const row = Object.fromEntries(columns.map((c, j) => [c, (cells[j] ?? '').trim()]))
+    const key = `${row.age_min}|${row.age_max}|${row.gender ?? ''}`
+    if (!groups.has(key)) {
+      groups.set(key, { ageMin: row.age_min, ageMax: row.age_max, gender: row.gender ?? '', n: row.n || null })
+    }
+    const measure = row.measure.toLowerCase()
+    if (!NORM_MEASURES.includes(measure)) {
+      throw new Error(t('normTables.errors.badMeasure', { row: i + 2, measures: NORM_MEASURES.join(' / ') }))
+    }
+    const stats = {}
+    if (row.mean !== undefined && row.mean !== '') stats.mean = row.mean
+    if (row.sd !== undefined && row.sd !== '') stats.sd = row.sd
+    const percentiles = {}
+    for (const column of columns) {
+      const match = /^p(\d+(?:\.\d+)?)$/.exec(column)
+      if (match && row[column] !== '') percentiles[match[1]] = row[column]
+    }
+    if (Object.keys(percentiles).length > 0) stats.percentiles = percentiles
+    groups.get(key)[measure] = stats
+  })
+  return Array.from(groups.values())
+}
+
+function splitCsvLine(line) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i]
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        cell += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      cells.push(cell)
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  cells.push(cell)
+  return cells
+}
+
+function normalizeGroup(group, i) {
+  const label = t('normTables.errors.group', { index: i + 1 })
+  const ageMin = Number(group.ageMin)
+  const ageMax = Number(group.ageMax)
+  if (!Number.isFinite(ageMin) || !Number.isFinite(ageMax) || ageMin > ageMax) {
+    throw new Error(t('normTables.errors.badAgeRange', { group: label, min: group.ageMin, max: group.ageMax }))
+  }
+  const gender = GENDER_ALIASES[String(group.gender ?? '').trim().toLowerCase()]
+  if (!gender) throw new Error(t('normTables.errors.badGender', { group: label, gender: group.gender }))
+  const normalized = { ageMin, ageMax, gender, n: group.n ? Number(group.n) : null }
+  for (const measure of NORM_MEASURES) {
+    if (group[measure]) normalized[measure] = normalizeStats(group[measure], `${label} ${measure}`)
+  }
+  if (!normalized.total) throw new Error(t('normTables.errors.missingTotal', { group: label }))
+  return normalized
+}
+
+function normalizeStats(stats, label) {
+  const result = {}
+  if (stats.mean !== undefined || stats.sd !== undefined) {
+    const mean = Number(stats.mean)
+    const sd = Number(stats.sd)
+    if (!Number.isFinite(mean) || !(sd > 0)) throw new Error(t('normTables.errors.badMeanSd', { label }))
+    Object.assign(result, { mean, sd })
+  }
+  if (stats.percentiles) {
+    const points = Object.entries(stats.percentiles)
+      .map(([p, value]) => ({ p: Number(p), value: Number(value) }))
+      .sort((a, b) => a.p - b.p)
+    if (points.some(({ p, value }) => !(p > 0 && p < 100) || !Number.isFinite(value))) {
+      throw new Error(t('normTables.errors.badPercentile', { label }))
+    }
+    if (points.some((point, i) => i > 0 && point.value < points[i - 1].value)) {
+      throw new Error(t('normTables.errors.percentileOrder', { label }))
+    }
+    if (points.length < 2) throw new Error(t('normTables.errors.tooFewPercentiles', { label }))
+    result.percentiles = points
+  }
+  if (result.mean === undefined && !result.percentiles) throw new Error(t('normTables.errors.noStats', { label }))
+  return result
+}
+
+/**
+ * Norm group for a participant: same gender before 'all', then the narrowest age band
+ * @param {Object} table
+ * @param {{age: number|null, gender: string|null}} participant
+ * @returns {Object|null}
+ */
+export function findNormGroup(table, { age, gender } = {}) {
+  if (age === null || age === undefined || age === '' || !Number.isFinite(Number(age))) return null
+  const candidates = table.groups.filter((g) => Number(age) >= g.ageMin && Number(age) <= g.ageMax
+    && (g.gender === 'all' || g.gender === gender))
+  candidates.sort((a, b) => (a.gender === 'all') - (b.gender === 'all') || (a.ageMax - a.ageMin) - (b.ageMax - b.ageMin))
+  return candidates[0] ?? null
+}
+
+/**
+ * Place a raw score in a norm distribution
+ * z comes from mean/SD when given, the percentile from the percentile points when given; each is derived
+ * from the other (assuming normality) when the table has only one kind.
+ * @param {number} value
+ * @param {Object} stats - Normalized { mean, sd, percentiles }
+ * @returns {{value: number, z: number, percentile: number, clipped: boolean}}
+ *   clipped: the score lies outside the table's percentile points
+ */
+export function normScore(value, stats) {
+  let z = stats.mean !== undefined ? (value - stats.mean) / stats.sd : null
+  let percentile = null
+  let clipped = false
+  if (stats.percentiles) {
+    ({ percentile, clipped } = percentileOf(value, stats.percentiles))
+  }
+  if (percentile === null) percentile = normalCdf(z) * 100
+  if (z === null) z = inverseNormalCdf(percentile / 100)
+  return { value, z: round2(z), percentile: round1(percentile), clipped }
+}
+
+function percentileOf(value, points) {
+  const first = points[0]
+  const last = points[points.length - 1]
+  if (value < first.value) return { percentile: first.p, clipped: true }
+  if (value > last.value) return { percentile: last.p, clipped: true }
+  // Integer scores often repeat across percentile points: use the middle of the tied range
+  const tied = points.filter((point) => point.value === value)
+  if (tied.length > 0) return { percentile: (tied[0].p + tied[tied.length - 1].p) / 2, clipped: false }
+  const upper = points.findIndex((point) => point.value > value)
+  const a = points[upper - 1]
+  const b = points[upper]
+  return { percentile: a.p + ((value - a.value) / (b.value - a.value)) * (b.p - a.p), clipped: false }
+}
+
+/**
+ * Compare a stored score with the participant's norm group
+ * @param {Object} score - daprScores record
+ * @param {Object|null} participant - { age, gender }
+ * @param {Object|null} table - Norm table
+ * @returns {Object|null} { table, group, stress, resource, total, interpretationKey }, or null when no norm applies
+ *   (callers then keep the raw-score interpretation)
+ */
+export function compareWithNorms(score, participant, table) {
+  if (!score || !participant || !table) return null
+  if ((score.schemeId ?? DEFAULT_SCHEME_ID) !== table.schemeId) return null
+  const group = findNormGroup(table, participant)
+  if (!group) return null
+  const raw = { stress: score.stressScore, resource: score.resourceScore, total: score.totalScore }
+  const result = { table: { normId: table.normId, name: table.name, source: table.source }, group }
+  for (const measure of NORM_MEASURES) {
+    result[measure] = group[measure] ? normScore(raw[measure], group[measure]) : null
+  }
+  result.interpretationKey = getNormedInterpretationKey(result.total.z)
+  return result
+}
+
+/**
+ * Interpretation of the total score relative to the norm group
+ * @param {number} z - Total z-score
+ * @param {number[]} [cutoffs]
+ * @returns {string} NORM_INTERPRETATION_KEYS entry
+ */
+export function getNormedInterpretationKey(z, cutoffs = NORM_Z_CUTOFFS) {
+  const band = cutoffs.findIndex((cutoff) => z >= cutoff)
+  return NORM_INTERPRETATION_KEYS[band === -1 ? cutoffs.length : band]
+}
+
+// --------------- Storage ---------------
+
+/**
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listNorms() {
+  return listNormTables()
+}
+
+/**
+ * Parse and store a norm table
+ * @param {string} text - File contents
+ * @param {Object} [meta] - { name, source, schemeId }
+ * @returns {Promise<Object>} the stored table
+ */
+export async function importNorms(text, meta) {
+  const table = parseNormTable(text, meta)
+  return saveNormTable({ ...table, normId: `norm-${Date.now().toString(36)}` })
+}
+
+/**
+ * @param {string} normId
+ */
+export async function deleteNorms(normId) {
+  if (getActiveNormId() === normId) localStorage.removeItem(ACTIVE_NORM_KEY)
+  await removeNormTable(normId)
+}
+
+/**
+ * @returns {string|null} normId of the table used for interpretation, if any
+ */
+export function getActiveNormId() {
+  return localStorage.getItem(ACTIVE_NORM_KEY)
+}
+
+/**
+ * @param {string|null} normId - null stops norm-referenced interpretation
+ */
+export function setActiveNormId(normId) {
+  if (normId) localStorage.setItem(ACTIVE_NORM_KEY, normId)
+  else localStorage.removeItem(ACTIVE_NORM_KEY)
+}
+
+/**
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveNorms() {
+  const normId = getActiveNormId()
+  if (!normId) return null
+  return (await listNormTables()).find((t) => t.normId === normId) ?? null
+}
+
+// --------------- Normal distribution ---------------
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2
+  const t = 1 / (1 + 0.3275911 * x)
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x)
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+// Acklam's rational approximation of the probit function
+function inverseNormalCdf(p) {
+  const clamped = Math.min(Math.max(p, 1e-6), 1 - 1e-6)
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239]
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572]
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783]
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416]
+  const low = 0.02425
+  if (clamped < low || clamped > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(clamped < low ? clamped : 1 - clamped))
+    const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+    return clamped < low ? z : -z
+  }
+  const q = clamped - 0.5
+  const r = q * q
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100
+}
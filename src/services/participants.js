@@ -0,0 +1,196 @@
+// src/services/participants.js
+// Participants followed across sessions. A participant has a pseudonymous code (no names are stored), birth date,
+// gender and group / condition; each sketch links to one participant with a session number (1 = intake).
+// The age at drawing time is derived from the birth date and stored on the sketch, where norms read it
+// (see norms.js); without a birth date it is entered per sketch.
+//
+// Participant format (stored in `participants`):
+//   { code, codeGenerated, birthDate: 'YYYY-MM-DD' | null, gender: GENDERS id | null, group: string | null, notes,
+//     createdAt }   codeGenerated: the code was generated from the row id (migration or restore), not assigned
+import {
+  listParticipantRecords,
+  getParticipantRecord,
+  findParticipantByCode,
+  putParticipant,
+  deleteParticipantRecord,
+  getParticipantSketches,
+  countSketchesByParticipant,
+  getSketchById,
+  updateSketchParticipant,
+  getDAPRScore,
+} from './db'
+import { GENDERS } from './norms'
+import { t } from '../i18n'
+
+// Score fields charted per session
+export const SESSION_MEASURES = { stress: 'stressScore', resource: 'resourceScore', total: 'totalScore' }
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Age in years (one decimal) on a date
+ * @param {string|null} birthDate - 'YYYY-MM-DD'
+ * @param {string|Date} date
+ * @returns {number|null}
+ */
+export function ageAt(birthDate, date) {
+  if (!birthDate) return null
+  const years = (new Date(date) - new Date(birthDate)) / (365.25 * DAY_MS)
+  return Number.isFinite(years) && years >= 0 ? Math.round(years * 10) / 10 : null
+}
+
+/**
+ * Every participant with their number of sketches
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listParticipants() {
+  const [participants, counts] = await Promise.all([listParticipantRecords(), countSketchesByParticipant()])
+  return participants.map((p) => ({ ...p, sketchCount: counts.get(p.id) ?? 0 }))
+}
+
+export async function getParticipant(id) {
+  return getParticipantRecord(id)
+}
+
+/**
+ * Create or update a participant. A changed birth date or gender is applied to all their sketches.
+ * @param {Object} fields - { id?, code, birthDate, gender, group, notes }
+ * @returns {Promise<Object>} the stored record
+ * @throws {Error} when the code is empty or taken, or the birth date or gender is invalid
+ */
+export async function saveParticipant({ id, code, birthDate, gender, group, notes }) {
+  const trimmed = (code ?? '').trim()
+  if (!trimmed) throw new Error(t('participants.errors.codeRequired'))
+  const sameCode = await findParticipantByCode(trimmed)
+  if (sameCode && sameCode.id !== id) throw new Error(t('participants.errors.codeTaken', { code: trimmed }))
+  if (birthDate && !/^\d{4}-\d{2}-\d{2}$/.test(birthDate)) throw new Error(t('participants.errors.badBirthDate'))
+  if (gender && !GENDERS.includes(gender)) throw new Error(t('participants.errors.badGender', { gender }))
+
+  const existing = id ? await getParticipantRecord(id) : null
+  const saved = await putParticipant({
+    ...(existing ?? { createdAt: new Date().toISOString() }),
+    code: trimmed,
+    // A generated code (see db.js importTables) stays marked as such until the user assigns another
+    codeGenerated: !!existing?.codeGenerated && existing.code === trimmed,
+    birthDate: birthDate || null,
+    gender: gender || null,
+    group: group?.trim() || null,
+    notes: notes ?? '',
+  })
+  if (existing && (existing.birthDate !== saved.birthDate || existing.gender !== saved.gender)) {
+    for (const sketch of await getParticipantSketches(saved.id)) {
+      await linkSketch(sketch.id, { participantId: saved.id, sessionNumber: sketch.sessionNumber, age: sketch.participantAge })
+    }
+  }
+  return saved
+}
+
+/**
+ * Delete a participant; their sketches are kept without a participant
+ * @param {number} id
+ */
+export async function deleteParticipant(id) {
+  await deleteParticipantRecord(id)
+}
+
+/**
+ * @param {number} participantId
+ * @returns {Promise<number>} the session number after the participant's highest one
+ */
+export async function nextSessionNumber(participantId) {
+  const sketches = await getParticipantSketches(participantId)
+  return Math.max(0, ...sketches.map((s) => s.sessionNumber ?? 0)) + 1
+}
+
+/**
+ * Link a sketch to a participant's session, or unlink it with participantId null
+ * @param {number} sketchId
+ * @param {Object} link
+ * @param {number|null} link.participantId
+ * @param {number} [link.sessionNumber] - Default: the participant's next session
+ * @param {number|null} [link.age] - Age at drawing time; only used when the participant has no birth date
+ * @returns {Promise<Object>} the updated sketch
+ */
+export async function linkSketch(sketchId, { participantId, sessionNumber, age = null }) {
+  if (!participantId) {
+    return updateSketchParticipant(sketchId, { participantId: null, sessionNumber: null, participantAge: null, participantGender: null })
+  }
+  const [sketch, participant] = await Promise.all([getSketchById(sketchId), getParticipantRecord(participantId)])
+  if (!sketch) throw new Error(t('errors.sketchNotFound'))
+  if (!participant) throw new Error(t('participants.errors.notFound'))
+  return updateSketchParticipant(sketchId, {
+    participantId,
+    sessionNumber: sessionNumber ?? await nextSessionNumber(participantId),
+    participantAge: participant.birthDate ? ageAt(participant.birthDate, sketch.createdAt) : age,
+    participantGender: participant.gender,
+  })
+}
+
+/**
+ * A participant's sessions with their default-scheme scores
+ * @param {number} participantId
+ * @returns {Promise<Array<{sketch: Object, sessionNumber: number|null, date: string, age: number|null, score: Object|null}>>}
+ *   in session order
+ */
+export async function getParticipantSessions(participantId) {
+  const sketches = await getParticipantSketches(participantId)
+  const scores = await Promise.all(sketches.map((s) => getDAPRScore(s.id)))
+  return sketches.map((sketch, i) => ({
+    sketch,
+    sessionNumber: sketch.sessionNumber,
+    date: sketch.createdAt,
+    age: sketch.participantAge ?? null,
+    score: scores[i] ?? null,
+  }))
+}
+
+/**
+ * Score of every DAPR item in each session
+ * @param {Array<{score: Object|null}>} sessions - From getParticipantSessions
+ * @returns {Array<{name: string, category: 'stress'|'resource', scores: Array<number|null>, change: number|null}>}
+ *   scores per session (null when unscored); change = last scored session minus the first
+ */
+export function itemHistory(sessions) {
+  const rows = new Map()
+  sessions.forEach(({ score }, i) => {
+    const items = [
+      ...(score?.stressItems ?? []).map((item) => ['stress', item]),
+      ...(score?.resourceItems ?? []).map((item) => ['resource', item]),
+    ]
+    for (const [category, item] of items) {
+      if (!rows.has(item.name)) rows.set(item.name, { name: item.name, category, scores: sessions.map(() => null) })
+      rows.get(item.name).scores[i] = item.score
+    }
+  })
+  return [...rows.values()].map((row) => {
+    const scored = row.scores.filter((v) => v !== null)
+    return { ...row, change: scored.length >= 2 ? scored[scored.length - 1] - scored[0] : null }
+  })
+}
+
+/**
+ * Pre/post comparison of two scored sessions
+ * @param {Object} pre - Score record
+ * @param {Object} post - Score record
+ * @returns {{measures: Array<{measure: string, pre: number, post: number, change: number}>,
+ *   items: Array<{name: string, category: string, pre: number|null, post: number|null, change: number|null}>}}
+ *   items that differ between the sessions
+ */
+export function compareSessions(pre, post) {
+  const measures = Object.entries(SESSION_MEASURES).map(([measure, field]) => ({
+    measure,
+    pre: pre[field],
+    post: post[field],
+    change: post[field] - pre[field],
+  }))
+  const items = itemHistory([{ score: pre }, { score: post }])
+    .map(({ name, category, scores: [before, after] }) => ({
+      name,
+      category,
+      pre: before,
+      post: after,
+      change: before !== null && after !== null ? after - before : null,
+    }))
+    .filter((item) => item.pre !== item.post)
+  return { measures, items }
+}
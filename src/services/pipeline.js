@@ -0,0 +1,683 @@
+// src/services/pipeline.js
+// Pure detection stages shared by the browser worker (inference.js) and the Node batch CLI (cli/engine.js):
+// letterbox → [model] → YOLOv8 postprocess → NMS → cross-tile merge → content filter.
+// No DOM, canvas or onnxruntime access here; the caller supplies pixels and a function that runs the model.
+// Relative imports carry explicit .js extensions so Node can load this module without a bundler.
+import { encodeMask, translateMask, unionMasks } from './masks.js'
+
+const MIN_DETECTION_AREA = 100 // Minimum bbox area in px² (aligned with backend)
+export const MIN_INK_RATIO = 0.02 // Minimum ratio of non-white pixels in bbox to keep detection
+const LETTERBOX_FILL = 114 / 255 // Standard YOLO letterbox padding colour
+
+// Tiled inference (see planStrategy)
+const AUTO_TILE_FACTOR = 2 // 'auto' tiles images whose long side exceeds 2 × model input size
+const DEFAULT_TILE_OVERLAP = 0.2
+const MERGE_IOS_THRESHOLD = 0.7 // Intersection-over-smaller above which pieces cut by a tile border are stitched
+const TILE_BORDER_TOLERANCE = 2 // px: a box edge this close to an inner tile border counts as cut by it
+
+// --------------- Reproducible non-model detectors ---------------
+
+/**
+ * SHA-256 of a buffer as lowercase hex
+ */
+export async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer)
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+/**
+ * SHA-256 of the decoded pixels (dimensions + RGBA), used to key fixtures and seed the placeholder.
+ * Hashing decoded pixels rather than file bytes makes a PNG and its re-encoded copy match.
+ */
+export async function hashImageData(imageData) {
+  const header = new Uint32Array([imageData.width, imageData.height])
+  const bytes = new Uint8Array(8 + imageData.data.length)
+  bytes.set(new Uint8Array(header.buffer), 0)
+  bytes.set(imageData.data, 8)
+  return sha256Hex(bytes)
+}
+
+/**
+ * 32-bit seed from the first 8 hex digits of a hash
+ */
+export function seedFromHash(hash) {
+  return parseInt(hash.slice(0, 8), 16) >>> 0
+}
+
+/**
+ * Mulberry32: small, fast seedable PRNG returning floats in [0, 1)
+ */
+export function mulberry32(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Look an image up in a parsed fixture file (see fixtureDetect in inference.js).
+ * File format: { "version": 1, "images": { "<sha256>": { "detections": [{ category, bbox: [x1,y1,x2,y2], confidence }] } } }
+ * Throws when the image has no entry so demos never silently fall back to made-up boxes.
+ */
+export function fixtureDetections(fixtures, imageHash, classes) {
+  const entry = fixtures.images?.[imageHash]
+  if (!entry) throw new Error(`No fixture detections for image ${imageHash}`)
+
+  return (entry.detections || []).map((d) => ({
+    category: d.category,
+    bbox: d.bbox.map((v) => Math.round(v * 100) / 100),
+    confidence: Math.round((d.confidence ?? 1) * 1000) / 1000,
+    class_id: classes.indexOf(d.category),
+    ...(d.mask && { mask: d.mask }),
+  }))
+}
+
+/**
+ * Placeholder detection for demo without model
+ * Generates reasonable pseudo-random detections based on image dimensions,
+ * mirroring the Python _placeholder_detect logic with added randomness.
+ * Deterministic for a given `random` sequence, so the same image always gets the same boxes.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string[]} classes - Class list of the active model, used for class_id
+ * @param {() => number} random - Seeded PRNG returning floats in [0, 1)
+ * @returns {Array<{category: string, bbox: number[], confidence: number, class_id: number}>}
+ */
+export function placeholderDetect(width, height, classes, random) {
+  const detections = []
+  const randConf = () => 0.6 + random() * 0.35 // confidence between 0.6–0.95
+
+  // Always include a person detection (centered, 40-60% of image height)
+  const personH = height * (0.4 + random() * 0.2)
+  const personW = personH * (0.3 + random() * 0.15)
+  const personX = (width - personW) / 2 + (random() - 0.5) * width * 0.1
+  const personY = height - personH - height * 0.05
+  detections.push({
+    category: 'person',
+    bbox: [personX, personY, personX + personW, personY + personH],
+    confidence: randConf(),
+  })
+
+  // Random rain drops (3-8 small boxes in upper area)
+  const rainCount = 3 + Math.floor(random() * 6)
+  for (let i = 0; i < rainCount; i++) {
+    const rx = random() * width * 0.9
+    const ry = random() * height * 0.4
+    const rw = width * (0.02 + random() * 0.03)
+    const rh = height * (0.03 + random() * 0.05)
+    detections.push({
+      category: 'rain',
+      bbox: [rx, ry, rx + rw, ry + rh],
+      confidence: randConf(),
+    })
+  }
+
+  // 50% chance of umbrella (above person)
+  if (random() < 0.5) {
+    const umbW = personW * 1.2
+    const umbH = height * 0.15
+    const umbX = personX - (umbW - personW) / 2
+    const umbY = personY - umbH - height * 0.02
+    detections.push({
+      category: 'umbrella',
+      bbox: [umbX, umbY, umbX + umbW, umbY + umbH],
+      confidence: randConf(),
+    })
+  }
+
+  // 20% chance of cloud (upper area)
+  if (random() < 0.2) {
+    const cw = width * (0.2 + random() * 0.2)
+    const ch = height * (0.1 + random() * 0.1)
+    const cx = random() * (width - cw)
+    const cy = random() * height * 0.15
+    detections.push({
+      category: 'cloud',
+      bbox: [cx, cy, cx + cw, cy + ch],
+      confidence: randConf(),
+    })
+  }
+
+  // 10% chance of lightning
+  if (random() < 0.1) {
+    const lw = width * 0.05
+    const lh = height * 0.3
+    const lx = width * (0.2 + random() * 0.6)
+    const ly = height * 0.05
+    detections.push({
+      category: 'lightning',
+      bbox: [lx, ly, lx + lw, ly + lh],
+      confidence: randConf(),
+    })
+  }
+
+  // 10% chance of puddle (bottom area)
+  if (random() < 0.1) {
+    const pw = width * (0.2 + random() * 0.3)
+    const ph = height * (0.05 + random() * 0.05)
+    const px = random() * (width - pw)
+    const py = height - ph - height * 0.02
+    detections.push({
+      category: 'puddle',
+      bbox: [px, py, px + pw, py + ph],
+      confidence: randConf(),
+    })
+  }
+
+  // Round all bbox values
+  return detections.map((d) => ({
+    ...d,
+    class_id: classes.indexOf(d.category),
+    bbox: d.bbox.map((v) => Math.round(v * 100) / 100),
+    confidence: Math.round(d.confidence * 1000) / 1000,
+  }))
+}
+
+// --------------- YOLOv8 model passes ---------------
+
+/**
+ * Run the model over every region of the strategy plan and merge the results
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+ * @param {Object} model - Model manifest entry (classes, thresholds, inputSize, task)
+ * @param {(input: Float32Array, inputSize: number) => Promise<{output: {data: Float32Array, dims: number[]}, protos: {data: Float32Array, dims: number[]}|null}>} runModel
+ *   Runs one letterboxed 1×3×inputSize×inputSize tensor; `protos` is the mask-prototype output of -seg models
+ * @param {Object} options - { confidenceThreshold, iouThreshold, strategy, tileSize, tileOverlap, minInkRatio }
+ *   minInkRatio: content filter cut-off (default MIN_INK_RATIO); 0 keeps boxes over blank paper
+ * @param {Object} [hooks] - { onProgress(stage, progress), throwIfCancelled() }
+ * @returns {Promise<{ detections: Array, plan: Object, timings: { preprocessMs: number, inferenceMs: number, postprocessMs: number } }>}
+ */
+export async function detectRegions(imageData, model, runModel, options, hooks = {}) {
+  const { confidenceThreshold = 0.5, iouThreshold = 0.45, minInkRatio = MIN_INK_RATIO } = options
+  const { onProgress = () => {}, throwIfCancelled = () => {} } = hooks
+  const { width, height } = imageData
+
+  const plan = planStrategy(width, height, model.inputSize, options)
+
+  // One letterboxed model pass per region (the whole image, plus tiles in tiled mode)
+  const timings = { preprocessMs: 0, inferenceMs: 0, postprocessMs: 0 }
+  const tagged = []
+  for (let r = 0; r < plan.regions.length; r++) {
+    onProgress(r === 0 ? 'inference' : 'tile', 0.2 + 0.6 * (r / plan.regions.length))
+    const regionDetections = await detectRegion(imageData, plan.regions[r], model, runModel, confidenceThreshold, iouThreshold, timings)
+    tagged.push(...regionDetections.map((det) => ({ det, region: r })))
+    throwIfCancelled()
+  }
+
+  onProgress('postprocess', 0.8)
+  const t0 = performance.now()
+  // Tile results overlap each other and the global pass: merge them across regions
+  const detections = plan.regions.length > 1
+    ? mergeDetections(tagged, plan.regions, iouThreshold)
+    : tagged.map(({ det }) => det)
+
+  onProgress('filter', 0.9)
+  const filtered = minInkRatio > 0 ? filterByContent(detections, imageData, minInkRatio) : detections
+  timings.postprocessMs += performance.now() - t0
+  return { detections: filtered, plan, timings }
+}
+
+/**
+ * Strategy summary recorded in provenance
+ * @returns {{ mode: string, tileSize: number|null, overlap: number|null, tiles: number }}
+ */
+export function describeStrategy(plan) {
+  return { mode: plan.mode, tileSize: plan.tileSize, overlap: plan.overlap, tiles: plan.regions.length - 1 }
+}
+
+/**
+ * Decide how to cover the image with model passes.
+ * 'single' letterboxes the whole image once. 'tiled' adds overlapping tiles on top of the
+ * global pass so thin strokes in large scans survive the downscale. 'auto' tiles only when the
+ * long side exceeds AUTO_TILE_FACTOR × model input size.
+ * @returns {{ mode: string, tileSize: number|null, overlap: number|null, regions: Array<{x: number, y: number, width: number, height: number}> }}
+ */
+export function planStrategy(width, height, inputSize, { strategy = 'auto', tileSize, tileOverlap = DEFAULT_TILE_OVERLAP } = {}) {
+  const whole = { x: 0, y: 0, width, height }
+  const size = Math.round(tileSize || inputSize * AUTO_TILE_FACTOR)
+  const mode = strategy === 'auto'
+    ? (Math.max(width, height) > inputSize * AUTO_TILE_FACTOR ? 'tiled' : 'single')
+    : strategy
+
+  if (mode !== 'tiled' || (width <= size && height <= size)) {
+    return { mode: 'single', tileSize: null, overlap: null, regions: [whole] }
+  }
+
+  const regions = [whole]
+  for (const y of tileStarts(height, size, tileOverlap)) {
+    for (const x of tileStarts(width, size, tileOverlap)) {
+      regions.push({ x, y, width: Math.min(size, width - x), height: Math.min(size, height - y) })
+    }
+  }
+  return { mode: 'tiled', tileSize: size, overlap: tileOverlap, regions }
+}
+
+/**
+ * Evenly spaced tile origins along one axis, first flush with 0 and last flush with the far edge
+ */
+function tileStarts(length, tile, overlap) {
+  if (length <= tile) return [0]
+  const stride = tile * (1 - overlap)
+  const count = Math.ceil((length - tile) / stride) + 1
+  const step = (length - tile) / (count - 1)
+  return Array.from({ length: count }, (_, i) => Math.round(i * step))
+}
+
+/**
+ * Run the model on one region of the image
+ * @returns {Promise<Array>} detections in full-image coordinates
+ */
+async function detectRegion(imageData, region, model, runModel, confidenceThreshold, iouThreshold, timings) {
+  const size = model.inputSize
+
+  // Preprocess: letterbox region to inputSize×inputSize, normalize to [0,1], CHW format
+  let t0 = performance.now()
+  const { data: input, scale, padX, padY } = letterbox(imageData, region, size)
+  timings.preprocessMs += performance.now() - t0
+
+  t0 = performance.now()
+  const { output, protos } = await runModel(input, size)
+  timings.inferenceMs += performance.now() - t0
+
+  // YOLOv8 output: (1, numClasses + 4 [+ 32 mask coefficients], 8400) → parse boxes + class scores (+ masks)
+  t0 = performance.now()
+  const detections = postprocessOutput(output, model, region.width, region.height, confidenceThreshold, iouThreshold, scale, padX, padY, protos)
+  timings.postprocessMs += performance.now() - t0
+
+  if (region.x === 0 && region.y === 0) return detections
+  return detections.map((det) => ({
+    ...det,
+    bbox: [det.bbox[0] + region.x, det.bbox[1] + region.y, det.bbox[2] + region.x, det.bbox[3] + region.y],
+    ...(det.mask !== undefined && { mask: translateMask(det.mask, region.x, region.y) }),
+  }))
+}
+
+/**
+ * Cross-region NMS for tiled inference.
+ * First, pieces of one object cut apart by tile borders are stitched: a tile box touching an inner border
+ * of its tile joins a same-class box from another tile when most of the smaller one lies inside the other.
+ * Both boxes then lie in the band where the two tiles overlap, so global-pass boxes never grow this way.
+ * Then per class, boxes are visited by descending score and a box is dropped when its IoU with an already
+ * kept box exceeds iouThreshold; the kept box keeps its own coordinates, as in standard NMS.
+ * @param {Array<{det: Object, region: number}>} tagged - Detections with the index of their region in `regions`
+ * @param {Array<{x: number, y: number, width: number, height: number}>} regions - From planStrategy; [0] is the whole image
+ */
+function mergeDetections(tagged, regions, iouThreshold) {
+  const { width, height } = regions[0]
+  const order = [...tagged].sort((a, b) => b.det.confidence - a.det.confidence)
+
+  const stitched = []
+  for (const { det, region } of order) {
+    const piece = { ...det, bbox: [...det.bbox] }
+    if (region === 0) {
+      stitched.push({ piece, regions: null, cut: false })
+      continue
+    }
+    const cut = cutByTileBorder(det.bbox, regions[region], width, height)
+    const match = stitched.find((s) => s.regions && !s.regions.has(region)
+      && (cut || s.cut)
+      && s.piece.class_id === det.class_id
+      && intersectionOverSmaller(s.piece.bbox, det.bbox) > MERGE_IOS_THRESHOLD)
+    if (!match) {
+      stitched.push({ piece, regions: new Set([region]), cut })
+      continue
+    }
+    match.piece.bbox = [
+      Math.min(match.piece.bbox[0], det.bbox[0]),
+      Math.min(match.piece.bbox[1], det.bbox[1]),
+      Math.max(match.piece.bbox[2], det.bbox[2]),
+      Math.max(match.piece.bbox[3], det.bbox[3]),
+    ]
+    if (match.piece.mask !== undefined) match.piece.mask = unionMasks(match.piece.mask, det.mask)
+    match.regions.add(region)
+    match.cut = true
+  }
+
+  const kept = []
+  for (const { piece } of stitched) {
+    if (kept.some((k) => k.class_id === piece.class_id && calculateIoU(k.bbox, piece.bbox) > iouThreshold)) continue
+    kept.push(piece)
+  }
+  return kept.map((det) => ({ ...det, bbox: det.bbox.map((v) => Math.round(v * 100) / 100) }))
+}
+
+/**
+ * Whether a box touches a border of its tile that lies inside the image (within TILE_BORDER_TOLERANCE px),
+ * i.e. the object may continue in the neighbouring tile
+ */
+function cutByTileBorder([x1, y1, x2, y2], tile, width, height) {
+  const right = tile.x + tile.width
+  const bottom = tile.y + tile.height
+  return (tile.x > 0 && x1 - tile.x <= TILE_BORDER_TOLERANCE)
+    || (tile.y > 0 && y1 - tile.y <= TILE_BORDER_TOLERANCE)
+    || (right < width && right - x2 <= TILE_BORDER_TOLERANCE)
+    || (bottom < height && bottom - y2 <= TILE_BORDER_TOLERANCE)
+}
+
+/**
+ * Intersection area divided by the area of the smaller box
+ */
+function intersectionOverSmaller(box1, box2) {
+  const iw = Math.max(0, Math.min(box1[2], box2[2]) - Math.max(box1[0], box2[0]))
+  const ih = Math.max(0, Math.min(box1[3], box2[3]) - Math.max(box1[1], box2[1]))
+  const smaller = Math.min((box1[2] - box1[0]) * (box1[3] - box1[1]), (box2[2] - box2[0]) * (box2[3] - box2[1]))
+  return smaller > 0 ? (iw * ih) / smaller : 0
+}
+
+/**
+ * Filter out detections in blank areas by checking pixel content
+ * If the bbox area has very few non-white pixels (no ink/strokes), discard it
+ */
+function filterByContent(detections, imageData, minInkRatio) {
+  return detections.filter((det) => inkRatio(imageData, det.bbox) >= minInkRatio)
+}
+
+/**
+ * Share of non-white ("ink") pixels inside a box, as the content filter measures it
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+ * @param {number[]} bbox - [x1, y1, x2, y2]
+ * @returns {number} 0–1; 0 for boxes outside the image
+ */
+export function inkRatio(imageData, [x1, y1, x2, y2]) {
+  const pixels = imageData.data
+  const imgWidth = imageData.width
+  const bx1 = Math.max(0, Math.floor(x1))
+  const by1 = Math.max(0, Math.floor(y1))
+  const bx2 = Math.min(imgWidth, Math.ceil(x2))
+  const by2 = Math.min(imageData.height, Math.ceil(y2))
+  const bw = bx2 - bx1
+  const bh = by2 - by1
+  if (bw <= 0 || bh <= 0) return 0
+
+  let inkPixels = 0
+  // Sample pixels (every 2nd pixel for speed) to check for non-white content
+  for (let y = by1; y < by2; y += 2) {
+    for (let x = bx1; x < bx2; x += 2) {
+      const idx = (y * imgWidth + x) * 4
+      const r = pixels[idx], g = pixels[idx + 1], b = pixels[idx + 2]
+      // Pixel is "ink" if it's not near-white (below 240 in any channel)
+      if (r < 240 || g < 240 || b < 240) inkPixels++
+    }
+  }
+  // Adjust for sampling (every 2nd pixel)
+  const sampledTotal = Math.ceil(bh / 2) * Math.ceil(bw / 2)
+  return sampledTotal > 0 ? inkPixels / sampledTotal : 0
+}
+
+/**
+ * Letterbox one region of the image for YOLOv8: resize to fit inputSize×inputSize preserving aspect
+ * ratio, pad with gray (114), normalize to [0,1], CHW format.
+ * Resampling is done in JS (area average when shrinking, bilinear when enlarging) rather than with a
+ * canvas, so the worker and the Node CLI feed the model identical tensors for identical pixels.
+ * Transparent pixels are composited over white paper.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - Full image
+ * @param {{x: number, y: number, width: number, height: number}} region - Area of the source to letterbox
+ * @param {number} inputSize - Model input edge length
+ * @returns {{ data: Float32Array, scale: number, padX: number, padY: number }}
+ */
+export function letterbox(imageData, region, inputSize) {
+  const scale = Math.min(inputSize / region.width, inputSize / region.height)
+  const newW = Math.round(region.width * scale)
+  const newH = Math.round(region.height * scale)
+  const padX = Math.round((inputSize - newW) / 2)
+  const padY = Math.round((inputSize - newH) / 2)
+
+  const size = inputSize * inputSize
+  const float32Data = new Float32Array(3 * size).fill(LETTERBOX_FILL)
+  const sample = scale < 1 ? sampleArea : sampleBilinear
+  const rx = region.width / newW
+  const ry = region.height / newH
+  const rgb = new Float32Array(3)
+
+  for (let y = 0; y < newH; y++) {
+    for (let x = 0; x < newW; x++) {
+      sample(imageData, region.x + x * rx, region.y + y * ry, rx, ry, rgb)
+      const i = (y + padY) * inputSize + x + padX
+      float32Data[i] = rgb[0] / 255
+      float32Data[size + i] = rgb[1] / 255
+      float32Data[2 * size + i] = rgb[2] / 255
+    }
+  }
+
+  return { data: float32Data, scale, padX, padY }
+}
+
+// Mean colour of the source pixels under one destination pixel (footprint sw×sh at sx, sy)
+function sampleArea({ width, height, data }, sx, sy, sw, sh, out) {
+  const x0 = Math.floor(sx)
+  const y0 = Math.floor(sy)
+  const x1 = Math.min(width, Math.max(x0 + 1, Math.round(sx + sw)))
+  const y1 = Math.min(height, Math.max(y0 + 1, Math.round(sy + sh)))
+  let r = 0, g = 0, b = 0, n = 0
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = (y * width + x) * 4
+      const a = data[i + 3] / 255
+      r += data[i] * a + 255 * (1 - a)
+      g += data[i + 1] * a + 255 * (1 - a)
+      b += data[i + 2] * a + 255 * (1 - a)
+      n++
+    }
+  }
+  out[0] = r / n
+  out[1] = g / n
+  out[2] = b / n
+}
+
+// Bilinear interpolation at the centre of the destination pixel
+function sampleBilinear({ width, height, data }, sx, sy, sw, sh, out) {
+  const fx = Math.min(width - 1, Math.max(0, sx + sw / 2 - 0.5))
+  const fy = Math.min(height - 1, Math.max(0, sy + sh / 2 - 0.5))
+  const x0 = Math.floor(fx), y0 = Math.floor(fy)
+  const x1 = Math.min(width - 1, x0 + 1), y1 = Math.min(height - 1, y0 + 1)
+  const wx = fx - x0, wy = fy - y0
+  for (let c = 0; c < 3; c++) {
+    const px = (x, y) => {
+      const i = (y * width + x) * 4
+      const a = data[i + 3] / 255
+      return data[i + c] * a + 255 * (1 - a)
+    }
+    const top = px(x0, y0) * (1 - wx) + px(x1, y0) * wx
+    const bottom = px(x0, y1) * (1 - wx) + px(x1, y1) * wx
+    out[c] = top * (1 - wy) + bottom * wy
+  }
+}
+
+/**
+ * Post-process YOLOv8 output tensor
+ * YOLOv8 output shape: (1, 4 + numClasses, 8400)
+ * Each of 8400 predictions: [cx, cy, w, h, class0_score, class1_score, ...]
+ * YOLOv8-seg appends 32 mask coefficients per prediction; with `protos` (1, 32, 160, 160) each kept
+ * detection gets a compact mask (see masks.js), or null when its mask comes out empty.
+ */
+function postprocessOutput(outputTensor, model, origWidth, origHeight, confidenceThreshold, iouThreshold, scale, padX, padY, protos = null) {
+  const data = outputTensor.data
+  const [, numFeatures, numPredictions] = outputTensor.dims
+  const numMaskCoeffs = protos ? protos.dims[1] : 0
+  const numClasses = numFeatures - 4 - numMaskCoeffs
+
+  console.debug(`[DAPR] Model output: (${outputTensor.dims.join(',')}), classes=${numClasses}, masks=${numMaskCoeffs}, scale=${scale}, pad=(${padX},${padY})`)
+
+  const boxes = []
+  const scores = []
+  const classIds = []
+  const predictionIds = []
+
+  for (let i = 0; i < numPredictions; i++) {
+    // Extract box coords (cx, cy, w, h) — data is in column-major for this dim
+    const cx = data[0 * numPredictions + i]
+    const cy = data[1 * numPredictions + i]
+    const w = data[2 * numPredictions + i]
+    const h = data[3 * numPredictions + i]
+
+    // Find best class score
+    let maxScore = 0
+    let maxClassId = 0
+    for (let c = 0; c < numClasses; c++) {
+      const score = data[(4 + c) * numPredictions + i]
+      if (score > maxScore) {
+        maxScore = score
+        maxClassId = c
+      }
+    }
+
+    const className = maxClassId < model.classes.length ? model.classes[maxClassId] : null
+    const classThreshold = (className && model.thresholds[className]) || confidenceThreshold
+    if (maxScore < classThreshold) continue
+
+    // Convert from center format to corner format and reverse letterbox
+    let x1 = (cx - w / 2 - padX) / scale
+    let y1 = (cy - h / 2 - padY) / scale
+    let x2 = (cx + w / 2 - padX) / scale
+    let y2 = (cy + h / 2 - padY) / scale
+
+    // Clip to image boundaries
+    x1 = Math.max(0, Math.min(origWidth, x1))
+    y1 = Math.max(0, Math.min(origHeight, y1))
+    x2 = Math.max(0, Math.min(origWidth, x2))
+    y2 = Math.max(0, Math.min(origHeight, y2))
+
+    // Skip degenerate boxes
+    if (x2 - x1 < 5 || y2 - y1 < 5) continue
+
+    boxes.push([x1, y1, x2, y2])
+    scores.push(maxScore)
+    classIds.push(maxClassId)
+    predictionIds.push(i)
+  }
+
+  console.debug(`[DAPR] Candidates after threshold: ${boxes.length}`)
+
+  // Apply per-class NMS (matching copilot backend behavior)
+  const keepIndices = nms(boxes, scores, iouThreshold, classIds)
+
+  // Build results with area filter
+  let results = keepIndices
+    .map((idx) => ({
+      category: classIds[idx] < model.classes.length ? model.classes[classIds[idx]] : `class_${classIds[idx]}`,
+      bbox: boxes[idx].map((v) => Math.round(v * 100) / 100),
+      confidence: Math.round(scores[idx] * 1000) / 1000,
+      class_id: classIds[idx],
+      ...(protos && {
+        mask: buildMask(data, numPredictions, 4 + numClasses, predictionIds[idx], protos, boxes[idx], model.inputSize, scale, padX, padY),
+      }),
+    }))
+    .filter((det) => {
+      const w = det.bbox[2] - det.bbox[0]
+      const h = det.bbox[3] - det.bbox[1]
+      return w * h >= MIN_DETECTION_AREA
+    })
+
+  console.debug(`[DAPR] Final detections:`, results.map(d => `${d.category}(${d.confidence}) [${d.bbox.join(',')}]`))
+  return results
+}
+
+/**
+ * Assemble one instance mask from the prototypes: sigmoid(coefficients · protos) > 0.5, computed only
+ * over the prototype cells under the box and cropped to the box (as in the Ultralytics postprocess)
+ * @param {Float32Array} data - Detection output
+ * @param {number} numPredictions
+ * @param {number} coeffOffset - Feature row of the first mask coefficient
+ * @param {number} predIdx - Prediction column
+ * @param {Object} protos - Prototype tensor (1, nm, ph, pw)
+ * @param {number[]} bbox - [x1, y1, x2, y2] in region pixels
+ * @returns {Object|null} mask in region pixels
+ */
+function buildMask(data, numPredictions, coeffOffset, predIdx, protos, bbox, inputSize, scale, padX, padY) {
+  const [, nm, ph, pw] = protos.dims
+  const proto = protos.data
+  const ratio = inputSize / pw // input px per prototype cell (4 for 640 / 160)
+
+  // Box → letterboxed input → prototype grid
+  const px1 = Math.max(0, Math.floor((bbox[0] * scale + padX) / ratio))
+  const py1 = Math.max(0, Math.floor((bbox[1] * scale + padY) / ratio))
+  const px2 = Math.min(pw, Math.ceil((bbox[2] * scale + padX) / ratio))
+  const py2 = Math.min(ph, Math.ceil((bbox[3] * scale + padY) / ratio))
+  const cols = px2 - px1
+  const rows = py2 - py1
+  if (cols <= 0 || rows <= 0) return null
+
+  const coeffs = new Float32Array(nm)
+  for (let k = 0; k < nm; k++) coeffs[k] = data[(coeffOffset + k) * numPredictions + predIdx]
+
+  const cell = ratio / scale // prototype cell edge in region pixels
+  const originX = (px1 * ratio - padX) / scale
+  const originY = (py1 * ratio - padY) / scale
+  const bits = new Uint8Array(cols * rows)
+  for (let r = 0; r < rows; r++) {
+    const cy = originY + (r + 0.5) * cell
+    if (cy < bbox[1] || cy > bbox[3]) continue
+    for (let c = 0; c < cols; c++) {
+      const cx = originX + (c + 0.5) * cell
+      if (cx < bbox[0] || cx > bbox[2]) continue
+      const offset = (py1 + r) * pw + px1 + c
+      let v = 0
+      for (let k = 0; k < nm; k++) v += coeffs[k] * proto[k * ph * pw + offset]
+      // sigmoid(v) > 0.5 ⇔ v > 0
+      if (v > 0) bits[r * cols + c] = 1
+    }
+  }
+  return encodeMask(bits, cols, rows, { x: originX, y: originY, cellW: cell, cellH: cell })
+}
+
+/**
+ * Per-class Non-Maximum Suppression (matching copilot backend behavior)
+ * Only suppresses overlapping boxes of the SAME class
+ * @param {Array<number[]>} boxes - [[x1,y1,x2,y2], ...]
+ * @param {number[]} scores - confidence scores
+ * @param {number[]} classIds - class IDs for each box
+ * @param {number} iouThreshold - IoU threshold for suppression
+ * @returns {number[]} indices of kept boxes
+ */
+function nms(boxes, scores, iouThreshold, classIds = null) {
+  const order = scores.map((_, i) => i)
+  order.sort((a, b) => scores[b] - scores[a])
+
+  const keep = []
+  const suppressed = new Set()
+
+  for (let si = 0; si < order.length; si++) {
+    const i = order[si]
+    if (suppressed.has(i)) continue
+    keep.push(i)
+
+    for (let sj = si + 1; sj < order.length; sj++) {
+      const j = order[sj]
+      if (suppressed.has(j)) continue
+      // Per-class: only suppress if same class
+      if (classIds && classIds[i] !== classIds[j]) continue
+      if (calculateIoU(boxes[i], boxes[j]) > iouThreshold) {
+        suppressed.add(j)
+      }
+    }
+  }
+
+  return keep
+}
+
+/**
+ * Calculate IoU (Intersection over Union) between two boxes
+ * @param {number[]} box1 - [x1, y1, x2, y2]
+ * @param {number[]} box2 - [x1, y1, x2, y2]
+ * @returns {number} IoU value
+ */
+export function calculateIoU(box1, box2) {
+  const x1 = Math.max(box1[0], box2[0])
+  const y1 = Math.max(box1[1], box2[1])
+  const x2 = Math.min(box1[2], box2[2])
+  const y2 = Math.min(box1[3], box2[3])
+
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1)
+  if (intersection === 0) return 0
+
+  const area1 = (box1[2] - box1[0]) * (box1[3] - box1[1])
+  const area2 = (box2[2] - box2[0]) * (box2[3] - box2[1])
+  const union = area1 + area2 - intersection
+
+  return union <= 0 ? 0 : intersection / union
+}
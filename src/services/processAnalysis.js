@@ -0,0 +1,199 @@
+// src/services/processAnalysis.js
+// How a drawing was made, from the strokes DrawingView records: pauses, drawing speed, pen pressure,
+// erasures (undo) and the order in which the drawn elements appeared. Each stroke is assigned to the
+// detection box that holds most of its points, so the order follows the detected elements.
+// Uploaded images have no strokes and get no process analysis. No DOM or IndexedDB access; relative
+// imports carry explicit .js extensions so Node can load this module.
+//
+// Result format (stored on score records as `process`):
+//   {
+//     version, pauseThreshold (ms),
+//     counts: { lines, fills, erasures }
+//     totalDuration, activeDuration            seconds; active = time with the pen down
+//     pauses: { count, total, mean, longest, gaps: [{ start, end }] }   seconds; gaps between strokes of at least pauseThreshold
+//     speed: { mean, median, max }             px/s over pen strokes; mean = total length / pen-down time
+//     pressure: { recorded, mean, sd, min, max }   recorded = false for mouse input (constant 0.5)
+//     timeline: [{ strokeId, tool, start, end, length, category, detectionId }]   seconds from the first stroke
+//     erasures: [{ strokeId, tool, start, end, undoneAt }]
+//     elementOrder: [{ category, rank, first, last, strokeCount }]   categories by first stroke
+//   }
+import { isFill } from './canvasTools.js'
+
+export const PROCESS_VERSION = 1
+// Gaps between strokes shorter than this are part of normal drawing rhythm, not pauses
+export const PAUSE_THRESHOLD_MS = 2000
+// Pointer events without pressure support report this constant
+const DEFAULT_PRESSURE = 0.5
+// A stroke belongs to a box when at least this share of its points lies inside
+const MIN_BOX_SHARE = 0.5
+const BBOX_MARGIN = 2
+
+/**
+ * Analyze the drawing process of a sketch
+ * @param {Object} strokeData - sketch.strokeData as saved by DrawingView
+ * @param {Array<Object>} [detections] - bbox as [x1, y1, x2, y2], with `id` and `category`
+ * @param {Object} [options]
+ * @param {number} [options.pauseThreshold] - ms (default: PAUSE_THRESHOLD_MS)
+ * @returns {Object|null} see the result format above; null when there are no recorded strokes
+ */
+export function analyzeDrawingProcess(strokeData, detections = [], { pauseThreshold = PAUSE_THRESHOLD_MS } = {}) {
+  const entries = (strokeData?.strokes || []).filter((s) => s.points?.length && Number.isFinite(s.start_time))
+  const erased = (strokeData?.erasures || []).filter((e) => Number.isFinite(e.start_time))
+  if (entries.length === 0) return null
+
+  const origin = Math.min(...entries.map((s) => s.start_time), ...erased.map((e) => e.start_time))
+  const seconds = (ms) => (ms - origin) / 1000
+  const lines = entries.filter((s) => !isFill(s))
+  const boxes = detections.filter((d) => Array.isArray(d.bbox))
+
+  const timeline = entries.map((s) => {
+    const box = assignBox(s, boxes)
+    return {
+      strokeId: s.stroke_id,
+      tool: s.tool ?? 'pen',
+      start: seconds(s.start_time),
+      end: seconds(s.end_time ?? s.start_time),
+      length: isFill(s) ? 0 : strokeLength(s.points),
+      category: box?.category ?? null,
+      detectionId: box?.id ?? null,
+    }
+  })
+
+  // Erased strokes were drawing time too, so they close gaps like any other stroke
+  const activity = [
+    ...timeline.map((s) => [s.start, s.end]),
+    ...erased.map((e) => [seconds(e.start_time), seconds(e.end_time ?? e.start_time)]),
+  ].sort((a, b) => a[0] - b[0])
+  const lastEnd = Math.max(...activity.map(([, end]) => end))
+  const activeDuration = lines.reduce((sum, s) => sum + Math.max(0, (s.end_time - s.start_time) / 1000), 0)
+
+  return {
+    version: PROCESS_VERSION,
+    pauseThreshold,
+    counts: {
+      lines: lines.length,
+      fills: entries.length - lines.length,
+      erasures: strokeData.undo_count ?? erased.length,
+    },
+    totalDuration: Math.max(strokeData.total_duration ?? 0, lastEnd),
+    activeDuration,
+    pauses: measurePauses(activity, pauseThreshold / 1000),
+    speed: measureSpeed(lines),
+    pressure: measurePressure(lines),
+    timeline,
+    erasures: erased.map((e) => ({
+      strokeId: e.stroke_id,
+      tool: e.tool ?? 'pen',
+      start: seconds(e.start_time),
+      end: seconds(e.end_time ?? e.start_time),
+      undoneAt: Number.isFinite(e.undone_at) ? seconds(e.undone_at) : null,
+    })),
+    elementOrder: elementOrder(timeline),
+  }
+}
+
+/**
+ * Detection box holding the largest share of the entry's points (the smaller box on ties)
+ * @returns {Object|null} null when no box holds MIN_BOX_SHARE of the points
+ */
+function assignBox(entry, boxes) {
+  let best = null
+  let bestShare = 0
+  let bestArea = Infinity
+  for (const box of boxes) {
+    const [x1, y1, x2, y2] = box.bbox
+    const inside = entry.points.filter((p) => p.x >= x1 - BBOX_MARGIN && p.x <= x2 + BBOX_MARGIN
+      && p.y >= y1 - BBOX_MARGIN && p.y <= y2 + BBOX_MARGIN).length
+    const share = inside / entry.points.length
+    const area = (x2 - x1) * (y2 - y1)
+    if (share > bestShare || (share === bestShare && share > 0 && area < bestArea)) {
+      best = box
+      bestShare = share
+      bestArea = area
+    }
+  }
+  return bestShare >= MIN_BOX_SHARE ? best : null
+}
+
+function strokeLength(points) {
+  let length = 0
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y)
+  }
+  return length
+}
+
+/**
+ * Gaps between activity intervals; overlapping intervals (fills during a stroke) merge
+ * @param {Array<[number, number]>} activity - [start, end] in seconds, sorted by start
+ * @param {number} threshold - seconds
+ */
+function measurePauses(activity, threshold) {
+  const gaps = []
+  let reach = activity[0][1]
+  for (const [start, end] of activity.slice(1)) {
+    if (start - reach >= threshold) gaps.push({ start: reach, end: start })
+    reach = Math.max(reach, end)
+  }
+  const durations = gaps.map((g) => g.end - g.start)
+  const total = durations.reduce((a, b) => a + b, 0)
+  return {
+    count: gaps.length,
+    total,
+    mean: gaps.length ? total / gaps.length : 0,
+    longest: gaps.length ? Math.max(...durations) : 0,
+    gaps,
+  }
+}
+
+function measureSpeed(lines) {
+  const timed = lines
+    .map((s) => ({ length: strokeLength(s.points), duration: (s.end_time - s.start_time) / 1000 }))
+    .filter((s) => s.duration > 0)
+  if (timed.length === 0) return { mean: null, median: null, max: null }
+  const speeds = timed.map((s) => s.length / s.duration).sort((a, b) => a - b)
+  const mid = Math.floor(speeds.length / 2)
+  const totalLength = timed.reduce((sum, s) => sum + s.length, 0)
+  const totalTime = timed.reduce((sum, s) => sum + s.duration, 0)
+  return {
+    mean: totalLength / totalTime,
+    median: speeds.length % 2 ? speeds[mid] : (speeds[mid - 1] + speeds[mid]) / 2,
+    max: speeds[speeds.length - 1],
+  }
+}
+
+function measurePressure(lines) {
+  const values = lines.flatMap((s) => s.points.map((p) => p.pressure)).filter(Number.isFinite)
+  if (values.length === 0) return { recorded: false, mean: null, sd: null, min: null, max: null }
+  const mean = values.reduce((a, b) => a + b, 0) / values.length
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length
+  return {
+    recorded: values.some((v) => v !== DEFAULT_PRESSURE),
+    mean,
+    sd: Math.sqrt(variance),
+    // reduce rather than spreading: a long drawing has more points than a call can take as arguments
+    min: values.reduce((a, b) => Math.min(a, b)),
+    max: values.reduce((a, b) => Math.max(a, b)),
+  }
+}
+
+/**
+ * Detected categories in the order their first stroke was drawn
+ */
+function elementOrder(timeline) {
+  const byCategory = new Map()
+  for (const s of timeline) {
+    if (!s.category) continue
+    const entry = byCategory.get(s.category)
+    if (!entry) {
+      byCategory.set(s.category, { category: s.category, first: s.start, last: s.end, strokeCount: 1 })
+    } else {
+      entry.first = Math.min(entry.first, s.start)
+      entry.last = Math.max(entry.last, s.end)
+      entry.strokeCount++
+    }
+  }
+  return [...byCategory.values()]
+    .sort((a, b) => a.first - b.first)
+    .map((entry, i) => ({ ...entry, rank: i + 1 }))
+}
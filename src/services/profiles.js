@@ -0,0 +1,74 @@
+// src/services/profiles.js
+// Scoring profiles: the built-in DEFAULT_PROFILE plus user profiles stored in IndexedDB, and the user's active choice.
+// A profile is identified by profileId + version; editing always stores a new version so old scores stay reproducible.
+import { DEFAULT_PROFILE, resolveProfile } from './scoring'
+import { listScoringProfiles, getScoringProfile, saveScoringProfile } from './db'
+import { t } from '../i18n'
+
+const ACTIVE_PROFILE_KEY = 'dapr_scoring_profile'
+
+/**
+ * @returns {Promise<Array<Object>>} built-in default first, then the latest version of each stored profile
+ */
+export async function listProfiles() {
+  return [DEFAULT_PROFILE, ...(await listScoringProfiles())]
+}
+
+/**
+ * @returns {string} profileId the user selected (may no longer exist)
+ */
+export function getActiveProfileId() {
+  return localStorage.getItem(ACTIVE_PROFILE_KEY) || DEFAULT_PROFILE.profileId
+}
+
+/**
+ * @param {string} profileId
+ */
+export function setActiveProfileId(profileId) {
+  localStorage.setItem(ACTIVE_PROFILE_KEY, profileId)
+}
+
+/**
+ * Look up a profile version
+ * @param {string} profileId
+ * @param {number} [version] - Latest when omitted
+ * @returns {Promise<Object|null>} resolved profile, or null if it does not exist
+ */
+export async function getProfile(profileId, version) {
+  if (profileId === DEFAULT_PROFILE.profileId) {
+    return version === undefined || version === DEFAULT_PROFILE.version ? DEFAULT_PROFILE : null
+  }
+  const stored = await getScoringProfile(profileId, version)
+  return stored ? resolveProfile(stored) : null
+}
+
+/**
+ * Latest version of the active profile, falling back to the default if it was removed
+ * @returns {Promise<Object>}
+ */
+export async function getActiveProfile() {
+  return (await getProfile(getActiveProfileId())) ?? DEFAULT_PROFILE
+}
+
+/**
+ * Validate and store a new version of a user profile
+ * @param {Object} profile
+ * @returns {Promise<Object>} the stored version
+ */
+export async function saveProfile(profile) {
+  if (profile.profileId === DEFAULT_PROFILE.profileId) throw new Error(t('profiles.defaultReadOnly'))
+  if (!profile.name?.trim()) throw new Error(t('profiles.nameRequired'))
+  const resolved = resolveProfile({ ...profile, name: profile.name.trim() })
+  return saveScoringProfile(resolved)
+}
+
+/**
+ * Create a new profile (version 1) from an existing one
+ * @param {string} name
+ * @param {Object} [base] - Profile whose values are copied (default: DEFAULT_PROFILE)
+ * @returns {Promise<Object>}
+ */
+export async function createProfile(name, base = DEFAULT_PROFILE) {
+  const profileId = `profile-${Date.now().toString(36)}`
+  return saveProfile({ ...base, profileId, name })
+}
@@ -0,0 +1,144 @@
+// src/services/revisions.js
+// Revision history of each sketch's analysis. detections / daprScores hold the current result, which analysis,
+// corrections and ratings replace; each of those changes also stores an immutable snapshot of the new result as a
+// numbered revision (db.js addRevision) with who made it, when, and the model and scoring profile behind it.
+// Restoring copies an older snapshot back as the current result and records that as a new revision.
+//
+// Revision format (stored in `revisions`):
+//   { sketchId, number, action, author: { id, name } | null, detail, restoredFrom, detector, modelId, modelVersion,
+//     modelHash, strategy, imageHash, seed, fallbackReason, profileId, profileVersion, totalScore,
+//     detections: [detection records], scores: [score records], clinicianRatings, createdAt }
+import { listRevisions, getRevision, restoreRevision } from './db'
+import { DEFAULT_SCHEME_ID } from './schemes'
+
+// What produced a revision; labels are revisions.actions.<id> in the catalogs
+//   legacy: result stored before revisions existed (schema v6) or imported from an older backup
+export const REVISION_ACTIONS = ['analysis', 'correction', 'rescore', 'rating', 'restore', 'legacy']
+
+const MEASURE_FIELDS = { stress: 'stressScore', resource: 'resourceScore', total: 'totalScore' }
+// Settings compared between revisions; labels are revisions.fields.<id>
+const SETTING_FIELDS = {
+  detector: (r) => r.detector,
+  model: (r) => (r.modelId ? `${r.modelId}${r.modelVersion ? ` ${r.modelVersion}` : ''}` : null),
+  strategy: (r) => strategyLabel(r.strategy),
+  profile: (r) => (r.profileId ? `${r.profileId} v${r.profileVersion}` : null),
+}
+
+// Stable text for the strategy object recorded in provenance (see describeStrategy), so equal strategies compare equal
+function strategyLabel(strategy) {
+  if (!strategy || typeof strategy !== 'object') return strategy ?? null
+  return strategy.mode === 'tiled' ? `${strategy.mode}/${strategy.tiles}×${strategy.tileSize}` : strategy.mode
+}
+
+/**
+ * @param {number} sketchId
+ * @returns {Promise<Array<Object>>} revisions without snapshots, newest first, each with its detectionCount
+ */
+export async function getRevisions(sketchId) {
+  return listRevisions(sketchId)
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|undefined>} the revision with its snapshot
+ */
+export async function loadRevision(id) {
+  return getRevision(id)
+}
+
+/**
+ * Make an earlier revision the current result
+ * @param {number} revisionId
+ * @param {{author?: Object}} [options]
+ * @returns {Promise<Object>} the new revision recording the restore
+ */
+export async function restoreAsCurrent(revisionId, options = {}) {
+  return restoreRevision(revisionId, options)
+}
+
+function defaultScore(revision) {
+  return revision.scores.find((s) => s.schemeId === DEFAULT_SCHEME_ID) ?? null
+}
+
+function itemsOf(score) {
+  return new Map([
+    ...(score?.stressItems ?? []).map((item) => [item.name, { ...item, category: 'stress' }]),
+    ...(score?.resourceItems ?? []).map((item) => [item.name, { ...item, category: 'resource' }]),
+  ])
+}
+
+function countByCategory(detections) {
+  const counts = new Map()
+  for (const d of detections) counts.set(d.category, (counts.get(d.category) ?? 0) + 1)
+  return counts
+}
+
+const sameBox = (a, b) => a.every((v, i) => Math.round(v * 100) === Math.round(b[i] * 100))
+
+/**
+ * Boxes added, removed, moved or relabelled between two snapshots, matched by detection id. Analysis and restore
+ * store new records, so across those every box counts as removed and added.
+ */
+function diffBoxes(before, after) {
+  const oldBoxes = new Map(before.map((d) => [d.id, d]))
+  const newBoxes = new Map(after.map((d) => [d.id, d]))
+  const box = (d) => d && { category: d.category, bbox: d.bbox }
+  const boxes = []
+  for (const id of new Set([...oldBoxes.keys(), ...newBoxes.keys()])) {
+    const [a, b] = [oldBoxes.get(id), newBoxes.get(id)]
+    const changes = !a ? ['added'] : !b ? ['removed'] : [
+      ...(a.category !== b.category ? ['relabelled'] : []),
+      ...(sameBox(a.bbox, b.bbox) ? [] : ['moved']),
+    ]
+    if (changes.length > 0) boxes.push({ id, changes, before: box(a), after: box(b) })
+  }
+  return boxes
+}
+
+/**
+ * What changed between two revisions of a sketch (default-scheme score)
+ * @param {Object} before - Revision with its snapshot
+ * @param {Object} after - Revision with its snapshot
+ * @returns {{
+ *   measures: Array<{measure: string, before: number|null, after: number|null, change: number|null}>,
+ *   items: Array<{name: string, category: string, before: {score, source}|null, after: {score, source}|null}>,
+ *   detections: Array<{category: string, before: number, after: number, change: number}>,
+ *   boxes: Array<{id: number, changes: Array<'added'|'removed'|'moved'|'relabelled'>,
+ *     before: {category, bbox}|null, after: {category, bbox}|null}>,
+ *   settings: Array<{field: string, before: string|null, after: string|null}>,
+ * }} items, detection counts, boxes and settings that differ
+ */
+export function diffRevisions(before, after) {
+  const [oldScore, newScore] = [defaultScore(before), defaultScore(after)]
+  const measures = Object.entries(MEASURE_FIELDS).map(([measure, field]) => {
+    const [a, b] = [oldScore?.[field] ?? null, newScore?.[field] ?? null]
+    return { measure, before: a, after: b, change: a !== null && b !== null ? b - a : null }
+  })
+
+  const [oldItems, newItems] = [itemsOf(oldScore), itemsOf(newScore)]
+  const items = []
+  for (const name of new Set([...oldItems.keys(), ...newItems.keys()])) {
+    const [a, b] = [oldItems.get(name), newItems.get(name)]
+    if (a && b && a.score === b.score && a.source === b.source) continue
+    items.push({
+      name,
+      category: (a ?? b).category,
+      before: a ? { score: a.score, source: a.source } : null,
+      after: b ? { score: b.score, source: b.source } : null,
+    })
+  }
+
+  const [oldCounts, newCounts] = [countByCategory(before.detections), countByCategory(after.detections)]
+  const detections = [...new Set([...oldCounts.keys(), ...newCounts.keys()])]
+    .map((category) => {
+      const [a, b] = [oldCounts.get(category) ?? 0, newCounts.get(category) ?? 0]
+      return { category, before: a, after: b, change: b - a }
+    })
+    .filter((d) => d.change !== 0)
+
+  const settings = Object.entries(SETTING_FIELDS)
+    .map(([field, value]) => ({ field, before: value(before) ?? null, after: value(after) ?? null }))
+    .filter((s) => s.before !== s.after)
+
+  return { measures, items, detections, boxes: diffBoxes(before.detections, after.detections), settings }
+}
@@ -0,0 +1,173 @@
+// src/services/schemes.js
+// Registry of DAPR scoring schemes. Every scheme scores the same detections; results are stored per scheme id
+// so several schemes can be compared on one sketch. Lack (1996) via calculateDAPRScore is the default.
+// Relative imports carry explicit .js extensions so Node can load this module without a bundler.
+//
+// Scheme interface:
+//   {
+//     id: string,            stable key scores are stored under
+//     version: number,       bump when the scheme's items or weights change
+//     name: string,          fallback text; the app shows schemes.<id>.name / .description from the i18n catalogs
+//     reference: string,     publication or source the scheme follows
+//     description: string,
+//     subscaleOf?: string,   id of the scheme whose items this one is a subset of (not a separate published scheme)
+//     score(detections, imageWidth, imageHeight, profile, calibration) → calculateDAPRScore-shaped result
+//       with an added `scheme: { id, version }`
+//   }
+// Item scores may be weighted: each item carries `weight` and `max_score`; clinician ratings (0/1) are
+// multiplied by the item's weight when merged (see applyClinicianRatings).
+import {
+  calculateDAPRScore,
+  applyClinicianRatings,
+  STRESS_ITEMS,
+  RESOURCE_ITEMS,
+} from './scoring.js'
+
+export const DEFAULT_SCHEME_ID = 'lack-1996'
+
+const schemes = new Map()
+
+/**
+ * Add a scheme to the registry
+ * @param {Object} scheme - See the interface above
+ * @returns {Object} the scheme
+ */
+export function registerScheme(scheme) {
+  for (const key of ['id', 'name', 'version']) {
+    if (scheme[key] === undefined || scheme[key] === null || scheme[key] === '') {
+      throw new Error(`Scoring scheme is missing "${key}"`)
+    }
+  }
+  if (typeof scheme.score !== 'function') throw new Error(`Scoring scheme "${scheme.id}" has no score function`)
+  if (schemes.has(scheme.id)) throw new Error(`Scoring scheme "${scheme.id}" is already registered`)
+  schemes.set(scheme.id, Object.freeze({ ...scheme }))
+  return schemes.get(scheme.id)
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getScheme(id) {
+  return schemes.get(id)
+}
+
+/**
+ * @returns {Array<Object>} registered schemes, default first
+ */
+export function listSchemes() {
+  return Array.from(schemes.values())
+}
+
+/**
+ * Score detections with several schemes
+ * @param {string[]} schemeIds - Unknown ids throw
+ * @param {Array} detections - Scoring format (see assessment.js toScoringFormat)
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {Object} [profile] - Scoring profile (thresholds are shared by all schemes)
+ * @param {Object|null} [calibration]
+ * @returns {Object<string, Object>} results keyed by scheme id
+ */
+export function scoreWithSchemes(schemeIds, detections, imageWidth, imageHeight, profile, calibration) {
+  const results = {}
+  for (const id of schemeIds) {
+    const scheme = getScheme(id)
+    if (!scheme) throw new Error(`Unknown scoring scheme: ${id}`)
+    results[id] = scheme.score(detections, imageWidth, imageHeight, profile, calibration)
+  }
+  return results
+}
+
+/**
+ * Build a scheme from a selection of Lack (1996) item rules, each with a weight
+ * Items keep the rule, evidence and automated flag of the Lack item they name.
+ * @param {Object} definition
+ * @param {string} definition.id
+ * @param {string} definition.name
+ * @param {number} definition.version
+ * @param {string} [definition.reference]
+ * @param {string} [definition.description]
+ * @param {string} [definition.subscaleOf] - Scheme id, when the items are a subset of that scheme
+ * @param {Array<{name: string, weight?: number}>} definition.items - Lack item names; weight defaults to 1
+ * @param {number[]} [definition.interpretationCutoffs] - Defaults to the scoring profile's cutoffs
+ * @returns {Object} scheme, ready for registerScheme
+ */
+export function defineWeightedScheme({ id, name, version, reference = '', description = '', subscaleOf, items, interpretationCutoffs }) {
+  const known = new Set([...STRESS_ITEMS, ...RESOURCE_ITEMS].map((item) => item.name))
+  const unknown = items.filter((item) => !known.has(item.name)).map((item) => item.name)
+  if (unknown.length > 0) throw new Error(`Scoring scheme "${id}" uses unknown items: ${unknown.join(', ')}`)
+  const weights = new Map(items.map((item) => [item.name, item.weight ?? 1]))
+
+  const pick = (baseItems) => baseItems
+    .filter((item) => weights.has(item.name))
+    .map((item) => {
+      const weight = weights.get(item.name)
+      return {
+        ...item,
+        weight,
+        max_score: weight,
+        score: item.score * weight,
+        ai_score: item.automated ? item.ai_score * weight : null,
+      }
+    })
+
+  return {
+    id,
+    name,
+    version,
+    reference,
+    description,
+    ...(subscaleOf && { subscaleOf }),
+    score(detections, imageWidth, imageHeight, profile, calibration) {
+      const base = calculateDAPRScore(detections, imageWidth, imageHeight, profile, calibration)
+      const cutoffs = interpretationCutoffs ?? base.interpretation_cutoffs
+      const merged = applyClinicianRatings({
+        stress_items: pick(base.stress_items),
+        resource_items: pick(base.resource_items),
+      }, {}, cutoffs)
+      const attributes = (list) => list.filter((item) => item.score > 0).map((item) => ({
+        name: item.name,
+        keyword: `#${item.name}`,
+        description: item.detail ?? item.description,
+        score: item.score,
+      }))
+      return {
+        ...base,
+        ...merged,
+        interpretation_cutoffs: [...cutoffs],
+        attributes: { stress: attributes(merged.stress_items), resource: attributes(merged.resource_items) },
+        scheme: { id, version },
+      }
+    },
+  }
+}
+
+// --------------- Built-in schemes ---------------
+
+registerScheme({
+  id: DEFAULT_SCHEME_ID,
+  version: 1,
+  name: 'Lack (1996)',
+  reference: 'Lack, H. S. (1996). The Person-in-the-Rain projective drawing as a measure of children\'s coping capacity.',
+  description: 'Original 35-item scale: 19 resource and 16 stress items, 0/1 each',
+  score(detections, imageWidth, imageHeight, profile, calibration) {
+    return {
+      ...calculateDAPRScore(detections, imageWidth, imageHeight, profile, calibration),
+      scheme: { id: DEFAULT_SCHEME_ID, version: 1 },
+    }
+  },
+})
+
+// Items the detector can score on its own: totals are not pulled toward zero by unrated clinician items.
+// An unweighted item subset of Lack (1996), not a separately published variant; collaborators' published
+// variants are expected to be registered through defineWeightedScheme.
+registerScheme(defineWeightedScheme({
+  id: 'lack-1996-automated',
+  version: 1,
+  name: 'Lack (1996) automated subscale',
+  reference: 'Lack (1996), items scored from detections only',
+  description: 'Subscale of Lack (1996), not a separate scheme: only the 20 items the AI can score. Published variants are registered through defineWeightedScheme.',
+  subscaleOf: DEFAULT_SCHEME_ID,
+  items: [...STRESS_ITEMS, ...RESOURCE_ITEMS].filter((item) => item.automated !== false).map((item) => ({ name: item.name })),
+}))
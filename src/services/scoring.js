@@ -7,59 +7,110 @@
  *
  * 最終 DAPR 分數 = 資源分 - 壓力分
  *
- * 三類評分資訊：
+ * 每個項目記錄分數來源：'ai'（自動評分）、'clinician'（AI 無法評分、由治療師評分）、'override'（治療師覆寫
+ * AI 分數）或 'unrated'（AI 無法評分且尚未評分，計 0 分）。總分合併所有來源；ai_* 小計只計自動評分的項目。
+ *
+ * 所有閾值（DPI、過量雨、重疊、人物大小、置中半徑、閃電距離、解讀分界等）由評分設定檔 (scoring profile)
+ * 提供；未指定時使用 DEFAULT_PROFILE。每筆分數記錄所用設定檔的 id 與版本。
+ * 草圖若有實體尺寸校正 (calibration.js)，人物大小以校正的 px/in 換算，設定檔的 pixelsPerInch 僅作為未校正時的預設值。
+ *
+ * 五類評分資訊：
  * 1. 頻率資訊 (Frequency-related): 各類別物件數量
- * 2. 距離資訊 (Distance-related): 物件間中心點距離
+ * 2. 距離資訊 (Distance-related): 物件間中心點距離；重疊／接觸在有分割遮罩時以遮罩判斷，否則以 bbox
  * 3. 面積資訊 (Area-related): 物件面積（像素轉英吋）
+ * 4. 角度資訊 (Angle-related): 雨線方向（繪畫筆劃向量，或上傳圖片的線條方向）
+ * 5. 明暗資訊 (Intensity-related): 偵測框內墨水密度、暗度與填色比例
  */
 
-// 像素轉英吋的轉換係數 (假設 96 DPI)
+import { dominantRainOrientation } from './strokeAnalysis.js';
+import { toShape, overlapRatio, shapesTouch } from './masks.js';
+
+// 像素轉英吋的轉換係數 (未校正時假設 96 DPI)
 const PIXELS_PER_INCH = 96.0;
 
 // 超過此數量的雨滴視為過量
 const EXCESS_RAIN_THRESHOLD = 5;
 
+// 雨線偏離垂直達此角度（度）視為斜雨／暴雨
+const STORMY_RAIN_TILT = 20;
+
+// 雲框內平均暗度（0 = 白, 1 = 黑）達此值視為烏雲
+const DARK_CLOUD_THRESHOLD = 0.25;
+
+// bbox IoU 超過此值視為重疊（無遮罩時）
+const OVERLAP_IOU = 0.05;
+// 遮罩重疊比例（交集 / 較小區域面積）超過此值視為重疊
+const MASK_OVERLAP_THRESHOLD = 0.02;
+// 遮罩相距不超過此距離 (px) 視為接觸
+const MASK_CONTACT_TOLERANCE = 4;
+
+// 預設評分設定檔 (Lack, 1996)。設定檔以 profileId + version 識別；修改設定即產生新版本
+const DEFAULT_PROFILE = Object.freeze({
+  profileId: 'default',
+  name: 'Lack (1996) 預設',
+  version: 1,
+  pixelsPerInch: PIXELS_PER_INCH,
+  excessRainThreshold: EXCESS_RAIN_THRESHOLD,
+  overlapIoU: OVERLAP_IOU,
+  maskOverlapThreshold: MASK_OVERLAP_THRESHOLD,
+  maskContactTolerance: MASK_CONTACT_TOLERANCE,
+  figureSmallInches: 2.0, // 人物高度小於此值 → figure_small
+  figureLargeInches: 6.0, // 人物高度大於此值 → figure_large；介於兩者之間 → figure_appropriate_size
+  centeringRadius: 0.25, // 人物中心距畫面中心小於 短邊 × 此比例 → centered_figure
+  lightningDistanceFactor: 0.5, // 閃電與人物中心距離小於 較高者高度 × 此比例 → lightning_hits
+  stormyRainTilt: STORMY_RAIN_TILT,
+  darkCloudThreshold: DARK_CLOUD_THRESHOLD,
+  interpretationCutoffs: Object.freeze([4, 1, -1, -4]), // getInterpretation 的總分分界（由高到低）
+});
+
+// 設定檔中的數值參數（interpretationCutoffs 另行檢查）
+const PROFILE_NUMERIC_KEYS = [
+  'pixelsPerInch', 'excessRainThreshold', 'overlapIoU', 'maskOverlapThreshold', 'maskContactTolerance',
+  'figureSmallInches', 'figureLargeInches', 'centeringRadius', 'lightningDistanceFactor', 'stormyRainTilt', 'darkCloudThreshold',
+];
+
 // DAPR 評分量表定義 — 壓力相關項目 (16 項)
+// automated: false 的項目無法由偵測結果判斷，由治療師於儀表板評分（見 applyClinicianRatings）
 const STRESS_ITEMS = [
   { name: 'no_rain', description: 'Rain is present, No rain or other precipitation', method: 'frequency' },
   { name: 'excess_rain', description: 'Excessive amount of rain', method: 'frequency' },
   { name: 'rain_hitting_person', description: 'Rain hitting the person', method: 'distance' },
-  { name: 'stormy_rain', description: 'Stormy or driven rain (at an angle)', method: 'frequency' },
+  { name: 'stormy_rain', description: 'Stormy or driven rain (at an angle)', method: 'angle' },
   { name: 'lightning', description: 'Lightning present', method: 'frequency' },
   { name: 'lightning_hits', description: 'Lightning hits person', method: 'distance' },
   { name: 'puddles', description: 'Puddles present', method: 'frequency' },
   { name: 'standing_in_puddle', description: 'Person standing in puddle(s)', method: 'distance' },
   { name: 'clouds', description: 'Clouds present', method: 'frequency' },
-  { name: 'dark_clouds', description: 'Dark or ominous clouds', method: 'frequency' },
+  { name: 'dark_clouds', description: 'Dark or ominous clouds', method: 'intensity' },
   { name: 'no_person', description: 'No person drawn', method: 'frequency' },
   { name: 'figure_small', description: 'Figure less than 2 inches', method: 'area' },
   { name: 'figure_large', description: 'Figure larger than 6 inches', method: 'area' },
-  { name: 'no_facial_features', description: 'No facial features on person', method: 'frequency' },
+  { name: 'no_facial_features', description: 'No facial features on person', method: 'frequency', automated: false },
   { name: 'body_exposed', description: 'Body exposed to rain', method: 'distance' },
-  { name: 'sad_expression', description: 'Sad or distressed expression', method: 'frequency' },
+  { name: 'sad_expression', description: 'Sad or distressed expression', method: 'frequency', automated: false },
 ];
 
 // DAPR 評分量表定義 — 資源相關項目 (19 項)
 const RESOURCE_ITEMS = [
   { name: 'umbrella_present', description: 'Umbrella is present', method: 'frequency' },
   { name: 'umbrella_covers', description: 'Umbrella covers person', method: 'distance' },
-  { name: 'umbrella_intact', description: 'Umbrella is intact and functional', method: 'frequency' },
-  { name: 'raincoat', description: 'Raincoat or protective clothing', method: 'frequency' },
-  { name: 'boots', description: 'Boots or rain shoes', method: 'frequency' },
-  { name: 'hat', description: 'Hat or head covering', method: 'frequency' },
-  { name: 'shelter', description: 'Shelter or building', method: 'frequency' },
+  { name: 'umbrella_intact', description: 'Umbrella is intact and functional', method: 'frequency', automated: false },
+  { name: 'raincoat', description: 'Raincoat or protective clothing', method: 'frequency', automated: false },
+  { name: 'boots', description: 'Boots or rain shoes', method: 'frequency', automated: false },
+  { name: 'hat', description: 'Hat or head covering', method: 'frequency', automated: false },
+  { name: 'shelter', description: 'Shelter or building', method: 'frequency', automated: false },
   { name: 'figure_appropriate_size', description: 'Figure between 2-6 inches', method: 'area' },
-  { name: 'grounded_figure', description: 'Figure is grounded (standing on ground)', method: 'frequency' },
+  { name: 'grounded_figure', description: 'Figure is grounded (standing on ground)', method: 'frequency', automated: false },
   { name: 'complete_person', description: 'Person has complete body parts', method: 'frequency' },
-  { name: 'facial_features', description: 'Person has facial features', method: 'frequency' },
-  { name: 'smiling', description: 'Person is smiling or happy', method: 'frequency' },
-  { name: 'movement', description: 'Person shows movement or action', method: 'frequency' },
-  { name: 'sun_present', description: 'Sun or rainbow present', method: 'frequency' },
-  { name: 'flowers_nature', description: 'Flowers or nature elements', method: 'frequency' },
+  { name: 'facial_features', description: 'Person has facial features', method: 'frequency', automated: false },
+  { name: 'smiling', description: 'Person is smiling or happy', method: 'frequency', automated: false },
+  { name: 'movement', description: 'Person shows movement or action', method: 'frequency', automated: false },
+  { name: 'sun_present', description: 'Sun or rainbow present', method: 'frequency', automated: false },
+  { name: 'flowers_nature', description: 'Flowers or nature elements', method: 'frequency', automated: false },
   { name: 'multiple_resources', description: 'Multiple coping resources', method: 'frequency' },
-  { name: 'detailed_drawing', description: 'Drawing shows detail and care', method: 'frequency' },
+  { name: 'detailed_drawing', description: 'Drawing shows detail and care', method: 'frequency', automated: false },
   { name: 'centered_figure', description: 'Figure is centered on page', method: 'area' },
-  { name: 'appropriate_proportions', description: 'Figure has appropriate proportions', method: 'area' },
+  { name: 'appropriate_proportions', description: 'Figure has appropriate proportions', method: 'area', automated: false },
 ];
 
 // --------------- Helper functions ---------------
@@ -110,8 +161,8 @@ function calculateDistance(obj1, obj2) {
 /**
  * 像素轉英吋
  */
-function pixelsToInches(pixels) {
-  return pixels / PIXELS_PER_INCH;
+function pixelsToInches(pixels, pixelsPerInch = PIXELS_PER_INCH) {
+  return pixels / pixelsPerInch;
 }
 
 /**
@@ -133,34 +184,149 @@ function computeIoU(obj1, obj2) {
 }
 
 /**
- * 檢查兩個物件的 bounding box 是否重疊 (IoU > 0.05)
+ * 取得物件區域：有分割遮罩時為遮罩，否則為 bounding box
+ */
+function getShape(obj) {
+  return toShape([obj.bbox_x, obj.bbox_y, obj.bbox_x + obj.bbox_w, obj.bbox_y + obj.bbox_h], obj.mask);
+}
+
+/**
+ * 判斷重疊的依據：任一物件有遮罩即以遮罩判斷
+ * @returns {'mask'|'bbox'}
+ */
+function overlapBasis(obj1, obj2) {
+  return obj1.mask || obj2.mask ? 'mask' : 'bbox';
+}
+
+/**
+ * 量測兩個物件的重疊關係
+ * - 皆無遮罩：bounding box IoU > profile.overlapIoU
+ * - 任一有遮罩：遮罩（無遮罩者以 bbox 代替）重疊比例 > profile.maskOverlapThreshold，或相距 ≤ profile.maskContactTolerance px
+ * @returns {{ overlapping: boolean, basis: 'mask'|'bbox', iou?: number, overlap?: number }}
+ */
+function measureOverlap(obj1, obj2, profile = DEFAULT_PROFILE) {
+  if (overlapBasis(obj1, obj2) === 'bbox') {
+    const iou = computeIoU(obj1, obj2);
+    return { overlapping: iou > profile.overlapIoU, basis: 'bbox', iou: round3(iou) };
+  }
+  const shape1 = getShape(obj1);
+  const shape2 = getShape(obj2);
+  const overlap = overlapRatio(shape1, shape2);
+  return {
+    overlapping: overlap > profile.maskOverlapThreshold || shapesTouch(shape1, shape2, profile.maskContactTolerance),
+    basis: 'mask',
+    overlap: round3(overlap),
+  };
+}
+
+/**
+ * 檢查兩個物件是否重疊或接觸（規則見 measureOverlap）
+ */
+function checkOverlap(obj1, obj2, profile = DEFAULT_PROFILE) {
+  return measureOverlap(obj1, obj2, profile).overlapping;
+}
+
+/**
+ * 找出所有重疊的物件配對
+ * @returns {Array<{ detectionIds: Array, objects: Array, basis: string, iou?: number, overlap?: number }>}
+ *   objects 僅供評分函式內部使用，寫入證據前會移除
  */
-function checkOverlap(obj1, obj2) {
-  return computeIoU(obj1, obj2) > 0.05;
+function findOverlappingPairs(group1, group2, profile) {
+  const pairs = [];
+  for (const a of group1) {
+    for (const b of group2) {
+      const { overlapping, ...measures } = measureOverlap(a, b, profile);
+      if (overlapping) pairs.push({ detectionIds: [a.id, b.id], objects: [a, b], ...measures });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * 取最大面積的 person 作為主要人物
+ */
+function getMainPerson(persons) {
+  return persons.reduce((best, p) => (getArea(p) > getArea(best) ? p : best), persons[0]);
 }
 
 /**
  * 計算人物圖形的高度（英吋）— 取最大面積的 person
  */
-function figureHeightInches(persons) {
+function figureHeightInches(persons, pixelsPerInch = PIXELS_PER_INCH) {
   if (persons.length === 0) return 0.0;
-  const mainPerson = persons.reduce((best, p) => (getArea(p) > getArea(best) ? p : best), persons[0]);
-  return pixelsToInches(mainPerson.bbox_h);
+  return pixelsToInches(getMainPerson(persons).bbox_h, pixelsPerInch);
+}
+
+// --------------- Evidence ---------------
+// 每個計分項目的 details 附帶 evidence：依據的偵測 id 與幾何量測，供儀表板在偵測畫布上標示。
+// type: 'count' | 'overlap' | 'distance' | 'size' | 'center' | 'orientation' | 'intensity'
+
+/**
+ * @param {string} type
+ * @param {Array} objects 依據的物件（取其 id）
+ * @param {Object} [measures] 依 type 而定的量測值；pairs 內的 objects 會被移除
+ * @returns {{ type: string, detectionIds: Array, [key: string]: any }}
+ */
+function buildEvidence(type, objects, measures = {}) {
+  const { pairs, ...rest } = measures;
+  const evidence = { type, detectionIds: [...new Set(objects.map((o) => o.id))], ...rest };
+  if (pairs) {
+    evidence.pairs = pairs.map(({ objects: _objects, ...pair }) => pair);
+  }
+  return evidence;
+}
+
+/**
+ * 配對中出現的所有物件（不重複）
+ */
+function pairObjects(pairs) {
+  return [...new Set(pairs.flatMap((p) => p.objects ?? []))];
+}
+
+/**
+ * 人物大小項目的證據：主要人物的像素高度、換算英吋與判定範圍
+ */
+function figureSizeEvidence(persons, profile, range) {
+  const mainPerson = getMainPerson(persons);
+  return buildEvidence('size', [mainPerson], {
+    heightPx: round1(mainPerson.bbox_h),
+    heightInches: round3(pixelsToInches(mainPerson.bbox_h, profile.pixelsPerInch)),
+    pixelsPerInch: profile.pixelsPerInch,
+    ...range,
+  });
+}
+
+/**
+ * 與語言無關的項目說明：key 與參數，由介面依語系翻譯（見 src/i18n）；description 為英文版本
+ */
+function message(key, params = {}) {
+  return { key, params };
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
 }
 
 // --------------- Stress scoring ---------------
 
 /**
  * 計算壓力相關分數
+ * @param {Array} objects
+ * @param {Object} profile 評分設定檔
  * @returns {{ score: number, details: Object }}
  */
-function calculateStressScore(objects) {
+function calculateStressScore(objects, profile) {
   const counts = countByCategory(objects);
   const persons = getObjectsByCategory(objects, 'person');
   const rains = getObjectsByCategory(objects, 'rain');
   const lightnings = getObjectsByCategory(objects, 'lightning');
   const puddles = getObjectsByCategory(objects, 'puddle');
   const umbrellas = getObjectsByCategory(objects, 'umbrella');
+  const clouds = getObjectsByCategory(objects, 'cloud');
 
   let score = 0;
   const details = {};
@@ -169,121 +335,217 @@ function calculateStressScore(objects) {
   const hasRain = (counts.rain || 0) > 0;
   if (!hasRain) {
     score += 1;
-    details.no_rain = { score: 1, description: 'No rain drawn', keyword: '#No_rain' };
+    details.no_rain = { score: 1, description: 'No rain drawn', message: message('no_rain'), keyword: '#No_rain', evidence: buildEvidence('count', [], { category: 'rain', count: 0 }) };
   }
 
   // 2. excess_rain
   const rainCount = counts.rain || 0;
-  if (rainCount > EXCESS_RAIN_THRESHOLD) {
+  if (rainCount > profile.excessRainThreshold) {
     score += 1;
-    details.excess_rain = { score: 1, description: `Excessive rain (${rainCount} objects)`, keyword: '#Excess_rain' };
+    details.excess_rain = {
+      score: 1,
+      description: `Excessive rain (${rainCount} objects)`,
+      message: message('excess_rain', { count: rainCount }),
+      keyword: '#Excess_rain',
+      evidence: buildEvidence('count', rains, { category: 'rain', count: rainCount, threshold: profile.excessRainThreshold }),
+    };
   }
 
-  // 3. rain_hitting_person
-  if (persons.length > 0 && rains.length > 0) {
-    let found = false;
-    for (const person of persons) {
-      for (const rain of rains) {
-        if (checkOverlap(person, rain)) {
-          score += 1;
-          details.rain_hitting_person = { score: 1, description: 'Rain overlaps with person', keyword: '#Rain_hitting' };
-          found = true;
-          break;
-        }
-      }
-      if (found) break;
-    }
+  // 3. rain_hitting_person — every overlapping person/rain pair is recorded as evidence
+  const rainHits = findOverlappingPairs(persons, rains, profile);
+  if (rainHits.length > 0) {
+    score += 1;
+    details.rain_hitting_person = {
+      score: 1,
+      description: `Rain overlaps with person (${rainHits[0].basis}, ${rainHits.length} pair${rainHits.length > 1 ? 's' : ''})`,
+      message: message('rain_hitting_person', { basis: rainHits[0].basis, pairs: rainHits.length }),
+      keyword: '#Rain_hitting',
+      evidence: buildEvidence('overlap', pairObjects(rainHits), { pairs: rainHits }),
+    };
   }
 
-  // 4. stormy_rain — requires angle detection (not available from bbox alone; scored 0)
+  // 4. stormy_rain — dominant rain direction measured from strokes or pixels (see strokeAnalysis.js)
+  const rainOrientation = dominantRainOrientation(rains.map((r) => r.measurements?.orientation ?? null));
+  if (rainOrientation) {
+    const tilt = Math.abs(rainOrientation.tilt);
+    const side = rainOrientation.tilt > 0 ? 'right' : 'left';
+    const evidence = buildEvidence('orientation', rains.filter((r) => r.measurements?.orientation), {
+      tilt: round3(rainOrientation.tilt),
+      threshold: profile.stormyRainTilt,
+    });
+    if (tilt >= profile.stormyRainTilt) {
+      score += 1;
+      details.stormy_rain = {
+        score: 1,
+        description: `Driven rain at ${tilt.toFixed(0)}° from vertical (leaning ${side})`,
+        message: message('stormy_rain', { tilt: Math.round(tilt), side }),
+        keyword: '#Stormy_rain',
+        evidence,
+      };
+    } else {
+      details.stormy_rain = {
+        score: 0,
+        description: `Rain falls near vertical (${tilt.toFixed(0)}° from vertical)`,
+        message: message('stormy_rain_vertical', { tilt: Math.round(tilt) }),
+        keyword: '#Stormy_rain',
+        evidence,
+      };
+    }
+  }
 
   // 5. lightning present
   if ((counts.lightning || 0) > 0) {
     score += 1;
-    details.lightning = { score: 1, description: 'Lightning present', keyword: '#Lightning' };
+    details.lightning = {
+      score: 1,
+      description: 'Lightning present',
+      message: message('lightning', { count: lightnings.length }),
+      keyword: '#Lightning',
+      evidence: buildEvidence('count', lightnings, { category: 'lightning', count: lightnings.length }),
+    };
   }
 
-  // 6. lightning_hits person
-  if (persons.length > 0 && lightnings.length > 0) {
-    let found = false;
-    for (const person of persons) {
-      for (const lightning of lightnings) {
-        const dist = calculateDistance(person, lightning);
-        if (dist < Math.max(person.bbox_h, lightning.bbox_h) * 0.5) {
-          score += 1;
-          details.lightning_hits = { score: 1, description: 'Lightning near person', keyword: '#Lightning_hit' };
-          found = true;
-          break;
-        }
+  // 6. lightning_hits person — centre distance below the taller object's height × lightningDistanceFactor
+  const lightningHits = [];
+  for (const person of persons) {
+    for (const lightning of lightnings) {
+      const dist = calculateDistance(person, lightning);
+      const threshold = Math.max(person.bbox_h, lightning.bbox_h) * profile.lightningDistanceFactor;
+      if (dist < threshold) {
+        lightningHits.push({ detectionIds: [person.id, lightning.id], distance: round1(dist), threshold: round1(threshold) });
       }
-      if (found) break;
     }
   }
+  if (lightningHits.length > 0) {
+    score += 1;
+    details.lightning_hits = {
+      score: 1,
+      description: `Lightning near person (${lightningHits[0].distance.toFixed(0)} px)`,
+      message: message('lightning_hits', { distance: Math.round(lightningHits[0].distance) }),
+      keyword: '#Lightning_hit',
+      evidence: buildEvidence('distance', pairObjects(lightningHits), { pairs: lightningHits }),
+    };
+  }
 
   // 7. puddles present
   const puddleCount = counts.puddle || 0;
   if (puddleCount > 0) {
     score += 1;
-    details.puddles = { score: 1, description: `Puddle(s) present (${puddleCount})`, keyword: '#Puddles' };
+    details.puddles = {
+      score: 1,
+      description: `Puddle(s) present (${puddleCount})`,
+      message: message('puddles', { count: puddleCount }),
+      keyword: '#Puddles',
+      evidence: buildEvidence('count', puddles, { category: 'puddle', count: puddleCount }),
+    };
   }
 
   // 8. standing_in_puddle
-  if (persons.length > 0 && puddles.length > 0) {
-    let found = false;
-    for (const person of persons) {
-      for (const puddle of puddles) {
-        if (checkOverlap(person, puddle)) {
-          score += 1;
-          details.standing_in_puddle = { score: 1, description: 'Person standing in puddle', keyword: '#In_puddle' };
-          found = true;
-          break;
-        }
-      }
-      if (found) break;
-    }
+  const puddleHits = findOverlappingPairs(persons, puddles, profile);
+  if (puddleHits.length > 0) {
+    score += 1;
+    details.standing_in_puddle = {
+      score: 1,
+      description: `Person standing in puddle (${puddleHits[0].basis})`,
+      message: message('standing_in_puddle', { basis: puddleHits[0].basis }),
+      keyword: '#In_puddle',
+      evidence: buildEvidence('overlap', pairObjects(puddleHits), { pairs: puddleHits }),
+    };
   }
 
   // 9. clouds present
   if ((counts.cloud || 0) > 0) {
     score += 1;
-    details.clouds = { score: 1, description: 'Clouds present', keyword: '#Clouds' };
+    details.clouds = {
+      score: 1,
+      description: 'Clouds present',
+      message: message('clouds', { count: clouds.length }),
+      keyword: '#Clouds',
+      evidence: buildEvidence('count', clouds, { category: 'cloud', count: clouds.length }),
+    };
   }
 
-  // 10. dark_clouds — requires colour/intensity analysis (scored 0)
+  // 10. dark_clouds — darkest cloud's mean pixel darkness (see imageStats.js)
+  const measuredClouds = clouds.filter((c) => c.measurements?.intensity);
+  if (measuredClouds.length > 0) {
+    const darkest = measuredClouds.reduce((best, c) => (
+      c.measurements.intensity.darkness > best.measurements.intensity.darkness ? c : best
+    ), measuredClouds[0]);
+    const { darkness, fill } = darkest.measurements.intensity;
+    const measures = `darkness ${(darkness * 100).toFixed(0)}%, fill ${(fill * 100).toFixed(0)}%`;
+    const params = { darkness: Math.round(darkness * 100), fill: Math.round(fill * 100) };
+    const evidence = buildEvidence('intensity', [darkest], { darkness, fill, threshold: profile.darkCloudThreshold });
+    if (darkness >= profile.darkCloudThreshold) {
+      score += 1;
+      details.dark_clouds = {
+        score: 1,
+        description: `Dark or shaded clouds (${measures})`,
+        message: message('dark_clouds', params),
+        keyword: '#Dark_clouds',
+        evidence,
+      };
+    } else {
+      details.dark_clouds = {
+        score: 0,
+        description: `Clouds are light (${measures})`,
+        message: message('dark_clouds_light', params),
+        keyword: '#Dark_clouds',
+        evidence,
+      };
+    }
+  }
 
   // 11. no_person
   if ((counts.person || 0) === 0) {
     score += 1;
-    details.no_person = { score: 1, description: 'No person drawn', keyword: '#No_person' };
+    details.no_person = { score: 1, description: 'No person drawn', message: message('no_person'), keyword: '#No_person', evidence: buildEvidence('count', [], { category: 'person', count: 0 }) };
   }
 
   // 12. figure_small (< 2 inches)
   if (persons.length > 0) {
-    const heightInches = figureHeightInches(persons);
-    if (heightInches < 2.0) {
+    const heightInches = figureHeightInches(persons, profile.pixelsPerInch);
+    if (heightInches < profile.figureSmallInches) {
       score += 1;
-      details.figure_small = { score: 1, description: `Figure too small (${heightInches.toFixed(1)} inches)`, keyword: '#Small_figure' };
+      details.figure_small = {
+        score: 1,
+        description: `Figure too small (${heightInches.toFixed(1)} inches)`,
+        message: message('figure_small', { inches: round1(heightInches) }),
+        keyword: '#Small_figure',
+        evidence: figureSizeEvidence(persons, profile, { max: profile.figureSmallInches }),
+      };
     }
   }
 
   // 13. figure_large (> 6 inches)
   if (persons.length > 0) {
-    const heightInches = figureHeightInches(persons);
-    if (heightInches > 6.0) {
+    const heightInches = figureHeightInches(persons, profile.pixelsPerInch);
+    if (heightInches > profile.figureLargeInches) {
       score += 1;
-      details.figure_large = { score: 1, description: `Figure too large (${heightInches.toFixed(1)} inches)`, keyword: '#Large_figure' };
+      details.figure_large = {
+        score: 1,
+        description: `Figure too large (${heightInches.toFixed(1)} inches)`,
+        message: message('figure_large', { inches: round1(heightInches) }),
+        keyword: '#Large_figure',
+        evidence: figureSizeEvidence(persons, profile, { min: profile.figureLargeInches }),
+      };
     }
   }
 
-  // 14. no_facial_features — requires facial feature detection (scored 0)
+  // 14. no_facial_features — requires facial feature detection (clinician rated)
 
   // 15. body_exposed (no umbrella covering)
   if (persons.length > 0 && rains.length > 0 && umbrellas.length === 0) {
     score += 1;
-    details.body_exposed = { score: 1, description: 'Body exposed to rain without protection', keyword: '#Exposed' };
+    details.body_exposed = {
+      score: 1,
+      description: 'Body exposed to rain without protection',
+      message: message('body_exposed'),
+      keyword: '#Exposed',
+      evidence: buildEvidence('count', persons, { category: 'umbrella', count: 0 }),
+    };
   }
 
-  // 16. sad_expression — requires expression recognition (scored 0)
+  // 16. sad_expression — requires expression recognition (clinician rated)
 
   return { score, details };
 }
@@ -292,9 +554,13 @@ function calculateStressScore(objects) {
 
 /**
  * 計算資源相關分數
+ * @param {Array} objects
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {Object} profile 評分設定檔
  * @returns {{ score: number, details: Object }}
  */
-function calculateResourceScore(objects, imageWidth, imageHeight) {
+function calculateResourceScore(objects, imageWidth, imageHeight, profile) {
   const counts = countByCategory(objects);
   const persons = getObjectsByCategory(objects, 'person');
   const umbrellas = getObjectsByCategory(objects, 'umbrella');
@@ -305,93 +571,237 @@ function calculateResourceScore(objects, imageWidth, imageHeight) {
   // 1. umbrella_present
   if ((counts.umbrella || 0) > 0) {
     score += 1;
-    details.umbrella_present = { score: 1, description: 'Umbrella present', keyword: '#Umbrella' };
+    details.umbrella_present = {
+      score: 1,
+      description: 'Umbrella present',
+      message: message('umbrella_present', { count: umbrellas.length }),
+      keyword: '#Umbrella',
+      evidence: buildEvidence('count', umbrellas, { category: 'umbrella', count: umbrellas.length }),
+    };
   }
 
-  // 2. umbrella_covers person
-  if (persons.length > 0 && umbrellas.length > 0) {
-    let found = false;
-    for (const person of persons) {
-      for (const umbrella of umbrellas) {
-        if (checkOverlap(umbrella, person) && getCenter(umbrella)[1] < getCenter(person)[1]) {
-          score += 1;
-          details.umbrella_covers = { score: 1, description: 'Umbrella covers person', keyword: '#Umbrella_covers' };
-          found = true;
-          break;
-        }
-      }
-      if (found) break;
-    }
+  // 2. umbrella_covers person — overlapping and above the person's centre
+  const covers = findOverlappingPairs(umbrellas, persons, profile)
+    .filter((pair) => {
+      const [umbrella, person] = pair.objects;
+      return getCenter(umbrella)[1] < getCenter(person)[1];
+    });
+  if (covers.length > 0) {
+    score += 1;
+    details.umbrella_covers = {
+      score: 1,
+      description: `Umbrella covers person (${covers[0].basis})`,
+      message: message('umbrella_covers', { basis: covers[0].basis }),
+      keyword: '#Umbrella_covers',
+      evidence: buildEvidence('overlap', pairObjects(covers), { pairs: covers }),
+    };
   }
 
-  // 3. umbrella_intact — requires structural analysis (scored 0)
-  // 4. raincoat — requires detection category (scored 0)
-  // 5. boots — requires detection category (scored 0)
-  // 6. hat — requires detection category (scored 0)
-  // 7. shelter — requires detection category (scored 0)
+  // 3. umbrella_intact — requires structural analysis (clinician rated)
+  // 4. raincoat — requires detection category (clinician rated)
+  // 5. boots — requires detection category (clinician rated)
+  // 6. hat — requires detection category (clinician rated)
+  // 7. shelter — requires detection category (clinician rated)
 
   // 8. figure_appropriate_size (2–6 inches)
   if (persons.length > 0) {
-    const heightInches = figureHeightInches(persons);
-    if (heightInches >= 2.0 && heightInches <= 6.0) {
+    const heightInches = figureHeightInches(persons, profile.pixelsPerInch);
+    if (heightInches >= profile.figureSmallInches && heightInches <= profile.figureLargeInches) {
       score += 1;
-      details.figure_appropriate_size = { score: 1, description: `Figure appropriate size (${heightInches.toFixed(1)} inches)`, keyword: '#Good_size' };
+      details.figure_appropriate_size = {
+        score: 1,
+        description: `Figure appropriate size (${heightInches.toFixed(1)} inches)`,
+        message: message('figure_appropriate_size', { inches: round1(heightInches) }),
+        keyword: '#Good_size',
+        evidence: figureSizeEvidence(persons, profile, { min: profile.figureSmallInches, max: profile.figureLargeInches }),
+      };
     }
   }
 
-  // 9. grounded_figure — requires ground-line detection (scored 0)
+  // 9. grounded_figure — requires ground-line detection (clinician rated)
 
   // 10. complete_person (has detectable person)
   if ((counts.person || 0) > 0) {
     score += 1;
-    details.complete_person = { score: 1, description: 'Person is present', keyword: '#Person_present' };
+    details.complete_person = {
+      score: 1,
+      description: 'Person is present',
+      message: message('complete_person', { count: persons.length }),
+      keyword: '#Person_present',
+      evidence: buildEvidence('count', persons, { category: 'person', count: persons.length }),
+    };
   }
 
-  // 11. facial_features — requires facial feature detection (scored 0)
-  // 12. smiling — requires expression recognition (scored 0)
-  // 13. movement — requires pose analysis (scored 0)
-  // 14. sun_present — requires detection category (scored 0)
-  // 15. flowers_nature — requires detection category (scored 0)
+  // 11. facial_features — requires facial feature detection (clinician rated)
+  // 12. smiling — requires expression recognition (clinician rated)
+  // 13. movement — requires pose analysis (clinician rated)
+  // 14. sun_present — requires detection category (clinician rated)
+  // 15. flowers_nature — requires detection category (clinician rated)
 
   // 16. multiple_resources
   const resourceCount = counts.umbrella || 0;
   if (resourceCount > 1) {
     score += 1;
-    details.multiple_resources = { score: 1, description: `Multiple resources (${resourceCount})`, keyword: '#Multi_resources' };
+    details.multiple_resources = {
+      score: 1,
+      description: `Multiple resources (${resourceCount})`,
+      message: message('multiple_resources', { count: resourceCount }),
+      keyword: '#Multi_resources',
+      evidence: buildEvidence('count', umbrellas, { category: 'umbrella', count: resourceCount, threshold: 1 }),
+    };
   }
 
-  // 17. detailed_drawing — requires qualitative analysis (scored 0)
+  // 17. detailed_drawing — requires qualitative analysis (clinician rated)
 
   // 18. centered_figure
   if (persons.length > 0 && imageWidth > 0 && imageHeight > 0) {
-    const mainPerson = persons.reduce((best, p) => (getArea(p) > getArea(best) ? p : best), persons[0]);
+    const mainPerson = getMainPerson(persons);
     const center = getCenter(mainPerson);
     const cx = imageWidth / 2;
     const cy = imageHeight / 2;
     const distFromCenter = Math.sqrt((center[0] - cx) ** 2 + (center[1] - cy) ** 2);
-    const threshold = Math.min(imageWidth, imageHeight) * 0.25;
+    const threshold = Math.min(imageWidth, imageHeight) * profile.centeringRadius;
     if (distFromCenter < threshold) {
       score += 1;
-      details.centered_figure = { score: 1, description: 'Figure is centered on page', keyword: '#Centered' };
+      details.centered_figure = {
+        score: 1,
+        description: `Figure is centered on page (${distFromCenter.toFixed(0)} px from centre)`,
+        message: message('centered_figure', { offset: Math.round(distFromCenter) }),
+        keyword: '#Centered',
+        evidence: buildEvidence('center', [mainPerson], {
+          figureCenter: center.map(round1),
+          pageCenter: [round1(cx), round1(cy)],
+          offset: round1(distFromCenter),
+          threshold: round1(threshold),
+        }),
+      };
     }
   }
 
-  // 19. appropriate_proportions — requires skeleton analysis (scored 0)
+  // 19. appropriate_proportions — requires skeleton analysis (clinician rated)
 
   return { score, details };
 }
 
 // --------------- Interpretation ---------------
 
+// 解讀等級（由高到低），儲存於分數紀錄的 interpretationKey；介面依語系翻譯（見 src/i18n）
+const INTERPRETATION_KEYS = ['adequate', 'more_resources', 'balanced', 'more_stress', 'significant_stress'];
+
+const INTERPRETATION_TEXT = {
+  adequate: '資源充足，壓力因應能力良好 (Adequate resources, good coping ability)',
+  more_resources: '資源略多於壓力，因應能力尚可 (Slightly more resources than stress)',
+  balanced: '壓力與資源大致平衡 (Stress and resources roughly balanced)',
+  more_stress: '壓力略多於資源，需關注因應策略 (Slightly more stress than resources)',
+  significant_stress: '壓力顯著高於資源，建議進一步評估 (Significantly more stress, further assessment recommended)',
+};
+
+/**
+ * 根據 total_score 決定解讀等級
+ * @param {number} totalScore
+ * @param {number[]} [cutoffs] 由高到低的 4 個分界（預設 DEFAULT_PROFILE.interpretationCutoffs）
+ * @returns {string} INTERPRETATION_KEYS 之一
+ */
+function getInterpretationKey(totalScore, cutoffs = DEFAULT_PROFILE.interpretationCutoffs) {
+  const index = cutoffs.findIndex((cutoff) => totalScore >= cutoff);
+  return INTERPRETATION_KEYS[index === -1 ? cutoffs.length : index];
+}
+
+/**
+ * 根據 total_score 給出整體解讀（中英對照文字，供 CLI 與舊紀錄使用）
+ * @param {number} totalScore
+ * @param {number[]} [cutoffs] 由高到低的 4 個分界（預設 DEFAULT_PROFILE.interpretationCutoffs）
+ */
+function getInterpretation(totalScore, cutoffs = DEFAULT_PROFILE.interpretationCutoffs) {
+  return INTERPRETATION_TEXT[getInterpretationKey(totalScore, cutoffs)];
+}
+
+// --------------- Clinician ratings ---------------
+
+const ITEM_DEFINITIONS = new Map([...STRESS_ITEMS, ...RESOURCE_ITEMS].map((item) => [item.name, item]));
+
 /**
- * 根據 total_score 給出整體解讀
+ * 合併治療師評分與 AI 評分，重新計算總分與 AI 小計
+ * 可重複套用：已合併過的項目以 ai_score 保留原本的 AI 分數
+ *
+ * @param {{ stress_items: Array, resource_items: Array }} score calculateDAPRScore 的結果或已儲存的分數
+ * @param {Object<string, { score: number|null, note?: string }>} [ratings] 治療師評分，以項目名稱為鍵；score 為 null 表示只有備註
+ * @param {number[]} [cutoffs] 解讀分界
+ * @returns {{
+ *   stress_items: Array, resource_items: Array,
+ *   stress_score: number, resource_score: number, total_score: number,
+ *   ai_stress_score: number, ai_resource_score: number, ai_total_score: number,
+ *   interpretation: string, interpretation_key: string
+ * }}
  */
-function getInterpretation(totalScore) {
-  if (totalScore >= 4) return '資源充足，壓力因應能力良好 (Adequate resources, good coping ability)';
-  if (totalScore >= 1) return '資源略多於壓力，因應能力尚可 (Slightly more resources than stress)';
-  if (totalScore >= -1) return '壓力與資源大致平衡 (Stress and resources roughly balanced)';
-  if (totalScore >= -4) return '壓力略多於資源，需關注因應策略 (Slightly more stress than resources)';
-  return '壓力顯著高於資源，建議進一步評估 (Significantly more stress, further assessment recommended)';
+function applyClinicianRatings(score, ratings = {}, cutoffs = DEFAULT_PROFILE.interpretationCutoffs) {
+  const merge = (item) => {
+    // Records saved before clinician ratings have no `automated` / `ai_score`
+    const automated = item.automated ?? ITEM_DEFINITIONS.get(item.name)?.automated !== false;
+    const aiScore = automated ? (item.ai_score ?? item.score ?? 0) : null;
+    const rating = ratings?.[item.name];
+    const rated = rating?.score !== null && rating?.score !== undefined;
+    let source = automated ? 'ai' : 'unrated';
+    if (rated) source = automated ? 'override' : 'clinician';
+    return {
+      ...item,
+      automated,
+      ai_score: aiScore,
+      // Weighted schemes (see schemes.js) scale the clinician's 0/1 rating by the item weight
+      score: rated ? rating.score * (item.weight ?? 1) : (aiScore ?? 0),
+      source,
+      note: rating?.note || '',
+    };
+  };
+  const sum = (items, key) => items.reduce((total, item) => total + (item[key] ?? 0), 0);
+
+  const stressItems = (score.stress_items || []).map(merge);
+  const resourceItems = (score.resource_items || []).map(merge);
+  const stressScore = sum(stressItems, 'score');
+  const resourceScore = sum(resourceItems, 'score');
+  const aiStressScore = sum(stressItems, 'ai_score');
+  const aiResourceScore = sum(resourceItems, 'ai_score');
+
+  return {
+    stress_items: stressItems,
+    resource_items: resourceItems,
+    stress_score: stressScore,
+    resource_score: resourceScore,
+    total_score: resourceScore - stressScore,
+    ai_stress_score: aiStressScore,
+    ai_resource_score: aiResourceScore,
+    ai_total_score: aiResourceScore - aiStressScore,
+    interpretation: getInterpretation(resourceScore - stressScore, cutoffs),
+    interpretation_key: getInterpretationKey(resourceScore - stressScore, cutoffs),
+  };
+}
+
+// --------------- Scoring profiles ---------------
+
+/**
+ * 補齊並檢查評分設定檔；缺少的欄位沿用 DEFAULT_PROFILE
+ * @param {Object} [profile]
+ * @returns {Object} 完整設定檔
+ * @throws {Error} 參數不是有限數值、人物大小上下限顛倒，或解讀分界不是 4 個由高到低的數值
+ */
+function resolveProfile(profile = DEFAULT_PROFILE) {
+  const resolved = { ...DEFAULT_PROFILE, ...profile };
+  for (const key of PROFILE_NUMERIC_KEYS) {
+    if (typeof resolved[key] !== 'number' || !Number.isFinite(resolved[key])) {
+      throw new Error(`Scoring profile "${resolved.profileId}": ${key} must be a number`);
+    }
+  }
+  if (resolved.pixelsPerInch <= 0) {
+    throw new Error(`Scoring profile "${resolved.profileId}": pixelsPerInch must be positive`);
+  }
+  if (resolved.figureSmallInches > resolved.figureLargeInches) {
+    throw new Error(`Scoring profile "${resolved.profileId}": figureSmallInches exceeds figureLargeInches`);
+  }
+  const cutoffs = resolved.interpretationCutoffs;
+  if (!Array.isArray(cutoffs) || cutoffs.length !== 4 || cutoffs.some((v, i) => !Number.isFinite(v) || (i > 0 && v > cutoffs[i - 1]))) {
+    throw new Error(`Scoring profile "${resolved.profileId}": interpretationCutoffs must be 4 numbers in descending order`);
+  }
+  return resolved;
 }
 
 // --------------- Main exported function ---------------
@@ -399,32 +809,49 @@ function getInterpretation(totalScore) {
 /**
  * 計算完整 DAPR 分數
  *
- * @param {Array<{category: string, bbox_x: number, bbox_y: number, bbox_w: number, bbox_h: number, confidence: number}>} detections
+ * @param {Array<{id?: number, category: string, bbox_x: number, bbox_y: number, bbox_w: number, bbox_h: number, confidence: number}>} detections
+ *   id 為偵測紀錄 id，寫入各項目 evidence.detectionIds
  * @param {number} imageWidth  圖片寬度 (px)
  * @param {number} imageHeight 圖片高度 (px)
+ * @param {Object} [profile] 評分設定檔（預設 DEFAULT_PROFILE；缺少的欄位以預設值補齊）
+ * @param {{source: string, pixelsPerInch: number, paperSize: string|null}|null} [calibration] 草圖的實體尺寸校正
  * @returns {{
  *   stress_score: number,
  *   resource_score: number,
  *   total_score: number,
+ *   ai_stress_score: number,
+ *   ai_resource_score: number,
+ *   ai_total_score: number,
  *   stress_items: Array,
  *   resource_items: Array,
  *   interpretation: string,
- *   attributes: { stress: Array, resource: Array }
+ *   interpretation_key: string,
+ *   interpretation_cutoffs: number[],
+ *   attributes: { stress: Array, resource: Array },
+ *   profile: { id: string, version: number },
+ *   calibration: { source: string, pixelsPerInch: number, paperSize: string|null, widthInches: number, heightInches: number }
  * }}
  */
-function calculateDAPRScore(detections, imageWidth, imageHeight) {
-  const objects = (detections || []).map((d) => ({
+function calculateDAPRScore(detections, imageWidth, imageHeight, profile = DEFAULT_PROFILE, calibration = null) {
+  const rules = resolveProfile(profile);
+  if (calibration?.pixelsPerInch > 0) {
+    rules.pixelsPerInch = calibration.pixelsPerInch;
+  }
+  // id 用於證據連結；沒有資料庫 id 時以輸入順序代替
+  const objects = (detections || []).map((d, i) => ({
+    id: d.id ?? i,
     category: d.category,
     bbox_x: d.bbox_x,
     bbox_y: d.bbox_y,
     bbox_w: d.bbox_w,
     bbox_h: d.bbox_h,
     confidence: d.confidence,
+    measurements: d.measurements ?? null,
+    mask: d.mask ?? null,
   }));
 
-  const { score: stressScore, details: stressDetails } = calculateStressScore(objects);
-  const { score: resourceScore, details: resourceDetails } = calculateResourceScore(objects, imageWidth, imageHeight);
-  const totalScore = resourceScore - stressScore;
+  const { details: stressDetails } = calculateStressScore(objects, rules);
+  const { details: resourceDetails } = calculateResourceScore(objects, imageWidth, imageHeight, rules);
 
   // Build per-item arrays with full metadata for every defined item
   const stressItems = STRESS_ITEMS.map((item) => {
@@ -433,9 +860,13 @@ function calculateDAPRScore(detections, imageWidth, imageHeight) {
       name: item.name,
       category: 'stress',
       method: item.method,
+      automated: item.automated !== false,
       score: detail ? detail.score : 0,
       max_score: 1,
       description: item.description,
+      detail: detail ? detail.description : null,
+      message: detail?.message ?? null,
+      evidence: detail?.evidence ?? null,
     };
   });
 
@@ -445,48 +876,73 @@ function calculateDAPRScore(detections, imageWidth, imageHeight) {
       name: item.name,
       category: 'resource',
       method: item.method,
+      automated: item.automated !== false,
       score: detail ? detail.score : 0,
       max_score: 1,
       description: item.description,
+      detail: detail ? detail.description : null,
+      message: detail?.message ?? null,
+      evidence: detail?.evidence ?? null,
     };
   });
 
-  const stressAttributes = Object.values(stressDetails).map((v) => ({
+  // Details may carry unscored measurements (e.g. a near-vertical rain angle); attributes list scored ones only
+  const stressAttributes = Object.entries(stressDetails).filter(([, v]) => v.score > 0).map(([name, v]) => ({
+    name,
     keyword: v.keyword,
     description: v.description,
     score: v.score,
   }));
-  const resourceAttributes = Object.values(resourceDetails).map((v) => ({
+  const resourceAttributes = Object.entries(resourceDetails).filter(([, v]) => v.score > 0).map(([name, v]) => ({
+    name,
     keyword: v.keyword,
     description: v.description,
     score: v.score,
   }));
 
+  // 尚無臨床評分：來源為 'ai' 或 'unrated'，總分等於 AI 小計
   return {
-    stress_score: stressScore,
-    resource_score: resourceScore,
-    total_score: totalScore,
-    stress_items: stressItems,
-    resource_items: resourceItems,
-    interpretation: getInterpretation(totalScore),
+    ...applyClinicianRatings({ stress_items: stressItems, resource_items: resourceItems }, {}, rules.interpretationCutoffs),
+    interpretation_cutoffs: [...rules.interpretationCutoffs],
     attributes: {
       stress: stressAttributes,
       resource: resourceAttributes,
     },
+    profile: { id: rules.profileId, version: rules.version },
+    // 人物大小實際使用的換算；未校正時 source 為 'profile'
+    calibration: {
+      source: calibration?.pixelsPerInch > 0 ? calibration.source : 'profile',
+      pixelsPerInch: rules.pixelsPerInch,
+      paperSize: calibration?.paperSize ?? null,
+      widthInches: Math.round((imageWidth / rules.pixelsPerInch) * 100) / 100,
+      heightInches: Math.round((imageHeight / rules.pixelsPerInch) * 100) / 100,
+    },
   };
 }
 
 export {
   calculateDAPRScore,
+  applyClinicianRatings,
+  DEFAULT_PROFILE,
+  PROFILE_NUMERIC_KEYS,
+  resolveProfile,
   // Expose internals for testing
   STRESS_ITEMS,
   RESOURCE_ITEMS,
   PIXELS_PER_INCH,
   EXCESS_RAIN_THRESHOLD,
+  STORMY_RAIN_TILT,
+  DARK_CLOUD_THRESHOLD,
+  OVERLAP_IOU,
+  MASK_OVERLAP_THRESHOLD,
+  MASK_CONTACT_TOLERANCE,
   computeIoU,
   checkOverlap,
+  measureOverlap,
   calculateDistance,
   figureHeightInches,
   pixelsToInches,
   getInterpretation,
+  getInterpretationKey,
+  INTERPRETATION_KEYS,
 };
@@ -0,0 +1,188 @@
+// src/services/strokeAnalysis.js
+// Rain direction analysis for the DAPR "stormy_rain" item.
+// Two sources, same output: vector strokes recorded in DrawingView (preferred), or, for uploaded
+// raster images, a structure-tensor line-orientation estimate over the pixels inside each rain box.
+//
+// Angles are axial (a line at 10° is the same as one at 190°) and reported as tilt from vertical:
+// 0° = falling straight down, positive = top leaning right, negative = top leaning left.
+
+// A stroke is matched to a rain box when this share of its points lies inside the box
+const STROKE_INSIDE_RATIO = 0.6
+// Strokes shorter than this (px) or less line-like than this are ignored when fitting direction
+const MIN_STROKE_LENGTH = 8
+const MIN_STROKE_LINEARITY = 0.8
+// Raster estimates below this coherence (0 = isotropic, 1 = perfectly oriented) are discarded
+const MIN_RASTER_COHERENCE = 0.3
+const BBOX_MARGIN = 2
+
+/**
+ * Measure the rain direction inside each rain detection
+ * @param {Array<{category: string, bbox: number[]}>} detections - bbox as [x1, y1, x2, y2]
+ * @param {Object} sources
+ * @param {Array<{points: Array<{x: number, y: number}>}>} [sources.strokes] - Recorded strokes (DrawingView)
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} [sources.imageData] - Pixels for the raster fallback
+ * @returns {Array<{tilt: number, coherence: number, source: 'strokes'|'raster', strokeCount: number}|null>}
+ *   one entry per detection; null for non-rain boxes or when no direction could be measured
+ */
+export function measureRainOrientation(detections, { strokes, imageData } = {}) {
+  const usable = (strokes || []).filter((s) => s.points && s.points.length >= 2)
+  return detections.map((det) => {
+    if (det.category !== 'rain') return null
+    if (usable.length > 0) return orientationFromStrokes(usable, det.bbox)
+    if (imageData) return orientationFromRaster(imageData, det.bbox)
+    return null
+  })
+}
+
+/**
+ * Combine per-box orientations into the drawing's dominant rain direction
+ * @param {Array<{tilt: number, coherence: number, strokeCount: number}|null>} orientations
+ * @returns {{tilt: number, coherence: number, boxes: number}|null}
+ */
+export function dominantRainOrientation(orientations) {
+  const axes = orientations
+    .filter(Boolean)
+    .map((o) => ({ theta: tiltToTheta(o.tilt), weight: o.coherence * Math.max(1, o.strokeCount) }))
+  if (axes.length === 0) return null
+  const { theta, resultant } = axialMean(axes)
+  return { tilt: round1(thetaToTilt(theta)), coherence: round3(resultant), boxes: axes.length }
+}
+
+// --------------- Vector strokes ---------------
+
+function orientationFromStrokes(strokes, bbox) {
+  const [x1, y1, x2, y2] = bbox
+  const inside = (p) => p.x >= x1 - BBOX_MARGIN && p.x <= x2 + BBOX_MARGIN && p.y >= y1 - BBOX_MARGIN && p.y <= y2 + BBOX_MARGIN
+
+  const axes = []
+  for (const stroke of strokes) {
+    const insideCount = stroke.points.filter(inside).length
+    if (insideCount / stroke.points.length < STROKE_INSIDE_RATIO) continue
+    const fit = fitStrokeAxis(stroke.points)
+    if (!fit || fit.length < MIN_STROKE_LENGTH || fit.linearity < MIN_STROKE_LINEARITY) continue
+    axes.push({ theta: fit.theta, weight: fit.length })
+  }
+  if (axes.length === 0) return null
+
+  const { theta, resultant } = axialMean(axes)
+  return { tilt: round1(thetaToTilt(theta)), coherence: round3(resultant), source: 'strokes', strokeCount: axes.length }
+}
+
+/**
+ * Principal axis of a stroke's points (PCA on the 2×2 covariance)
+ * @returns {{theta: number, linearity: number, length: number}|null} theta in radians [0, π)
+ */
+function fitStrokeAxis(points) {
+  const n = points.length
+  let mx = 0, my = 0, length = 0
+  for (let i = 0; i < n; i++) {
+    mx += points[i].x
+    my += points[i].y
+    if (i > 0) length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y)
+  }
+  mx /= n
+  my /= n
+
+  let sxx = 0, syy = 0, sxy = 0
+  for (const p of points) {
+    const dx = p.x - mx, dy = p.y - my
+    sxx += dx * dx
+    syy += dy * dy
+    sxy += dx * dy
+  }
+  const trace = sxx + syy
+  if (trace === 0) return null
+
+  const diff = Math.sqrt((sxx - syy) ** 2 + 4 * sxy * sxy)
+  const lambda1 = (trace + diff) / 2
+  const theta = normalizeTheta(0.5 * Math.atan2(2 * sxy, sxx - syy))
+  return { theta, linearity: lambda1 / trace, length }
+}
+
+// --------------- Raster fallback ---------------
+
+/**
+ * Structure-tensor orientation of the strokes inside a box.
+ * Gradients are perpendicular to ink lines, so the line direction is the dominant gradient axis + 90°.
+ */
+function orientationFromRaster(imageData, bbox) {
+  const { width, height, data } = imageData
+  const bx1 = Math.max(1, Math.floor(bbox[0]))
+  const by1 = Math.max(1, Math.floor(bbox[1]))
+  const bx2 = Math.min(width - 1, Math.ceil(bbox[2]))
+  const by2 = Math.min(height - 1, Math.ceil(bbox[3]))
+  if (bx2 - bx1 < 3 || by2 - by1 < 3) return null
+
+  const gray = (x, y) => {
+    const i = (y * width + x) * 4
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+  }
+
+  let jxx = 0, jyy = 0, jxy = 0
+  for (let y = by1; y < by2; y++) {
+    for (let x = bx1; x < bx2; x++) {
+      // Sobel
+      const gx = gray(x + 1, y - 1) + 2 * gray(x + 1, y) + gray(x + 1, y + 1)
+        - gray(x - 1, y - 1) - 2 * gray(x - 1, y) - gray(x - 1, y + 1)
+      const gy = gray(x - 1, y + 1) + 2 * gray(x, y + 1) + gray(x + 1, y + 1)
+        - gray(x - 1, y - 1) - 2 * gray(x, y - 1) - gray(x + 1, y - 1)
+      jxx += gx * gx
+      jyy += gy * gy
+      jxy += gx * gy
+    }
+  }
+  const trace = jxx + jyy
+  if (trace === 0) return null
+
+  const coherence = Math.sqrt((jxx - jyy) ** 2 + 4 * jxy * jxy) / trace
+  if (coherence < MIN_RASTER_COHERENCE) return null
+
+  const gradientTheta = 0.5 * Math.atan2(2 * jxy, jxx - jyy)
+  const theta = normalizeTheta(gradientTheta + Math.PI / 2)
+  return { tilt: round1(thetaToTilt(theta)), coherence: round3(coherence), source: 'raster', strokeCount: 0 }
+}
+
+// --------------- Axial statistics ---------------
+
+/**
+ * Weighted mean of axial angles via angle doubling
+ * @param {Array<{theta: number, weight: number}>} axes - theta in radians
+ * @returns {{theta: number, resultant: number}} resultant in [0, 1]: 1 = all parallel
+ */
+function axialMean(axes) {
+  let c = 0, s = 0, total = 0
+  for (const { theta, weight } of axes) {
+    c += weight * Math.cos(2 * theta)
+    s += weight * Math.sin(2 * theta)
+    total += weight
+  }
+  return {
+    theta: normalizeTheta(0.5 * Math.atan2(s, c)),
+    resultant: total > 0 ? Math.hypot(c, s) / total : 0,
+  }
+}
+
+function normalizeTheta(theta) {
+  const t = theta % Math.PI
+  return t < 0 ? t + Math.PI : t
+}
+
+/**
+ * Image-space line angle theta (radians in [0, π), y pointing down; π/2 = vertical) → degrees tilt from vertical.
+ * With y down, a line whose top leans right has theta > π/2, giving a positive tilt.
+ */
+function thetaToTilt(theta) {
+  return (theta * 180) / Math.PI - 90
+}
+
+function tiltToTheta(tilt) {
+  return ((tilt + 90) * Math.PI) / 180
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000
+}
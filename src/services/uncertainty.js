@@ -0,0 +1,149 @@
+// src/services/uncertainty.js
+// Uncertainty of a DAPR score under detection confidence. Every detection is kept in a sample with
+// probability equal to its confidence (Monte Carlo), and each sample is scored like a normal analysis.
+// This gives per-item probabilities and credible intervals for the stress, resource and total scores.
+// Items whose score changes when the class thresholds are raised slightly are flagged as fragile.
+// Detector confidences are not calibrated probabilities, so intervals are a sensitivity guide rather than
+// a statistical guarantee. Relative imports carry explicit .js extensions so Node can load this module.
+//
+// Result format (stored on score records as `uncertainty`):
+//   {
+//     samples, seed, credibleMass, thresholdShift,
+//     stress / resource / total: { mean, low, high }   credible interval over the samples
+//     items: [{ name, category, score, probability, expectedScore, fragile, flipsAt }]
+//       automated items scored by the AI only; probability = share of samples where the item scores,
+//       flipsAt = smallest threshold increase that changes the item's score (null when stable)
+//   }
+import { applyClinicianRatings } from './scoring.js'
+import { DEFAULT_SCHEME_ID, getScheme } from './schemes.js'
+import { mulberry32 } from './pipeline.js'
+
+export const DEFAULT_SAMPLES = 300
+export const DEFAULT_CREDIBLE_MASS = 0.9
+// Largest confidence-threshold increase checked for fragile items
+export const DEFAULT_THRESHOLD_SHIFT = 0.1
+// Threshold for classes the model does not list (same default as detectObjects)
+const FALLBACK_THRESHOLD = 0.5
+
+/**
+ * Estimate how much a sketch's score depends on uncertain detections
+ * @param {Array} detections - Scoring format with `confidence` (see assessment.js toScoringFormat);
+ *   detections without a confidence below 1 (e.g. manual boxes) are treated as certain
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {Object} [options]
+ * @param {string} [options.schemeId] - Scoring scheme (default: the default scheme)
+ * @param {Object} [options.profile] - Scoring profile
+ * @param {Object|null} [options.calibration] - Physical-size calibration
+ * @param {Object} [options.ratings] - Clinician ratings; rated items keep their rating in every sample
+ * @param {Object<string, number>} [options.thresholds] - Per-class confidence thresholds the detections passed
+ * @param {number} [options.samples]
+ * @param {number} [options.seed] - Same seed, same result
+ * @param {number} [options.credibleMass] - Share of samples inside each interval
+ * @param {number} [options.thresholdShift]
+ * @returns {Object} see the result format above
+ */
+export function estimateUncertainty(detections, imageWidth, imageHeight, options = {}) {
+  const {
+    schemeId = DEFAULT_SCHEME_ID,
+    profile,
+    calibration,
+    ratings = {},
+    thresholds = {},
+    samples = DEFAULT_SAMPLES,
+    seed = 1,
+    credibleMass = DEFAULT_CREDIBLE_MASS,
+    thresholdShift = DEFAULT_THRESHOLD_SHIFT,
+  } = options
+  const scheme = getScheme(schemeId)
+  if (!scheme) throw new Error(`Unknown scoring scheme: ${schemeId}`)
+  if (!(samples >= 1)) throw new Error(`samples must be at least 1, got ${samples}`)
+  if (!(credibleMass > 0 && credibleMass < 1)) throw new Error(`credibleMass must be between 0 and 1, got ${credibleMass}`)
+
+  const score = (subset) => {
+    const result = scheme.score(subset, imageWidth, imageHeight, profile, calibration)
+    return applyClinicianRatings(result, ratings, result.interpretation_cutoffs)
+  }
+  const base = score(detections)
+  // Rated items are fixed by the clinician; unrated non-automated items are always 0
+  const uncertainItems = [
+    ...base.stress_items.map((item) => ({ ...item, category: 'stress' })),
+    ...base.resource_items.map((item) => ({ ...item, category: 'resource' })),
+  ].filter((item) => item.source === 'ai')
+  const itemScores = (result) => new Map([...result.stress_items, ...result.resource_items].map((item) => [item.name, item.score]))
+
+  // --- Monte Carlo over detection presence ---
+  const random = mulberry32(seed)
+  const probability = (d) => (Number.isFinite(d.confidence) && d.confidence < 1 ? Math.max(0, d.confidence) : 1)
+  const totals = { stress: [], resource: [], total: [] }
+  const hits = new Map(uncertainItems.map((item) => [item.name, 0]))
+  const sums = new Map(uncertainItems.map((item) => [item.name, 0]))
+  for (let s = 0; s < samples; s++) {
+    const result = score(detections.filter((d) => random() < probability(d)))
+    totals.stress.push(result.stress_score)
+    totals.resource.push(result.resource_score)
+    totals.total.push(result.total_score)
+    const scores = itemScores(result)
+    for (const item of uncertainItems) {
+      const value = scores.get(item.name) ?? 0
+      if (value !== 0) hits.set(item.name, hits.get(item.name) + 1)
+      sums.set(item.name, sums.get(item.name) + value)
+    }
+  }
+
+  // --- Threshold sweep: drop detections that a slightly higher class threshold would remove ---
+  const margin = (d) => Math.max(0, d.confidence - (thresholds[d.category] ?? FALLBACK_THRESHOLD))
+  const shifts = [...new Set(detections
+    .filter((d) => probability(d) < 1 && margin(d) < thresholdShift)
+    .map((d) => margin(d)))]
+    .sort((a, b) => a - b)
+  const flipsAt = new Map()
+  const baseScores = itemScores(base)
+  for (const shift of shifts) {
+    const scores = itemScores(score(detections.filter((d) => probability(d) >= 1 || margin(d) > shift)))
+    for (const item of uncertainItems) {
+      if (!flipsAt.has(item.name) && scores.get(item.name) !== baseScores.get(item.name)) {
+        // The detection is dropped once the threshold rises just past its margin
+        flipsAt.set(item.name, round3(shift))
+      }
+    }
+  }
+
+  const tail = (1 - credibleMass) / 2
+  return {
+    schemeId,
+    samples,
+    seed,
+    credibleMass,
+    thresholdShift,
+    stress: interval(totals.stress, tail),
+    resource: interval(totals.resource, tail),
+    total: interval(totals.total, tail),
+    items: uncertainItems.map((item) => ({
+      name: item.name,
+      category: item.category,
+      score: item.score,
+      probability: round3(hits.get(item.name) / samples),
+      expectedScore: round3(sums.get(item.name) / samples),
+      fragile: flipsAt.has(item.name),
+      flipsAt: flipsAt.get(item.name) ?? null,
+    })),
+  }
+}
+
+/**
+ * Mean and equal-tailed interval of a sample
+ */
+function interval(values, tail) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * sorted.length)))]
+  return {
+    mean: round3(values.reduce((sum, v) => sum + v, 0) / values.length),
+    low: at(tail),
+    high: at(1 - tail),
+  }
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000
+}
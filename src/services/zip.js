@@ -0,0 +1,89 @@
+// src/services/zip.js
+// Minimal ZIP writer for downloads made of many files (see dataset.js). Entries are stored uncompressed:
+// the bulk of an export is PNG / JPEG images, which do not compress further.
+// No ZIP64, so an archive must stay under 4 GB and 65 535 entries.
+
+const encoder = new TextEncoder()
+
+let crcTable = null
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// MS-DOS date and time fields (local time, 2-second resolution)
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Paths use '/'; strings are written as UTF-8
+ * @param {{date?: Date}} [options] - Modification time of every entry (default: now)
+ * @returns {Blob} application/zip
+ */
+export function createZip(files, { date = new Date() } = {}) {
+  const { time, date: day } = dosDateTime(date)
+  const parts = []
+  const central = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034B50, true) // local file header signature
+    local.setUint16(4, 20, true) // version needed
+    local.setUint16(6, 0x0800, true) // UTF-8 names
+    local.setUint16(8, 0, true) // stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, day, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    parts.push(local, name, data)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014B50, true) // central directory signature
+    entry.setUint16(4, 20, true) // version made by
+    entry.setUint16(6, 20, true)
+    entry.setUint16(8, 0x0800, true)
+    entry.setUint16(10, 0, true)
+    entry.setUint16(12, time, true)
+    entry.setUint16(14, day, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, data.length, true)
+    entry.setUint32(24, data.length, true)
+    entry.setUint16(28, name.length, true)
+    entry.setUint32(42, offset, true) // local header offset
+    central.push(entry, name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054B50, true) // end of central directory signature
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
@@ -1,9 +1,21 @@
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
 
+// Cross-origin isolation enables SharedArrayBuffer, which multi-threaded ONNX WASM requires
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+}
+
 export default defineConfig({
   plugins: [vue()],
   base: './',
+  server: { headers: isolationHeaders },
+  preview: { headers: isolationHeaders },
+  worker: {
+    // The detection worker lazily imports onnxruntime-web, which needs ES module workers
+    format: 'es',
+  },
   optimizeDeps: {
     exclude: ['onnxruntime-web'],
   },